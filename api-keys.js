@@ -0,0 +1,64 @@
+/**
+ * API key management from the command line - mainly to create the first admin key, after which keys can be managed
+ * through /api/admin/api-keys.
+ *
+ *   node api-keys.js create <name> <role>     role: bot | analyst | admin | cron
+ *   node api-keys.js list
+ *   node api-keys.js rotate <id> [graceSeconds]
+ *   node api-keys.js revoke <id>
+ */
+const apiKeyService = require('./services/apiKeyService');
+const { pool } = require('./database');
+
+const printKey = (apiKey) => {
+  const state = apiKey.revoked_at ? 'revoked'
+    : apiKey.expires_at ? `expires ${new Date(apiKey.expires_at).toISOString()}` : 'active';
+  console.log(`${apiKey.id}  ${apiKey.role.padEnd(7)}  ${apiKey.key_prefix}...  ${apiKey.name} (${state})`);
+};
+
+const commands = {
+  create: async (name, role) => {
+    if (!name || !apiKeyService.roles.includes(role)) {
+      throw new Error(`Usage: node api-keys.js create <name> <${apiKeyService.roles.join('|')}>`);
+    }
+    const { key, apiKey } = await apiKeyService.createKey({ name, role });
+    printKey(apiKey);
+    console.log(`🔑 ${key}`);
+    console.log('⚠️  Store this key now; only its hash is kept.');
+  },
+  list: async () => {
+    const keys = await apiKeyService.listKeys();
+    keys.forEach(printKey);
+    console.log(`📊 ${keys.length} keys`);
+  },
+  rotate: async (id, graceSeconds) => {
+    const rotated = await apiKeyService.rotateKey(id, graceSeconds !== undefined ? { graceSeconds: parseInt(graceSeconds, 10) } : {});
+    if (!rotated) {
+      throw new Error(`API key ${id} not found or revoked`);
+    }
+    printKey(rotated.previous);
+    printKey(rotated.apiKey);
+    console.log(`🔑 ${rotated.key}`);
+    console.log('⚠️  Store this key now; only its hash is kept.');
+  },
+  revoke: async (id) => {
+    const apiKey = await apiKeyService.revokeKey(id);
+    if (!apiKey) {
+      throw new Error(`API key ${id} not found`);
+    }
+    printKey(apiKey);
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+if (!commands[command]) {
+  console.error('Usage: node api-keys.js create <name> <role> | list | rotate <id> [graceSeconds] | revoke <id>');
+  process.exitCode = 1;
+} else {
+  commands[command](...args)
+    .catch((error) => {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -49,8 +49,9 @@ const testConnection = async () => {
   }
 };
 
-// Run connection test asynchronously (don't block server startup)
-setTimeout(testConnection, 1000);
+// Run connection test asynchronously (don't block server startup).
+// Unref'd so short-lived scripts (migrations, tests) can exit once their pool is closed.
+setTimeout(testConnection, 1000).unref();
 
 // Verify questions table exists
 const verifyQuestionsTable = async () => {
@@ -77,7 +78,7 @@ const verifyQuestionsTable = async () => {
 };
 
 // Verify questions table after connection test
-setTimeout(verifyQuestionsTable, 2000);
+setTimeout(verifyQuestionsTable, 2000).unref();
 
 // Helper function to execute queries with retry logic
 // Sets timezone to IST for each query to ensure all timestamps are in IST
@@ -0,0 +1,79 @@
+const apiKeyService = require('../services/apiKeyService');
+
+// X-API-Key, or Authorization: Bearer <key> (what Vercel Cron sends when CRON_SECRET holds a cron key)
+const extractKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Only let through requests carrying an active API key with one of the given roles; the key row is set on req.apiKey
+ * @param {...string} roles - bot | analyst | admin | cron
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  const key = extractKey(req);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      message: 'API key required (X-API-Key header or Authorization: Bearer)'
+    });
+  }
+
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.authenticate(key);
+  } catch (error) {
+    console.error('❌ Error authenticating API key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+  if (!roles.includes(apiKey.role)) {
+    console.warn(`⚠️  API key "${apiKey.name}" (${apiKey.role}) denied ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      message: `This endpoint requires one of the roles: ${roles.join(', ')}`
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Write an api_key_audit_log entry once the response is sent. Handlers can add context (row counts, target ids)
+ * through res.locals.auditDetails. Use after requireRole.
+ * @param {string} action - What was accessed, e.g. "export_all_subject_data"
+ */
+const auditAccess = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    apiKeyService.recordAccess({
+      apiKey: req.apiKey,
+      action,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      query: req.query,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      details: res.locals.auditDetails || null
+    });
+  });
+  next();
+};
+
+module.exports = { extractKey, requireRole, auditAccess };
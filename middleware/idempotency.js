@@ -0,0 +1,88 @@
+const idempotencyService = require('../services/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay the stored response for a repeated request instead of running the handler again
+ * (see services/idempotencyService.js). The key is the Idempotency-Key header or, when the header is absent,
+ * whatever deriveKey returns; requests with neither run normally. Replays carry Idempotent-Replayed: true.
+ *
+ * @param {string|Function} scope - Endpoint name; keys are unique per scope. A function (req) => string scopes keys
+ *   to something in the URL as well (e.g. the session id)
+ * @param {Object} [options]
+ * @param {Function} [options.deriveKey] - async (req) => string|null
+ */
+const idempotent = (endpointScope, { deriveKey } = {}) => async (req, res, next) => {
+  const scope = typeof endpointScope === 'function' ? endpointScope(req) : endpointScope;
+  const headerKey = req.get('Idempotency-Key');
+  if (headerKey !== undefined && (!headerKey.trim() || headerKey.length > MAX_KEY_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  let key;
+  let claim;
+  const source = headerKey ? 'header' : 'derived';
+  try {
+    key = headerKey ? headerKey.trim() : (deriveKey ? await deriveKey(req) : null);
+    if (!key) {
+      return next();
+    }
+    claim = await idempotencyService.claim({ scope, key, source, requestHash: idempotencyService.hashRequest(req.rawBody) });
+  } catch (error) {
+    console.error(`❌ Error checking idempotency key for ${scope}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+
+  if (claim.state === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      message: 'Idempotency-Key was already used with a different request body'
+    });
+  }
+  if (claim.state === 'in_progress') {
+    res.set('Retry-After', '1');
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this idempotency key is still being processed'
+    });
+  }
+  if (claim.state === 'completed') {
+    console.log(`🔁 Replaying ${scope} response for ${source} idempotency key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.responseStatus).json(claim.responseBody);
+  }
+
+  // Store the response before sending it, so a repeat that arrives right after the reply finds it. Server errors and
+  // 429s from the rate limiter behind this are never stored; for derived keys neither are 4xx, which may no longer
+  // apply when the bot calls again
+  const sendJson = res.json.bind(res);
+  const maxStoredStatus = source === 'header' ? 499 : 299;
+  let answered = false;
+  res.json = (body) => {
+    answered = true;
+    const store = res.statusCode > maxStoredStatus || res.statusCode === 429
+      ? idempotencyService.release({ scope, key })
+      : idempotencyService.complete({ scope, key, responseStatus: res.statusCode, responseBody: body });
+    store
+      .catch(error => console.error(`❌ Failed to store ${scope} response for idempotency key ${key}:`, error.message))
+      .finally(() => sendJson(body));
+    return res;
+  };
+  // Answered without res.json (not expected on these endpoints): nothing to replay, so let the next request run
+  res.on('finish', () => {
+    if (!answered) {
+      idempotencyService.release({ scope, key })
+        .catch(error => console.error(`❌ Failed to release idempotency key ${key}:`, error.message));
+    }
+  });
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,67 @@
+const rateLimitService = require('../services/rateLimitService');
+const apiKeyService = require('../services/apiKeyService');
+const { extractKey } = require('./apiKeyAuth');
+const { normalizePhone } = require('../utils/phone');
+const config = require('../config');
+
+const IDENTITY_LABELS = { phone: 'phone number', ip: 'IP address', api_key: 'API key' };
+
+// Key row set by requireRole, else the key the request carries if it authenticates; made-up keys count as no key
+const resolveApiKey = async (req) => {
+  if (req.apiKey) {
+    return req.apiKey;
+  }
+  const key = extractKey(req);
+  return key ? apiKeyService.authenticate(key) : null;
+};
+
+/**
+ * Count the request against the action's budgets in config.rateLimit (per phone, client IP and API key) and answer
+ * 429 with Retry-After once any of them is used up. Requests rejected here still count, so hammering a throttled
+ * phone doesn't reopen it early. If the counters can't be reached the request goes through: a database hiccup
+ * should not lock everyone out of their quiz.
+ *
+ * Requests with a valid API key are counted against the key instead of the IP: the bot sends every user's traffic
+ * from the same few addresses. Mount it after idempotent() so replays of a stored response aren't counted.
+ *
+ * @param {string} action - start | answer | submit
+ * @param {Object} [options]
+ * @param {Function} [options.resolvePhone] - async (req) => phone|null; defaults to req.body.phone
+ */
+const rateLimit = (action, { resolvePhone = (req) => req.body && req.body.phone } = {}) => async (req, res, next) => {
+  if (!config.rateLimit.enabled) {
+    return next();
+  }
+
+  let result;
+  try {
+    const apiKey = await resolveApiKey(req);
+    const identities = {
+      // "+91 98000 00001" and "919800000001" share a budget
+      phone: normalizePhone(await resolvePhone(req)),
+      ip: apiKey ? null : req.ip,
+      api_key: apiKey ? apiKey.key_prefix : null
+    };
+    const checks = config.rateLimit[action]
+      .filter(budget => identities[budget.identityType])
+      .map(budget => ({ ...budget, identity: identities[budget.identityType] }));
+    result = await rateLimitService.hit(action, checks);
+  } catch (error) {
+    console.error(`❌ Error checking ${action} rate limit, letting the request through:`, error.message);
+    return next();
+  }
+
+  if (!result.allowed) {
+    const [first] = result.exceeded;
+    console.warn(`🚦 Throttled ${action} for ${first.identityType} ${first.identity} (${first.count}/${first.limit}), retry in ${result.retryAfterSeconds}s`);
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `Too many ${action} requests for this ${IDENTITY_LABELS[first.identityType]}; try again in ${result.retryAfterSeconds} seconds`,
+      retry_after_seconds: result.retryAfterSeconds
+    });
+  }
+  next();
+};
+
+module.exports = { rateLimit };
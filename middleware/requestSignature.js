@@ -0,0 +1,46 @@
+const requestSignatureService = require('../services/requestSignatureService');
+const config = require('../config');
+
+const SIGNATURE_HEADERS = ['X-Signature', 'X-Signature-Timestamp', 'X-Signature-Nonce'];
+
+/**
+ * Verify the bot's HMAC signature (see services/requestSignatureService.js) according to config.signing.mode:
+ * off lets everything through, optional only checks requests that carry signature headers, required rejects
+ * unsigned ones. Needs req.rawBody, which server.js captures in express.json().
+ */
+const verifySignature = async (req, res, next) => {
+  const { mode } = config.signing;
+  if (mode === 'off') {
+    return next();
+  }
+
+  const [signature, timestamp, nonce] = SIGNATURE_HEADERS.map(header => req.get(header));
+  if (mode === 'optional' && !signature && !timestamp && !nonce) {
+    return next();
+  }
+
+  let verification;
+  try {
+    verification = await requestSignatureService.verify({ signature, timestamp, nonce, rawBody: req.rawBody });
+  } catch (error) {
+    console.error('❌ Error verifying request signature:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+
+  if (!verification.valid) {
+    console.warn(`⚠️  Rejected ${req.method} ${req.originalUrl}: ${verification.reason}`);
+    return res.status(401).json({
+      success: false,
+      message: verification.reason
+    });
+  }
+
+  req.signedRequest = true;
+  next();
+};
+
+module.exports = { verifySignature };
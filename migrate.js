@@ -0,0 +1,206 @@
+/**
+ * Schema migration runner.
+ *
+ *   node migrate.js up [version]     apply pending migrations (up to and including version)
+ *   node migrate.js down [steps]     revert the last `steps` applied migrations (default 1)
+ *   node migrate.js status           list migrations and whether they are applied
+ *
+ * Migrations are migrations/NNN_name.js modules exporting async up({ query }) and down({ query }).
+ * Each one runs in its own transaction together with its schema_migrations row, and an advisory lock keeps two
+ * deploys from migrating the same database at once.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3})_(.+)\.js$/;
+// Arbitrary constant shared by every runner instance
+const ADVISORY_LOCK_KEY = 7311001;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: match[1], name: match[2], file, up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureHistoryTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, applied_at, execution_ms FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Check out one client, take the advisory lock and make sure the history table exists
+async function withMigrationClient(run) {
+  const client = await pool.connect();
+  try {
+    await client.query("SET timezone = 'Asia/Kolkata'");
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    try {
+      await ensureHistoryTable(client);
+      return await run(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, direction) {
+  const db = { query: (text, params) => client.query(text, params) };
+  const startedAt = Date.now();
+  await client.query('BEGIN');
+  try {
+    await migration[direction](db);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, execution_ms) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, Date.now() - startedAt]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  }
+  return Date.now() - startedAt;
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version
+ * @returns {Promise<string[]>} Files applied
+ */
+async function migrateUp({ to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationClient(async (client) => {
+    const applied = await getApplied(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+    if (pending.length === 0) {
+      console.log('✅ Database is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`🚀 Running migration: ${migration.version}_${migration.name}`);
+      const ms = await runInTransaction(client, migration, 'up');
+      console.log(`✅ Applied ${migration.file} (${ms}ms)`);
+    }
+    return pending.map(m => m.file);
+  });
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - Number of migrations to revert
+ * @returns {Promise<string[]>} Files reverted
+ */
+async function migrateDown({ steps = 1 } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  return withMigrationClient(async (client) => {
+    const applied = [...(await getApplied(client)).keys()].sort().reverse().slice(0, steps);
+    if (applied.length === 0) {
+      console.log('✅ Nothing to revert');
+      return [];
+    }
+
+    const reverted = [];
+    for (const version of applied) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no file in migrations/; cannot revert it`);
+      }
+      console.log(`⏪ Reverting migration: ${migration.version}_${migration.name}`);
+      const ms = await runInTransaction(client, migration, 'down');
+      console.log(`✅ Reverted ${migration.file} (${ms}ms)`);
+      reverted.push(migration.file);
+    }
+    return reverted;
+  });
+}
+
+/**
+ * @returns {Promise<Array<{version: string, name: string, status: string, applied_at: Date|null}>>}
+ *   status is applied, pending or missing (recorded in schema_migrations but no file)
+ */
+async function getStatus() {
+  const migrations = loadMigrations();
+  return withMigrationClient(async (client) => {
+    const applied = await getApplied(client);
+    const rows = migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      status: applied.has(m.version) ? 'applied' : 'pending',
+      applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    }));
+    const known = new Set(migrations.map(m => m.version));
+    applied.forEach((row, version) => {
+      if (!known.has(version)) {
+        rows.push({ version, name: row.name, status: 'missing', applied_at: row.applied_at });
+      }
+    });
+    return rows.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, getStatus };
+
+if (require.main === module) {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const commands = {
+    up: () => migrateUp({ to: arg }),
+    down: () => migrateDown({ steps: arg ? parseInt(arg, 10) : 1 }),
+    status: async () => {
+      const rows = await getStatus();
+      const icons = { applied: '✅', pending: '⏳', missing: '❓' };
+      rows.forEach(row => {
+        const appliedAt = row.applied_at ? ` (${new Date(row.applied_at).toISOString()})` : '';
+        console.log(`${icons[row.status]} ${row.version}_${row.name} - ${row.status}${appliedAt}`);
+      });
+      console.log(`📊 ${rows.filter(r => r.status === 'applied').length} applied, ${rows.filter(r => r.status === 'pending').length} pending`);
+    }
+  };
+
+  if (!commands[command] || (command === 'down' && arg && !(parseInt(arg, 10) > 0))) {
+    console.error('Usage: node migrate.js up [version] | down [steps] | status');
+    process.exitCode = 1;
+  } else {
+    commands[command]()
+      .catch((error) => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+      })
+      .finally(() => pool.end());
+  }
+}
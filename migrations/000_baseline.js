@@ -0,0 +1,78 @@
+/**
+ * users / sessions / questions as they existed before 001, including the columns that used to be added by hand
+ * (add_order_id_to_sessions.sql, run-add-scenario-to-questions.js, run-add-code-snippet-imagelink-to-questions.js).
+ * Every statement is IF NOT EXISTS, so recording it against an existing database changes nothing.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating users table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT,
+        email TEXT,
+        phone TEXT,
+        subject TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP,
+        CONSTRAINT users_email_key UNIQUE (email)
+      )
+    `);
+
+    console.log('🔧 Creating sessions table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        certified_user_id INTEGER,
+        certified_token TEXT,
+        certified_token_expires_at TIMESTAMP,
+        quiz_completed BOOLEAN DEFAULT FALSE,
+        quiz_analysis_generated BOOLEAN DEFAULT FALSE,
+        quiz_attempt_object JSONB,
+        order_id INTEGER,
+        session_created TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating questions table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS questions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        question TEXT,
+        option_a TEXT,
+        option_b TEXT,
+        option_c TEXT,
+        option_d TEXT,
+        correct_answer TEXT,
+        answered BOOLEAN DEFAULT FALSE,
+        answer TEXT,
+        question_no INTEGER,
+        quiz_id TEXT,
+        scenario TEXT,
+        "code_snippet_imageLink" TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP
+      )
+    `);
+
+    // Databases created before this migration may have missed one of the hand-run scripts
+    console.log('🔧 Adding hand-run columns (if not exists)...');
+    await query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS order_id INTEGER');
+    await query('ALTER TABLE questions ADD COLUMN IF NOT EXISTS scenario TEXT');
+    await query('ALTER TABLE questions ADD COLUMN IF NOT EXISTS "code_snippet_imageLink" TEXT');
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN sessions.order_id IS 'Order ID returned from create_v2_test API response'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping questions, sessions and users tables...');
+    await query('DROP TABLE IF EXISTS questions');
+    await query('DROP TABLE IF EXISTS sessions');
+    await query('DROP TABLE IF EXISTS users');
+  }
+};
@@ -1,8 +1,5 @@
-const { query, pool } = require('../database');
-
-async function runMigration() {
-  console.log('🚀 Running migration: 001_add_subject_to_sessions');
-  try {
+module.exports = {
+  async up({ query }) {
     // 1) Add subject column if missing
     console.log('🔧 Adding subject column to sessions (if not exists)...');
     await query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS subject TEXT');
@@ -18,7 +15,7 @@ async function runMigration() {
     `);
 
     // 3) Validate no NULL subjects remain
-    const nullCheck = await query('SELECT COUNT(*)::int AS cnt FROM sessions WHERE subject IS NULL OR subject = \''\'');
+    const nullCheck = await query("SELECT COUNT(*)::int AS cnt FROM sessions WHERE subject IS NULL OR subject = ''");
     const remainingNulls = nullCheck.rows[0].cnt;
     console.log('📊 Remaining sessions without subject:', remainingNulls);
 
@@ -29,16 +26,10 @@ async function runMigration() {
     } else {
       console.log('⚠️ Skipping NOT NULL because some sessions are missing subject. Please fix and rerun.');
     }
+  },
 
-    console.log('✅ Migration completed successfully');
-  } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    process.exitCode = 1;
-  } finally {
-    await pool.end();
+  async down({ query }) {
+    console.log('🔧 Dropping subject column from sessions...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS subject');
   }
-}
-
-runMigration();
-
-
+};
@@ -1,8 +1,5 @@
-const { query, pool } = require('../database');
-
-async function runMigration() {
-  console.log('🚀 Running migration: 002_add_attempted_paid_to_sessions');
-  try {
+module.exports = {
+  async up({ query }) {
     console.log('🔧 Adding attempted column to sessions (if not exists)...');
     await query(`
       ALTER TABLE sessions
@@ -30,16 +27,10 @@ async function runMigration() {
     console.log('💬 Adding comments to attempted and paid columns...');
     await query(`COMMENT ON COLUMN sessions.attempted IS 'Whether the session has been attempted.'`);
     await query(`COMMENT ON COLUMN sessions.paid IS 'Whether the session/order has been paid for.'`);
+  },
 
-    console.log('✅ Migration completed successfully');
-  } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    process.exitCode = 1;
-  } finally {
-    await pool.end();
+  async down({ query }) {
+    console.log('🔧 Dropping attempted and paid columns from sessions...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS attempted, DROP COLUMN IF EXISTS paid');
   }
-}
-
-runMigration();
-
-
+};
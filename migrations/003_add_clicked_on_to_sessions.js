@@ -1,8 +1,5 @@
-const { query, pool } = require('../database');
-
-async function runMigration() {
-  console.log('🚀 Running migration: 003_add_clicked_on_to_sessions');
-  try {
+module.exports = {
+  async up({ query }) {
     // 1) Create enum type if it doesn't exist
     console.log('🔧 Creating clicked_on_enum type (if not exists)...');
     await query(`
@@ -25,15 +22,11 @@ async function runMigration() {
     await query(`
       COMMENT ON COLUMN sessions.clicked_on IS 'Tracks which button was clicked: unlock_cert or know_more'
     `);
+  },
 
-    console.log('✅ Migration completed successfully');
-  } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    process.exitCode = 1;
-  } finally {
-    await pool.end();
+  async down({ query }) {
+    console.log('🔧 Dropping clicked_on column and clicked_on_enum type...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS clicked_on');
+    await query('DROP TYPE IF EXISTS clicked_on_enum');
   }
-}
-
-runMigration();
-
+};
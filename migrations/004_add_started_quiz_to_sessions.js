@@ -1,8 +1,5 @@
-const { query, pool } = require('../database');
-
-async function runMigration() {
-  console.log('🚀 Running migration: 004_add_started_quiz_to_sessions');
-  try {
+module.exports = {
+  async up({ query }) {
     console.log('🔧 Adding started_quiz column to sessions (if not exists)...');
     await query(`
       ALTER TABLE sessions
@@ -20,15 +17,10 @@ async function runMigration() {
 
     console.log('💬 Adding comment to started_quiz column...');
     await query(`COMMENT ON COLUMN sessions.started_quiz IS 'Whether the quiz has been started for this session.'`);
+  },
 
-    console.log('✅ Migration completed successfully');
-  } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    process.exitCode = 1;
-  } finally {
-    await pool.end();
+  async down({ query }) {
+    console.log('🔧 Dropping started_quiz column from sessions...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS started_quiz');
   }
-}
-
-runMigration();
-
+};
@@ -1,20 +1,12 @@
-const { query, pool } = require('../database');
-
-async function runMigration() {
-  console.log('🚀 Running migration: 005_add_re_trigger_tracking_to_sessions');
-  try {
+module.exports = {
+  async up({ query }) {
     // Add re_trigger_api_called_at column if missing
     console.log('🔧 Adding re_trigger_api_called_at column to sessions (if not exists)...');
     await query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS re_trigger_api_called_at TIMESTAMP');
+  },
 
-    console.log('✅ Migration completed successfully');
-  } catch (err) {
-    console.error('❌ Migration failed:', err.message);
-    process.exitCode = 1;
-  } finally {
-    await pool.end();
+  async down({ query }) {
+    console.log('🔧 Dropping re_trigger_api_called_at column from sessions...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS re_trigger_api_called_at');
   }
-}
-
-runMigration();
-
+};
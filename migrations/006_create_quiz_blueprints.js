@@ -0,0 +1,55 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating quiz_blueprints table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS quiz_blueprints (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL UNIQUE,
+        subject TEXT,
+        campaign TEXT,
+        difficulty_counts JSONB NOT NULL,
+        q_id_preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+        scenario_positions INTEGER[] NOT NULL DEFAULT '{}',
+        display_total INTEGER,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Adding lookup indexes on subject and campaign...');
+    await query('CREATE INDEX IF NOT EXISTS quiz_blueprints_subject_idx ON quiz_blueprints (LOWER(subject)) WHERE active');
+    await query('CREATE INDEX IF NOT EXISTS quiz_blueprints_campaign_idx ON quiz_blueprints (campaign) WHERE active');
+
+    console.log('🌱 Seeding default blueprint (4 Easy / 3 Medium / 3 Hard, shown as 15)...');
+    await query(`
+      INSERT INTO quiz_blueprints (name, difficulty_counts, q_id_preferences, scenario_positions, display_total, is_default)
+      VALUES (
+        'default',
+        '{"easy": 4, "medium": 3, "hard": 3}'::jsonb,
+        '{"easy": [1, 2, 3, 4, 5], "medium": [11, 12, 13], "hard": [17, 18, 19]}'::jsonb,
+        '{5, 8}',
+        15,
+        TRUE
+      )
+      ON CONFLICT (name) DO NOTHING
+    `);
+
+    console.log('🔧 Adding blueprint_id column to sessions (if not exists)...');
+    await query(`
+      ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS blueprint_id UUID REFERENCES quiz_blueprints(id)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE quiz_blueprints IS 'Quiz shape per subject or campaign: difficulty counts, preferred upstream q_ids, scenario positions and displayed total.'`);
+    await query(`COMMENT ON COLUMN sessions.blueprint_id IS 'Quiz blueprint the session was started with. NULL means the blueprint resolved from the session subject.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping sessions.blueprint_id and the quiz_blueprints table...');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS blueprint_id');
+    await query('DROP TABLE IF EXISTS quiz_blueprints');
+  }
+};
@@ -0,0 +1,44 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding presentation columns to quiz_blueprints (if not exists)...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD COLUMN IF NOT EXISTS display_policy TEXT,
+      ADD COLUMN IF NOT EXISTS progress_renderer TEXT,
+      ADD COLUMN IF NOT EXISTS progress_theme TEXT
+    `);
+
+    console.log('🔧 Adding presentation override columns to sessions (if not exists)...');
+    await query(`
+      ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS progress_renderer TEXT,
+      ADD COLUMN IF NOT EXISTS progress_theme TEXT
+    `);
+
+    console.log('🌱 Keeping the default blueprint on the inflated emoji bar...');
+    await query(`
+      UPDATE quiz_blueprints
+      SET display_policy = COALESCE(display_policy, 'inflated'),
+          progress_renderer = COALESCE(progress_renderer, 'emoji'),
+          progress_theme = COALESCE(progress_theme, 'default')
+      WHERE name = 'default'
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN quiz_blueprints.display_policy IS 'inflated (show display_total, collapse hidden numbers) or actual (show real question count). NULL means inflated.'`);
+    await query(`COMMENT ON COLUMN quiz_blueprints.progress_renderer IS 'Progress renderer for sessions on this blueprint: emoji, percentage, numeric or plain. NULL means emoji.'`);
+    await query(`COMMENT ON COLUMN sessions.progress_renderer IS 'Per-session renderer override. NULL means the blueprint renderer.'`);
+    await query(`COMMENT ON COLUMN sessions.progress_theme IS 'Per-session theme override. NULL means the blueprint theme.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping progress presentation columns...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      DROP COLUMN IF EXISTS display_policy,
+      DROP COLUMN IF EXISTS progress_renderer,
+      DROP COLUMN IF EXISTS progress_theme
+    `);
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS progress_renderer, DROP COLUMN IF EXISTS progress_theme');
+  }
+};
@@ -0,0 +1,36 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding structured question columns (if not exists)...');
+    await query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS question_stem TEXT,
+      ADD COLUMN IF NOT EXISTS options JSONB,
+      ADD COLUMN IF NOT EXISTS code_block TEXT,
+      ADD COLUMN IF NOT EXISTS company_used TEXT,
+      ADD COLUMN IF NOT EXISTS difficulty TEXT
+    `);
+
+    console.log('🔧 Allowing NULL question text (rendered at read time for new rows)...');
+    await query('ALTER TABLE questions ALTER COLUMN question DROP NOT NULL');
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN questions.question IS 'Pre-rendered WhatsApp message. Only set on rows created before structured storage; new rows are rendered from the structured columns.'`);
+    await query(`COMMENT ON COLUMN questions.question_stem IS 'Question text as received from the generate API, without header, progress bar or options.'`);
+    await query(`COMMENT ON COLUMN questions.options IS 'Answer options keyed by letter: {"A": "...", "B": "...", "C": "...", "D": "..."}.'`);
+    await query(`COMMENT ON COLUMN questions.code_block IS 'Fenced code block shown under the stem (code snippet or formatted markdown). Nullable.'`);
+    await query(`COMMENT ON COLUMN questions.difficulty IS 'Easy, Medium or Hard.'`);
+  },
+
+  async down({ query }) {
+    // questions.question stays nullable: rows stored since this migration have no rendered text
+    console.log('🔧 Dropping structured question columns...');
+    await query(`
+      ALTER TABLE questions
+      DROP COLUMN IF EXISTS question_stem,
+      DROP COLUMN IF EXISTS options,
+      DROP COLUMN IF EXISTS code_block,
+      DROP COLUMN IF EXISTS company_used,
+      DROP COLUMN IF EXISTS difficulty
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding raw_answer column to questions (if not exists)...');
+    await query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS raw_answer TEXT
+    `);
+
+    console.log('🔧 Normalizing existing answers to lowercase letters...');
+    await query(`
+      UPDATE questions
+      SET answer = LOWER(TRIM(answer))
+      WHERE answer IS NOT NULL AND answer <> LOWER(TRIM(answer))
+    `);
+
+    console.log('💬 Adding comment...');
+    await query(`COMMENT ON COLUMN questions.raw_answer IS 'Reply exactly as received from WhatsApp, before normalization to a/b/c/d. NULL for answers saved before normalization.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping raw_answer column from questions...');
+    await query('ALTER TABLE questions DROP COLUMN IF EXISTS raw_answer');
+  }
+};
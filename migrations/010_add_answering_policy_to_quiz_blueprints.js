@@ -0,0 +1,17 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding answering_policy column to quiz_blueprints (if not exists)...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD COLUMN IF NOT EXISTS answering_policy TEXT
+    `);
+
+    console.log('💬 Adding comment...');
+    await query(`COMMENT ON COLUMN quiz_blueprints.answering_policy IS 'lock_after_answer, allow_change_until_submit or strict_sequential. NULL means the ANSWERING_POLICY env default.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping answering_policy column from quiz_blueprints...');
+    await query('ALTER TABLE quiz_blueprints DROP COLUMN IF EXISTS answering_policy');
+  }
+};
@@ -0,0 +1,42 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding timing columns to questions (if not exists)...');
+    await query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS served_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS answered_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS response_time_seconds INTEGER,
+      ADD COLUMN IF NOT EXISTS timed_out BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    console.log('🔧 Adding time limit columns to quiz_blueprints (if not exists)...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD COLUMN IF NOT EXISTS question_time_limit_seconds INTEGER,
+      ADD COLUMN IF NOT EXISTS quiz_time_limit_seconds INTEGER
+    `);
+
+    console.log('🔧 Adding index for open questions per session...');
+    await query('CREATE INDEX IF NOT EXISTS questions_open_idx ON questions (session_id, question_no) WHERE answered = false AND timed_out = false');
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN questions.served_at IS 'When the question was first sent to the user.'`);
+    await query(`COMMENT ON COLUMN questions.answered_at IS 'When the answer was saved.'`);
+    await query(`COMMENT ON COLUMN questions.timed_out IS 'True when the question or quiz time limit ran out before an answer arrived. Timed-out questions score as incorrect.'`);
+    await query(`COMMENT ON COLUMN quiz_blueprints.question_time_limit_seconds IS 'Per-question time limit. NULL means unlimited.'`);
+    await query(`COMMENT ON COLUMN quiz_blueprints.quiz_time_limit_seconds IS 'Limit on total active quiz time. NULL means unlimited.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping question timing columns...');
+    await query('DROP INDEX IF EXISTS questions_open_idx');
+    await query(`
+      ALTER TABLE questions
+      DROP COLUMN IF EXISTS served_at,
+      DROP COLUMN IF EXISTS answered_at,
+      DROP COLUMN IF EXISTS response_time_seconds,
+      DROP COLUMN IF EXISTS timed_out
+    `);
+    await query('ALTER TABLE quiz_blueprints DROP COLUMN IF EXISTS question_time_limit_seconds, DROP COLUMN IF EXISTS quiz_time_limit_seconds');
+  }
+};
@@ -0,0 +1,40 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding skip / review columns to questions (if not exists)...');
+    await query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS review_state TEXT,
+      ADD COLUMN IF NOT EXISTS skip_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS skipped_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS prior_active_seconds INTEGER NOT NULL DEFAULT 0
+    `);
+
+    console.log('🔧 Adding review_state check constraint...');
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'questions_review_state_check') THEN
+          ALTER TABLE questions
+          ADD CONSTRAINT questions_review_state_check
+          CHECK (review_state IS NULL OR review_state IN ('skipped', 'review_later', 'revisited'));
+        END IF;
+      END $$;
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN questions.review_state IS 'NULL (normal), skipped or review_later (waiting for the revisit phase), revisited (served again; not offered a third time).'`);
+    await query(`COMMENT ON COLUMN questions.prior_active_seconds IS 'Active seconds banked before the question was skipped; served_at restarts when it is revisited.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping skip / review columns from questions...');
+    await query(`
+      ALTER TABLE questions
+      DROP CONSTRAINT IF EXISTS questions_review_state_check,
+      DROP COLUMN IF EXISTS review_state,
+      DROP COLUMN IF EXISTS skip_count,
+      DROP COLUMN IF EXISTS skipped_at,
+      DROP COLUMN IF EXISTS prior_active_seconds
+    `);
+  }
+};
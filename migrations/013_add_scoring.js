@@ -0,0 +1,46 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding scoring column to quiz_blueprints (if not exists)...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD COLUMN IF NOT EXISTS scoring JSONB
+    `);
+
+    console.log('🔧 Adding option_credits column to questions (if not exists)...');
+    await query(`
+      ALTER TABLE questions
+      ADD COLUMN IF NOT EXISTS option_credits JSONB
+    `);
+
+    console.log('🔧 Adding score columns to sessions (if not exists)...');
+    await query(`
+      ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS score INTEGER,
+      ADD COLUMN IF NOT EXISTS score_band TEXT,
+      ADD COLUMN IF NOT EXISTS score_points NUMERIC,
+      ADD COLUMN IF NOT EXISTS score_max_points NUMERIC,
+      ADD COLUMN IF NOT EXISTS score_breakdown JSONB,
+      ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN quiz_blueprints.scoring IS 'Scoring overrides: weights per difficulty, negative_marking, partial_credit and range-based bands. NULL uses the defaults.'`);
+    await query(`COMMENT ON COLUMN questions.option_credits IS 'Optional partial credit per option letter, e.g. {"a": 1, "b": 0.5}.'`);
+    await query(`COMMENT ON COLUMN sessions.score_band IS 'Band label for score from the blueprint scoring config (e.g. true_high_80).'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping scoring columns...');
+    await query('ALTER TABLE quiz_blueprints DROP COLUMN IF EXISTS scoring');
+    await query('ALTER TABLE questions DROP COLUMN IF EXISTS option_credits');
+    await query(`
+      ALTER TABLE sessions
+      DROP COLUMN IF EXISTS score,
+      DROP COLUMN IF EXISTS score_band,
+      DROP COLUMN IF EXISTS score_points,
+      DROP COLUMN IF EXISTS score_max_points,
+      DROP COLUMN IF EXISTS score_breakdown,
+      DROP COLUMN IF EXISTS scored_at
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating submission_steps table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS submission_steps (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        step TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed', 'skipped')),
+        payload JSONB,
+        response JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE (session_id, step)
+      )
+    `);
+
+    console.log('🔧 Creating index on status (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_submission_steps_status
+      ON submission_steps(status)
+      WHERE status IN ('running', 'failed')
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE submission_steps IS 'One row per upstream call made when a quiz is submitted (continue, save_user_response, certificate_claim, create_v2_test, quiz_analysis). Used to resume failed or interrupted submissions.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping submission_steps table...');
+    await query('DROP TABLE IF EXISTS submission_steps');
+  }
+};
@@ -0,0 +1,50 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating jobs table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        type TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        result JSONB,
+        error TEXT,
+        callback_url TEXT,
+        callback_status TEXT CHECK (callback_status IS NULL OR callback_status IN ('delivered', 'failed')),
+        callback_attempts INTEGER NOT NULL DEFAULT 0,
+        callback_delivered_at TIMESTAMP,
+        run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating index for claiming due jobs (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_due
+      ON jobs(run_at, created_at)
+      WHERE status IN ('queued', 'running')
+    `);
+
+    console.log('🔧 Creating index on session_id (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_session_id
+      ON jobs(session_id)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE jobs IS 'Background job queue; workers claim rows with SELECT ... FOR UPDATE SKIP LOCKED.'`);
+    await query(`COMMENT ON COLUMN jobs.locked_at IS 'When a worker claimed the job; running jobs locked longer than JOB_LOCK_TIMEOUT_SECONDS are reclaimed.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping jobs table...');
+    await query('DROP TABLE IF EXISTS jobs');
+  }
+};
@@ -0,0 +1,54 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating api_keys table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('bot', 'analyst', 'admin', 'cron')),
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating api_key_audit_log table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS api_key_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+        key_name TEXT,
+        role TEXT,
+        action TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        query JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status_code INTEGER,
+        ip TEXT,
+        details JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating index on api_key_audit_log(api_key_id, created_at) (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_api_key_audit_log_key
+      ON api_key_audit_log(api_key_id, created_at DESC)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN api_keys.key_hash IS 'SHA-256 of the full key; the key itself is only shown once, when created or rotated.'`);
+    await query(`COMMENT ON COLUMN api_keys.expires_at IS 'Set on rotation so the replaced key keeps working for a grace period.'`);
+    await query(`COMMENT ON TABLE api_key_audit_log IS 'Which API key called which export, metrics or admin route. key_name and role are copied so entries survive key deletion.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping api_key_audit_log and api_keys tables...');
+    await query('DROP TABLE IF EXISTS api_key_audit_log');
+    await query('DROP TABLE IF EXISTS api_keys');
+  }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating request_nonces table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS request_nonces (
+        nonce TEXT PRIMARY KEY,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating index on request_nonces(created_at) (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_request_nonces_created_at
+      ON request_nonces(created_at)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE request_nonces IS 'Nonces of signed bot requests seen within the signature window; a repeated nonce is a replay. Rows older than the window are purged.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping request_nonces table...');
+    await query('DROP TABLE IF EXISTS request_nonces');
+  }
+};
@@ -0,0 +1,36 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating idempotency_keys table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        key_source TEXT NOT NULL CHECK (key_source IN ('header', 'derived')),
+        request_hash TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('in_progress', 'completed')),
+        response_status INTEGER,
+        response_body JSONB,
+        locked_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (scope, idempotency_key)
+      )
+    `);
+
+    console.log('🔧 Creating index on idempotency_keys(expires_at) (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at
+      ON idempotency_keys(expires_at)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE idempotency_keys IS 'First response of each start / submit call per Idempotency-Key (or per session for auto-submits), replayed to repeats until expires_at.'`);
+    await query(`COMMENT ON COLUMN idempotency_keys.scope IS 'Endpoint the key belongs to; the same key on another endpoint is a different request.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping idempotency_keys table...');
+    await query('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
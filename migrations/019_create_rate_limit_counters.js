@@ -0,0 +1,35 @@
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating rate_limit_counters table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_counters (
+        action TEXT NOT NULL,
+        identity_type TEXT NOT NULL CHECK (identity_type IN ('phone', 'ip', 'api_key')),
+        identity TEXT NOT NULL,
+        window_start TIMESTAMP NOT NULL,
+        window_end TIMESTAMP NOT NULL,
+        request_limit INTEGER NOT NULL,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        first_throttled_at TIMESTAMP,
+        last_request_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (action, identity_type, identity, window_start)
+      )
+    `);
+
+    console.log('🔧 Creating index on rate_limit_counters(window_end) (if not exists)...');
+    await query(`
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_window_end
+      ON rate_limit_counters(window_end)
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE rate_limit_counters IS 'Fixed-window request counters per quiz action (start / answer / submit) and identity (phone, client IP or API key prefix).'`);
+    await query(`COMMENT ON COLUMN rate_limit_counters.request_limit IS 'Budget for the window when the counter was last hit; requests beyond it were answered with 429.'`);
+    await query(`COMMENT ON COLUMN rate_limit_counters.first_throttled_at IS 'First request in the window that went over the budget.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping rate_limit_counters table...');
+    await query('DROP TABLE IF EXISTS rate_limit_counters');
+  }
+};
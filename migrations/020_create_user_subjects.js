@@ -0,0 +1,84 @@
+/**
+ * One row per user per subject they have started, instead of a single users.subject that every new subject overwrote.
+ * Sessions point at their enrollment; existing sessions and users are backfilled from sessions.subject (kept since 001)
+ * and, for users without sessions, users.subject.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating user_subjects table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS user_subjects (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        subject TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_session_at TIMESTAMP,
+        CONSTRAINT user_subjects_user_id_subject_key UNIQUE (user_id, subject)
+      )
+    `);
+
+    console.log('🔧 Adding enrollment_id to sessions (if not exists)...');
+    await query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS enrollment_id UUID REFERENCES user_subjects(id) ON DELETE SET NULL');
+
+    console.log('🔧 Creating indexes on user_subjects(subject) and sessions(enrollment_id) (if not exists)...');
+    await query('CREATE INDEX IF NOT EXISTS idx_user_subjects_subject ON user_subjects(subject)');
+    await query('CREATE INDEX IF NOT EXISTS idx_sessions_enrollment_id_created_at ON sessions(enrollment_id, created_at DESC)');
+
+    console.log('🔄 Backfilling enrollments from sessions...');
+    await query(`
+      INSERT INTO user_subjects (user_id, subject, created_at, last_session_at)
+      SELECT user_id, subject, MIN(created_at), MAX(created_at)
+      FROM sessions
+      WHERE user_id IS NOT NULL AND subject IS NOT NULL AND subject <> ''
+      GROUP BY user_id, subject
+      ON CONFLICT (user_id, subject) DO NOTHING
+    `);
+
+    console.log('🔄 Backfilling enrollments from users.subject...');
+    await query(`
+      INSERT INTO user_subjects (user_id, subject, created_at)
+      SELECT id, subject, created_at
+      FROM users
+      WHERE subject IS NOT NULL AND subject <> ''
+      ON CONFLICT (user_id, subject) DO NOTHING
+    `);
+
+    console.log('🔄 Linking sessions to their enrollment...');
+    const linked = await query(`
+      UPDATE sessions s
+      SET enrollment_id = e.id
+      FROM user_subjects e
+      WHERE s.enrollment_id IS NULL
+        AND e.user_id = s.user_id
+        AND e.subject = s.subject
+    `);
+    const unlinked = await query('SELECT COUNT(*)::int AS cnt FROM sessions WHERE enrollment_id IS NULL');
+    console.log(`📊 Linked ${linked.rowCount} sessions; ${unlinked.rows[0].cnt} without user or subject left unlinked`);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON TABLE user_subjects IS 'Enrollments: one row per user and subject they have started a quiz in.'`);
+    await query(`COMMENT ON COLUMN sessions.enrollment_id IS 'Enrollment (user + subject) the session belongs to; sessions.subject mirrors its subject.'`);
+    await query(`COMMENT ON COLUMN users.subject IS 'Deprecated: last subject started before user_subjects existed. No longer read or written.'`);
+  },
+
+  async down({ query }) {
+    // Give users.subject back its old meaning (most recently started subject) for the code that still reads it
+    console.log('🔄 Restoring users.subject from the latest enrollment...');
+    await query(`
+      UPDATE users u
+      SET subject = latest.subject
+      FROM (
+        SELECT DISTINCT ON (user_id) user_id, subject
+        FROM user_subjects
+        ORDER BY user_id, COALESCE(last_session_at, created_at) DESC
+      ) latest
+      WHERE latest.user_id = u.id
+    `);
+    await query('COMMENT ON COLUMN users.subject IS NULL');
+
+    console.log('🔧 Dropping sessions.enrollment_id and user_subjects...');
+    await query('DROP INDEX IF EXISTS idx_sessions_enrollment_id_created_at');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS enrollment_id');
+    await query('DROP TABLE IF EXISTS user_subjects');
+  }
+};
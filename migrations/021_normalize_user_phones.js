@@ -0,0 +1,125 @@
+const { normalizePhone } = require('../utils/phone');
+
+/**
+ * Rewrite users.phone to E.164 (utils/phone.js) and merge users that turn out to share a number, e.g. "9876543210"
+ * and "+91 98765 43210". The oldest user with an email is kept; the others' sessions, questions and enrollments
+ * move to it. Users with different non-empty emails are never merged (email is still an identity), they are only
+ * listed for review. Phones that don't parse are left as they are.
+ *
+ * IRREVERSIBLE: merged users are deleted and the original phone formatting is overwritten; down() only drops the
+ * index. Before changing anything, up() copies users, user_subjects and the user ids on sessions and questions into
+ * the backup_021_* tables (kept from the first run, never dropped by this migration). Restoring from them is manual.
+ */
+const BACKUPS = {
+  backup_021_users: 'SELECT * FROM users',
+  backup_021_user_subjects: 'SELECT * FROM user_subjects',
+  backup_021_session_owners: 'SELECT id, user_id, enrollment_id FROM sessions',
+  backup_021_question_owners: 'SELECT id, user_id FROM questions'
+};
+
+module.exports = {
+  async up({ query }) {
+    console.log('💾 Backing up users, enrollments and session / question owners (if not already backed up)...');
+    for (const [table, select] of Object.entries(BACKUPS)) {
+      await query(`CREATE TABLE IF NOT EXISTS ${table} AS ${select}`);
+    }
+
+    console.log('🔍 Reading user phones...');
+    const users = (await query(`
+      SELECT id, name, email, phone, created_at
+      FROM users
+      WHERE phone IS NOT NULL AND phone <> ''
+      ORDER BY created_at ASC, id ASC
+    `)).rows;
+
+    const groups = new Map();
+    const unparseable = [];
+    for (const user of users) {
+      const e164 = normalizePhone(user.phone);
+      if (!e164) {
+        unparseable.push(user.phone);
+        continue;
+      }
+      if (!groups.has(e164)) {
+        groups.set(e164, []);
+      }
+      groups.get(e164).push(user);
+    }
+
+    let merged = 0;
+    const conflicts = [];
+    for (const [e164, group] of groups) {
+      const emails = new Set(group.map(user => user.email).filter(Boolean));
+      if (group.length > 1 && emails.size > 1) {
+        conflicts.push(`${e164} (${[...emails].join(', ')})`);
+      } else if (group.length > 1) {
+        const keeper = group.find(user => user.email) || group[0];
+        for (const duplicate of group.filter(user => user !== keeper)) {
+          await mergeUser({ query }, duplicate, keeper);
+          merged++;
+        }
+      }
+    }
+
+    // After the merges, so no two rows briefly hold the same formatted number
+    console.log('🔄 Rewriting phones to E.164...');
+    let rewritten = 0;
+    for (const [e164, group] of groups) {
+      const result = await query('UPDATE users SET phone = $1 WHERE id = ANY($2::uuid[]) AND phone <> $1', [e164, group.map(user => user.id)]);
+      rewritten += result.rowCount;
+    }
+
+    console.log('🔧 Creating index on users(phone) (if not exists)...');
+    await query('CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone)');
+
+    console.log(`📊 Rewrote ${rewritten} phones, merged ${merged} duplicate users, left ${unparseable.length} unparseable phones as they were`);
+    if (unparseable.length > 0) {
+      console.log('⚠️  Unparseable phones:', unparseable.slice(0, 20).join(', '), unparseable.length > 20 ? '...' : '');
+    }
+    if (conflicts.length > 0) {
+      console.log(`⚠️  Not merged, same phone but different emails (${conflicts.length}):`, conflicts.slice(0, 20).join('; '), conflicts.length > 20 ? '...' : '');
+    }
+  },
+
+  async down({ query }) {
+    // Irreversible: the merges and the original formatting are only in the backup_021_* tables, restored by hand
+    console.log('⚠️  Phones stay in E.164 and merged users stay merged (see the backup_021_* tables); dropping idx_users_phone only');
+    await query('DROP INDEX IF EXISTS idx_users_phone');
+  }
+};
+
+// Move everything that belongs to duplicate onto keeper, then delete duplicate
+async function mergeUser({ query }, duplicate, keeper) {
+  console.log(`🔀 Merging user ${duplicate.id} (${duplicate.phone}) into ${keeper.id} (${keeper.phone})`);
+
+  // Enrollments in a subject both users have: move the sessions over and drop the duplicate's row
+  await query(`
+    UPDATE user_subjects k
+    SET created_at = LEAST(k.created_at, d.created_at),
+        last_session_at = GREATEST(k.last_session_at, d.last_session_at)
+    FROM user_subjects d
+    WHERE k.user_id = $2 AND d.user_id = $1 AND d.subject = k.subject
+  `, [duplicate.id, keeper.id]);
+  await query(`
+    UPDATE sessions s
+    SET enrollment_id = k.id
+    FROM user_subjects d
+    JOIN user_subjects k ON k.user_id = $2 AND k.subject = d.subject
+    WHERE d.user_id = $1 AND s.enrollment_id = d.id
+  `, [duplicate.id, keeper.id]);
+  await query(`
+    DELETE FROM user_subjects d
+    USING user_subjects k
+    WHERE d.user_id = $1 AND k.user_id = $2 AND k.subject = d.subject
+  `, [duplicate.id, keeper.id]);
+  await query('UPDATE user_subjects SET user_id = $2 WHERE user_id = $1', [duplicate.id, keeper.id]);
+
+  await query('UPDATE sessions SET user_id = $2 WHERE user_id = $1', [duplicate.id, keeper.id]);
+  await query('UPDATE questions SET user_id = $2 WHERE user_id = $1', [duplicate.id, keeper.id]);
+  await query(`
+    UPDATE users
+    SET name = COALESCE(NULLIF(name, ''), $2), updated_at = NOW()
+    WHERE id = $1
+  `, [keeper.id, duplicate.name]);
+  await query('DELETE FROM users WHERE id = $1', [duplicate.id]);
+}
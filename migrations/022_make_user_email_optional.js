@@ -0,0 +1,27 @@
+/**
+ * Users without an email get NULL instead of '' (the old UNIQUE (email) constraint let only one '' row exist, so
+ * start_quiz_clone_v2/v3 kept taking that row over for whichever phone came next). Uniqueness now only applies to
+ * real addresses, and a CHECK keeps blank emails from coming back.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔄 Clearing empty emails...');
+    const cleared = await query("UPDATE users SET email = NULL WHERE btrim(email) = ''");
+    console.log(`📊 Set email to NULL for ${cleared.rowCount} users`);
+
+    console.log('🔧 Replacing users_email_key with a partial unique index...');
+    await query('ALTER TABLE users ALTER COLUMN email DROP NOT NULL');
+    await query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key');
+    await query('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_unique ON users(email) WHERE email IS NOT NULL');
+    await query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_not_blank');
+    await query("ALTER TABLE users ADD CONSTRAINT users_email_not_blank CHECK (email IS NULL OR btrim(email) <> '')");
+  },
+
+  async down({ query }) {
+    // NULL emails stay NULL: a UNIQUE constraint allows any number of them, unlike ''
+    console.log('🗑️  Restoring users_email_key...');
+    await query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_not_blank');
+    await query('DROP INDEX IF EXISTS idx_users_email_unique');
+    await query('ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email)');
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Explicit session lifecycle (see services/sessionStateService.js): sessions.status replaces reading the
+ * started_quiz / attempted / paid / quiz_completed / quiz_analysis_generated / re_trigger_api_called_at columns
+ * together, and every transition is written to session_events. The old columns stay and are still set.
+ * Existing sessions get the status their columns and answered questions imply; history starts with this migration.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Creating session_status type (if not exists)...');
+    await query(`
+      DO $$ BEGIN
+        CREATE TYPE session_status AS ENUM (
+          'created', 'questions_ready', 'in_progress', 'completed', 'submitted', 'analysed', 'paid', 'abandoned', 'expired'
+        );
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `);
+
+    console.log('🔧 Adding status and status_updated_at to sessions (if not exists)...');
+    await query(`
+      ALTER TABLE sessions
+      ADD COLUMN IF NOT EXISTS status session_status NOT NULL DEFAULT 'created',
+      ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP
+    `);
+
+    console.log('🔄 Backfilling session status from flags and answered questions...');
+    const backfilled = await query(`
+      WITH answers AS (
+        SELECT session_id, COUNT(*) AS total, COUNT(*) FILTER (WHERE answered = true) AS answered
+        FROM questions
+        GROUP BY session_id
+      )
+      UPDATE sessions s
+      SET status = CASE
+            WHEN s.paid THEN 'paid'
+            WHEN s.quiz_analysis_generated IS TRUE THEN 'analysed'
+            WHEN s.quiz_completed IS TRUE THEN 'submitted'
+            WHEN a.answered > 0 AND a.answered = a.total THEN 'completed'
+            WHEN a.answered > 0 THEN 'in_progress'
+            WHEN s.re_trigger_api_called_at IS NOT NULL THEN 'abandoned'
+            WHEN s.started_quiz OR s.attempted THEN 'in_progress'
+            WHEN a.total > 0 THEN 'questions_ready'
+            ELSE 'created'
+          END::session_status,
+          status_updated_at = NOW()
+      FROM sessions s2
+      LEFT JOIN answers a ON a.session_id = s2.id
+      WHERE s.id = s2.id AND s.status_updated_at IS NULL
+    `);
+    console.log(`📊 Set status on ${backfilled.rowCount} sessions`);
+
+    console.log('🔧 Creating session_events table (if not exists)...');
+    await query(`
+      CREATE TABLE IF NOT EXISTS session_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        from_status session_status,
+        to_status session_status,
+        source TEXT,
+        metadata JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    console.log('🔧 Creating indexes on session_events(session_id) and sessions(status) (if not exists)...');
+    await query('CREATE INDEX IF NOT EXISTS idx_session_events_session_id ON session_events(session_id, created_at)');
+    await query('CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status, created_at)');
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN sessions.status IS 'Lifecycle status; only changed through SessionStateService transitions.'`);
+    await query(`COMMENT ON TABLE session_events IS 'Session status transitions and other session events (clicked_on), oldest first.'`);
+  },
+
+  async down({ query }) {
+    console.log('🗑️  Dropping session_events, sessions.status and session_status...');
+    await query('DROP TABLE IF EXISTS session_events');
+    await query('DROP INDEX IF EXISTS idx_sessions_status');
+    await query('ALTER TABLE sessions DROP COLUMN IF EXISTS status, DROP COLUMN IF EXISTS status_updated_at');
+    await query('DROP TYPE IF EXISTS session_status');
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * The default blueprint seeded by 006 used the cybersecurity q_id preferences (hard 17-19, topped up with other
+ * questions), which changed question selection on every standard start_quiz* endpoint. q_id_fallback lets a blueprint
+ * keep the original extractor (hard 17-18, otherwise the first questions available); the seeded default goes back to
+ * it and start_quiz_clone_v4_cybersecurity gets its own 'cybersecurity' blueprint.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding q_id_fallback to quiz_blueprints (if not exists)...');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD COLUMN IF NOT EXISTS q_id_fallback TEXT NOT NULL DEFAULT 'fill'
+    `);
+    await query('ALTER TABLE quiz_blueprints DROP CONSTRAINT IF EXISTS quiz_blueprints_q_id_fallback_check');
+    await query(`
+      ALTER TABLE quiz_blueprints
+      ADD CONSTRAINT quiz_blueprints_q_id_fallback_check CHECK (q_id_fallback IN ('fill', 'first_available'))
+    `);
+
+    // Only the row as 006 seeded it; a default someone has since edited is left alone
+    console.log('🔄 Restoring the original q_id preferences on the seeded default blueprint...');
+    const restored = await query(`
+      UPDATE quiz_blueprints
+      SET q_id_preferences = '{"easy": [1, 2, 3, 4, 5], "medium": [11, 12, 13], "hard": [17, 18]}'::jsonb,
+          q_id_fallback = 'first_available',
+          updated_at = NOW()
+      WHERE name = 'default'
+        AND q_id_preferences = '{"easy": [1, 2, 3, 4, 5], "medium": [11, 12, 13], "hard": [17, 18, 19]}'::jsonb
+    `);
+    console.log(`📊 Restored ${restored.rowCount} default blueprint`);
+
+    console.log('🌱 Seeding cybersecurity blueprint (4 Easy / 3 Medium / 3 Hard, q_ids 1-4, 11-13, 17-19)...');
+    await query(`
+      INSERT INTO quiz_blueprints (name, difficulty_counts, q_id_preferences, q_id_fallback, scenario_positions, display_total)
+      VALUES (
+        'cybersecurity',
+        '{"easy": 4, "medium": 3, "hard": 3}'::jsonb,
+        '{"easy": [1, 2, 3, 4], "medium": [11, 12, 13], "hard": [17, 18, 19]}'::jsonb,
+        'fill',
+        '{5, 8}',
+        15
+      )
+      ON CONFLICT (name) DO NOTHING
+    `);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN quiz_blueprints.q_id_fallback IS 'fill: preferred q_ids first, then other questions; first_available: too few preferred q_ids means the first questions upstream.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping the cybersecurity blueprint and quiz_blueprints.q_id_fallback...');
+    await query(`
+      DELETE FROM quiz_blueprints b
+      WHERE name = 'cybersecurity' AND NOT EXISTS (SELECT 1 FROM sessions s WHERE s.blueprint_id = b.id)
+    `);
+    await query(`
+      UPDATE quiz_blueprints
+      SET q_id_preferences = '{"easy": [1, 2, 3, 4, 5], "medium": [11, 12, 13], "hard": [17, 18, 19]}'::jsonb
+      WHERE name = 'default' AND q_id_fallback = 'first_available'
+        AND q_id_preferences = '{"easy": [1, 2, 3, 4, 5], "medium": [11, 12, 13], "hard": [17, 18]}'::jsonb
+    `);
+    await query('ALTER TABLE quiz_blueprints DROP COLUMN IF EXISTS q_id_fallback');
+  }
+};
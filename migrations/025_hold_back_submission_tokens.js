@@ -0,0 +1,29 @@
+/**
+ * submission_steps.response kept the whole continue API result, upstream user token included. The response column
+ * now only holds the redacted result; fields a later step needs (the token) go to secret, which is cleared once the
+ * submission finishes. Existing rows lose their stored tokens: sessions.certified_token already holds them.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding secret to submission_steps (if not exists)...');
+    await query('ALTER TABLE submission_steps ADD COLUMN IF NOT EXISTS secret JSONB');
+
+    console.log('🔄 Removing tokens and user details from stored step responses...');
+    const redacted = await query(`
+      UPDATE submission_steps
+      SET response = response - ARRAY['token', 'password', 'email', 'phone_number', 'phone', 'name']
+      WHERE jsonb_typeof(response) = 'object'
+        AND response ?| ARRAY['token', 'password', 'email', 'phone_number', 'phone', 'name']
+    `);
+    console.log(`📊 Redacted ${redacted.rowCount} submission step responses`);
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN submission_steps.secret IS 'Response fields held back from response (upstream token) until the submission finishes; NULL afterwards.'`);
+  },
+
+  async down({ query }) {
+    // Redacted responses stay redacted
+    console.log('🔧 Dropping submission_steps.secret...');
+    await query('ALTER TABLE submission_steps DROP COLUMN IF EXISTS secret');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * A succeeded submission step used to be reused whatever was submitted the second time, so a session whose answers
+ * changed after its first submission never sent the new attempt. payload_hash records what the step's result depends
+ * on; a step only reuses its stored response when the hash still matches. Existing rows keep NULL and are reused
+ * as before.
+ */
+module.exports = {
+  async up({ query }) {
+    console.log('🔧 Adding payload_hash to submission_steps (if not exists)...');
+    await query('ALTER TABLE submission_steps ADD COLUMN IF NOT EXISTS payload_hash TEXT');
+
+    console.log('💬 Adding comments...');
+    await query(`COMMENT ON COLUMN submission_steps.payload_hash IS 'sha256 of what the step result depends on (the quiz attempt for save_user_response and quiz_analysis, otherwise the payload); a different hash runs the step again.'`);
+  },
+
+  async down({ query }) {
+    console.log('🔧 Dropping submission_steps.payload_hash...');
+    await query('ALTER TABLE submission_steps DROP COLUMN IF EXISTS payload_hash');
+  }
+};
@@ -0,0 +1,220 @@
+/**
+ * Stand-in for the upstream APIs (certified-new.learntube.ai and the Xano endpoints) so the quiz flow can run
+ * without network access.
+ *
+ * Run standalone:   node mocks/upstreamMockServer.js   (port MOCK_UPSTREAM_PORT, default 4010)
+ * Run in-process:   MOCK_UPSTREAM=true npm start       (server.js starts it and config points every base URL at it)
+ *
+ * Learntube endpoints are served at the root (/generate, /continue, ...), Xano ones under /xano.
+ * Responses come from mocks/fixtures. Faults can be injected per endpoint, either at startup through
+ * MOCK_UPSTREAM_FAULTS (JSON: { "continue": { "status": 503 } }) or at runtime:
+ *
+ *   POST   /__mock/faults    { endpoint, status?, body?, result_error?, delay_ms?, hang?, times?, rate? }
+ *   DELETE /__mock/faults    clear all faults
+ *   GET    /__mock/requests  requests received so far
+ *   POST   /__mock/reset     clear faults, recorded requests and counters
+ */
+const express = require('express');
+const generateFixture = require('./fixtures/generate.json');
+const analysisFixture = require('./fixtures/analysis.json');
+
+const ENDPOINTS = [
+  'new_entry_test_v2',
+  'generate',
+  'continue',
+  'save_user_response',
+  'claim_available_certificate',
+  'create_v2_test',
+  'analysis',
+  'selected_subject',
+  're-trigger'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseFaults = (raw) => {
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('⚠️ [Mock Upstream] Ignoring invalid MOCK_UPSTREAM_FAULTS:', error.message);
+    return {};
+  }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.faults] - Initial faults keyed by endpoint name
+ * @returns {{ app: Object, state: Object, setFault: Function, clearFaults: Function, reset: Function, start: Function }}
+ */
+function createMockUpstream({ faults = parseFaults(process.env.MOCK_UPSTREAM_FAULTS) } = {}) {
+  const state = {
+    faults: { ...faults },
+    requests: [],
+    nextSkillId: 900001,
+    nextOrderId: 700001
+  };
+
+  const setFault = (endpoint, fault) => {
+    if (!ENDPOINTS.includes(endpoint)) {
+      throw new Error(`Unknown mock endpoint "${endpoint}". Available: ${ENDPOINTS.join(', ')}`);
+    }
+    state.faults[endpoint] = { ...fault };
+  };
+
+  const clearFaults = () => {
+    state.faults = {};
+  };
+
+  const reset = () => {
+    clearFaults();
+    state.requests = [];
+    state.nextSkillId = 900001;
+    state.nextOrderId = 700001;
+  };
+
+  // Apply the endpoint's fault, if any; returns true when the response has already been sent
+  const applyFault = async (endpoint, res) => {
+    const fault = state.faults[endpoint];
+    if (!fault) {
+      return false;
+    }
+    if (fault.rate !== undefined && Math.random() >= fault.rate) {
+      return false;
+    }
+    if (fault.times !== undefined) {
+      if (fault.times <= 0) {
+        delete state.faults[endpoint];
+        return false;
+      }
+      fault.times--;
+    }
+
+    if (fault.hang) {
+      // Never answer; the caller's timeout fires
+      return true;
+    }
+    if (fault.delay_ms) {
+      await sleep(fault.delay_ms);
+    }
+    if (fault.status) {
+      res.status(fault.status).json(fault.body || { result: 'error', message: `Mock ${endpoint} failure` });
+      return true;
+    }
+    if (fault.result_error) {
+      res.status(200).json({ result: 'error', message: fault.result_error === true ? `Mock ${endpoint} error` : fault.result_error });
+      return true;
+    }
+    return false;
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  const handle = (method, path, endpoint, respond) => {
+    app[method](path, async (req, res) => {
+      state.requests.push({
+        endpoint,
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: req.body,
+        authorization: req.headers.authorization || null,
+        at: new Date().toISOString()
+      });
+      if (await applyFault(endpoint, res)) {
+        return;
+      }
+      res.status(200).json(respond(req));
+    });
+  };
+
+  // certified-new.learntube.ai
+  handle('post', '/new_entry_test_v2', 'new_entry_test_v2', (req) => ({
+    result: 'success',
+    message: 'Entry created',
+    data: { id: state.nextSkillId++, subject_name: req.body.subject_name }
+  }));
+  handle('post', '/generate', 'generate', () => generateFixture);
+  handle('post', '/continue', 'continue', (req) => ({
+    result: 'success',
+    message: 'Continue successful',
+    data: `mock-token-${req.body.certified_user_skill_id}-${Date.now()}`
+  }));
+  handle('post', '/save_user_response', 'save_user_response', (req) => ({
+    result: 'success',
+    message: 'Response saved',
+    data: { certified_user_skill_quiz_id: req.body.certified_user_skill_quiz_id, quiz_score: req.body.quiz_score }
+  }));
+  handle('post', '/certified_user_skill/claim_available_certificate', 'claim_available_certificate', (req) => ({
+    result: 'success',
+    message: 'Certificate claimed',
+    data: { certified_user_skill_id: req.body.certified_user_skill_id }
+  }));
+  handle('post', '/create_v2_test', 'create_v2_test', () => ({
+    result: 'success',
+    message: 'Order created',
+    data: { id: state.nextOrderId++ }
+  }));
+  handle('get', '/analysis', 'analysis', () => analysisFixture);
+
+  // Xano
+  handle('post', '/xano/selected_subject', 'selected_subject', (req) => {
+    // list is newline / comma separated; option is a 1-based index or the subject itself
+    const subjects = String(req.body.list || '').split(/[\n,]/).map(item => item.replace(/^\s*\d+[.)]\s*/, '').trim()).filter(Boolean);
+    const index = parseInt(req.body.option, 10);
+    const subject = subjects[index - 1]
+      || subjects.find(item => item.toLowerCase() === String(req.body.option || '').trim().toLowerCase())
+      || subjects[0]
+      || 'Six Sigma';
+    return { result: 'success', data: subject };
+  });
+  handle('post', '/xano/re-trigger', 're-trigger', () => ({ result: 'success' }));
+
+  // Control endpoints
+  app.post('/__mock/faults', (req, res) => {
+    const { endpoint, ...fault } = req.body;
+    try {
+      setFault(endpoint, fault);
+      res.status(200).json({ success: true, faults: state.faults });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+  app.delete('/__mock/faults', (req, res) => {
+    clearFaults();
+    res.status(200).json({ success: true, faults: state.faults });
+  });
+  app.get('/__mock/requests', (req, res) => {
+    const requests = req.query.endpoint
+      ? state.requests.filter(request => request.endpoint === req.query.endpoint)
+      : state.requests;
+    res.status(200).json({ success: true, count: requests.length, requests });
+  });
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.status(200).json({ success: true });
+  });
+
+  const start = (port = 0) => new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      console.log(`🧪 Mock upstream listening on http://127.0.0.1:${server.address().port}`);
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+
+  return { app, state, setFault, clearFaults, reset, start };
+}
+
+module.exports = { createMockUpstream, ENDPOINTS };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_UPSTREAM_PORT, 10) || 4010;
+  createMockUpstream().start(port).catch((error) => {
+    console.error('❌ Failed to start mock upstream:', error.message);
+    process.exit(1);
+  });
+}
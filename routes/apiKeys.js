@@ -0,0 +1,392 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const apiKeyService = require('../services/apiKeyService');
+const { requireRole, auditAccess } = require('../middleware/apiKeyAuth');
+const config = require('../config');
+
+const router = express.Router();
+
+// Every route here manages credentials, so all of them are admin-only
+router.use(requireRole('admin'));
+
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const sendError = (res, context, error) => {
+  console.error(`❌ Error ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message,
+    ...(config.server.isDevelopment && { details: error.stack })
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: vercel-cron
+ *         role:
+ *           type: string
+ *           enum: [bot, analyst, admin, cron]
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart without exposing them
+ *           example: ctk_Xb3kP9aQ
+ *         rotated_from:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Every key with its role and usage; the keys themselves are never returned. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Keys retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.status(200).json({
+      success: true,
+      message: `Found ${keys.length} API keys`,
+      data: keys
+    });
+  } catch (error) {
+    sendError(res, 'listing API keys', error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The response is the only time the key is shown; only its hash is stored. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, role]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ops dashboard
+ *               role:
+ *                 type: string
+ *                 enum: [bot, analyst, admin, cron]
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: ctk_Xb3kP9aQ...
+ *                     api_key:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/api-keys',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name is required'),
+    body('role').isIn(apiKeyService.roles).withMessage(`role must be one of ${apiKeyService.roles.join(', ')}`)
+  ],
+  rejectInvalid,
+  auditAccess('api_keys.create'),
+  async (req, res) => {
+    try {
+      const { key, apiKey } = await apiKeyService.createKey({ name: req.body.name, role: req.body.role });
+      res.locals.auditDetails = { target_key_id: apiKey.id, target_role: apiKey.role };
+      res.status(201).json({
+        success: true,
+        message: 'API key created; store it now, it will not be shown again',
+        data: { key, api_key: apiKey }
+      });
+    } catch (error) {
+      sendError(res, 'creating API key', error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Issues a new key with the same name and role. The old key keeps working for grace_seconds
+ *       (default API_KEY_ROTATION_GRACE_SECONDS, 24h) so callers can switch over. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               grace_seconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 3600
+ *     responses:
+ *       201:
+ *         description: Replacement key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     api_key:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *                     previous:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Key not found or already revoked
+ */
+router.post(
+  '/api-keys/:id/rotate',
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    body('grace_seconds').optional().isInt({ min: 0 }).withMessage('grace_seconds must be a non-negative integer').toInt()
+  ],
+  rejectInvalid,
+  auditAccess('api_keys.rotate'),
+  async (req, res) => {
+    try {
+      const rotated = await apiKeyService.rotateKey(req.params.id, {
+        graceSeconds: req.body.grace_seconds ?? config.auth.rotationGraceSeconds
+      });
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found or revoked'
+        });
+      }
+      res.locals.auditDetails = { target_key_id: req.params.id, new_key_id: rotated.apiKey.id };
+      res.status(201).json({
+        success: true,
+        message: 'API key rotated; store the new key now, it will not be shown again',
+        data: { key: rotated.key, api_key: rotated.apiKey, previous: rotated.previous }
+      });
+    } catch (error) {
+      sendError(res, 'rotating API key', error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Key not found
+ */
+router.delete(
+  '/api-keys/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  rejectInvalid,
+  auditAccess('api_keys.revoke'),
+  async (req, res) => {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.id);
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+      res.locals.auditDetails = { target_key_id: apiKey.id };
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked',
+        data: apiKey
+      });
+    } catch (error) {
+      sendError(res, 'revoking API key', error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: API key audit log
+ *     description: Which key called which export, metrics, migration or key-management route, newest first. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: api_key_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: export-all-sessions
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/audit-log',
+  [
+    queryParam('api_key_id').optional().isUUID().withMessage('api_key_id must be a valid UUID'),
+    queryParam('action').optional().isString(),
+    queryParam('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt()
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const entries = await apiKeyService.listAccess({
+        apiKeyId: req.query.api_key_id || null,
+        action: req.query.action || null,
+        limit: req.query.limit || 100
+      });
+      res.status(200).json({
+        success: true,
+        message: `Found ${entries.length} audit entries`,
+        data: entries
+      });
+    } catch (error) {
+      sendError(res, 'reading audit log', error);
+    }
+  }
+);
+
+module.exports = router;
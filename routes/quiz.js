@@ -1,15 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const userService = require('../services/userService');
-const certifiedApiService = require('../services/certifiedApi');
-const generateQuizService = require('../services/generateQuizService');
 const questionService = require('../services/questionService');
+const userService = require('../services/userService');
 const quizResponseService = require('../services/quizResponseService');
+const submissionStepService = require('../services/submissionStepService');
+const quizSubmissionService = require('../services/quizSubmissionService');
+const jobQueueService = require('../services/jobQueueService');
 const reTriggerService = require('../services/reTriggerService');
+const sessionStateService = require('../services/sessionStateService');
+const quizStartOrchestrator = require('../services/quizStartOrchestrator');
+const { variants: quizStartVariants } = require('../services/quizStartStrategies');
 const { query } = require('../database');
-const { body, validationResult } = require('express-validator');
+const config = require('../config');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const mixpanelService = require('../utils/mixpanelService');
+const learntubeClient = require('../utils/learntubeClient');
 const { toIST } = require('../utils/timezone');
+const HttpError = require('../utils/httpError');
+const { requireRole, auditAccess } = require('../middleware/apiKeyAuth');
+const { verifySignature } = require('../middleware/requestSignature');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const { normalizeAnswer, REPROMPT_MESSAGE } = require('../utils/answerNormalizer');
+const { normalizePhone, isValidPhone } = require('../utils/phone');
+const { validateCallbackUrl } = require('../utils/callbackUrl');
 
 const formatISTTimestamp = (value) => {
   if (!value) return '';
@@ -27,92 +41,88 @@ const formatISTTimestamp = (value) => {
   return `${year}-${month}-${day} ${hours}:${minutes}:${seconds} IST`;
 };
 
-// Shared function for quiz response submission logic
-const handleQuizResponseSubmission = async (userData, options = {}) => {
-  const { name, email, phone, certified_user_skill_id } = userData;
-  
-  console.log('📝 Processing quiz response submission...');
-  console.log('📤 Request data:', { name, email, phone, certified_user_skill_id });
-  
-  // Submit quiz response
-  const result = await quizResponseService.submitQuizResponse(
-    { name, email, phone, certified_user_skill_id },
-    options
-  );
-  
-  console.log('🔍 Raw service result:', JSON.stringify(result, null, 2));
-  
-  // Check if result has data and if it's not empty
-  if (!result.data || Object.keys(result.data).length === 0) {
-    console.error('❌ Service returned empty data object');
-    // Track submission failure
-    mixpanelService.trackQuizSubmissionFailed({
-      email,
-      phone,
-      certified_user_skill_id,
-      error_message: 'Service returned empty data'
+// Submissions run in the background (202 + job id) when the caller sends async: true or a callback_url,
+// or for every call when ASYNC_SUBMISSIONS is on; otherwise they run inline as before
+const wantsAsyncSubmission = (req) => config.jobs.asyncSubmissions
+  || req.body?.async === true || req.body?.async === 'true' || !!req.body?.callback_url;
+
+const enqueueSubmission = async (req, res, { endpoint, userData, sessionData = null }) => {
+  const callbackUrl = req.body?.callback_url || null;
+  const callbackProblem = callbackUrl ? validateCallbackUrl(callbackUrl) : null;
+  if (callbackProblem) {
+    return res.status(400).json({
+      result: "failed",
+      message: callbackProblem
     });
-    throw new Error('Service returned empty data - check service logs');
-  }
-  
-  // Get the score to determine success level
-  const score = result.data.quiz_results?.score || 0;
-  // Categorize score per new rules:
-  // 100 => true_high_100, 90 => true_high_90, 80 => true_high_80, 70 => true_high_70
-  // 50-60 => true_pass, 0-40 => true_low
-  let successValue = 'true_low'; // Default fallback
-  if (score === 100) {
-    successValue = 'true_high_100';
-  } else if (score === 90) {
-    successValue = 'true_high_90';
-  } else if (score === 80) {
-    successValue = 'true_high_80';
-  } else if (score === 70) {
-    successValue = 'true_high_70';
-  } else if (score >= 50 && score <= 60) {
-    successValue = 'true_pass';
-  } else if (score >= 0 && score <= 40) {
-    successValue = 'true_low';
   }
 
-  // Track quiz scored
-  mixpanelService.trackQuizScored({
-    user_id: result.data.user?.id,
-    session_id: result.data.session?.id,
-    email,
-    phone,
-    score,
-    score_category: successValue,
-    correct_answers: result.data.quiz_results?.correct_answers || 0,
-    total_questions: result.data.quiz_results?.total_questions || 0,
-    certified_user_skill_id
+  const job = await jobQueueService.enqueue('quiz_submission', { endpoint, userData, sessionData }, {
+    sessionId: sessionData?.id || null,
+    callbackUrl
   });
-  
-  // Format response to match the exact structure you want
-  const formattedResponse = {
-    success: successValue,
-    message: "Quiz response submitted successfully",
-    data: {
-      user: {
-        id: result.data.user.id,
-        name: result.data.user.name,
-        email: result.data.user.email,
-        phone: result.data.user.phone
-      },
-      session: {
-        id: result.data.session.id,
-        certified_skill_id: result.data.session.certified_user_id,
-        token_updated: result.data.session.token_updated,
-        order_id: result.data.session.order_id
-      },
-      quiz_attempt: result.data.quiz_attempt || {},
-      quiz_results: result.data.quiz_results || {},
-      score: score
+  return res.status(202).json({
+    result: "queued",
+    message: "Quiz submission queued",
+    job_id: job.id,
+    status: job.status,
+    status_url: `/api/jobs/${job.id}`
+  });
+};
+
+// Without an Idempotency-Key header, a redelivered auto-submit is recognised by the session it would submit
+const deriveSessionKey = async (req) => {
+  const { phone, subject } = req.body || {};
+  if (!phone || !subject) {
+    return null;
+  }
+  const session = await userService.findLatestSessionByPhoneAndSubject(phone, subject);
+  return session ? `session:${session.id}` : null;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The submission resume endpoint is throttled per phone of the session's user
+const resolveSessionPhone = async (req) => {
+  const sessionId = req.params && req.params.id;
+  return typeof sessionId === 'string' && UUID_PATTERN.test(sessionId)
+    ? userService.findPhoneBySessionId(sessionId)
+    : null;
+};
+
+// save_answer is throttled per phone too, through the user the question belongs to
+const resolveAnswerPhone = async (req) => {
+  const questionId = req.body && req.body.question_id;
+  return typeof questionId === 'string' && UUID_PATTERN.test(questionId)
+    ? userService.findPhoneByQuestionId(questionId)
+    : null;
+};
+
+// Shared adapter for the /start_quiz* endpoints: each one is the orchestrator run with its own strategy variant
+const handleQuizStart = (variant) => async (req, res) => {
+  try {
+    const { statusCode, body } = await quizStartOrchestrator.start(req.body, variant);
+    res.status(statusCode).json(body);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json(error.body);
     }
-  };
-  
-  console.log('📤 Formatted response:', JSON.stringify(formattedResponse, null, 2));
-  return formattedResponse;
+
+    console.error(`Error in ${variant.endpoint} endpoint:`, error);
+    console.error('Error stack:', error.stack);
+
+    mixpanelService.trackQuizError({
+      endpoint: variant.endpoint,
+      error_message: error.message,
+      subject: req.body?.subject
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: config.server.isDevelopment ? error.message : 'Something went wrong',
+      details: config.server.isDevelopment ? error.stack : undefined
+    });
+  }
 };
 
 /**
@@ -123,7 +133,21 @@ const handleQuizResponseSubmission = async (userData, options = {}) => {
  *       type: apiKey
  *       in: header
  *       name: X-API-Key
- *       description: API Key for authentication (if needed)
+ *       description: API key from /api/admin/api-keys (or `node api-keys.js create`); the route's description lists the roles it accepts
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       description: The same API key sent as Authorization Bearer (Vercel Cron sends CRON_SECRET this way)
+ *     RequestSignature:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Signature
+ *       description: |
+ *         HMAC request signature from the WhatsApp bot, checked when REQUEST_SIGNING is optional or required.
+ *         Send X-Signature-Timestamp (unix seconds), X-Signature-Nonce (16-128 random [A-Za-z0-9_-] characters,
+ *         never reused) and X-Signature = sha256=hex(HMAC-SHA256(REQUEST_SIGNING_SECRET, timestamp + "." + nonce + "." + raw body)).
+ *         Timestamps more than REQUEST_SIGNING_TOLERANCE_SECONDS (300) away from server time, reused nonces and
+ *         bad signatures get 401.
  */
 
 // Validation middleware
@@ -146,14 +170,15 @@ const validateStartQuiz = (req, res, next) => {
     });
   }
 
-  // Basic phone validation (assuming 10+ digits)
-  const phoneRegex = /^\d{10,}$/;
-  if (!phoneRegex.test(phone.replace(/\D/g, ''))) {
+  // Everything downstream stores and looks up the E.164 form
+  const e164Phone = normalizePhone(phone);
+  if (!e164Phone) {
     return res.status(400).json({
       success: false,
       message: 'Please provide a valid phone number.'
     });
   }
+  req.body.phone = e164Phone;
 
   next();
 };
@@ -167,13 +192,14 @@ const validateStartQuizClone = (req, res, next) => {
       message: 'Missing required fields. Please provide phone and subject.'
     });
   }
-  const phoneRegex = /^\d{10,}$/;
-  if (!phoneRegex.test(String(phone).replace(/\D/g, ''))) {
+  const e164Phone = normalizePhone(phone);
+  if (!e164Phone) {
     return res.status(400).json({
       success: false,
       message: 'Please provide a valid phone number.'
     });
   }
+  req.body.phone = e164Phone;
   next();
 };
 
@@ -186,13 +212,14 @@ const validateStartQuizCloneV2 = (req, res, next) => {
       message: 'Missing required fields. Please provide phone and subject.'
     });
   }
-  const phoneRegex = /^\d{10,}$/;
-  if (!phoneRegex.test(String(phone).replace(/\D/g, ''))) {
+  const e164Phone = normalizePhone(phone);
+  if (!e164Phone) {
     return res.status(400).json({
       success: false,
       message: 'Please provide a valid phone number.'
     });
   }
+  req.body.phone = e164Phone;
   // Email is optional (can be empty string), but if provided and not empty, validate it
   const { email } = req.body;
   if (email && email.trim() !== '') {
@@ -219,13 +246,14 @@ const validateStartQuizCloneV3 = (req, res, next) => {
     });
   }
   
-  const phoneRegex = /^\d{10,}$/;
-  if (!phoneRegex.test(String(phone).replace(/\D/g, ''))) {
+  const e164Phone = normalizePhone(phone);
+  if (!e164Phone) {
     return res.status(400).json({
       success: false,
       message: 'Please provide a valid phone number.'
     });
   }
+  req.body.phone = e164Phone;
   
   // Either subject OR (list AND option) must be provided
   const hasSubject = subject && subject.trim() !== '';
@@ -261,6 +289,11 @@ const validateStartQuizCloneV3 = (req, res, next) => {
  *     summary: Start a new quiz session
  *     description: Creates a new user, calls the certified API to generate a quiz session, and stores the session information in the database.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -326,191 +359,16 @@ const validateStartQuizCloneV3 = (req, res, next) => {
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/start_quiz', validateStartQuiz, async (req, res) => {
-  try {
-    const { name, email, phone, subject } = req.body;
-    
-    console.log('Starting quiz for user:', { name, email, phone, subject });
-
-    // Track quiz started
-    mixpanelService.trackQuizStarted({
-      user_id: null, // Will be set after user creation
-      email,
-      phone,
-      name,
-      subject,
-      endpoint: 'start_quiz'
-    });
-
-    // Step 1: Create user in database
-    const user = await userService.createUser({
-      name,
-      email,
-      phone,
-      subject
-    });
-
-    console.log('User created successfully with ID:', user.id);
-
-    // Step 2: Call certified API
-    const certifiedResponse = await certifiedApiService.createNewEntry(subject);
-    
-    if (certifiedResponse.result !== 'success') {
-      throw new Error(`Certified API error: ${certifiedResponse.message}`);
-    }
-
-    const certifiedSkillId = certifiedResponse.data.id;
-    console.log('Certified API response received:', certifiedSkillId);
-
-    // Step 3: Create session record
-    const certifiedToken = userService.generateCertifiedToken();
-    const tokenExpiration = userService.getTokenExpirationTime();
-    
-    const session = await userService.createSession(
-      user.id,
-      certifiedSkillId,
-      certifiedToken,
-      tokenExpiration,
-      subject
-    );
-
-    console.log('Session created successfully with ID:', session.id, 'for user ID:', user.id);
-
-    // Step 4: Generate quiz questions (optional - may fail due to API changes)
-    let quizInfo = {
-      total_questions: 0,
-      questions_generated: false,
-      question_types: { easy: 0, medium: 0, hard: 0 }
-    };
-
-    try {
-      console.log('🎯 Generating quiz questions...');
-      const quizData = await generateQuizService.generateQuiz(certifiedSkillId);
-      
-      if (quizData.result === 'success') {
-        // Step 5: Extract questions from quiz data
-        const questions = generateQuizService.extractQuestions(quizData);
-        console.log(`📋 Extracted ${questions.length} questions`);
-
-        // Step 6: Store questions in database
-        console.log('💾 Storing questions in database...');
-        const storedQuestions = await questionService.createQuestions(questions, session.id, user.id);
-        console.log(`✅ Stored ${storedQuestions.length} questions successfully`);
-        
-        quizInfo = {
-          total_questions: storedQuestions.length,
-          questions_generated: true,
-          question_types: {
-            easy: questions.filter(q => q.question_type === 'Easy').length,
-            medium: questions.filter(q => q.question_type === 'Medium').length,
-            hard: questions.filter(q => q.question_type === 'Hard').length
-          }
-        };
-
-        // Track questions generated
-        mixpanelService.trackQuizQuestionsGenerated({
-          user_id: user.id,
-          session_id: session.id,
-          email,
-          phone,
-          subject,
-          total_questions: storedQuestions.length,
-          question_types: quizInfo.question_types
-        });
-      } else {
-        console.log('⚠️  Quiz generation failed:', quizData.message);
-        // Track generation failure
-        mixpanelService.trackQuizQuestionsGenerationFailed({
-          user_id: user.id,
-          session_id: session.id,
-          email,
-          phone,
-          subject,
-          error_message: quizData.message
-        });
-      }
-    } catch (error) {
-      console.log('⚠️  Quiz generation failed (API may be outdated):', error.message);
-      console.log('📝 Continuing without quiz questions...');
-      // Track generation failure
-      mixpanelService.trackQuizQuestionsGenerationFailed({
-        user_id: user.id,
-        session_id: session.id,
-        email,
-        phone,
-        subject,
-        error_message: error.message
-      });
-    }
-
-    // Step 7: Get the first question for the current session
-    let firstQuestion = null;
-    try {
-      const questions = await questionService.getQuestionsBySession(session.id);
-      if (questions && questions.length > 0) {
-        console.log(`📝 Retrieved ${questions.length} questions for session:`, session.id);
-        console.log('📝 Question numbers in order:', questions.map(q => q.question_no));
-        console.log('📝 Question IDs in order:', questions.map(q => q.id));
-        firstQuestion = questions[0]; // First question by question_no
-        console.log('📝 Selected first question (question_no: 1) ID:', firstQuestion.id);
-        console.log('📝 First question preview:', firstQuestion.question.substring(0, 100) + '...');
-      }
-    } catch (error) {
-      console.log('⚠️  Could not retrieve first question:', error.message);
-    }
-
-    // Return success response
-    res.status(201).json({
-      success: true,
-      message: 'Quiz started successfully',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          subject: user.subject,
-          created_at: user.created_at
-        },
-        certified_skill: {
-          id: certifiedSkillId,
-          subject_name: certifiedResponse.data.subject_name,
-          quiz_status: certifiedResponse.data.quiz_status,
-          is_paid: certifiedResponse.data.is_paid
-        },
-        session: {
-          id: session.id,
-          certified_token: session.certified_token,
-          token_expiration: session.certified_token_expires_at
-        },
-        quiz: quizInfo,
-        first_question: firstQuestion ? {
-          question_id: firstQuestion.id,
-          question: firstQuestion.question
-        } : null
-      }
-    });
-
-  } catch (error) {
-    console.error('Error in start_quiz endpoint:', error);
-    console.error('Error stack:', error.stack);
-    
-    // Track error
-    mixpanelService.trackQuizError({
-      endpoint: 'start_quiz',
-      error_message: error.message,
-      subject: req.body?.subject
-    });
-    
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+router.post('/start_quiz', verifySignature, idempotent('start_quiz'), rateLimit('start'), validateStartQuiz, handleQuizStart(quizStartVariants.start_quiz));
 
 /**
  * @swagger
@@ -519,6 +377,11 @@ router.post('/start_quiz', validateStartQuiz, async (req, res) => {
  *     summary: Start a quiz session (clone) with conditional question generation
  *     description: Same input and base flow as /api/start_quiz. If user/session/questions already exist, returns them; otherwise creates what's missing and attempts to generate/store questions. Adds question_added flag.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -603,6 +466,12 @@ router.post('/start_quiz', validateStartQuiz, async (req, res) => {
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  */
 /**
  * Clone of start_quiz with conditional question generation and polling support.
@@ -611,319 +480,10 @@ router.post('/start_quiz', validateStartQuiz, async (req, res) => {
  * - If user exists: uses provided session_id or latest session; if no session, creates one.
  * - If session has no questions: tries generate; if generate result has empty arrays, skip storing.
  * - Returns same schema as start_quiz, plus question_added: true/false.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/start_quiz_clone', validateStartQuizClone, async (req, res) => {
-  try {
-    const { name, email, phone, subject, session_id: providedSessionId } = req.body;
-
-    // Track quiz started
-    mixpanelService.trackQuizStarted({
-      email,
-      phone,
-      name,
-      subject,
-      endpoint: 'start_quiz_clone'
-    });
-
-    // Find or create user (createUser will return existing user if email+subject match)
-    let user;
-    if (name && email) {
-      user = await userService.createUser({ name, email, phone, subject });
-    } else {
-      // Lookup by phone+subject when name/email not provided
-      const userLookupQuery = `
-        SELECT id, name, email, phone, subject, created_at
-        FROM users
-        WHERE phone = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const ures = await query(userLookupQuery, [phone, subject]);
-      if (ures.rows.length > 0) {
-        user = ures.rows[0];
-      } else {
-        if (!name || !email) {
-          return res.status(400).json({
-            success: false,
-            message: 'User not found. Provide name and email to create a new user.'
-          });
-        }
-        user = await userService.createUser({ name, email, phone, subject });
-      }
-    }
-
-    // Resolve session: use provided session_id or latest for user
-    let session;
-    if (providedSessionId) {
-      // Only accept provided session if it belongs to this user and subject
-      const sessRes = await query(
-        'SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at FROM sessions WHERE id = $1 AND user_id = $2 AND subject = $3',
-        [providedSessionId, user.id, subject]
-      );
-      session = sessRes.rows[0] || null;
-    }
-    if (!session) {
-      // Strictly fetch the latest session for this user and this subject
-      const latestSessionQuery = `
-        SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at
-        FROM sessions
-        WHERE user_id = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const sres = await query(latestSessionQuery, [user.id, subject]);
-      session = sres.rows[0] || null;
-    }
-
-    // If no session, create one via certified API then create session record
-    let certifiedSkillId;
-    let certifiedResponse = null;
-    if (!session) {
-      certifiedResponse = await certifiedApiService.createNewEntry(subject);
-      if (certifiedResponse.result !== 'success') {
-        throw new Error(`Certified API error: ${certifiedResponse.message}`);
-      }
-      certifiedSkillId = certifiedResponse.data.id;
-      const certifiedToken = userService.generateCertifiedToken();
-      const tokenExpiration = userService.getTokenExpirationTime();
-      session = await userService.createSession(
-        user.id,
-        certifiedSkillId,
-        certifiedToken,
-        tokenExpiration,
-        subject
-      );
-    } else {
-      certifiedSkillId = parseInt(session.certified_user_id);
-    }
-
-    // Prepare quiz info (will update below)
-    let quizInfo = {
-      total_questions: 0,
-      questions_generated: false,
-      question_types: { easy: 0, medium: 0, hard: 0 }
-    };
-
-    // Check if questions already exist for this session
-    // CRITICAL: question_added should only be true when exactly 10 questions are stored
-    const existingQuestions = await questionService.getQuestionsBySession(session.id);
-    let questionAdded = existingQuestions && existingQuestions.length === 10;
-    if (questionAdded) {
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: true,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    } else if (existingQuestions && existingQuestions.length > 0 && existingQuestions.length < 10) {
-      // Partial questions exist but not all 10 - set to false and continue polling
-      console.log(`⚠️  Only ${existingQuestions.length} questions found (need 10). question_added will be false.`);
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: false,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    }
-
-    // If no questions, start background polling (non-blocking)
-    if (!questionAdded) {
-      console.log('🔄 Starting background polling for quiz generation...');
-      
-      // Start polling in background - don't await, let it run asynchronously
-      // This ensures API response returns immediately within timeout limit
-      (async () => {
-        const pollDelay = 3000; // 3 seconds between polls
-        const maxPollingTime = 90000; // 90 seconds maximum
-        const startTime = Date.now();
-        let attempt = 0;
-        let questionAddedInBackground = false;
-        let quizData;
-        
-        try {
-          while (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-            attempt++;
-            const elapsedTime = Math.round((Date.now() - startTime) / 1000);
-            
-            try {
-              console.log(`🔄 [Background] Polling generate API (attempt ${attempt}, ${elapsedTime}s elapsed) for session ${session.id}...`);
-              quizData = await generateQuizService.generateQuiz(certifiedSkillId);
-              
-              // Check if we have questions available in all three arrays
-              const questionnaire = quizData?.data?.quiz_question_answer?.questionaire || {};
-              const easyArr = Array.isArray(questionnaire.easy) ? questionnaire.easy : [];
-              const medArr = Array.isArray(questionnaire.medium) ? questionnaire.medium : [];
-              const hardArr = Array.isArray(questionnaire.hard) ? questionnaire.hard : [];
-              const totalQuestionsAvailable = easyArr.length + medArr.length + hardArr.length;
-              
-              console.log(`📊 [Background] Quiz data received - Status: ${quizData?.data?.quiz_status || 'unknown'}, Questions available: ${totalQuestionsAvailable} (Easy: ${easyArr.length}, Medium: ${medArr.length}, Hard: ${hardArr.length}) for session ${session.id}`);
-              
-              // Check if all three arrays have questions populated
-              const hasEasyQuestions = easyArr.length > 0;
-              const hasMediumQuestions = medArr.length > 0;
-              const hasHardQuestions = hardArr.length > 0;
-              const allArraysPopulated = hasEasyQuestions && hasMediumQuestions && hasHardQuestions;
-              
-              // If we have questions available, try to extract and store them
-              if (totalQuestionsAvailable > 0) {
-                if (allArraysPopulated) {
-                  console.log(`✅ [Background] All question arrays are populated! Extracting questions for session ${session.id}...`);
-                } else {
-                  console.log(`⚠️  [Background] Not all arrays populated yet (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}. Continuing to poll...`);
-                }
-                
-                // Only extract and store when all arrays are populated AND we have exactly 10 questions
-                // Keep polling until we have all 10 questions ready
-                if (allArraysPopulated) {
-                  try {
-                    const questions = generateQuizService.extractQuestions(quizData);
-                    // CRITICAL: Only store in database if we have exactly 10 questions
-                    if (questions.length === 10) {
-                      console.log(`✅ [Background] Extracted exactly 10 questions, storing in database for session ${session.id}...`);
-                      await questionService.createQuestions(questions, session.id, user.id);
-                      questionAddedInBackground = true;
-                      
-                      // Track questions generated
-                      mixpanelService.trackQuizQuestionsGenerated({
-                        user_id: user.id,
-                        session_id: session.id,
-                        email: user.email || '',
-                        phone: user.phone,
-                        subject: subject,
-                        total_questions: questions.length,
-                        question_types: {
-                          easy: questions.filter(q => q.question_type === 'Easy').length,
-                          medium: questions.filter(q => q.question_type === 'Medium').length,
-                          hard: questions.filter(q => q.question_type === 'Hard').length
-                        }
-                      });
-                      
-                      console.log(`✅ [Background] Successfully stored all 10 questions for session ${session.id}!`);
-                      break; // Exit polling loop on success
-                    } else {
-                      console.log(`⏳ [Background] All arrays populated but only extracted ${questions.length} questions (need exactly 10). Continuing to poll for session ${session.id}...`);
-                      // Continue polling - don't store partial questions
-                    }
-                  } catch (extractError) {
-                    console.error(`❌ [Background] Error extracting questions for session ${session.id}:`, extractError.message);
-                    // Continue polling
-                  }
-                } else {
-                  console.log(`⏳ [Background] Waiting for all arrays to be populated (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}...`);
-                }
-              } else {
-                console.log(`⏳ [Background] No questions available yet for session ${session.id}, continuing to poll...`);
-              }
-              
-              // Wait before next poll (unless we're done)
-              if (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-              
-            } catch (e) {
-              console.error(`❌ [Background] Quiz generation API error (attempt ${attempt}) for session ${session.id}:`, e.message);
-              // Wait before retrying even on error
-              if ((Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-            }
-          }
-          
-          if (!questionAddedInBackground) {
-            const totalElapsed = Math.round((Date.now() - startTime) / 1000);
-            console.warn(`⚠️  [Background] Polling timeout reached after ${totalElapsed}s for session ${session.id}. Questions may not be generated yet.`);
-            // Track generation failure due to timeout
-            mixpanelService.trackQuizQuestionsGenerationFailed({
-              user_id: user.id,
-              session_id: session.id,
-              email: user.email || '',
-              phone: user.phone,
-              subject: subject,
-              error_message: `Polling timeout after ${totalElapsed}s`
-            });
-          }
-        } catch (error) {
-          console.error(`❌ [Background] Fatal error in polling loop for session ${session.id}:`, error);
-          // Track fatal error
-          mixpanelService.trackQuizQuestionsGenerationFailed({
-            user_id: user.id,
-            session_id: session.id,
-            email: user.email || '',
-            phone: user.phone,
-            subject: subject,
-            error_message: error.message
-          });
-        }
-      })(); // Immediately invoke async function - runs in background
-      
-      // Note: We're not awaiting the background task, so response returns immediately
-      console.log('✅ Background polling started - API will return response immediately');
-    }
-
-    // Prepare quiz info and first question similar to start_quiz
-    const finalQuestions = await questionService.getQuestionsBySession(session.id);
-    // Ensure total reflects DB state; preserve type counts if already computed
-    quizInfo.total_questions = finalQuestions.length;
-    quizInfo.questions_generated = finalQuestions.length === 10; // Only true when exactly 10 questions
-    
-    // CRITICAL: Recalculate questionAdded based on final count - must be exactly 10
-    questionAdded = finalQuestions.length === 10;
-
-    let firstQuestion = null;
-    if (finalQuestions.length > 0) {
-      firstQuestion = finalQuestions[0];
-    }
-
-    // Determine message based on question status
-    let responseMessage = 'Quiz started successfully';
-    if (!questionAdded) {
-      if (finalQuestions.length === 0) {
-        responseMessage = 'Quiz started successfully. Questions are being generated in the background. Please check back in a few moments.';
-      } else if (finalQuestions.length < 10) {
-        responseMessage = `Quiz started successfully. ${finalQuestions.length} questions generated so far (need 10). Questions are being generated in the background. Please check back in a few moments.`;
-      }
-    }
-    
-    return res.status(201).json({
-      success: true,
-      message: responseMessage,
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          subject: user.subject,
-          created_at: user.created_at
-        },
-        certified_skill: {
-          id: certifiedSkillId,
-          subject_name: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.subject_name) ? certifiedResponse.data.subject_name : subject,
-          quiz_status: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.quiz_status) ? certifiedResponse.data.quiz_status : 'unknown',
-          is_paid: (certifiedResponse && certifiedResponse.data && typeof certifiedResponse.data.is_paid !== 'undefined') ? certifiedResponse.data.is_paid : false
-        },
-        session: {
-          id: session.id,
-          certified_token: session.certified_token,
-          token_expiration: session.certified_token_expires_at
-        },
-        quiz: quizInfo,
-        first_question: firstQuestion ? {
-          question_id: firstQuestion.id,
-          question: firstQuestion.question
-        } : null,
-        question_added: questionAdded
-      }
-    });
-  } catch (error) {
-    console.error('Error in start_quiz_clone endpoint:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+router.post('/start_quiz_clone', verifySignature, idempotent('start_quiz_clone'), rateLimit('start'), validateStartQuizClone, handleQuizStart(quizStartVariants.start_quiz_clone));
 
 /**
  * @swagger
@@ -932,6 +492,11 @@ router.post('/start_quiz_clone', validateStartQuizClone, async (req, res) => {
  *     summary: Start a quiz session (clone v2) with optional email
  *     description: Same as /api/start_quiz_clone but email parameter is optional or can be empty string. Email can be updated later using auto_submit_quiz_v2.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1004,6 +569,12 @@ router.post('/start_quiz_clone', validateStartQuizClone, async (req, res) => {
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  */
 /**
  * Clone of start_quiz_clone with optional email parameter.
@@ -1013,404 +584,10 @@ router.post('/start_quiz_clone', validateStartQuizClone, async (req, res) => {
  * - If user exists: uses provided session_id or latest session; if no session, creates one
  * - If session has no questions: tries generate; if generate result has empty arrays, skip storing
  * - Returns same schema as start_quiz_clone, plus question_added: true/false
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/start_quiz_clone_v2', validateStartQuizCloneV2, async (req, res) => {
-  try {
-    const { name, email, phone, subject, session_id: providedSessionId } = req.body;
-
-    // Track quiz started
-    mixpanelService.trackQuizStarted({
-      email: email || '',
-      phone,
-      name,
-      subject,
-      endpoint: 'start_quiz_clone_v2'
-    });
-
-    // Use email as provided (can be empty string or undefined)
-    const userEmail = email || '';
-
-    // Find or create user
-    let user;
-    
-    // First, try to lookup by phone only (regardless of subject)
-    const phoneOnlyLookupQuery = `
-      SELECT id, name, email, phone, subject, created_at
-      FROM users
-      WHERE phone = $1
-      ORDER BY created_at DESC
-      LIMIT 1
-    `;
-    const phoneOnlyRes = await query(phoneOnlyLookupQuery, [phone]);
-    
-    if (phoneOnlyRes.rows.length > 0) {
-      const foundUser = phoneOnlyRes.rows[0];
-      
-      // Check if subject matches
-      if (foundUser.subject === subject) {
-        // Subject matches - use the user as is
-        user = foundUser;
-        console.log('✅ Found user by phone with matching subject');
-      } else {
-        // Subject doesn't match - update the user's subject to match request
-        console.log(`⚠️  User found by phone but subject mismatch. Updating subject from "${foundUser.subject}" to "${subject}"`);
-        const updateSubjectQuery = `
-          UPDATE users
-          SET subject = $1, updated_at = NOW()
-          WHERE id = $2
-          RETURNING id, name, email, phone, subject, created_at
-        `;
-        const updateRes = await query(updateSubjectQuery, [subject, foundUser.id]);
-        user = updateRes.rows[0];
-        console.log('✅ Updated user subject to match request');
-      }
-    } else {
-      // User not found by phone - create new user
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          message: 'User not found. Provide name to create a new user.'
-        });
-      }
-      
-      // Create new user
-      if (userEmail && userEmail.trim() !== '') {
-        // Email provided - use userService.createUser
-        user = await userService.createUser({ name, email: userEmail, phone, subject });
-      } else {
-        // Email is empty or not provided - create directly with empty string
-        // Email column has NOT NULL constraint, so we must use empty string, not NULL
-        try {
-          console.log('📝 Creating new user with empty email');
-          const createUserQuery = `
-            INSERT INTO users(name, email, phone, subject, created_at)
-            VALUES ($1, '', $2, $3, NOW())
-            RETURNING id, name, email, phone, subject, created_at
-          `;
-          const createRes = await query(createUserQuery, [name, phone, subject]);
-          user = createRes.rows[0];
-          console.log('✅ Created new user with ID:', user.id);
-        } catch (createError) {
-          // If duplicate key error (email UNIQUE constraint), find existing user with empty email
-          if (createError.code === '23505' && createError.constraint === 'users_email_key') {
-            console.log('⚠️  User with empty email already exists (UNIQUE constraint), finding by phone');
-            // Try to find user with empty email and matching phone
-            const findEmptyEmailQuery = `
-              SELECT id, name, email, phone, subject, created_at
-              FROM users
-              WHERE email = '' AND phone = $1
-              ORDER BY created_at DESC
-              LIMIT 1
-            `;
-            const findRes = await query(findEmptyEmailQuery, [phone]);
-            if (findRes.rows.length > 0) {
-              // Found user with empty email - update subject
-              const updateSubjectQuery = `
-                UPDATE users
-                SET subject = $1, updated_at = NOW()
-                WHERE id = $2
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateSubjectQuery, [subject, findRes.rows[0].id]);
-              user = updateRes.rows[0];
-              console.log('✅ Found user with empty email and updated subject');
-            } else {
-              // User with empty email exists but for different phone
-              // Update the existing user's phone and subject to match
-              console.log('⚠️  User with empty email exists for different phone, updating...');
-              const updateUserQuery = `
-                UPDATE users
-                SET phone = $1, subject = $2, updated_at = NOW()
-                WHERE email = ''
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateUserQuery, [phone, subject]);
-              if (updateRes.rows.length > 0) {
-                user = updateRes.rows[0];
-                console.log('✅ Updated existing user with empty email to match phone+subject');
-              } else {
-                throw new Error('Failed to update user with empty email');
-              }
-            }
-          } else {
-            throw createError;
-          }
-        }
-      }
-    }
-
-    // Resolve session: use provided session_id or latest for user
-    let session;
-    if (providedSessionId) {
-      // Only accept provided session if it belongs to this user and subject
-      const sessRes = await query(
-        'SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at FROM sessions WHERE id = $1 AND user_id = $2 AND subject = $3',
-        [providedSessionId, user.id, subject]
-      );
-      session = sessRes.rows[0] || null;
-    }
-    if (!session) {
-      // Strictly fetch the latest session for this user and this subject
-      const latestSessionQuery = `
-        SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at
-        FROM sessions
-        WHERE user_id = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const sres = await query(latestSessionQuery, [user.id, subject]);
-      session = sres.rows[0] || null;
-    }
-
-    // If no session, create one via certified API then create session record
-    let certifiedSkillId;
-    let certifiedResponse = null;
-    if (!session) {
-      certifiedResponse = await certifiedApiService.createNewEntry(subject);
-      if (certifiedResponse.result !== 'success') {
-        throw new Error(`Certified API error: ${certifiedResponse.message}`);
-      }
-      certifiedSkillId = certifiedResponse.data.id;
-      const certifiedToken = userService.generateCertifiedToken();
-      const tokenExpiration = userService.getTokenExpirationTime();
-      session = await userService.createSession(
-        user.id,
-        certifiedSkillId,
-        certifiedToken,
-        tokenExpiration,
-        subject
-      );
-    } else {
-      certifiedSkillId = parseInt(session.certified_user_id);
-    }
-
-    // Prepare quiz info (will update below)
-    let quizInfo = {
-      total_questions: 0,
-      questions_generated: false,
-      question_types: { easy: 0, medium: 0, hard: 0 }
-    };
-
-    // Check if questions already exist for this session
-    // CRITICAL: question_added should only be true when exactly 10 questions are stored
-    const existingQuestions = await questionService.getQuestionsBySession(session.id);
-    let questionAdded = existingQuestions && existingQuestions.length === 10;
-    if (questionAdded) {
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: true,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    } else if (existingQuestions && existingQuestions.length > 0 && existingQuestions.length < 10) {
-      // Partial questions exist but not all 10 - set to false and continue polling
-      console.log(`⚠️  Only ${existingQuestions.length} questions found (need 10). question_added will be false.`);
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: false,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    }
-
-    // If no questions, start background polling (non-blocking)
-    if (!questionAdded) {
-      console.log('🔄 Starting background polling for quiz generation...');
-      
-      // Start polling in background - don't await, let it run asynchronously
-      // This ensures API response returns immediately within timeout limit
-      (async () => {
-        const pollDelay = 3000; // 3 seconds between polls
-        const maxPollingTime = 90000; // 90 seconds maximum
-        const startTime = Date.now();
-        let attempt = 0;
-        let questionAddedInBackground = false;
-        let quizData;
-        
-        try {
-          while (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-            attempt++;
-            const elapsedTime = Math.round((Date.now() - startTime) / 1000);
-            
-            try {
-              console.log(`🔄 [Background] Polling generate API (attempt ${attempt}, ${elapsedTime}s elapsed) for session ${session.id}...`);
-              quizData = await generateQuizService.generateQuiz(certifiedSkillId);
-              
-              // Check if we have questions available in all three arrays
-              const questionnaire = quizData?.data?.quiz_question_answer?.questionaire || {};
-              const easyArr = Array.isArray(questionnaire.easy) ? questionnaire.easy : [];
-              const medArr = Array.isArray(questionnaire.medium) ? questionnaire.medium : [];
-              const hardArr = Array.isArray(questionnaire.hard) ? questionnaire.hard : [];
-              const totalQuestionsAvailable = easyArr.length + medArr.length + hardArr.length;
-              
-              console.log(`📊 [Background] Quiz data received - Status: ${quizData?.data?.quiz_status || 'unknown'}, Questions available: ${totalQuestionsAvailable} (Easy: ${easyArr.length}, Medium: ${medArr.length}, Hard: ${hardArr.length}) for session ${session.id}`);
-              
-              // Check if all three arrays have questions populated
-              const hasEasyQuestions = easyArr.length > 0;
-              const hasMediumQuestions = medArr.length > 0;
-              const hasHardQuestions = hardArr.length > 0;
-              const allArraysPopulated = hasEasyQuestions && hasMediumQuestions && hasHardQuestions;
-              
-              // If we have questions available, try to extract and store them
-              if (totalQuestionsAvailable > 0) {
-                if (allArraysPopulated) {
-                  console.log(`✅ [Background] All question arrays are populated! Extracting questions for session ${session.id}...`);
-                } else {
-                  console.log(`⚠️  [Background] Not all arrays populated yet (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}. Continuing to poll...`);
-                }
-                
-                // Only extract and store when all arrays are populated AND we have exactly 10 questions
-                // Keep polling until we have all 10 questions ready
-                if (allArraysPopulated) {
-                  try {
-                    const questions = generateQuizService.extractQuestions(quizData);
-                    // CRITICAL: Only store in database if we have exactly 10 questions
-                    if (questions.length === 10) {
-                      console.log(`✅ [Background] Extracted exactly 10 questions, storing in database for session ${session.id}...`);
-                      await questionService.createQuestions(questions, session.id, user.id);
-                      questionAddedInBackground = true;
-                      
-                      // Track questions generated
-                      mixpanelService.trackQuizQuestionsGenerated({
-                        user_id: user.id,
-                        session_id: session.id,
-                        email: user.email || '',
-                        phone: user.phone,
-                        subject: subject,
-                        total_questions: questions.length,
-                        question_types: {
-                          easy: questions.filter(q => q.question_type === 'Easy').length,
-                          medium: questions.filter(q => q.question_type === 'Medium').length,
-                          hard: questions.filter(q => q.question_type === 'Hard').length
-                        }
-                      });
-                      
-                      console.log(`✅ [Background] Successfully stored all 10 questions for session ${session.id}!`);
-                      break; // Exit polling loop on success
-                    } else {
-                      console.log(`⏳ [Background] All arrays populated but only extracted ${questions.length} questions (need exactly 10). Continuing to poll for session ${session.id}...`);
-                      // Continue polling - don't store partial questions
-                    }
-                  } catch (extractError) {
-                    console.error(`❌ [Background] Error extracting questions for session ${session.id}:`, extractError.message);
-                    // Continue polling
-                  }
-                } else {
-                  console.log(`⏳ [Background] Waiting for all arrays to be populated (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}...`);
-                }
-              } else {
-                console.log(`⏳ [Background] No questions available yet for session ${session.id}, continuing to poll...`);
-              }
-              
-              // Wait before next poll (unless we're done)
-              if (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-              
-            } catch (e) {
-              console.error(`❌ [Background] Quiz generation API error (attempt ${attempt}) for session ${session.id}:`, e.message);
-              // Wait before retrying even on error
-              if ((Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-            }
-          }
-          
-          if (!questionAddedInBackground) {
-            const totalElapsed = Math.round((Date.now() - startTime) / 1000);
-            console.warn(`⚠️  [Background] Polling timeout reached after ${totalElapsed}s for session ${session.id}. Questions may not be generated yet.`);
-            // Track generation failure due to timeout
-            mixpanelService.trackQuizQuestionsGenerationFailed({
-              user_id: user.id,
-              session_id: session.id,
-              email: user.email || '',
-              phone: user.phone,
-              subject: subject,
-              error_message: `Polling timeout after ${totalElapsed}s`
-            });
-          }
-        } catch (error) {
-          console.error(`❌ [Background] Fatal error in polling loop for session ${session.id}:`, error);
-          // Track fatal error
-          mixpanelService.trackQuizQuestionsGenerationFailed({
-            user_id: user.id,
-            session_id: session.id,
-            email: user.email || '',
-            phone: user.phone,
-            subject: subject,
-            error_message: error.message
-          });
-        }
-      })(); // Immediately invoke async function - runs in background
-      
-      // Note: We're not awaiting the background task, so response returns immediately
-      console.log('✅ Background polling started - API will return response immediately');
-    }
-
-    // Prepare quiz info and first question similar to start_quiz
-    const finalQuestions = await questionService.getQuestionsBySession(session.id);
-    // Ensure total reflects DB state; preserve type counts if already computed
-    quizInfo.total_questions = finalQuestions.length;
-    quizInfo.questions_generated = finalQuestions.length === 10; // Only true when exactly 10 questions
-    
-    // CRITICAL: Recalculate questionAdded based on final count - must be exactly 10
-    questionAdded = finalQuestions.length === 10;
-
-    let firstQuestion = null;
-    if (finalQuestions.length > 0) {
-      firstQuestion = finalQuestions[0];
-    }
-
-    // Determine message based on question status
-    let responseMessage = 'Quiz started successfully';
-    if (!questionAdded) {
-      if (finalQuestions.length === 0) {
-        responseMessage = 'Quiz started successfully. Questions are being generated in the background. Please check back in a few moments.';
-      } else if (finalQuestions.length < 10) {
-        responseMessage = `Quiz started successfully. ${finalQuestions.length} questions generated so far (need 10). Questions are being generated in the background. Please check back in a few moments.`;
-      }
-    }
-    
-    return res.status(201).json({
-      success: true,
-      message: responseMessage,
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          subject: user.subject,
-          created_at: user.created_at
-        },
-        certified_skill: {
-          id: certifiedSkillId,
-          subject_name: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.subject_name) ? certifiedResponse.data.subject_name : subject,
-          quiz_status: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.quiz_status) ? certifiedResponse.data.quiz_status : 'unknown',
-          is_paid: (certifiedResponse && certifiedResponse.data && typeof certifiedResponse.data.is_paid !== 'undefined') ? certifiedResponse.data.is_paid : false
-        },
-        session: {
-          id: session.id,
-          certified_token: session.certified_token,
-          token_expiration: session.certified_token_expires_at
-        },
-        quiz: quizInfo,
-        first_question: firstQuestion ? {
-          question_id: firstQuestion.id,
-          question: firstQuestion.question
-        } : null,
-        question_added: questionAdded
-      }
-    });
-  } catch (error) {
-    console.error('Error in start_quiz_clone_v2 endpoint:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+router.post('/start_quiz_clone_v2', verifySignature, idempotent('start_quiz_clone_v2'), rateLimit('start'), validateStartQuizCloneV2, handleQuizStart(quizStartVariants.start_quiz_clone_v2));
 
 /**
  * @swagger
@@ -1419,6 +596,11 @@ router.post('/start_quiz_clone_v2', validateStartQuizCloneV2, async (req, res) =
  *     summary: Start a quiz session (clone v3) with optional subject resolution via API
  *     description: Same as /api/start_quiz_clone_v2 but with optional subject resolution. You can provide either 'subject' directly OR 'list' and 'option' to resolve subject from API. Email parameter is optional or can be empty string.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1507,6 +689,12 @@ router.post('/start_quiz_clone_v2', validateStartQuizCloneV2, async (req, res) =
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  */
 /**
  * Clone of start_quiz_clone_v2 with optional subject resolution via API.
@@ -1517,435 +705,10 @@ router.post('/start_quiz_clone_v2', validateStartQuizCloneV2, async (req, res) =
  * - If user exists: uses provided session_id or latest session; if no session, creates one
  * - If session has no questions: tries generate; if generate result has empty arrays, skip storing
  * - Returns same schema as start_quiz_clone_v2, plus question_added: true/false
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/start_quiz_clone_v3', validateStartQuizCloneV3, async (req, res) => {
-  try {
-    const { name, email, phone, subject, list, option, session_id: providedSessionId } = req.body;
-
-    // Track quiz started (subject may be determined later)
-    mixpanelService.trackQuizStarted({
-      email: email || '',
-      phone,
-      name,
-      subject: subject || 'pending',
-      endpoint: 'start_quiz_clone_v3',
-      list,
-      option
-    });
-
-    // Use email as provided (can be empty string or undefined)
-    const userEmail = email || '';
-
-    // Determine the subject to use
-    let finalSubject = subject; // Default to provided subject
-    
-    // If subject not provided, try to get from API using list and option
-    if (!subject || subject.trim() === '') {
-      if (list && option && list.trim() !== '' && option.trim() !== '') {
-        console.log('📞 Calling API to get subject from list and option...');
-        try {
-          finalSubject = await certifiedApiService.getSubjectFromList(list, option);
-          console.log('✅ Received subject from API:', finalSubject);
-        } catch (error) {
-          console.error('❌ Error getting subject from API:', error.message);
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to get subject from list and option',
-            error: error.message
-          });
-        }
-      }
-    }
-    
-    // Validate finalSubject exists
-    if (!finalSubject || finalSubject.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject is required. Either provide subject directly or provide list and option to get subject.'
-      });
-    }
-
-    // Find or create user
-    let user;
-    
-    // First, try to lookup by phone only (regardless of subject)
-    const phoneOnlyLookupQuery = `
-      SELECT id, name, email, phone, subject, created_at
-      FROM users
-      WHERE phone = $1
-      ORDER BY created_at DESC
-      LIMIT 1
-    `;
-    const phoneOnlyRes = await query(phoneOnlyLookupQuery, [phone]);
-    
-    if (phoneOnlyRes.rows.length > 0) {
-      const foundUser = phoneOnlyRes.rows[0];
-      
-      // Check if subject matches
-      if (foundUser.subject === finalSubject) {
-        // Subject matches - use the user as is
-        user = foundUser;
-        console.log('✅ Found user by phone with matching subject');
-      } else {
-        // Subject doesn't match - update the user's subject to match request
-        console.log(`⚠️  User found by phone but subject mismatch. Updating subject from "${foundUser.subject}" to "${finalSubject}"`);
-        const updateSubjectQuery = `
-          UPDATE users
-          SET subject = $1, updated_at = NOW()
-          WHERE id = $2
-          RETURNING id, name, email, phone, subject, created_at
-        `;
-        const updateRes = await query(updateSubjectQuery, [finalSubject, foundUser.id]);
-        user = updateRes.rows[0];
-        console.log('✅ Updated user subject to match request');
-      }
-    } else {
-      // User not found by phone - create new user
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          message: 'User not found. Provide name to create a new user.'
-        });
-      }
-      
-      // Create new user
-      if (userEmail && userEmail.trim() !== '') {
-        // Email provided - use userService.createUser
-        user = await userService.createUser({ name, email: userEmail, phone, subject: finalSubject });
-      } else {
-        // Email is empty or not provided - create directly with empty string
-        // Email column has NOT NULL constraint, so we must use empty string, not NULL
-        try {
-          console.log('📝 Creating new user with empty email');
-          const createUserQuery = `
-            INSERT INTO users(name, email, phone, subject, created_at)
-            VALUES ($1, '', $2, $3, NOW())
-            RETURNING id, name, email, phone, subject, created_at
-          `;
-          const createRes = await query(createUserQuery, [name, phone, finalSubject]);
-          user = createRes.rows[0];
-          console.log('✅ Created new user with ID:', user.id);
-        } catch (createError) {
-          // If duplicate key error (email UNIQUE constraint), find existing user with empty email
-          if (createError.code === '23505' && createError.constraint === 'users_email_key') {
-            console.log('⚠️  User with empty email already exists (UNIQUE constraint), finding by phone');
-            // Try to find user with empty email and matching phone
-            const findEmptyEmailQuery = `
-              SELECT id, name, email, phone, subject, created_at
-              FROM users
-              WHERE email = '' AND phone = $1
-              ORDER BY created_at DESC
-              LIMIT 1
-            `;
-            const findRes = await query(findEmptyEmailQuery, [phone]);
-            if (findRes.rows.length > 0) {
-              // Found user with empty email - update subject
-              const updateSubjectQuery = `
-                UPDATE users
-                SET subject = $1, updated_at = NOW()
-                WHERE id = $2
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateSubjectQuery, [finalSubject, findRes.rows[0].id]);
-              user = updateRes.rows[0];
-              console.log('✅ Found user with empty email and updated subject');
-            } else {
-              // User with empty email exists but for different phone
-              // Update the existing user's phone and subject to match
-              console.log('⚠️  User with empty email exists for different phone, updating...');
-              const updateUserQuery = `
-                UPDATE users
-                SET phone = $1, subject = $2, updated_at = NOW()
-                WHERE email = ''
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateUserQuery, [phone, finalSubject]);
-              if (updateRes.rows.length > 0) {
-                user = updateRes.rows[0];
-                console.log('✅ Updated existing user with empty email to match phone+subject');
-              } else {
-                throw new Error('Failed to update user with empty email');
-              }
-            }
-          } else {
-            throw createError;
-          }
-        }
-      }
-    }
-
-    // Resolve session: use provided session_id or latest for user
-    let session;
-    if (providedSessionId) {
-      // Only accept provided session if it belongs to this user and subject
-      const sessRes = await query(
-        'SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at FROM sessions WHERE id = $1 AND user_id = $2 AND subject = $3',
-        [providedSessionId, user.id, finalSubject]
-      );
-      session = sessRes.rows[0] || null;
-    }
-    if (!session) {
-      // Strictly fetch the latest session for this user and this subject
-      const latestSessionQuery = `
-        SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at
-        FROM sessions
-        WHERE user_id = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const sres = await query(latestSessionQuery, [user.id, finalSubject]);
-      session = sres.rows[0] || null;
-    }
-
-    // If no session, create one via certified API then create session record
-    let certifiedSkillId;
-    let certifiedResponse = null;
-    if (!session) {
-      certifiedResponse = await certifiedApiService.createNewEntry(finalSubject);
-      if (certifiedResponse.result !== 'success') {
-        throw new Error(`Certified API error: ${certifiedResponse.message}`);
-      }
-      certifiedSkillId = certifiedResponse.data.id;
-      const certifiedToken = userService.generateCertifiedToken();
-      const tokenExpiration = userService.getTokenExpirationTime();
-      session = await userService.createSession(
-        user.id,
-        certifiedSkillId,
-        certifiedToken,
-        tokenExpiration,
-        finalSubject
-      );
-    } else {
-      certifiedSkillId = parseInt(session.certified_user_id);
-    }
-
-    // Prepare quiz info (will update below)
-    let quizInfo = {
-      total_questions: 0,
-      questions_generated: false,
-      question_types: { easy: 0, medium: 0, hard: 0 }
-    };
-
-    // Check if questions already exist for this session
-    // CRITICAL: question_added should only be true when exactly 10 questions are stored
-    const existingQuestions = await questionService.getQuestionsBySession(session.id);
-    let questionAdded = existingQuestions && existingQuestions.length === 10;
-    if (questionAdded) {
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: true,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    } else if (existingQuestions && existingQuestions.length > 0 && existingQuestions.length < 10) {
-      // Partial questions exist but not all 10 - set to false and continue polling
-      console.log(`⚠️  Only ${existingQuestions.length} questions found (need 10). question_added will be false.`);
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: false,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    }
-
-    // If no questions, start background polling (non-blocking)
-    if (!questionAdded) {
-      console.log('🔄 Starting background polling for quiz generation...');
-      
-      // Start polling in background - don't await, let it run asynchronously
-      // This ensures API response returns immediately within timeout limit
-      (async () => {
-        const pollDelay = 3000; // 3 seconds between polls
-        const maxPollingTime = 90000; // 90 seconds maximum
-        const startTime = Date.now();
-        let attempt = 0;
-        let questionAddedInBackground = false;
-        let quizData;
-        
-        try {
-          while (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-            attempt++;
-            const elapsedTime = Math.round((Date.now() - startTime) / 1000);
-            
-            try {
-              console.log(`🔄 [Background] Polling generate API (attempt ${attempt}, ${elapsedTime}s elapsed) for session ${session.id}...`);
-              quizData = await generateQuizService.generateQuiz(certifiedSkillId);
-              
-              // Check if we have questions available in all three arrays
-              const questionnaire = quizData?.data?.quiz_question_answer?.questionaire || {};
-              const easyArr = Array.isArray(questionnaire.easy) ? questionnaire.easy : [];
-              const medArr = Array.isArray(questionnaire.medium) ? questionnaire.medium : [];
-              const hardArr = Array.isArray(questionnaire.hard) ? questionnaire.hard : [];
-              const totalQuestionsAvailable = easyArr.length + medArr.length + hardArr.length;
-              
-              console.log(`📊 [Background] Quiz data received - Status: ${quizData?.data?.quiz_status || 'unknown'}, Questions available: ${totalQuestionsAvailable} (Easy: ${easyArr.length}, Medium: ${medArr.length}, Hard: ${hardArr.length}) for session ${session.id}`);
-              
-              // Check if all three arrays have questions populated
-              const hasEasyQuestions = easyArr.length > 0;
-              const hasMediumQuestions = medArr.length > 0;
-              const hasHardQuestions = hardArr.length > 0;
-              const allArraysPopulated = hasEasyQuestions && hasMediumQuestions && hasHardQuestions;
-              
-              // If we have questions available, try to extract and store them
-              if (totalQuestionsAvailable > 0) {
-                if (allArraysPopulated) {
-                  console.log(`✅ [Background] All question arrays are populated! Extracting questions for session ${session.id}...`);
-                } else {
-                  console.log(`⚠️  [Background] Not all arrays populated yet (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}. Continuing to poll...`);
-                }
-                
-                // Only extract and store when all arrays are populated AND we have exactly 10 questions
-                // Keep polling until we have all 10 questions ready
-                if (allArraysPopulated) {
-                  try {
-                    const questions = generateQuizService.extractQuestions(quizData);
-                    // CRITICAL: Only store in database if we have exactly 10 questions
-                    if (questions.length === 10) {
-                      console.log(`✅ [Background] Extracted exactly 10 questions, storing in database for session ${session.id}...`);
-                      await questionService.createQuestions(questions, session.id, user.id);
-                      questionAddedInBackground = true;
-                      
-                      // Track questions generated
-                      mixpanelService.trackQuizQuestionsGenerated({
-                        user_id: user.id,
-                        session_id: session.id,
-                        email: user.email || '',
-                        phone: user.phone,
-                        subject: subject,
-                        total_questions: questions.length,
-                        question_types: {
-                          easy: questions.filter(q => q.question_type === 'Easy').length,
-                          medium: questions.filter(q => q.question_type === 'Medium').length,
-                          hard: questions.filter(q => q.question_type === 'Hard').length
-                        }
-                      });
-                      
-                      console.log(`✅ [Background] Successfully stored all 10 questions for session ${session.id}!`);
-                      break; // Exit polling loop on success
-                    } else {
-                      console.log(`⏳ [Background] All arrays populated but only extracted ${questions.length} questions (need exactly 10). Continuing to poll for session ${session.id}...`);
-                      // Continue polling - don't store partial questions
-                    }
-                  } catch (extractError) {
-                    console.error(`❌ [Background] Error extracting questions for session ${session.id}:`, extractError.message);
-                    // Continue polling
-                  }
-                } else {
-                  console.log(`⏳ [Background] Waiting for all arrays to be populated (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}...`);
-                }
-              } else {
-                console.log(`⏳ [Background] No questions available yet for session ${session.id}, continuing to poll...`);
-              }
-              
-              // Wait before next poll (unless we're done)
-              if (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-              
-            } catch (e) {
-              console.error(`❌ [Background] Quiz generation API error (attempt ${attempt}) for session ${session.id}:`, e.message);
-              // Wait before retrying even on error
-              if ((Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-            }
-          }
-          
-          if (!questionAddedInBackground) {
-            const totalElapsed = Math.round((Date.now() - startTime) / 1000);
-            console.warn(`⚠️  [Background] Polling timeout reached after ${totalElapsed}s for session ${session.id}. Questions may not be generated yet.`);
-            // Track generation failure due to timeout
-            mixpanelService.trackQuizQuestionsGenerationFailed({
-              user_id: user.id,
-              session_id: session.id,
-              email: user.email || '',
-              phone: user.phone,
-              subject: subject,
-              error_message: `Polling timeout after ${totalElapsed}s`
-            });
-          }
-        } catch (error) {
-          console.error(`❌ [Background] Fatal error in polling loop for session ${session.id}:`, error);
-          // Track fatal error
-          mixpanelService.trackQuizQuestionsGenerationFailed({
-            user_id: user.id,
-            session_id: session.id,
-            email: user.email || '',
-            phone: user.phone,
-            subject: subject,
-            error_message: error.message
-          });
-        }
-      })(); // Immediately invoke async function - runs in background
-      
-      // Note: We're not awaiting the background task, so response returns immediately
-      console.log('✅ Background polling started - API will return response immediately');
-    }
-
-    // Prepare quiz info and first question similar to start_quiz
-    const finalQuestions = await questionService.getQuestionsBySession(session.id);
-    // Ensure total reflects DB state; preserve type counts if already computed
-    quizInfo.total_questions = finalQuestions.length;
-    quizInfo.questions_generated = finalQuestions.length === 10; // Only true when exactly 10 questions
-    
-    // CRITICAL: Recalculate questionAdded based on final count - must be exactly 10
-    questionAdded = finalQuestions.length === 10;
-
-    let firstQuestion = null;
-    if (finalQuestions.length > 0) {
-      firstQuestion = finalQuestions[0];
-    }
-
-    // Determine message based on question status
-    let responseMessage = 'Quiz started successfully';
-    if (!questionAdded) {
-      if (finalQuestions.length === 0) {
-        responseMessage = 'Quiz started successfully. Questions are being generated in the background. Please check back in a few moments.';
-      } else if (finalQuestions.length < 10) {
-        responseMessage = `Quiz started successfully. ${finalQuestions.length} questions generated so far (need 10). Questions are being generated in the background. Please check back in a few moments.`;
-      }
-    }
-    
-    return res.status(201).json({
-      success: true,
-      message: responseMessage,
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          subject: user.subject,
-          created_at: user.created_at
-        },
-        certified_skill: {
-          id: certifiedSkillId,
-          subject_name: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.subject_name) ? certifiedResponse.data.subject_name : finalSubject,
-          quiz_status: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.quiz_status) ? certifiedResponse.data.quiz_status : 'unknown',
-          is_paid: (certifiedResponse && certifiedResponse.data && typeof certifiedResponse.data.is_paid !== 'undefined') ? certifiedResponse.data.is_paid : false
-        },
-        session: {
-          id: session.id,
-          certified_token: session.certified_token,
-          token_expiration: session.certified_token_expires_at
-        },
-        quiz: quizInfo,
-        first_question: firstQuestion ? {
-          question_id: firstQuestion.id,
-          question: firstQuestion.question
-        } : null,
-        question_added: questionAdded
-      }
-    });
-  } catch (error) {
-    console.error('Error in start_quiz_clone_v3 endpoint:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+router.post('/start_quiz_clone_v3', verifySignature, idempotent('start_quiz_clone_v3'), rateLimit('start'), validateStartQuizCloneV3, handleQuizStart(quizStartVariants.start_quiz_clone_v3));
 
 /**
  * @swagger
@@ -1954,6 +717,11 @@ router.post('/start_quiz_clone_v3', validateStartQuizCloneV3, async (req, res) =
  *     summary: Start a quiz session (clone v4 cybersecurity) with optional subject resolution via API
  *     description: Same as /api/start_quiz_clone_v3 but specifically for cybersecurity quizzes with different response format. When questions have code_snippet, the code_image URL is stored in code_snippet_imageLink instead of appending code to question text. Email parameter is optional or can be empty string. You can provide either 'subject' directly OR 'list' and 'option' to resolve subject from API.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -2060,6 +828,12 @@ router.post('/start_quiz_clone_v3', validateStartQuizCloneV3, async (req, res) =
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  */
 /**
  * Clone of start_quiz_clone_v3 specifically for cybersecurity quizzes with different response format.
@@ -2076,442 +850,20 @@ router.post('/start_quiz_clone_v3', validateStartQuizCloneV3, async (req, res) =
  *   - Only appends raw code snippets when neither code image nor markdown is present
  * - Returns same schema as start_quiz_clone_v3, plus question_added: true/false
  * - first_question always includes code_snippet_imageLink (null if empty) and has_code_image (boolean)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/start_quiz_clone_v4_cybersecurity', validateStartQuizCloneV3, async (req, res) => {
-  try {
-    const { name, email, phone, subject, list, option, session_id: providedSessionId } = req.body;
-
-    // Track quiz started (subject may be determined later)
-    mixpanelService.trackQuizStarted({
-      email: email || '',
-      phone,
-      name,
-      subject: subject || 'pending',
-      endpoint: 'start_quiz_clone_v4_cybersecurity',
-      list,
-      option
-    });
-
-    // Use email as provided (can be empty string or undefined)
-    const userEmail = email || '';
-
-    // Determine the subject to use
-    let finalSubject = subject; // Default to provided subject
-    
-    // If subject not provided, try to get from API using list and option
-    if (!subject || subject.trim() === '') {
-      if (list && option && list.trim() !== '' && option.trim() !== '') {
-        console.log('📞 Calling API to get subject from list and option...');
-        try {
-          finalSubject = await certifiedApiService.getSubjectFromList(list, option);
-          console.log('✅ Received subject from API:', finalSubject);
-        } catch (error) {
-          console.error('❌ Error getting subject from API:', error.message);
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to get subject from list and option',
-            error: error.message
-          });
-        }
-      }
-    }
-    
-    // Validate finalSubject exists
-    if (!finalSubject || finalSubject.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Subject is required. Either provide subject directly or provide list and option to get subject.'
-      });
-    }
-
-    // Find or create user
-    let user;
-    
-    // First, try to lookup by phone only (regardless of subject)
-    const phoneOnlyLookupQuery = `
-      SELECT id, name, email, phone, subject, created_at
-      FROM users
-      WHERE phone = $1
-      ORDER BY created_at DESC
-      LIMIT 1
-    `;
-    const phoneOnlyRes = await query(phoneOnlyLookupQuery, [phone]);
-    
-    if (phoneOnlyRes.rows.length > 0) {
-      const foundUser = phoneOnlyRes.rows[0];
-      
-      // Check if subject matches
-      if (foundUser.subject === finalSubject) {
-        // Subject matches - use the user as is
-        user = foundUser;
-        console.log('✅ Found user by phone with matching subject');
-      } else {
-        // Subject doesn't match - update the user's subject to match request
-        console.log(`⚠️  User found by phone but subject mismatch. Updating subject from "${foundUser.subject}" to "${finalSubject}"`);
-        const updateSubjectQuery = `
-          UPDATE users
-          SET subject = $1, updated_at = NOW()
-          WHERE id = $2
-          RETURNING id, name, email, phone, subject, created_at
-        `;
-        const updateRes = await query(updateSubjectQuery, [finalSubject, foundUser.id]);
-        user = updateRes.rows[0];
-        console.log('✅ Updated user subject to match request');
-      }
-    } else {
-      // User not found by phone - create new user
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          message: 'User not found. Provide name to create a new user.'
-        });
-      }
-      
-      // Create new user
-      if (userEmail && userEmail.trim() !== '') {
-        // Email provided - use userService.createUser
-        user = await userService.createUser({ name, email: userEmail, phone, subject: finalSubject });
-      } else {
-        // Email is empty or not provided - create directly with empty string
-        // Email column has NOT NULL constraint, so we must use empty string, not NULL
-        try {
-          console.log('📝 Creating new user with empty email');
-          const createUserQuery = `
-            INSERT INTO users(name, email, phone, subject, created_at)
-            VALUES ($1, '', $2, $3, NOW())
-            RETURNING id, name, email, phone, subject, created_at
-          `;
-          const createRes = await query(createUserQuery, [name, phone, finalSubject]);
-          user = createRes.rows[0];
-          console.log('✅ Created new user with ID:', user.id);
-        } catch (createError) {
-          // If duplicate key error (email UNIQUE constraint), find existing user with empty email
-          if (createError.code === '23505' && createError.constraint === 'users_email_key') {
-            console.log('⚠️  User with empty email already exists (UNIQUE constraint), finding by phone');
-            // Try to find user with empty email and matching phone
-            const findEmptyEmailQuery = `
-              SELECT id, name, email, phone, subject, created_at
-              FROM users
-              WHERE email = '' AND phone = $1
-              ORDER BY created_at DESC
-              LIMIT 1
-            `;
-            const findRes = await query(findEmptyEmailQuery, [phone]);
-            if (findRes.rows.length > 0) {
-              // Found user with empty email - update subject
-              const updateSubjectQuery = `
-                UPDATE users
-                SET subject = $1, updated_at = NOW()
-                WHERE id = $2
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateSubjectQuery, [finalSubject, findRes.rows[0].id]);
-              user = updateRes.rows[0];
-              console.log('✅ Found user with empty email and updated subject');
-            } else {
-              // User with empty email exists but for different phone
-              // Update the existing user's phone and subject to match
-              console.log('⚠️  User with empty email exists for different phone, updating...');
-              const updateUserQuery = `
-                UPDATE users
-                SET phone = $1, subject = $2, updated_at = NOW()
-                WHERE email = ''
-                RETURNING id, name, email, phone, subject, created_at
-              `;
-              const updateRes = await query(updateUserQuery, [phone, finalSubject]);
-              if (updateRes.rows.length > 0) {
-                user = updateRes.rows[0];
-                console.log('✅ Updated existing user with empty email to match phone+subject');
-              } else {
-                throw new Error('Failed to update user with empty email');
-              }
-            }
-          } else {
-            throw createError;
-          }
-        }
-      }
-    }
-
-    // Resolve session: use provided session_id or latest for user
-    let session;
-    if (providedSessionId) {
-      // Only accept provided session if it belongs to this user and subject
-      const sessRes = await query(
-        'SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at FROM sessions WHERE id = $1 AND user_id = $2 AND subject = $3',
-        [providedSessionId, user.id, finalSubject]
-      );
-      session = sessRes.rows[0] || null;
-    }
-    if (!session) {
-      // Strictly fetch the latest session for this user and this subject
-      const latestSessionQuery = `
-        SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at
-        FROM sessions
-        WHERE user_id = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const sres = await query(latestSessionQuery, [user.id, finalSubject]);
-      session = sres.rows[0] || null;
-    }
-
-    // If no session, create one via certified API then create session record
-    let certifiedSkillId;
-    let certifiedResponse = null;
-    if (!session) {
-      certifiedResponse = await certifiedApiService.createNewEntry(finalSubject);
-      if (certifiedResponse.result !== 'success') {
-        throw new Error(`Certified API error: ${certifiedResponse.message}`);
-      }
-      certifiedSkillId = certifiedResponse.data.id;
-      const certifiedToken = userService.generateCertifiedToken();
-      const tokenExpiration = userService.getTokenExpirationTime();
-      session = await userService.createSession(
-        user.id,
-        certifiedSkillId,
-        certifiedToken,
-        tokenExpiration,
-        finalSubject
-      );
-    } else {
-      certifiedSkillId = parseInt(session.certified_user_id);
-    }
-
-    // Prepare quiz info (will update below)
-    let quizInfo = {
-      total_questions: 0,
-      questions_generated: false,
-      question_types: { easy: 0, medium: 0, hard: 0 }
-    };
-
-    // Check if questions already exist for this session
-    // CRITICAL: question_added should only be true when exactly 10 questions are stored
-    const existingQuestions = await questionService.getQuestionsBySession(session.id);
-    let questionAdded = existingQuestions && existingQuestions.length === 10;
-    if (questionAdded) {
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: true,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    } else if (existingQuestions && existingQuestions.length > 0 && existingQuestions.length < 10) {
-      // Partial questions exist but not all 10 - set to false and continue polling
-      console.log(`⚠️  Only ${existingQuestions.length} questions found (need 10). question_added will be false.`);
-      quizInfo = {
-        total_questions: existingQuestions.length,
-        questions_generated: false,
-        question_types: { easy: 0, medium: 0, hard: 0 }
-      };
-    }
-
-    // If no questions, start background polling (non-blocking)
-    if (!questionAdded) {
-      console.log('🔄 Starting background polling for quiz generation...');
-      
-      // Start polling in background - don't await, let it run asynchronously
-      // This ensures API response returns immediately within timeout limit
-      (async () => {
-        const pollDelay = 3000; // 3 seconds between polls
-        const maxPollingTime = 90000; // 90 seconds maximum
-        const startTime = Date.now();
-        let attempt = 0;
-        let questionAddedInBackground = false;
-        let quizData;
-        
-        try {
-          while (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-            attempt++;
-            const elapsedTime = Math.round((Date.now() - startTime) / 1000);
-            
-            try {
-              console.log(`🔄 [Background] Polling generate API (attempt ${attempt}, ${elapsedTime}s elapsed) for session ${session.id}...`);
-              quizData = await generateQuizService.generateQuiz(certifiedSkillId);
-              
-              // Check if we have questions available in all three arrays
-              const questionnaire = quizData?.data?.quiz_question_answer?.questionaire || {};
-              const easyArr = Array.isArray(questionnaire.easy) ? questionnaire.easy : [];
-              const medArr = Array.isArray(questionnaire.medium) ? questionnaire.medium : [];
-              const hardArr = Array.isArray(questionnaire.hard) ? questionnaire.hard : [];
-              const totalQuestionsAvailable = easyArr.length + medArr.length + hardArr.length;
-              
-              console.log(`📊 [Background] Quiz data received - Status: ${quizData?.data?.quiz_status || 'unknown'}, Questions available: ${totalQuestionsAvailable} (Easy: ${easyArr.length}, Medium: ${medArr.length}, Hard: ${hardArr.length}) for session ${session.id}`);
-              
-              // Check if all three arrays have questions populated
-              const hasEasyQuestions = easyArr.length > 0;
-              const hasMediumQuestions = medArr.length > 0;
-              const hasHardQuestions = hardArr.length > 0;
-              const allArraysPopulated = hasEasyQuestions && hasMediumQuestions && hasHardQuestions;
-              
-              // If we have questions available, try to extract and store them
-              if (totalQuestionsAvailable > 0) {
-                if (allArraysPopulated) {
-                  console.log(`✅ [Background] All question arrays are populated! Extracting questions for session ${session.id}...`);
-                } else {
-                  console.log(`⚠️  [Background] Not all arrays populated yet (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}. Continuing to poll...`);
-                }
-                
-                // Only extract and store when all arrays are populated AND we have exactly 10 questions
-                // Keep polling until we have all 10 questions ready
-                if (allArraysPopulated) {
-                  try {
-                    const questions = generateQuizService.extractQuestionsCybersecurity(quizData);
-                    // CRITICAL: Only store in database if we have exactly 10 questions
-                    if (questions.length === 10) {
-                      console.log(`✅ [Background] Extracted exactly 10 questions, storing in database for session ${session.id}...`);
-                      await questionService.createQuestions(questions, session.id, user.id);
-                      questionAddedInBackground = true;
-                      
-                      // Track questions generated
-                      mixpanelService.trackQuizQuestionsGenerated({
-                        user_id: user.id,
-                        session_id: session.id,
-                        email: user.email || '',
-                        phone: user.phone,
-                        subject: subject,
-                        total_questions: questions.length,
-                        question_types: {
-                          easy: questions.filter(q => q.question_type === 'Easy').length,
-                          medium: questions.filter(q => q.question_type === 'Medium').length,
-                          hard: questions.filter(q => q.question_type === 'Hard').length
-                        }
-                      });
-                      
-                      console.log(`✅ [Background] Successfully stored all 10 questions for session ${session.id}!`);
-                      break; // Exit polling loop on success
-                    } else {
-                      console.log(`⏳ [Background] All arrays populated but only extracted ${questions.length} questions (need exactly 10). Continuing to poll for session ${session.id}...`);
-                      // Continue polling - don't store partial questions
-                    }
-                  } catch (extractError) {
-                    console.error(`❌ [Background] Error extracting questions for session ${session.id}:`, extractError.message);
-                    // Continue polling
-                  }
-                } else {
-                  console.log(`⏳ [Background] Waiting for all arrays to be populated (Easy: ${hasEasyQuestions}, Medium: ${hasMediumQuestions}, Hard: ${hasHardQuestions}) for session ${session.id}...`);
-                }
-              } else {
-                console.log(`⏳ [Background] No questions available yet for session ${session.id}, continuing to poll...`);
-              }
-              
-              // Wait before next poll (unless we're done)
-              if (!questionAddedInBackground && (Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-              
-            } catch (e) {
-              console.error(`❌ [Background] Quiz generation API error (attempt ${attempt}) for session ${session.id}:`, e.message);
-              // Wait before retrying even on error
-              if ((Date.now() - startTime) < maxPollingTime) {
-                await new Promise(resolve => setTimeout(resolve, pollDelay));
-              }
-            }
-          }
-          
-          if (!questionAddedInBackground) {
-            const totalElapsed = Math.round((Date.now() - startTime) / 1000);
-            console.warn(`⚠️  [Background] Polling timeout reached after ${totalElapsed}s for session ${session.id}. Questions may not be generated yet.`);
-            // Track generation failure due to timeout
-            mixpanelService.trackQuizQuestionsGenerationFailed({
-              user_id: user.id,
-              session_id: session.id,
-              email: user.email || '',
-              phone: user.phone,
-              subject: subject,
-              error_message: `Polling timeout after ${totalElapsed}s`
-            });
-          }
-        } catch (error) {
-          console.error(`❌ [Background] Fatal error in polling loop for session ${session.id}:`, error);
-          // Track fatal error
-          mixpanelService.trackQuizQuestionsGenerationFailed({
-            user_id: user.id,
-            session_id: session.id,
-            email: user.email || '',
-            phone: user.phone,
-            subject: subject,
-            error_message: error.message
-          });
-        }
-      })(); // Immediately invoke async function - runs in background
-      
-      // Note: We're not awaiting the background task, so response returns immediately
-      console.log('✅ Background polling started - API will return response immediately');
-    }
-
-    // Prepare quiz info and first question similar to start_quiz
-    const finalQuestions = await questionService.getQuestionsBySession(session.id);
-    // Ensure total reflects DB state; preserve type counts if already computed
-    quizInfo.total_questions = finalQuestions.length;
-    quizInfo.questions_generated = finalQuestions.length === 10; // Only true when exactly 10 questions
-    
-    // CRITICAL: Recalculate questionAdded based on final count - must be exactly 10
-    questionAdded = finalQuestions.length === 10;
-
-    let firstQuestion = null;
-    if (finalQuestions.length > 0) {
-      firstQuestion = finalQuestions[0];
-    }
-
-    // Determine message based on question status
-    let responseMessage = 'Quiz started successfully';
-    if (!questionAdded) {
-      if (finalQuestions.length === 0) {
-        responseMessage = 'Quiz started successfully. Questions are being generated in the background. Please check back in a few moments.';
-      } else if (finalQuestions.length < 10) {
-        responseMessage = `Quiz started successfully. ${finalQuestions.length} questions generated so far (need 10). Questions are being generated in the background. Please check back in a few moments.`;
-      }
-    }
-    
-    return res.status(201).json({
-      success: true,
-      message: responseMessage,
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          subject: user.subject,
-          created_at: user.created_at
-        },
-        certified_skill: {
-          id: certifiedSkillId,
-          subject_name: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.subject_name) ? certifiedResponse.data.subject_name : finalSubject,
-          quiz_status: (certifiedResponse && certifiedResponse.data && certifiedResponse.data.quiz_status) ? certifiedResponse.data.quiz_status : 'unknown',
-          is_paid: (certifiedResponse && certifiedResponse.data && typeof certifiedResponse.data.is_paid !== 'undefined') ? certifiedResponse.data.is_paid : false
-        },
-        session: {
-          id: session.id,
-          certified_token: session.certified_token,
-          token_expiration: session.certified_token_expires_at
-        },
-        quiz: quizInfo,
-        first_question: firstQuestion ? {
-          question_id: firstQuestion.id,
-          question: firstQuestion.question,
-          code_snippet_imageLink: firstQuestion.code_snippet_imageLink || null,
-          has_code_image: !!(firstQuestion.code_snippet_imageLink && firstQuestion.code_snippet_imageLink.trim() !== '')
-        } : null,
-        question_added: questionAdded
-      }
-    });
-  } catch (error) {
-    console.error('Error in start_quiz_clone_v4_cybersecurity endpoint:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-});
+router.post('/start_quiz_clone_v4_cybersecurity', verifySignature, idempotent('start_quiz_clone_v4_cybersecurity'), rateLimit('start'), validateStartQuizCloneV3, handleQuizStart(quizStartVariants.start_quiz_clone_v4_cybersecurity));
 
 // Validation middleware for save answer
+const QUESTION_ACTIONS = ['answer', 'skip', 'review_later'];
+
 const validateSaveAnswer = [
   body('question_id').isUUID().withMessage('question_id must be a valid UUID'),
-  body('answer').isString().isLength({ min: 1, max: 1 }).withMessage('answer must be a single character (a, b, c, or d)'),
+  body('action').optional().isIn(QUESTION_ACTIONS).withMessage(`action must be one of: ${QUESTION_ACTIONS.join(', ')}`),
+  body('answer')
+    .if((value, { req }) => !req.body.action || req.body.action === 'answer')
+    .isString().isLength({ min: 1, max: 500 }).withMessage('answer must be a non-empty string (a, b, c, d or the option text)'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -2527,8 +879,8 @@ const validateSaveAnswer = [
 
 const validateQuizResponse = [
   body('name').isString().isLength({ min: 1 }).withMessage('name is required'),
-  body('email').isEmail().withMessage('email must be a valid email address'),
-  body('phone').isString().isLength({ min: 10 }).withMessage('phone must be at least 10 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('email must be a valid email address'),
+  body('phone').custom(isValidPhone).withMessage('phone must be a valid phone number').customSanitizer(normalizePhone),
   body('certified_user_skill_id').isInt().withMessage('certified_user_skill_id must be an integer'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -2548,8 +900,11 @@ const validateQuizResponse = [
  * /api/save_answer:
  *   post:
  *     summary: Save answer and get next question
- *     description: Saves the answer for a question and returns the next question in sequence. If it's the last question, returns completion status.
+ *     description: Saves the answer for a question and returns the first question still unanswered. If every question is answered, returns completion status.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
  *     requestBody:
  *       required: true
  *       content:
@@ -2558,24 +913,36 @@ const validateQuizResponse = [
  *             type: object
  *             required:
  *               - question_id
- *               - answer
  *             properties:
  *               question_id:
  *                 type: string
  *                 format: uuid
  *                 description: ID of the question being answered
  *                 example: "123e4567-e89b-12d3-a456-426614174000"
+ *               action:
+ *                 type: string
+ *                 enum: [answer, skip, review_later]
+ *                 default: answer
+ *                 description: |
+ *                   answer saves the reply in `answer` (required for this action). skip and review_later move on without
+ *                   answering; those questions are served again (is_revisit true) after the last question, before completion.
  *               answer:
  *                 type: string
- *                 enum: [a, b, c, d]
- *                 description: The answer choice (a, b, c, or d)
- *                 example: "a"
+ *                 description: |
+ *                   The reply as received. Normalized to a, b, c or d before saving; accepts "a", "A)", "b.",
+ *                   "Option B", 1-4, emoji such as 🅰️ or 1️⃣, and the option text itself. The raw reply is stored for audit.
+ *                 example: "Option B"
  *           examples:
  *             valid_answer:
  *               summary: Valid answer submission
  *               value:
  *                 question_id: "123e4567-e89b-12d3-a456-426614174000"
  *                 answer: "a"
+ *             skip:
+ *               summary: Skip the question and come back to it later
+ *               value:
+ *                 question_id: "123e4567-e89b-12d3-a456-426614174000"
+ *                 action: "skip"
  *     responses:
  *       200:
  *         description: Answer saved successfully
@@ -2629,6 +996,16 @@ const validateQuizResponse = [
  *                       type: boolean
  *                       description: True if code_snippet_imageLink has a non-empty value
  *                       example: true
+ *                     time_limit_seconds:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Per-question time limit from the quiz blueprint (null when unlimited)
+ *                     is_revisit:
+ *                       type: boolean
+ *                       description: True when the next question is a skipped / review_later question served again
+ *                     time_limit_reached:
+ *                       type: boolean
+ *                       description: Only on completion - true when the quiz time limit ended the quiz
  *             examples:
  *               next_question:
  *                 summary: Next question available
@@ -2674,7 +1051,39 @@ const validateQuizResponse = [
  *                     current_question_no: 10
  *                     total_questions: 10
  *       400:
- *         $ref: '#/components/responses/BadRequest'
+ *         description: Validation failed, or the reply could not be mapped to an option
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: "Unrecognized answer"
+ *               data:
+ *                 question_id: "123e4567-e89b-12d3-a456-426614174000"
+ *                 question_no: 3
+ *                 raw_answer: "maybe"
+ *                 reprompt: "Sorry, we couldn't understand that answer. Please reply with A, B, C or D."
+ *       409:
+ *         description: |
+ *           The answering policy rejected the answer (already answered, out of order, timed out, or quiz already submitted).
+ *           expected_question is the question the bot should be showing (null when every question is answered).
+ *           The policy comes from the quiz blueprint's answering_policy, else the ANSWERING_POLICY env var
+ *           (unrestricted, lock_after_answer, allow_change_until_submit or strict_sequential; default unrestricted,
+ *           which never rejects an answer for ordering or changes).
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: "Question 3 has already been answered"
+ *               data:
+ *                 reason: "already_answered"
+ *                 policy: "strict_sequential"
+ *                 question_id: "123e4567-e89b-12d3-a456-426614174000"
+ *                 question_no: 3
+ *                 status: "pending"
+ *                 expected_question:
+ *                   question_id: "123e4567-e89b-12d3-a456-426614174004"
+ *                   question_no: 4
+ *                   question: "*Question 4 / 15* ..."
  *       404:
  *         description: Question or session not found
  *         content:
@@ -2686,16 +1095,20 @@ const validateQuizResponse = [
  *               message: "Question not found or session mismatch"
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/save_answer', validateSaveAnswer, async (req, res) => {
+router.post('/save_answer', verifySignature, rateLimit('answer', { resolvePhone: resolveAnswerPhone }), validateSaveAnswer, async (req, res) => {
   try {
-    const { question_id, answer } = req.body;
+    const { question_id, answer: rawAnswer, action = 'answer' } = req.body;
     
-    console.log(`📝 Saving answer for question ${question_id}: ${answer}`);
+    console.log(`📝 Saving ${action} for question ${question_id}: ${JSON.stringify(rawAnswer)}`);
     
-    // First, get the session_id from the question
+    // First, get the session_id (and options, for matching replies that repeat the option text) from the question
     const questionQuery = `
-      SELECT session_id, question_no FROM questions WHERE id = $1
+      SELECT session_id, question_no, question, options FROM questions WHERE id = $1
     `;
     const questionResult = await query(questionQuery, [question_id]);
     
@@ -2715,9 +1128,55 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
     const session_id = questionResult.rows[0].session_id;
     const question_no = questionResult.rows[0].question_no;
     console.log(`📝 Found session_id: ${session_id} for question: ${question_id}`);
+
+    if (action !== 'answer') {
+      const skipResult = await questionService.skipQuestionAndGetNext(question_id, session_id, action);
+
+      mixpanelService.trackQuestionSkipped({
+        question_id,
+        session_id,
+        question_number: question_no,
+        action
+      });
+      if (skipResult.status === 'pending' && skipResult.question_id) {
+        mixpanelService.trackNextQuestionRetrieved({
+          question_id: skipResult.question_id,
+          session_id,
+          question_number: skipResult.question_no || 0,
+          total_questions: skipResult.total_questions || 0
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: action === 'skip' ? 'Question skipped' : 'Question flagged for review',
+        data: skipResult
+      });
+    }
+
+    const answer = normalizeAnswer(rawAnswer, questionService.getOptions(questionResult.rows[0]));
+    if (!answer) {
+      console.log(`⚠️  Unrecognized answer for question ${question_id}: ${JSON.stringify(rawAnswer)}`);
+      mixpanelService.trackQuizError({
+        endpoint: 'save_answer',
+        error_message: 'Unrecognized answer',
+        question_id,
+        raw_answer: rawAnswer
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Unrecognized answer',
+        data: {
+          question_id,
+          question_no,
+          raw_answer: rawAnswer,
+          reprompt: REPROMPT_MESSAGE
+        }
+      });
+    }
     
     // Save answer and get next question
-    const result = await questionService.saveAnswerAndGetNext(question_id, answer, session_id);
+    const result = await questionService.saveAnswerAndGetNext(question_id, answer, session_id, rawAnswer);
     
     // Track answer saved
     mixpanelService.trackAnswerSaved({
@@ -2725,6 +1184,7 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
       session_id,
       question_number: question_no,
       answer,
+      raw_answer: rawAnswer,
       total_questions: result.total_questions || 0
     });
 
@@ -2745,6 +1205,17 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof HttpError) {
+      console.log(`⚠️  save_answer rejected for question ${req.body?.question_id}: ${error.body.message}`);
+      mixpanelService.trackQuizError({
+        endpoint: 'save_answer',
+        error_message: error.body.message,
+        question_id: req.body?.question_id,
+        reason: error.body.data && error.body.data.reason
+      });
+      return res.status(error.statusCode).json(error.body);
+    }
+
     console.error('Error in save_answer endpoint:', error);
     
     // Track error
@@ -2765,11 +1236,35 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
       success: false,
       message: 'Internal server error',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QueuedSubmission:
+ *       type: object
+ *       properties:
+ *         result:
+ *           type: string
+ *           example: "queued"
+ *         message:
+ *           type: string
+ *           example: "Quiz submission queued"
+ *         job_id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           example: "queued"
+ *         status_url:
+ *           type: string
+ *           example: "/api/jobs/3f2b9f62-5f29-4b55-9a6e-1fcb7d067b1f"
+ */
+
 /**
  * @swagger
  * /api/submit_quiz_response:
@@ -2777,6 +1272,8 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
  *     summary: Submit quiz response and update certified token
  *     description: Submits quiz response data and updates the certified token in the session
  *     tags: [Quiz]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -2785,7 +1282,6 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
  *             type: object
  *             required:
  *               - name
- *               - email
  *               - phone
  *               - certified_user_skill_id
  *             properties:
@@ -2796,16 +1292,24 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
  *               email:
  *                 type: string
  *                 format: email
- *                 description: User's email address
+ *                 description: User's email address (optional; only used to pick between users sharing the phone)
  *                 example: "john.doe@example.com"
  *               phone:
  *                 type: string
- *                 description: User's phone number (will be prefixed with +)
- *                 example: "1234567890"
+ *                 description: User's phone number; the user is looked up by it (normalized to E.164)
+ *                 example: "919876543210"
  *               certified_user_skill_id:
  *                 type: integer
  *                 description: Certified user skill ID
  *                 example: 1771031
+ *               async:
+ *                 type: boolean
+ *                 description: Queue the submission and return 202 with a job_id instead of waiting for the upstream calls
+ *                 example: true
+ *               callback_url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Receives a POST with { job_id, type, status, result, error } when the job finishes (implies async). The host must be listed in JOB_CALLBACK_ALLOWED_HOSTS and must not be a private or loopback address
  *     responses:
  *       200:
  *         description: Quiz response submitted successfully
@@ -2847,6 +1351,12 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
  *                           type: boolean
  *                     quiz_attempt:
  *                       type: object
+ *       202:
+ *         description: Submission queued (async or callback_url sent, or ASYNC_SUBMISSIONS on); poll /api/jobs/{job_id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedSubmission'
  *       400:
  *         description: Validation error or bad request
  *         content:
@@ -2893,8 +1403,14 @@ router.post('/save_answer', validateSaveAnswer, async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: "Continue API request failed"
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
+router.post('/submit_quiz_response', idempotent('submit_quiz_response'), rateLimit('submit'), validateQuizResponse, async (req, res) => {
   try {
     const { name, email, phone, certified_user_skill_id } = req.body;
     
@@ -2908,8 +1424,15 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
       endpoint: 'submit_quiz_response'
     });
     
+    if (wantsAsyncSubmission(req)) {
+      return await enqueueSubmission(req, res, {
+        endpoint: 'submit_quiz_response',
+        userData: { name, email, phone, certified_user_skill_id }
+      });
+    }
+    
     // Use shared function for quiz response submission
-    const result = await handleQuizResponseSubmission({
+    const result = await quizSubmissionService.submit({
       name, email, phone, certified_user_skill_id
     });
     
@@ -2938,7 +1461,7 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
       result: "failed",
       message: 'Internal server error',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -2950,6 +1473,11 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *     summary: Automatically submit quiz response using phone and subject
  *     description: Automatically triggers quiz submission using phone and subject to find the session. Fetches user and session data from database automatically.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyOrSession'
  *     requestBody:
  *       required: true
  *       content:
@@ -2968,6 +1496,14 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *                 type: string
  *                 description: Subject/course name to find the session
  *                 example: "Java"
+ *               async:
+ *                 type: boolean
+ *                 description: Queue the submission and return 202 with a job_id instead of waiting for the upstream calls
+ *                 example: true
+ *               callback_url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Receives a POST with { job_id, type, status, result, error } when the job finishes (implies async). The host must be listed in JOB_CALLBACK_ALLOWED_HOSTS and must not be a private or loopback address
  *     responses:
  *       200:
  *         description: Quiz auto-submitted successfully - Returns same response as /api/submit_quiz_response
@@ -2980,7 +1516,7 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *                   type: string
  *                   enum: ["true_high_100", "true_high_90", "true_high_80", "true_high_70", "true_pass", "true_low"]
  *                   example: "true_high_80"
- *                   description: "true_high_100 (score 100), true_high_90 (score 90), true_high_80 (score 80), true_high_70 (score 70), true_pass (score 50-60), true_low (score 0-40)"
+ *                   description: "Score band from the session blueprint. Default bands: true_high_100 (score 100), true_high_90 (90-99), true_high_80 (80-89), true_high_70 (70-79), true_pass (50-69), true_low (0-49)"
  *                 message:
  *                   type: string
  *                   example: "Quiz response submitted successfully"
@@ -3023,6 +1559,10 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *                           type: integer
  *                           description: Quiz score out of 100
  *                           example: 80
+ *                         score_band:
+ *                           type: string
+ *                           description: Score band from the session blueprint's scoring config
+ *                           example: true_high_80
  *                         correct_answers:
  *                           type: integer
  *                           description: Number of correct answers
@@ -3039,6 +1579,12 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *                       type: integer
  *                       description: Quiz score out of 100 (direct access)
  *                       example: 80
+ *       202:
+ *         description: Submission queued (async or callback_url sent, or ASYNC_SUBMISSIONS on); poll /api/jobs/{job_id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedSubmission'
  *       400:
  *         description: Validation error or bad request
  *         content:
@@ -3078,26 +1624,43 @@ router.post('/submit_quiz_response', validateQuizResponse, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Internal server error"
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/auto_submit_quiz', async (req, res) => {
+router.post('/auto_submit_quiz', verifySignature, idempotent('auto_submit_quiz', { deriveKey: deriveSessionKey }), rateLimit('submit'), async (req, res) => {
   try {
-    const { phone, subject } = req.body;
+    const { subject } = req.body;
     
-    if (!phone || !subject) {
+    if (!req.body.phone || !subject) {
       return res.status(400).json({
         result: "failed",
         message: "Phone and subject are required"
       });
     }
     
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        result: "failed",
+        message: "Please provide a valid phone number"
+      });
+    }
+    
     console.log('🤖 Auto-submitting quiz for phone:', phone, 'subject:', subject);
     
-    // Get session and user data from database using phone and subject
+    // Latest session of the phone's enrollment in this subject
     const sessionQuery = `
-      SELECT s.*, u.name, u.email, u.phone, u.subject
+      SELECT s.*, u.name, u.email, u.phone, e.subject
       FROM sessions s
-      JOIN users u ON s.user_id = u.id
-      WHERE u.phone = $1 AND u.subject = $2
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      JOIN users u ON e.user_id = u.id
+      WHERE u.phone = $1 AND e.subject = $2
       ORDER BY s.created_at DESC
       LIMIT 1
     `;
@@ -3122,10 +1685,14 @@ router.post('/auto_submit_quiz', async (req, res) => {
     
     // Prepare user data for quiz response service
     const userData = {
+      // The session's user, so the submission never depends on the (optional) email
+      user_id: sessionData.user_id,
       name: sessionData.name,
       email: sessionData.email,
-      phone: sessionData.phone.startsWith('+') ? sessionData.phone : `+${sessionData.phone}`,
-      certified_user_skill_id: sessionData.certified_user_id
+      phone: normalizePhone(sessionData.phone) || sessionData.phone,
+      certified_user_skill_id: sessionData.certified_user_id,
+      // Submit this subject's session, not whichever one the user started last
+      session_id: sessionData.id
     };
     
     console.log('📤 Auto-submitting with user data:', userData);
@@ -3141,8 +1708,12 @@ router.post('/auto_submit_quiz', async (req, res) => {
       endpoint: 'auto_submit_quiz'
     });
     
+    if (wantsAsyncSubmission(req)) {
+      return await enqueueSubmission(req, res, { endpoint: 'auto_submit_quiz', userData, sessionData: { id: sessionData.id } });
+    }
+    
     // Use shared function for quiz response submission (encapsulates /api/submit_quiz_response logic)
-    const result = await handleQuizResponseSubmission(userData);
+    const result = await quizSubmissionService.submit(userData);
     
     // Return the exact same response as /api/submit_quiz_response
     res.status(200).json(result);
@@ -3169,7 +1740,7 @@ router.post('/auto_submit_quiz', async (req, res) => {
       result: "failed",
       message: 'Internal server error',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -3181,6 +1752,11 @@ router.post('/auto_submit_quiz', async (req, res) => {
  *     summary: Automatically submit quiz response using phone and subject (v2 with email update option)
  *     description: Same as /api/auto_submit_quiz but with optional email and type parameters. If type is 1, updates user email before submission. If type is 2, proceeds with normal flow.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyOrSession'
  *     requestBody:
  *       required: true
  *       content:
@@ -3209,6 +1785,14 @@ router.post('/auto_submit_quiz', async (req, res) => {
  *                 enum: ["1", "2"]
  *                 description: Type "1" = update user email before submission, Type "2" = normal flow (no email update)
  *                 example: "1"
+ *               async:
+ *                 type: boolean
+ *                 description: Queue the submission and return 202 with a job_id instead of waiting for the upstream calls
+ *                 example: true
+ *               callback_url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Receives a POST with { job_id, type, status, result, error } when the job finishes (implies async). The host must be listed in JOB_CALLBACK_ALLOWED_HOSTS and must not be a private or loopback address
  *           examples:
  *             with_email_update:
  *               summary: Update email before submission (type "1")
@@ -3235,7 +1819,7 @@ router.post('/auto_submit_quiz', async (req, res) => {
  *                   type: string
  *                   enum: ["true_high_100", "true_high_90", "true_high_80", "true_high_70", "true_pass", "true_low"]
  *                   example: "true_high_80"
- *                   description: "true_high_100 (score 100), true_high_90 (score 90), true_high_80 (score 80), true_high_70 (score 70), true_pass (score 50-60), true_low (score 0-40)"
+ *                   description: "Score band from the session blueprint. Default bands: true_high_100 (score 100), true_high_90 (90-99), true_high_80 (80-89), true_high_70 (70-79), true_pass (50-69), true_low (0-49)"
  *                 message:
  *                   type: string
  *                   example: "Quiz response submitted successfully"
@@ -3272,24 +1856,46 @@ router.post('/auto_submit_quiz', async (req, res) => {
  *                       type: object
  *                     score:
  *                       type: integer
+ *       202:
+ *         description: Submission queued (async or callback_url sent, or ASYNC_SUBMISSIONS on); poll /api/jobs/{job_id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedSubmission'
  *       400:
  *         description: Validation error or bad request
  *       404:
  *         description: Session not found
  *       500:
  *         description: Internal server error
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         description: A request with the same idempotency key is still running (retry after Retry-After seconds), or with type "1" the email is already registered to another user
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/auto_submit_quiz_v2', async (req, res) => {
+router.post('/auto_submit_quiz_v2', verifySignature, idempotent('auto_submit_quiz_v2', { deriveKey: deriveSessionKey }), rateLimit('submit'), async (req, res) => {
   try {
-    const { phone, subject, email, type } = req.body;
+    const { subject, email, type } = req.body;
     
-    if (!phone || !subject) {
+    if (!req.body.phone || !subject) {
       return res.status(400).json({
         result: "failed",
         message: "Phone and subject are required"
       });
     }
     
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        result: "failed",
+        message: "Please provide a valid phone number"
+      });
+    }
+    
     // Validate type if provided (accept string "1" or "2")
     if (type !== undefined && type !== "1" && type !== "2" && type !== 1 && type !== 2) {
       return res.status(400).json({
@@ -3322,12 +1928,13 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
     
     console.log('🤖 Auto-submitting quiz v2 for phone:', phone, 'subject:', subject, 'type:', type);
     
-    // Get session and user data from database using phone and subject
+    // Latest session of the phone's enrollment in this subject
     const sessionQuery = `
-      SELECT s.*, u.id as user_id, u.name, u.email, u.phone, u.subject
+      SELECT s.*, u.id as user_id, u.name, u.email, u.phone, e.subject
       FROM sessions s
-      JOIN users u ON s.user_id = u.id
-      WHERE u.phone = $1 AND u.subject = $2
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      JOIN users u ON e.user_id = u.id
+      WHERE u.phone = $1 AND e.subject = $2
       ORDER BY s.created_at DESC
       LIMIT 1
     `;
@@ -3335,17 +1942,10 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
     const sessionResult = await query(sessionQuery, [phone, subject]);
     
     if (sessionResult.rows.length === 0) {
-      // Debug: Check if user exists but has no session
-      const userCheckQuery = `
-        SELECT id, name, email, phone, subject, created_at
-        FROM users
-        WHERE phone = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const userCheckResult = await query(userCheckQuery, [phone, subject]);
+      // Debug: Check if user is enrolled but has no session
+      const enrolledUser = await userService.findUserByPhoneAndSubject(phone, subject);
       
-      if (userCheckResult.rows.length === 0) {
+      if (!enrolledUser) {
         console.log('❌ No user found for phone:', phone, 'subject:', subject);
         return res.status(404).json({
           result: "failed",
@@ -3375,16 +1975,9 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
     if (typeStr === "1" && email) {
       console.log('📧 Updating user email from', sessionData.email, 'to', email);
       
-      const updateEmailQuery = `
-        UPDATE users 
-        SET email = $1, updated_at = NOW()
-        WHERE id = $2
-        RETURNING id, name, email, phone, subject, created_at
-      `;
+      const updatedUser = await userService.updateEmail(sessionData.user_id, email);
       
-      const updateResult = await query(updateEmailQuery, [email, sessionData.user_id]);
-      
-      if (updateResult.rows.length === 0) {
+      if (!updatedUser) {
         return res.status(404).json({
           result: "failed",
           message: "User not found for email update"
@@ -3392,16 +1985,20 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
       }
       
       // Update sessionData with new email
-      sessionData.email = email;
+      sessionData.email = updatedUser.email;
       console.log('✅ User email updated successfully');
     }
     
     // Prepare user data for quiz response service
     const userData = {
+      // The session's user, so the submission never depends on the (optional) email
+      user_id: sessionData.user_id,
       name: sessionData.name,
       email: sessionData.email,
-      phone: sessionData.phone.startsWith('+') ? sessionData.phone : `+${sessionData.phone}`,
-      certified_user_skill_id: sessionData.certified_user_id
+      phone: normalizePhone(sessionData.phone) || sessionData.phone,
+      certified_user_skill_id: sessionData.certified_user_id,
+      // Submit this subject's session, not whichever one the user started last
+      session_id: sessionData.id
     };
     
     console.log('📤 Auto-submitting with user data:', userData);
@@ -3420,8 +2017,12 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
       email_updated: typeStr === "1"
     });
     
+    if (wantsAsyncSubmission(req)) {
+      return await enqueueSubmission(req, res, { endpoint: 'auto_submit_quiz_v2', userData, sessionData: { id: sessionData.id } });
+    }
+    
     // Use shared function for quiz response submission (encapsulates /api/submit_quiz_response logic)
-    const result = await handleQuizResponseSubmission(userData);
+    const result = await quizSubmissionService.submit(userData);
     
     // Return the exact same response as /api/submit_quiz_response
     res.status(200).json(result);
@@ -3439,6 +2040,11 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
       endpoint: 'auto_submit_quiz_v2'
     });
     
+    // e.g. the type "1" email belongs to another user
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json(error.body);
+    }
+    
     if (error.message.includes('not found')) {
       return res.status(404).json({
         result: "failed",
@@ -3450,7 +2056,7 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
       result: "failed",
       message: 'Internal server error',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -3462,6 +2068,11 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *     summary: Automatically submit quiz response using phone and subject (v3 with existing token)
  *     description: Same as /api/auto_submit_quiz_v2 but uses existing certified_token from sessions table instead of calling Continue API. Create V2 Test API is not called.
  *     tags: [Quiz]
+ *     security:
+ *       - {}
+ *       - RequestSignature: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKeyOrSession'
  *     requestBody:
  *       required: true
  *       content:
@@ -3490,6 +2101,14 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *                 enum: ["1", "2"]
  *                 description: Type "1" = update user email before submission, Type "2" = normal flow (no email update)
  *                 example: "1"
+ *               async:
+ *                 type: boolean
+ *                 description: Queue the submission and return 202 with a job_id instead of waiting for the upstream calls
+ *                 example: true
+ *               callback_url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Receives a POST with { job_id, type, status, result, error } when the job finishes (implies async). The host must be listed in JOB_CALLBACK_ALLOWED_HOSTS and must not be a private or loopback address
  *           examples:
  *             with_email_update:
  *               summary: Update email before submission (type "1")
@@ -3516,7 +2135,7 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *                   type: string
  *                   enum: ["true_high_100", "true_high_90", "true_high_80", "true_high_70", "true_pass", "true_low"]
  *                   example: "true_high_80"
- *                   description: "true_high_100 (score 100), true_high_90 (score 90), true_high_80 (score 80), true_high_70 (score 70), true_pass (score 50-60), true_low (score 0-40)"
+ *                   description: "Score band from the session blueprint. Default bands: true_high_100 (score 100), true_high_90 (90-99), true_high_80 (80-89), true_high_70 (70-79), true_pass (50-69), true_low (0-49)"
  *                 message:
  *                   type: string
  *                   example: "Quiz response submitted successfully"
@@ -3560,6 +2179,10 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *                           type: integer
  *                           description: Quiz score out of 100
  *                           example: 80
+ *                         score_band:
+ *                           type: string
+ *                           description: Score band from the session blueprint's scoring config
+ *                           example: true_high_80
  *                         correct_answers:
  *                           type: integer
  *                           description: Number of correct answers
@@ -3576,6 +2199,12 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *                       type: integer
  *                       description: Quiz score out of 100 (direct access)
  *                       example: 80
+ *       202:
+ *         description: Submission queued (async or callback_url sent, or ASYNC_SUBMISSIONS on); poll /api/jobs/{job_id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueuedSubmission'
  *       400:
  *         description: Validation error, bad request, or missing certified_token
  *         content:
@@ -3615,18 +2244,34 @@ router.post('/auto_submit_quiz_v2', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Internal server error"
+ *       401:
+ *         description: Missing, stale, replayed or invalid request signature (when REQUEST_SIGNING is enabled)
+ *       409:
+ *         description: A request with the same idempotency key is still running (retry after Retry-After seconds), or with type "1" the email is already registered to another user
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/auto_submit_quiz_v3', async (req, res) => {
+router.post('/auto_submit_quiz_v3', verifySignature, idempotent('auto_submit_quiz_v3', { deriveKey: deriveSessionKey }), rateLimit('submit'), async (req, res) => {
   try {
-    const { phone, subject, email, type } = req.body;
+    const { subject, email, type } = req.body;
     
-    if (!phone || !subject) {
+    if (!req.body.phone || !subject) {
       return res.status(400).json({
         result: "failed",
         message: "Phone and subject are required"
       });
     }
     
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({
+        result: "failed",
+        message: "Please provide a valid phone number"
+      });
+    }
+    
     // Validate type if provided (accept string "1" or "2")
     if (type !== undefined && type !== "1" && type !== "2" && type !== 1 && type !== 2) {
       return res.status(400).json({
@@ -3659,12 +2304,13 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
     
     console.log('🤖 Auto-submitting quiz v3 for phone:', phone, 'subject:', subject, 'type:', type);
     
-    // Get session and user data from database using phone and subject, including certified_token
+    // Latest session of the phone's enrollment in this subject, including certified_token
     const sessionQuery = `
-      SELECT s.*, u.id as user_id, u.name, u.email, u.phone, u.subject, s.certified_token
+      SELECT s.*, u.id as user_id, u.name, u.email, u.phone, e.subject, s.certified_token
       FROM sessions s
-      JOIN users u ON s.user_id = u.id
-      WHERE u.phone = $1 AND u.subject = $2
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      JOIN users u ON e.user_id = u.id
+      WHERE u.phone = $1 AND e.subject = $2
       ORDER BY s.created_at DESC
       LIMIT 1
     `;
@@ -3672,17 +2318,10 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
     const sessionResult = await query(sessionQuery, [phone, subject]);
     
     if (sessionResult.rows.length === 0) {
-      // Debug: Check if user exists but has no session
-      const userCheckQuery = `
-        SELECT id, name, email, phone, subject, created_at
-        FROM users
-        WHERE phone = $1 AND subject = $2
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      const userCheckResult = await query(userCheckQuery, [phone, subject]);
+      // Debug: Check if user is enrolled but has no session
+      const enrolledUser = await userService.findUserByPhoneAndSubject(phone, subject);
       
-      if (userCheckResult.rows.length === 0) {
+      if (!enrolledUser) {
         console.log('❌ No user found for phone:', phone, 'subject:', subject);
         return res.status(404).json({
           result: "failed",
@@ -3713,16 +2352,9 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
     if (typeStr === "1" && email) {
       console.log('📧 Updating user email from', sessionData.email, 'to', email);
       
-      const updateEmailQuery = `
-        UPDATE users 
-        SET email = $1, updated_at = NOW()
-        WHERE id = $2
-        RETURNING id, name, email, phone, subject, created_at
-      `;
-      
-      const updateResult = await query(updateEmailQuery, [email, sessionData.user_id]);
+      const updatedUser = await userService.updateEmail(sessionData.user_id, email);
       
-      if (updateResult.rows.length === 0) {
+      if (!updatedUser) {
         return res.status(404).json({
           result: "failed",
           message: "User not found for email update"
@@ -3730,16 +2362,20 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
       }
       
       // Update sessionData with new email
-      sessionData.email = email;
+      sessionData.email = updatedUser.email;
       console.log('✅ User email updated successfully');
     }
     
     // Prepare user data for quiz response service
     const userData = {
+      // The session's user, so the submission never depends on the (optional) email
+      user_id: sessionData.user_id,
       name: sessionData.name,
       email: sessionData.email,
-      phone: sessionData.phone.startsWith('+') ? sessionData.phone : `+${sessionData.phone}`,
-      certified_user_skill_id: sessionData.certified_user_id
+      phone: normalizePhone(sessionData.phone) || sessionData.phone,
+      certified_user_skill_id: sessionData.certified_user_id,
+      // Submit this subject's session, not whichever one the user started last
+      session_id: sessionData.id
     };
     
     console.log('📤 Auto-submitting with user data:', userData);
@@ -3758,101 +2394,22 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
       email_updated: typeStr === "1"
     });
     
-    // Call full quiz submission flow but skip Create V2 Test API
-    const result = await quizResponseService.submitQuizResponse(
-      userData,
-      { skipCreateV2Test: true }
-    );
-    
-    console.log('🔍 Raw service result:', JSON.stringify(result, null, 2));
-    
-    // Check if result has data and if it's not empty
-    if (!result.data || Object.keys(result.data).length === 0) {
-      console.error('❌ Service returned empty data object');
-      // Track submission failure
-      mixpanelService.trackQuizSubmissionFailed({
-        email: sessionData.email,
-        phone: sessionData.phone,
-        certified_user_skill_id: sessionData.certified_user_id,
-        error_message: 'Service returned empty data',
-        endpoint: 'auto_submit_quiz_v3'
+    if (wantsAsyncSubmission(req)) {
+      return await enqueueSubmission(req, res, {
+        endpoint: 'auto_submit_quiz_v3',
+        userData,
+        sessionData: {
+          id: sessionData.id,
+          email: sessionData.email,
+          phone: sessionData.phone,
+          certified_user_id: sessionData.certified_user_id,
+          created_at: sessionData.created_at
+        }
       });
-      throw new Error('Service returned empty data - check service logs');
-    }
-    
-    // Get the score to determine success level
-    const score = result.data.quiz_results?.score || 0;
-    // Categorize score per new rules:
-    // 100 => true_high_100, 90 => true_high_90, 80 => true_high_80, 70 => true_high_70
-    // 50-60 => true_pass, 0-40 => true_low
-    let successValue = 'true_low'; // Default fallback
-    if (score === 100) {
-      successValue = 'true_high_100';
-    } else if (score === 90) {
-      successValue = 'true_high_90';
-    } else if (score === 80) {
-      successValue = 'true_high_80';
-    } else if (score === 70) {
-      successValue = 'true_high_70';
-    } else if (score >= 50 && score <= 60) {
-      successValue = 'true_pass';
-    } else if (score >= 0 && score <= 40) {
-      successValue = 'true_low';
-    }
-    
-    // Track quiz scored
-    mixpanelService.trackQuizScored({
-      user_id: result.data.user?.id,
-      session_id: result.data.session?.id,
-      email: result.data.user?.email || sessionData.email,
-      phone: result.data.user?.phone || sessionData.phone,
-      score,
-      score_category: successValue,
-      correct_answers: result.data.quiz_results?.correct_answers || 0,
-      total_questions: result.data.quiz_results?.total_questions || 0,
-      certified_user_skill_id: sessionData.certified_user_id
-    });
-    
-    // Format response to match the exact structure (with certified_token, without token_updated)
-    // Convert created_at from UTC to IST
-    let createdAtIST = '';
-    if (sessionData.created_at) {
-      const utcDate = new Date(sessionData.created_at);
-      const istDate = toIST(utcDate);
-      // Format as YYYY-MM-DD HH:mm:ss IST
-      const year = istDate.getUTCFullYear();
-      const month = String(istDate.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(istDate.getUTCDate()).padStart(2, '0');
-      const hours = String(istDate.getUTCHours()).padStart(2, '0');
-      const minutes = String(istDate.getUTCMinutes()).padStart(2, '0');
-      const seconds = String(istDate.getUTCSeconds()).padStart(2, '0');
-      createdAtIST = `${year}-${month}-${day} ${hours}:${minutes}:${seconds} IST`;
     }
-    
-    const formattedResponse = {
-      success: successValue,
-      message: "Quiz response submitted successfully",
-      data: {
-        user: {
-          id: result.data.user.id,
-          name: result.data.user.name,
-          email: result.data.user.email,
-          phone: result.data.user.phone
-        },
-        session: {
-          id: result.data.session.id,
-          certified_skill_id: result.data.session.certified_user_id,
-          certified_token: result.data.session.certified_token,
-          order_id: result.data.session.order_id,
-          created_at: createdAtIST
-        },
-        quiz_attempt: result.data.quiz_attempt || {},
-        quiz_results: result.data.quiz_results || {},
-        score: score
-      }
-    };
-    
-    console.log('📤 Formatted response:', JSON.stringify(formattedResponse, null, 2));
+
+    // Call full quiz submission flow but skip Create V2 Test API
+    const formattedResponse = await quizSubmissionService.submitWithoutV2Test(userData, sessionData);
     
     // Return the formatted response
     res.status(200).json(formattedResponse);
@@ -3870,6 +2427,11 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
       endpoint: 'auto_submit_quiz_v3'
     });
     
+    // e.g. the type "1" email belongs to another user
+    if (error instanceof HttpError) {
+      return res.status(error.statusCode).json(error.body);
+    }
+    
     if (error.message.includes('not found')) {
       return res.status(404).json({
         result: "failed",
@@ -3881,7 +2443,7 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
       result: "failed",
       message: 'Internal server error',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -3891,8 +2453,10 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
  * /api/export_hr_management_data:
  *   get:
  *     summary: Export HR Management user data with questions
- *     description: Fetches all users with subject "HR Management", their sessions, and questions, then exports as CSV
+ *     description: Fetches all users with subject "HR Management", their sessions, and questions, then exports as CSV Requires an API key with role analyst or admin.
  *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: format
@@ -3920,8 +2484,12 @@ router.post('/auto_submit_quiz_v3', async (req, res) => {
  *                     type: object
  *       500:
  *         description: Internal server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/export_hr_management_data', async (req, res) => {
+router.get('/export_hr_management_data', requireRole('analyst', 'admin'), auditAccess('export_hr_management_data'), async (req, res) => {
   try {
     const format = req.query.format || 'csv';
     const subject = 'HR Management';
@@ -3946,10 +2514,11 @@ router.get('/export_hr_management_data', async (req, res) => {
           ) FILTER (WHERE q.id IS NOT NULL),
           '[]'::json
         ) as questions
-      FROM users u
-      INNER JOIN sessions s ON u.id = s.user_id AND s.subject = $1
+      FROM user_subjects e
+      INNER JOIN users u ON u.id = e.user_id
+      INNER JOIN sessions s ON s.enrollment_id = e.id
       LEFT JOIN questions q ON s.id = q.session_id
-      WHERE u.subject = $1
+      WHERE e.subject = $1
       GROUP BY u.id, u.phone, u.email, u.name, u.created_at, s.certified_user_id, s.id
       ORDER BY u.created_at DESC
     `;
@@ -3958,6 +2527,7 @@ router.get('/export_hr_management_data', async (req, res) => {
     const rows = result.rows;
 
     console.log(`✅ Found ${rows.length} users with ${subject} sessions`);
+    res.locals.auditDetails = { format, rows: rows.length };
 
     if (format === 'json') {
       // Return JSON format
@@ -4007,7 +2577,7 @@ router.get('/export_hr_management_data', async (req, res) => {
       success: false,
       message: 'Failed to export HR Management data',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -4017,8 +2587,10 @@ router.get('/export_hr_management_data', async (req, res) => {
  * /api/export_all_subject_data:
  *   get:
  *     summary: Export all user data with sessions and questions
- *     description: Fetches all users, their sessions, and associated questions, then exports as CSV or JSON
+ *     description: Fetches all users, their sessions, and associated questions, then exports as CSV or JSON Requires an API key with role analyst or admin.
  *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: format
@@ -4046,8 +2618,12 @@ router.get('/export_hr_management_data', async (req, res) => {
  *                     type: object
  *       500:
  *         description: Internal server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/export_all_subject_data', async (req, res) => {
+router.get('/export_all_subject_data', requireRole('analyst', 'admin'), auditAccess('export_all_subject_data'), async (req, res) => {
   try {
     const format = req.query.format || 'csv';
 
@@ -4058,7 +2634,7 @@ router.get('/export_all_subject_data', async (req, res) => {
         u.phone,
         u.email,
         u.name,
-        u.subject,
+        COALESCE(e.subject, s.subject) AS subject,
         u.created_at as user_created_at,
         s.certified_user_id as certified_skill_id,
         s.id as session_id,
@@ -4073,8 +2649,9 @@ router.get('/export_all_subject_data', async (req, res) => {
         ) as questions
       FROM users u
       INNER JOIN sessions s ON u.id = s.user_id
+      LEFT JOIN user_subjects e ON s.enrollment_id = e.id
       LEFT JOIN questions q ON s.id = q.session_id
-      GROUP BY u.id, u.phone, u.email, u.name, u.subject, u.created_at, s.certified_user_id, s.id
+      GROUP BY u.id, u.phone, u.email, u.name, e.subject, u.created_at, s.certified_user_id, s.id
       ORDER BY u.created_at DESC
     `;
 
@@ -4082,6 +2659,7 @@ router.get('/export_all_subject_data', async (req, res) => {
     const rows = result.rows;
 
     console.log(`✅ Found ${rows.length} users with sessions to export`);
+    res.locals.auditDetails = { format, rows: rows.length };
 
     if (format === 'json') {
       return res.status(200).json({
@@ -4128,18 +2706,91 @@ router.get('/export_all_subject_data', async (req, res) => {
       success: false,
       message: 'Failed to export all subject data',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/upstream-metrics:
+ *   get:
+ *     summary: Learntube API client metrics
+ *     description: Per-endpoint request, error, retry and latency counters for calls to certified-new.learntube.ai, plus the circuit breaker state. Counters are per server instance and reset on restart. Requires an API key with role analyst or admin.
+ *     tags: [System]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     base_url:
+ *                       type: string
+ *                     circuit:
+ *                       type: object
+ *                       properties:
+ *                         state:
+ *                           type: string
+ *                           enum: [closed, open, half_open]
+ *                         consecutive_failures:
+ *                           type: integer
+ *                         opened_at:
+ *                           type: string
+ *                           nullable: true
+ *                     endpoints:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           requests:
+ *                             type: integer
+ *                           errors:
+ *                             type: integer
+ *                           retries:
+ *                             type: integer
+ *                           circuit_rejections:
+ *                             type: integer
+ *                           avg_latency_ms:
+ *                             type: integer
+ *                           max_latency_ms:
+ *                             type: integer
+ *                           last_status:
+ *                             type: integer
+ *                             nullable: true
+ *                           last_error:
+ *                             type: string
+ *                             nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/upstream-metrics', requireRole('analyst', 'admin'), auditAccess('upstream-metrics'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Upstream metrics retrieved successfully',
+    data: learntubeClient.getMetrics()
+  });
+});
+
 /**
  * @swagger
  * /api/user-metrics:
  *   get:
  *     summary: Fetch aggregate user quiz metrics in a time window (IST)
- *     description: Returns counts for users created, started quiz, first question answered, five questions answered, quiz completion (10 questions or quiz flag), analysis generation, attempted count, and paid count within the specified IST epoch range.
+ *     description: Returns counts for users created, subject enrollments created, started quiz, first question answered, five questions answered, quiz completion (10 questions or quiz flag), analysis generation, attempted count, and paid count within the specified IST epoch range. The answered / completed / analysis counts are per enrollment created in the window (a user taking two subjects counts twice). Requires an API key with role analyst or admin.
  *     tags: [Analytics]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: start_date
@@ -4155,6 +2806,13 @@ router.get('/export_all_subject_data', async (req, res) => {
  *           example: 1763407800000
  *         required: true
  *         description: End of the reporting window in milliseconds since epoch (UTC).
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *           example: Six Sigma
+ *         required: false
+ *         description: Only count enrollments and sessions in this subject (users_created counts users enrolled in it).
  *     responses:
  *       200:
  *         description: Metrics calculated successfully
@@ -4162,10 +2820,14 @@ router.get('/export_all_subject_data', async (req, res) => {
  *         description: Missing or invalid parameters
  *       500:
  *         description: Internal server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/user-metrics', async (req, res) => {
+router.get('/user-metrics', requireRole('analyst', 'admin'), auditAccess('user-metrics'), async (req, res) => {
   try {
-    const { start_date: startDateParam, stop_date: stopDateParam } = req.query;
+    const { start_date: startDateParam, stop_date: stopDateParam, subject } = req.query;
 
     if (!startDateParam || !stopDateParam) {
       return res.status(400).json({
@@ -4206,43 +2868,55 @@ router.get('/user-metrics', async (req, res) => {
       endUTC: endDateUTC.toISOString()
     });
 
+    // The funnel counts enrollments (a user starting a subject), so a returning user's new subject counts again
     const metricsQuery = `
       WITH filtered_users AS (
+        SELECT u.id
+        FROM users u
+        WHERE u.created_at BETWEEN $1 AND $2
+          AND ($3::text IS NULL OR EXISTS (SELECT 1 FROM user_subjects e WHERE e.user_id = u.id AND e.subject = $3))
+      ),
+      filtered_enrollments AS (
         SELECT id
-        FROM users
+        FROM user_subjects
         WHERE created_at BETWEEN $1 AND $2
+          AND ($3::text IS NULL OR subject = $3)
       ),
       filtered_sessions AS (
-        SELECT id, user_id, attempted, paid, started_quiz
-        FROM sessions
-        WHERE created_at BETWEEN $1 AND $2
+        SELECT s.id, s.attempted, s.paid, s.started_quiz
+        FROM sessions s
+        LEFT JOIN user_subjects e ON s.enrollment_id = e.id
+        WHERE s.created_at BETWEEN $1 AND $2
+          AND ($3::text IS NULL OR e.subject = $3)
       ),
-      user_stats AS (
+      enrollment_stats AS (
         SELECT 
-          fu.id AS user_id,
+          fe.id AS enrollment_id,
           BOOL_OR(q.question_no = 1 AND q.answered IS TRUE) AS answered_first_question,
           COUNT(*) FILTER (WHERE q.answered IS TRUE) AS answered_count,
           BOOL_OR(s.quiz_completed IS TRUE) AS quiz_completed,
           BOOL_OR(s.quiz_analysis_generated IS TRUE) AS analysis_generated
-        FROM filtered_users fu
-        LEFT JOIN sessions s ON s.user_id = fu.id
+        FROM filtered_enrollments fe
+        LEFT JOIN sessions s ON s.enrollment_id = fe.id
         LEFT JOIN questions q ON q.session_id = s.id
-        GROUP BY fu.id
+        GROUP BY fe.id
       )
       SELECT
         (SELECT COUNT(*) FROM filtered_users) AS users_created,
+        (SELECT COUNT(*) FROM filtered_enrollments) AS enrollments_created,
         (SELECT COUNT(*) FROM filtered_sessions WHERE started_quiz = TRUE) AS started_quiz,
-        (SELECT COUNT(*) FROM user_stats WHERE answered_first_question) AS answered_first_question,
-        (SELECT COUNT(*) FROM user_stats WHERE answered_count >= 5) AS answered_five_questions,
-        (SELECT COUNT(*) FROM user_stats WHERE answered_count >= 10 OR quiz_completed) AS completed_quiz,
-        (SELECT COUNT(*) FROM user_stats WHERE analysis_generated) AS analysis_generated,
+        (SELECT COUNT(*) FROM enrollment_stats WHERE answered_first_question) AS answered_first_question,
+        (SELECT COUNT(*) FROM enrollment_stats WHERE answered_count >= 5) AS answered_five_questions,
+        (SELECT COUNT(*) FROM enrollment_stats WHERE answered_count >= 10 OR quiz_completed) AS completed_quiz,
+        (SELECT COUNT(*) FROM enrollment_stats WHERE analysis_generated) AS analysis_generated,
         (SELECT COUNT(*) FROM filtered_sessions WHERE attempted = TRUE) AS attempted_count,
         (SELECT COUNT(*) FROM filtered_sessions WHERE paid = TRUE) AS paid_count
     `;
 
     const metricsResult = await query(metricsQuery, [
       startDateUTC.toISOString(),
-      endDateUTC.toISOString()
+      endDateUTC.toISOString(),
+      subject || null
     ]);
 
     const metricsRow = metricsResult.rows[0] || {};
@@ -4254,6 +2928,7 @@ router.get('/user-metrics', async (req, res) => {
       success: true,
       metrics: {
         users_created: toNumber(metricsRow.users_created),
+        enrollments_created: toNumber(metricsRow.enrollments_created),
         started_quiz: toNumber(metricsRow.started_quiz),
         answered_first_question: toNumber(metricsRow.answered_first_question),
         answered_five_questions: toNumber(metricsRow.answered_five_questions),
@@ -4269,7 +2944,7 @@ router.get('/user-metrics', async (req, res) => {
       success: false,
       message: 'Failed to generate user metrics',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -4279,8 +2954,10 @@ router.get('/user-metrics', async (req, res) => {
  * /api/export-all-sessions:
  *   get:
  *     summary: Export all sessions with user details
- *     description: Fetches all sessions from the sessions table along with user details (name, phone, email) from the users table and exports as CSV
+ *     description: Fetches all sessions from the sessions table along with user details (name, phone, email) from the users table and exports as CSV Requires an API key with role admin.
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Sessions exported successfully as CSV
@@ -4297,8 +2974,12 @@ router.get('/user-metrics', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/export-all-sessions', async (req, res) => {
+router.get('/export-all-sessions', requireRole('admin'), auditAccess('export-all-sessions'), async (req, res) => {
   try {
     console.log('📊 Exporting all sessions with user details...');
 
@@ -4327,6 +3008,7 @@ router.get('/export-all-sessions', async (req, res) => {
     const rows = result.rows;
 
     console.log(`✅ Found ${rows.length} sessions to export`);
+    res.locals.auditDetails = { rows: rows.length };
 
     // Build CSV
     const csvRows = [];
@@ -4406,7 +3088,7 @@ router.get('/export-all-sessions', async (req, res) => {
       success: false,
       message: 'Failed to export sessions',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
@@ -4416,8 +3098,10 @@ router.get('/export-all-sessions', async (req, res) => {
  * /api/migrate-session-timestamps-to-ist:
  *   post:
  *     summary: Migrate session timestamps from UTC to IST
- *     description: Converts all session created_at, session_created, and certified_token_expires_at timestamps from UTC to IST (Indian Standard Time, UTC+5:30). This is a one-time migration endpoint.
+ *     description: Converts all session created_at, session_created, and certified_token_expires_at timestamps from UTC to IST (Indian Standard Time, UTC+5:30). This is a one-time migration endpoint. Requires an API key with role admin.
  *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: dry_run
@@ -4494,6 +3178,10 @@ router.get('/export-all-sessions', async (req, res) => {
  *                   example: "Migration failed"
  *                 error:
  *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Handle OPTIONS preflight for migration endpoint
 router.options('/migrate-session-timestamps-to-ist', (req, res) => {
@@ -4503,7 +3191,7 @@ router.options('/migrate-session-timestamps-to-ist', (req, res) => {
   res.status(200).end();
 });
 
-router.post('/migrate-session-timestamps-to-ist', async (req, res) => {
+router.post('/migrate-session-timestamps-to-ist', requireRole('admin'), auditAccess('migrate-session-timestamps-to-ist'), async (req, res) => {
   // Set CORS headers explicitly
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -4613,7 +3301,7 @@ router.post('/migrate-session-timestamps-to-ist', async (req, res) => {
       }
     };
     
-    if (errors.length > 0 && process.env.NODE_ENV === 'development') {
+    if (errors.length > 0 && config.server.isDevelopment) {
       response.data.errors = errors.slice(0, 10); // Limit errors in response
     }
     
@@ -4627,41 +3315,126 @@ router.post('/migrate-session-timestamps-to-ist', async (req, res) => {
       success: false,
       message: 'Migration failed',
       error: error.message,
-      ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+      ...(config.server.isDevelopment && { details: error.stack })
     });
   }
 });
 
+const sendCurrentQuestion = async (res, sessionId) => {
+  const current = await questionService.getCurrentQuestion(sessionId);
+  console.log(`📍 Session ${sessionId} current status: ${current.status}${current.question_no ? ` (question ${current.question_no})` : ''}`);
+  return res.status(200).json({
+    success: true,
+    message: 'Current question retrieved successfully',
+    data: current
+  });
+};
+
+const handleCurrentQuestionError = (res, error, context) => {
+  console.error('❌ Error fetching current question:', error);
+  mixpanelService.trackQuizError({
+    endpoint: 'session_current',
+    error_message: error.message,
+    ...context
+  });
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message,
+    ...(config.server.isDevelopment && { details: error.stack })
+  });
+};
+
 /**
  * @swagger
- * /api/session/flag:
- *   post:
- *     summary: Mark a session as attempted or paid
- *     description: Sets the requested boolean flag on the sessions table to true for the provided session_id.
- *     tags: [Admin]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - session_id
- *               - column
- *             properties:
- *               session_id:
- *                 type: string
- *                 format: uuid
- *                 description: Session ID to update.
- *                 example: "3f2b9f62-5f29-4b55-9a6e-1fcb7d067b1f"
- *               column:
- *                 type: string
- *                 enum: [attempted, paid]
- *                 description: Which flag should be marked true.
- *                 example: "attempted"
+ * components:
+ *   schemas:
+ *     CurrentQuestion:
+ *       type: object
+ *       properties:
+ *         session_id:
+ *           type: string
+ *           format: uuid
+ *         user_id:
+ *           type: string
+ *           format: uuid
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [generating, pending, complete, submitted]
+ *           description: generating = questions not stored yet, pending = question below is waiting for an answer, complete = nothing left to answer, submitted = quiz already submitted
+ *         quiz_submitted:
+ *           type: boolean
+ *         progress:
+ *           type: object
+ *           properties:
+ *             answered:
+ *               type: integer
+ *             timed_out:
+ *               type: integer
+ *             remaining:
+ *               type: integer
+ *             stored_questions:
+ *               type: integer
+ *             total_questions:
+ *               type: integer
+ *         question:
+ *           type: string
+ *           description: Rendered question text, exactly as save_answer returns it (empty unless pending)
+ *         question_id:
+ *           type: string
+ *           description: Empty unless pending
+ *         question_no:
+ *           type: integer
+ *         total_questions:
+ *           type: integer
+ *         scenario:
+ *           type: string
+ *           nullable: true
+ *         has_scenario:
+ *           type: boolean
+ *         code_snippet_imageLink:
+ *           type: string
+ *           nullable: true
+ *         has_code_image:
+ *           type: boolean
+ *         time_limit_seconds:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/session/current:
+ *   get:
+ *     summary: Current question for the latest session of a phone + subject
+ *     description: Looks up the user by phone and subject, takes their latest session for that subject and returns the same payload as /api/session/{id}/current. Requires an API key with role bot or admin.
+ *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: phone
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "919876543210"
+ *       - in: query
+ *         name: subject
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "Six Sigma"
  *     responses:
  *       200:
- *         description: Session flag updated successfully
+ *         description: Current question retrieved
  *         content:
  *           application/json:
  *             schema:
@@ -4671,31 +3444,25 @@ router.post('/migrate-session-timestamps-to-ist', async (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 session_id:
- *                   type: string
- *                 column:
- *                   type: string
- *                 value:
- *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CurrentQuestion'
  *       400:
- *         description: Invalid request payload
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Session not found
+ *         description: User or session not found
  *       500:
- *         description: Internal server error
+ *         $ref: '#/components/responses/InternalServerError'
  */
-router.post(
-  '/session/flag',
+router.get(
+  '/session/current',
+  requireRole('bot', 'admin'),
   [
-    body('session_id')
-      .exists().withMessage('session_id is required')
-      .isString().withMessage('session_id must be a string')
-      .notEmpty().withMessage('session_id cannot be empty'),
-    body('column')
-      .exists().withMessage('column is required')
-      .isString().withMessage('column must be a string')
-      .custom((value) => ['attempted', 'paid'].includes(value))
-      .withMessage('column must be attempted or paid')
+    queryParam('phone').custom(isValidPhone).withMessage('phone must be a valid phone number').customSanitizer(normalizePhone),
+    queryParam('subject').isString().isLength({ min: 1 }).withMessage('subject is required')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -4707,70 +3474,55 @@ router.post(
       });
     }
 
-    const { session_id: sessionId, column } = req.body;
-    const columnName = column === 'attempted' ? 'attempted' : 'paid';
+    const { phone, subject } = req.query;
 
     try {
-      const updateQuery = `
-        UPDATE sessions
-        SET ${columnName} = TRUE
-        WHERE id = $1
-        RETURNING id, user_id, subject, ${columnName}
-      `;
-
-      const updateResult = await query(updateQuery, [sessionId]);
+      const user = await userService.findUserByPhoneAndSubject(phone, subject);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found for this phone and subject'
+        });
+      }
 
-      if (updateResult.rows.length === 0) {
+      const session = await userService.findLatestSession(user.id, subject);
+      if (!session) {
         return res.status(404).json({
           success: false,
           message: 'Session not found'
         });
       }
 
-      const updatedSession = updateResult.rows[0];
-
-      return res.status(200).json({
-        success: true,
-        message: `Session ${columnName} flag updated`,
-        session_id: updatedSession.id,
-        column: columnName,
-        value: updatedSession[columnName]
-      });
+      return await sendCurrentQuestion(res, session.id);
     } catch (error) {
-      console.error('❌ Error updating session flag:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update session flag',
-        error: error.message
-      });
+      return handleCurrentQuestionError(res, error, { phone, subject });
     }
   }
 );
 
 /**
  * @swagger
- * /api/session/start_quiz:
- *   post:
- *     summary: Mark a session as started quiz
- *     description: Sets the started_quiz column to true for the provided session_id.
- *     tags: [Admin]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - session_id
- *             properties:
- *               session_id:
- *                 type: string
- *                 format: uuid
- *                 description: Session ID to update.
- *                 example: "3f2b9f62-5f29-4b55-9a6e-1fcb7d067b1f"
+ * /api/session/{id}/current:
+ *   get:
+ *     summary: Current question for a session
+ *     description: |
+ *       Returns the first question still waiting for an answer, rendered exactly as save_answer would return it,
+ *       with scenario and code image flags, progress counts and session status. Lets the bot resume a conversation
+ *       after a restart or user inactivity without remembering the last question_id.
+ *       Requires an API key with role bot or admin.
+ *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Session started_quiz flag updated successfully
+ *         description: Current question retrieved
  *         content:
  *           application/json:
  *             schema:
@@ -4780,24 +3532,24 @@ router.post(
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 session_id:
- *                   type: string
- *                 started_quiz:
- *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CurrentQuestion'
  *       400:
- *         description: Invalid request payload
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Session not found
  *       500:
- *         description: Internal server error
+ *         $ref: '#/components/responses/InternalServerError'
  */
-router.post(
-  '/session/start_quiz',
+router.get(
+  '/session/:id/current',
+  requireRole('bot', 'admin'),
   [
-    body('session_id')
-      .exists().withMessage('session_id is required')
-      .isString().withMessage('session_id must be a string')
-      .notEmpty().withMessage('session_id cannot be empty')
+    param('id').isUUID().withMessage('id must be a valid UUID')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -4809,22 +3561,584 @@ router.post(
       });
     }
 
-    const { session_id: sessionId } = req.body;
-
     try {
-      const updateQuery = `
-        UPDATE sessions
-        SET started_quiz = TRUE
-        WHERE id = $1
-        RETURNING id, user_id, subject, started_quiz
-      `;
+      return await sendCurrentQuestion(res, req.params.id);
+    } catch (error) {
+      return handleCurrentQuestionError(res, error, { session_id: req.params.id });
+    }
+  }
+);
 
-      const updateResult = await query(updateQuery, [sessionId]);
+const handleSubmissionError = (res, error, endpoint, sessionId) => {
+  if (error instanceof HttpError) {
+    return res.status(error.statusCode).json(error.body);
+  }
+  console.error(`❌ Error in ${endpoint}:`, error);
+  mixpanelService.trackQuizError({
+    endpoint,
+    error_message: error.message,
+    session_id: sessionId
+  });
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message,
+    ...(config.server.isDevelopment && { details: error.stack })
+  });
+};
 
-      if (updateResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Session not found'
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubmissionStep:
+ *       type: object
+ *       properties:
+ *         step:
+ *           type: string
+ *           enum: [continue, save_user_response, certificate_claim, create_v2_test, quiz_analysis]
+ *         status:
+ *           type: string
+ *           enum: [running, succeeded, failed, skipped]
+ *           description: running = started but never finished (e.g. the process died midway)
+ *         payload:
+ *           type: object
+ *           nullable: true
+ *           description: Request sent upstream, without the user's name, email, phone and password
+ *         response:
+ *           type: object
+ *           nullable: true
+ *           description: Upstream result, without the upstream user token
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         attempts:
+ *           type: integer
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/session/{id}/submission:
+ *   get:
+ *     summary: Upstream submission steps recorded for a session
+ *     description: Requires an API key with role admin. Access is recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Steps in pipeline order (empty when the quiz was never submitted)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session_id:
+ *                       type: string
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SubmissionStep'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/session/:id/submission',
+  requireRole('admin'),
+  auditAccess('session_submission'),
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const steps = await submissionStepService.getRedactedSteps(req.params.id);
+      return res.status(200).json({
+        success: true,
+        message: 'Submission steps retrieved successfully',
+        data: { session_id: req.params.id, steps }
+      });
+    } catch (error) {
+      return handleSubmissionError(res, error, 'session_submission', req.params.id);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/session/{id}/submission/resume:
+ *   post:
+ *     summary: Resume a failed or interrupted quiz submission
+ *     description: |
+ *       Re-runs only the upstream steps that failed, never finished or never started for this session.
+ *       Steps that already succeeded are not called again; their stored responses are reused, so calling
+ *       this repeatedly is safe. The session is then marked completed as on a normal submission.
+ *       Requires an API key with role bot or admin, and is signed, rate limited (submit budget, per phone of the
+ *       session's user) and replayed for a repeated Idempotency-Key like the submit endpoints.
+ *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Submission resumed; steps show the outcome of each upstream call
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       type: object
+ *                     quiz_results:
+ *                       type: object
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SubmissionStep'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Missing or invalid API key, or an invalid request signature (when REQUEST_SIGNING is enabled)
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Session not found or no submission recorded for it
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyInProgress'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post(
+  '/session/:id/submission/resume',
+  requireRole('bot', 'admin'),
+  verifySignature,
+  idempotent((req) => `session_submission_resume:${req.params.id}`),
+  rateLimit('submit', { resolvePhone: resolveSessionPhone }),
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const result = await quizResponseService.resumeSubmission(req.params.id);
+      const steps = await submissionStepService.getRedactedSteps(req.params.id);
+      return res.status(200).json({
+        success: true,
+        message: 'Quiz submission resumed successfully',
+        data: {
+          session: result.data.session,
+          quiz_results: result.data.quiz_results,
+          steps
+        }
+      });
+    } catch (error) {
+      return handleSubmissionError(res, error, 'session_submission_resume', req.params.id);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionEvent:
+ *       type: object
+ *       properties:
+ *         event:
+ *           type: string
+ *           description: What happened (created, questions_created, started_quiz, question_handled, quiz_submitted, paid, clicked_on, re_triggered, expired, ...)
+ *           example: "started_quiz"
+ *         from_status:
+ *           $ref: '#/components/schemas/SessionStatus'
+ *         to_status:
+ *           $ref: '#/components/schemas/SessionStatus'
+ *         source:
+ *           type: string
+ *           nullable: true
+ *           example: "session/start_quiz"
+ *         metadata:
+ *           type: object
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/session/{id}/events:
+ *   get:
+ *     summary: Lifecycle status and event history of a session
+ *     description: Requires an API key with role analyst or admin. Access is recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Current status and events, oldest first (history starts when the status column was added)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session_id:
+ *                       type: string
+ *                     status:
+ *                       $ref: '#/components/schemas/SessionStatus'
+ *                     status_updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SessionEvent'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/session/:id/events',
+  requireRole('analyst', 'admin'),
+  auditAccess('session_events'),
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const history = await sessionStateService.getHistory(req.params.id);
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        message: 'Session events retrieved successfully',
+        data: { session_id: req.params.id, ...history }
+      });
+    } catch (error) {
+      console.error('❌ Error fetching session events:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch session events',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Status each /session/flag column moves the session to
+const FLAG_STATUSES = {
+  attempted: 'in_progress',
+  paid: 'paid'
+};
+
+/**
+ * @swagger
+ * /api/session/flag:
+ *   post:
+ *     summary: Mark a session as attempted or paid
+ *     description: |
+ *       Moves the session to in_progress (attempted) or paid and sets the matching boolean column.
+ *       The column is always set. The status only moves when the lifecycle allows it: paid before the quiz was
+ *       submitted, or a status the session already passed, leaves the status unchanged.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_id
+ *               - column
+ *             properties:
+ *               session_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Session ID to update.
+ *                 example: "3f2b9f62-5f29-4b55-9a6e-1fcb7d067b1f"
+ *               column:
+ *                 type: string
+ *                 enum: [attempted, paid]
+ *                 description: Which flag should be marked true.
+ *                 example: "attempted"
+ *     responses:
+ *       200:
+ *         description: Session flag updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 session_id:
+ *                   type: string
+ *                 column:
+ *                   type: string
+ *                 value:
+ *                   type: boolean
+ *                 status:
+ *                   $ref: '#/components/schemas/SessionStatus'
+ *       400:
+ *         description: Invalid request payload
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/session/flag',
+  [
+    body('session_id')
+      .exists().withMessage('session_id is required')
+      .isString().withMessage('session_id must be a string')
+      .notEmpty().withMessage('session_id cannot be empty'),
+    body('column')
+      .exists().withMessage('column is required')
+      .isString().withMessage('column must be a string')
+      .custom((value) => ['attempted', 'paid'].includes(value))
+      .withMessage('column must be attempted or paid')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session_id: sessionId, column } = req.body;
+    const columnName = column === 'attempted' ? 'attempted' : 'paid';
+
+    try {
+      // The flag is a transition where it fits the lifecycle (paid before submission leaves the status alone);
+      // the column is always set, as before, for the clients, exports and metrics that read it
+      const { status } = await sessionStateService.advance(sessionId, FLAG_STATUSES[columnName], {
+        event: columnName,
+        source: 'session/flag'
+      });
+
+      const updateQuery = `
+        UPDATE sessions
+        SET ${columnName} = TRUE
+        WHERE id = $1
+        RETURNING id, user_id, subject, ${columnName}
+      `;
+
+      const updateResult = await query(updateQuery, [sessionId]);
+
+      if (updateResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      const updatedSession = updateResult.rows[0];
+
+      return res.status(200).json({
+        success: true,
+        message: `Session ${columnName} flag updated`,
+        session_id: updatedSession.id,
+        column: columnName,
+        value: updatedSession[columnName],
+        status
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json(error.body);
+      }
+      console.error('❌ Error updating session flag:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update session flag',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/session/start_quiz:
+ *   post:
+ *     summary: Mark a session as started quiz
+ *     description: Sets the started_quiz column to true for the provided session_id and moves the session to in_progress when the lifecycle allows it.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - session_id
+ *             properties:
+ *               session_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Session ID to update.
+ *                 example: "3f2b9f62-5f29-4b55-9a6e-1fcb7d067b1f"
+ *     responses:
+ *       200:
+ *         description: Session started_quiz flag updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 session_id:
+ *                   type: string
+ *                 started_quiz:
+ *                   type: boolean
+ *                 status:
+ *                   $ref: '#/components/schemas/SessionStatus'
+ *       400:
+ *         description: Invalid request payload
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/session/start_quiz',
+  [
+    body('session_id')
+      .exists().withMessage('session_id is required')
+      .isString().withMessage('session_id must be a string')
+      .notEmpty().withMessage('session_id cannot be empty')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { session_id: sessionId } = req.body;
+
+    try {
+      const { status } = await sessionStateService.advance(sessionId, 'in_progress', {
+        event: 'started_quiz',
+        source: 'session/start_quiz'
+      });
+
+      const updateQuery = `
+        UPDATE sessions
+        SET started_quiz = TRUE
+        WHERE id = $1
+        RETURNING id, user_id, subject, started_quiz
+      `;
+
+      const updateResult = await query(updateQuery, [sessionId]);
+
+      if (updateResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
         });
       }
 
@@ -4834,9 +4148,13 @@ router.post(
         success: true,
         message: 'Session started_quiz flag updated',
         session_id: updatedSession.id,
-        started_quiz: updatedSession.started_quiz
+        started_quiz: updatedSession.started_quiz,
+        status
       });
     } catch (error) {
+      if (error instanceof HttpError) {
+        return res.status(error.statusCode).json(error.body);
+      }
       console.error('❌ Error updating session started_quiz flag:', error);
       res.status(500).json({
         success: false,
@@ -4852,7 +4170,7 @@ router.post(
  * /api/session/clicked_on:
  *   post:
  *     summary: Update clicked_on value for a session
- *     description: Updates the clicked_on enum column in the sessions table for the provided session_id. The value must be either 'unlock_cert' or 'know_more'.
+ *     description: Updates the clicked_on enum column in the sessions table for the provided session_id. The value must be either 'unlock_cert' or 'know_more'. Recorded in the session's events without changing its status.
  *     tags: [Admin]
  *     requestBody:
  *       required: true
@@ -4894,6 +4212,8 @@ router.post(
  *                 clicked_on:
  *                   type: string
  *                   enum: [unlock_cert, know_more]
+ *                 status:
+ *                   $ref: '#/components/schemas/SessionStatus'
  *       400:
  *         description: Invalid request payload
  *         content:
@@ -4983,12 +4303,15 @@ router.post(
       }
 
       const updatedSession = updateResult.rows[0];
+      // Not a lifecycle step; kept in the session's history only
+      const status = await sessionStateService.record(sessionId, 'clicked_on', { source: 'session/clicked_on', metadata: { value } });
 
       return res.status(200).json({
         success: true,
         message: 'Session clicked_on value updated',
         session_id: updatedSession.id,
-        clicked_on: updatedSession.clicked_on
+        clicked_on: updatedSession.clicked_on,
+        status
       });
     } catch (error) {
       console.error('❌ Error updating session clicked_on:', error);
@@ -5006,8 +4329,11 @@ router.post(
  * /api/cron/re-trigger:
  *   get:
  *     summary: Re-trigger API cron endpoint (Vercel Cron Jobs)
- *     description: This endpoint is called by Vercel Cron Jobs every minute to check for sessions created 5 minutes ago where users haven't answered the first question, and calls the external re-trigger API. Endpoint is deployed and ready for Vercel Cron Jobs.
+ *     description: This endpoint is called by Vercel Cron Jobs every minute to check for sessions created 5 minutes ago where users haven't answered the first question, and calls the external re-trigger API (those sessions become abandoned). Also expires sessions not submitted within SESSION_EXPIRY_HOURS. Endpoint is deployed and ready for Vercel Cron Jobs. Requires an API key with role cron or admin.
  *     tags: [System]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: Cron job executed successfully
@@ -5034,10 +4360,17 @@ router.post(
  *                     errors:
  *                       type: integer
  *                       description: Number of errors encountered
+ *                     expired:
+ *                       type: integer
+ *                       description: Sessions marked expired (not submitted within SESSION_EXPIRY_HOURS)
  *       500:
  *         description: Internal server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/cron/re-trigger', async (req, res) => {
+router.get('/cron/re-trigger', requireRole('cron', 'admin'), auditAccess('cron/re-trigger'), async (req, res) => {
   try {
     const timestamp = new Date().toISOString();
     console.log(`🕐 [Re-Trigger Cron] [${timestamp}] Endpoint called`);
@@ -5050,27 +4383,22 @@ router.get('/cron/re-trigger', async (req, res) => {
         'x-vercel-cron': req.headers['x-vercel-cron'],
         'user-agent': req.headers['user-agent']
       },
-      environment: process.env.NODE_ENV,
-      isVercel: !!process.env.VERCEL
+      environment: config.server.env,
+      isVercel: config.server.isVercel
     });
-    
-    // Verify it's being called by Vercel Cron Jobs (optional security check)
-    // Vercel Cron Jobs send a special header: 'x-vercel-cron'
-    const isVercelCron = req.headers['x-vercel-cron'] === '1';
-    if (!isVercelCron && process.env.NODE_ENV === 'production') {
-      console.warn('⚠️  [Re-Trigger Cron] Request not from Vercel Cron Jobs - may be unauthorized');
-      // Still allow it in case header is not set, but log a warning
-    } else if (isVercelCron) {
-      console.log('✅ [Re-Trigger Cron] Confirmed request from Vercel Cron Jobs');
-    }
 
-    // Call the re-trigger service
+    // requireRole has already checked the key; Vercel Cron sends it as Authorization: Bearer $CRON_SECRET
+    console.log(`✅ [Re-Trigger Cron] Authorized with ${req.apiKey.role} key "${req.apiKey.name}"`);
+
+    // Call the re-trigger service, then expire sessions left unsubmitted past SESSION_EXPIRY_HOURS
     const result = await reTriggerService.checkAndTriggerReTriggerAPI();
+    const expired = await sessionStateService.expireStale();
+    res.locals.auditDetails = { expired };
 
     res.status(200).json({
       success: true,
       message: 'Re-trigger cron job executed',
-      data: result
+      data: { ...result, expired }
     });
   } catch (error) {
     console.error('❌ [Re-Trigger Cron] Error in cron endpoint:', error.message);
@@ -5082,4 +4410,167 @@ router.get('/cron/re-trigger', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Status of a background job
+ *     description: |
+ *       Poll a job returned by an async submission (202 response). Once status is succeeded, result holds the
+ *       response the submit endpoint would have returned inline. Requires an API key with role bot or admin.
+ *     tags: [Quiz]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Job found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       example: quiz_submission
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, succeeded, failed]
+ *                     attempts:
+ *                       type: integer
+ *                     max_attempts:
+ *                       type: integer
+ *                     result:
+ *                       type: object
+ *                       nullable: true
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ *                     callback_status:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [delivered, failed]
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get(
+  '/jobs/:id',
+  requireRole('bot', 'admin'),
+  [
+    param('id').isUUID().withMessage('id must be a valid UUID')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const job = await jobQueueService.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        message: 'Job retrieved successfully',
+        data: job
+      });
+    } catch (error) {
+      console.error('❌ Error fetching job:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+        ...(config.server.isDevelopment && { details: error.stack })
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cron/jobs:
+ *   get:
+ *     summary: Process queued background jobs (Vercel Cron Jobs)
+ *     description: Runs one due job, and more (up to JOB_BATCH_SIZE) only while less than JOB_CRON_TIME_BUDGET_MS has passed, so a call stays within the serverless function timeout. Local servers poll the queue in-process; on Vercel the cron in vercel.json calls this endpoint every minute. Requires an API key with role cron or admin.
+ *     tags: [System]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Batch processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Job queue processed"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     processed:
+ *                       type: integer
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       500:
+ *         description: Internal server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/cron/jobs', requireRole('cron', 'admin'), async (req, res) => {
+  try {
+    console.log(`🕐 [Job Cron] [${new Date().toISOString()}] Endpoint called`);
+    const result = await jobQueueService.processBatch(config.jobs.batchSize, { timeBudgetMs: config.jobs.cronTimeBudgetMs });
+    res.status(200).json({
+      success: true,
+      message: 'Job queue processed',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ [Job Cron] Error in cron endpoint:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process job queue',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { query: queryParam, validationResult } = require('express-validator');
+const rateLimitService = require('../services/rateLimitService');
+const { requireRole, auditAccess } = require('../middleware/apiKeyAuth');
+const config = require('../config');
+
+const router = express.Router();
+
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ThrottledIdentity:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [start, answer, submit]
+ *         identity_type:
+ *           type: string
+ *           enum: [phone, ip, api_key]
+ *         identity:
+ *           type: string
+ *           description: Digits of the phone, the client IP, or the API key prefix
+ *           example: "919800000001"
+ *         request_count:
+ *           type: integer
+ *           description: Requests in the current window, including the rejected ones
+ *           example: 9
+ *         request_limit:
+ *           type: integer
+ *           example: 5
+ *         window_start:
+ *           type: string
+ *           format: date-time
+ *         window_end:
+ *           type: string
+ *           format: date-time
+ *         first_throttled_at:
+ *           type: string
+ *           format: date-time
+ *         last_request_at:
+ *           type: string
+ *           format: date-time
+ *         retry_after_seconds:
+ *           type: integer
+ *           example: 1800
+ */
+
+/**
+ * @swagger
+ * /api/admin/rate-limits:
+ *   get:
+ *     summary: Currently throttled identities
+ *     description: Phones, IP addresses and API keys that are over their start / answer / submit budget in a window that hasn't ended yet, most recently active first. Also shows the configured budgets. Requires an admin key.
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [start, answer, submit]
+ *       - in: query
+ *         name: identity_type
+ *         schema:
+ *           type: string
+ *           enum: [phone, ip, api_key]
+ *     responses:
+ *       200:
+ *         description: Throttled identities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     budgets:
+ *                       type: object
+ *                       example:
+ *                         start: [{ identityType: phone, limit: 5, windowSeconds: 3600 }]
+ *                     throttled:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ThrottledIdentity'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get(
+  '/rate-limits',
+  requireRole('admin'),
+  auditAccess('rate_limits.list'),
+  [
+    queryParam('action').optional().isIn(['start', 'answer', 'submit']).withMessage('action must be start, answer or submit'),
+    queryParam('identity_type').optional().isIn(['phone', 'ip', 'api_key']).withMessage('identity_type must be phone, ip or api_key')
+  ],
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const throttled = await rateLimitService.listThrottled({
+        action: req.query.action || null,
+        identityType: req.query.identity_type || null
+      });
+      const { enabled, start, answer, submit } = config.rateLimit;
+      res.status(200).json({
+        success: true,
+        message: `Found ${throttled.length} throttled identities`,
+        data: {
+          enabled,
+          budgets: { start, answer, submit },
+          throttled
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error listing throttled identities:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
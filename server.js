@@ -1,19 +1,27 @@
-// Load environment variables from .env file
-require('dotenv').config();
-
 const express = require('express');
 const cors = require('cors');
 const cron = require('node-cron');
 const swaggerSpecs = require('./swagger');
 const config = require('./config');
 const quizRoutes = require('./routes/quiz');
+const apiKeyRoutes = require('./routes/apiKeys');
+const rateLimitRoutes = require('./routes/rateLimits');
 const reTriggerService = require('./services/reTriggerService');
+const sessionStateService = require('./services/sessionStateService');
+const jobQueueService = require('./services/jobQueueService');
 
 const app = express();
+// req.ip is the client, not the proxy, when running behind one (rate limits are keyed by it)
+app.set('trust proxy', config.server.trustProxy);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw bytes for HMAC request signatures (middleware/requestSignature.js)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -140,6 +148,9 @@ app.get('/api-docs/swagger.json', (req, res) => {
 });
 
 // API Routes
+// apiKeyRoutes puts every request it sees behind an admin key, so routers with their own checks go first
+app.use('/api/admin', rateLimitRoutes);
+app.use('/api/admin', apiKeyRoutes);
 app.use('/api', quizRoutes);
 
 /**
@@ -213,22 +224,27 @@ app.use((error, req, res, next) => {
   res.status(500).json({
     success: false,
     message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    error: config.server.isDevelopment ? error.message : 'Something went wrong'
   });
 });
 
 // Start server
-const PORT = process.env.PORT || config.server.port;
+const PORT = config.server.port;
+
+// Local/dev process (`node server.js`): start cron, job worker and the HTTP listener here.
+// On Vercel, or when the app is required by the integration tests, only the Express app is exported.
+const isLocalServer = (!config.server.isProduction || !config.server.isVercel) && require.main === module;
 
 // Initialize re-trigger cron job for local/development environments
 // For production (Vercel): Use external cron service to call /api/cron/re-trigger endpoint
 // For local/dev: Use node-cron to run the service directly
-if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+if (isLocalServer) {
   // Local/development environments - use node-cron
   console.log('⏰ Initializing re-trigger cron job with node-cron (runs every minute)...');
   cron.schedule('* * * * *', async () => {
     try {
       await reTriggerService.checkAndTriggerReTriggerAPI();
+      await sessionStateService.expireStale();
     } catch (error) {
       console.error('❌ [Re-Trigger Cron] Unhandled error in cron job:', error.message);
     }
@@ -254,8 +270,23 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
   console.log('💡 Use external cron service to call this endpoint every minute');
 }
 
+// Background job worker (async quiz submissions): poll in-process locally, /api/cron/jobs on Vercel
+if (isLocalServer) {
+  jobQueueService.startWorker();
+} else {
+  console.log('📋 Job queue endpoint available at: /api/cron/jobs');
+}
+
+// Local stand-in for the Certified / Xano APIs (MOCK_UPSTREAM=true); config already points the base URLs at it
+if (config.mockUpstream.enabled && isLocalServer) {
+  const { createMockUpstream } = require('./mocks/upstreamMockServer');
+  createMockUpstream().start(config.mockUpstream.port).catch((error) => {
+    console.error('❌ Failed to start mock upstream:', error.message);
+  });
+}
+
 // Only start HTTP server if not in Vercel environment
-if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+if (isLocalServer) {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Environment: ${config.server.env}`);
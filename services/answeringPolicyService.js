@@ -0,0 +1,87 @@
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Answering policies enforced by save_answer.
+ * - unrestricted (default): any question can be answered or changed in any order, even after submission, as before
+ *   policies existed
+ * - lock_after_answer: an answered question can't be changed; any unanswered question may be answered
+ * - allow_change_until_submit: answers can be changed until the quiz is submitted
+ * - strict_sequential: only the question currently being served can be answered or skipped, and answers are locked
+ */
+const POLICIES = {
+  unrestricted: { allowChange: true, sequential: false, lockOnSubmit: false },
+  lock_after_answer: { allowChange: false, sequential: false, lockOnSubmit: true },
+  allow_change_until_submit: { allowChange: true, sequential: false, lockOnSubmit: true },
+  strict_sequential: { allowChange: false, sequential: true, lockOnSubmit: true }
+};
+
+class AnsweringPolicyService {
+  listPolicies() {
+    return Object.keys(POLICIES);
+  }
+
+  // Blueprint setting wins, then the configured default
+  getPolicy(blueprint) {
+    const name = [blueprint && blueprint.answering_policy, config.quiz.answeringPolicy]
+      .find(candidate => candidate && POLICIES[candidate]) || 'unrestricted';
+    return { name, ...POLICIES[name] };
+  }
+
+  /**
+   * Throw a 409 HttpError when the policy doesn't allow answering this question now.
+   * The body describes the question the bot should be showing so it can resynchronize.
+   * @param {Object} params
+   * @param {Object} params.policy - Result of getPolicy
+   * @param {Object} params.question - Row being answered (id, question_no, answered, timed_out)
+   * @param {boolean} params.quizSubmitted - sessions.quiz_completed
+   * @param {Object|null} params.expectedQuestion - Next open question (rendered) or null when none is left
+   * @param {string} [params.action] - answer, skip or review_later; answered questions can never be skipped
+   */
+  assertCanAnswer({ policy, question, quizSubmitted, expectedQuestion, action = 'answer' }) {
+    let reason = null;
+    let message = null;
+
+    if (quizSubmitted && policy.lockOnSubmit) {
+      reason = 'quiz_submitted';
+      message = 'Quiz has already been submitted';
+    } else if (question.timed_out) {
+      reason = 'timed_out';
+      message = `Time is up for question ${question.question_no}`;
+    } else if (question.answered && (!policy.allowChange || action !== 'answer')) {
+      reason = 'already_answered';
+      message = `Question ${question.question_no} has already been answered`;
+    } else if (question.review_state === 'revisited' && action !== 'answer') {
+      reason = 'already_skipped';
+      message = `Question ${question.question_no} was already revisited and can't be skipped again`;
+    } else if (!question.answered && policy.sequential && expectedQuestion && expectedQuestion.question_no !== question.question_no) {
+      reason = 'out_of_order';
+      message = `Question ${question.question_no} can't be answered before question ${expectedQuestion.question_no}`;
+    }
+
+    if (reason) {
+      throw this.conflict({ policy, question, expectedQuestion, reason, message });
+    }
+  }
+
+  conflict({ policy, question, expectedQuestion, reason, message }) {
+    return new HttpError(409, {
+      success: false,
+      message,
+      data: {
+        reason,
+        policy: policy.name,
+        question_id: question.id,
+        question_no: question.question_no,
+        status: expectedQuestion ? 'pending' : 'complete',
+        expected_question: expectedQuestion ? {
+          question_id: expectedQuestion.id,
+          question_no: expectedQuestion.question_no,
+          question: expectedQuestion.question
+        } : null
+      }
+    });
+  }
+}
+
+module.exports = new AnsweringPolicyService();
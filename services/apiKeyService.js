@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const config = require('../config');
+
+const ROLES = ['bot', 'analyst', 'admin', 'cron'];
+const KEY_PREFIX = 'ctk_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const KEY_COLUMNS = 'id, name, role, key_prefix, rotated_from, expires_at, revoked_at, last_used_at, created_at';
+
+/**
+ * API keys for the admin, export, metrics and cron routes (api_keys / api_key_audit_log, see
+ * migrations/016_create_api_keys.js).
+ *
+ * Keys are 32 random bytes, shown to the caller once; only their SHA-256 is stored, so a leaked table can't be
+ * replayed. Rotation issues a new key with the same name and role and lets the old one work until
+ * config.auth.rotationGraceSeconds have passed, so callers can switch over without downtime.
+ */
+class ApiKeyService {
+  get roles() {
+    return ROLES;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.name - Who or what uses the key (e.g. "vercel-cron", "ops dashboard")
+   * @param {string} params.role - bot | analyst | admin | cron
+   * @param {string} [params.rotatedFrom] - Key this one replaces
+   * @returns {Promise<{ key: string, apiKey: Object }>} The plaintext key (not retrievable later) and the stored row
+   */
+  async createKey({ name, role, rotatedFrom = null }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}"; expected one of ${ROLES.join(', ')}`);
+    }
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await query(`
+      INSERT INTO api_keys (name, role, key_prefix, key_hash, rotated_from, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING ${KEY_COLUMNS}
+    `, [name, role, this.prefixOf(key), hashKey(key), rotatedFrom]);
+    console.log(`🔑 Created ${role} API key "${name}" (${result.rows[0].key_prefix}...)`);
+    return { key, apiKey: result.rows[0] };
+  }
+
+  // The key_prefix stored for a key: enough to tell keys apart in logs and admin views without exposing them
+  prefixOf(key) {
+    return key.slice(0, KEY_PREFIX.length + 8);
+  }
+
+  /**
+   * Look up an active key by its plaintext value and stamp last_used_at
+   * @returns {Promise<Object|null>} The key row, or null when unknown, revoked or expired
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    const result = await query(`
+      UPDATE api_keys
+      SET last_used_at = NOW()
+      WHERE key_hash = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+      RETURNING ${KEY_COLUMNS}
+    `, [hashKey(key)]);
+    return result.rows[0] || null;
+  }
+
+  async listKeys() {
+    const result = await query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`);
+    return result.rows;
+  }
+
+  async getKey(id) {
+    const result = await query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Issue a replacement key and schedule the old one to expire
+   * @param {string} id - Key to rotate
+   * @param {Object} [options]
+   * @param {number} [options.graceSeconds] - How long the old key keeps working (0 = expire now)
+   * @returns {Promise<{ key: string, apiKey: Object, previous: Object }|null>} null when the key doesn't exist or is revoked
+   */
+  async rotateKey(id, { graceSeconds = config.auth.rotationGraceSeconds } = {}) {
+    const current = await this.getKey(id);
+    if (!current || current.revoked_at) {
+      return null;
+    }
+    const { key, apiKey } = await this.createKey({ name: current.name, role: current.role, rotatedFrom: current.id });
+    // Never extend an expiry that is already closer than the grace period
+    const previous = await query(`
+      UPDATE api_keys
+      SET expires_at = LEAST(COALESCE(expires_at, 'infinity'::timestamp), NOW() + ($2::int * INTERVAL '1 second'))
+      WHERE id = $1
+      RETURNING ${KEY_COLUMNS}
+    `, [id, graceSeconds]);
+    console.log(`🔄 Rotated API key "${current.name}" (${current.key_prefix}... -> ${apiKey.key_prefix}...)`);
+    return { key, apiKey, previous: previous.rows[0] };
+  }
+
+  // Revoked keys stop working immediately and can't be rotated
+  async revokeKey(id) {
+    const result = await query(`
+      UPDATE api_keys
+      SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1
+      RETURNING ${KEY_COLUMNS}
+    `, [id]);
+    if (result.rows[0]) {
+      console.log(`🚫 Revoked API key "${result.rows[0].name}" (${result.rows[0].key_prefix}...)`);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record one access by an authenticated key. Never throws: a failed audit write is logged, not surfaced.
+   * @param {Object} entry - { apiKey, action, method, path, query, statusCode, ip, details }
+   */
+  async recordAccess({ apiKey, action, method, path, query: queryParams = {}, statusCode = null, ip = null, details = null }) {
+    try {
+      await query(`
+        INSERT INTO api_key_audit_log (api_key_id, key_name, role, action, method, path, query, status_code, ip, details, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+      `, [
+        apiKey ? apiKey.id : null,
+        apiKey ? apiKey.name : null,
+        apiKey ? apiKey.role : null,
+        action,
+        method,
+        path,
+        JSON.stringify(queryParams),
+        statusCode,
+        ip,
+        details ? JSON.stringify(details) : null
+      ]);
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry for ${action}:`, error.message);
+    }
+  }
+
+  /**
+   * @param {Object} [filters]
+   * @param {string} [filters.apiKeyId]
+   * @param {string} [filters.action]
+   * @param {number} [filters.limit=100]
+   */
+  async listAccess({ apiKeyId = null, action = null, limit = 100 } = {}) {
+    const result = await query(`
+      SELECT id, api_key_id, key_name, role, action, method, path, query, status_code, ip, details, created_at
+      FROM api_key_audit_log
+      WHERE ($1::uuid IS NULL OR api_key_id = $1)
+        AND ($2::text IS NULL OR action = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `, [apiKeyId, action, limit]);
+    return result.rows;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -1,8 +1,8 @@
-const axios = require('axios');
+const learntubeClient = require('../utils/learntubeClient');
 
 class CertificateClaimService {
   constructor() {
-    this.baseURL = 'https://certified-new.learntube.ai/certified_user_skill/claim_available_certificate';
+    this.path = '/certified_user_skill/claim_available_certificate';
   }
 
   async claimCertificate(certifiedUserSkillId, authToken) {
@@ -12,30 +12,9 @@ class CertificateClaimService {
         certified_user_skill_id: certifiedUserSkillId
       });
 
-      const response = await axios.post(this.baseURL, {
+      const response = await learntubeClient.post(this.path, {
         certified_user_skill_id: certifiedUserSkillId
-      }, {
-        headers: {
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
-          'Authorization': `Bearer ${authToken}`,
-          'Connection': 'keep-alive',
-          'Content-Type': 'application/json',
-          'Origin': 'https://certified.learntube.ai',
-          'Referer': 'https://certified.learntube.ai/',
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-site',
-          'User-Agent': 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?1',
-          'sec-ch-ua-platform': '"Android"'
-        },
-        timeout: 30000,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: false // Ignore SSL certificate errors
-        })
-      });
+      }, { authToken });
 
       console.log('✅ Certificate Claim API Response:', {
         status: response.status,
@@ -74,7 +74,7 @@ class CertifiedApiService {
     try {
       console.log('🎯 Getting subject from list and option:', { list, option });
       
-      const url = 'https://xgfy-czuw-092q.m2.xano.io/api:Jb3ejqkw/selected_subject';
+      const url = `${config.xano.baseUrl}/selected_subject`;
       
       const headers = {
         'Content-Type': 'application/json'
@@ -1,9 +1,36 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config');
+const learntubeClient = require('../utils/learntubeClient');
+
+// Upstream accounts were created with the email as their password (empty for users without one)
+const emailPassword = (user) => user.email || '';
+
+// user => password for the continue API, selected by CONTINUE_PASSWORD_STRATEGY
+const passwordStrategies = {
+  email: emailPassword,
+  // Opt-in: stable per user and never derived from anything the user or the bot can see. Users created before
+  // CONTINUE_PASSWORD_DERIVED_FROM already have an upstream account with the email password, so they keep it
+  derived: (user) => {
+    const createdAt = user.created_at ? new Date(user.created_at) : null;
+    if (user.email && createdAt && createdAt < new Date(config.continueApi.derivedFrom)) {
+      return emailPassword(user);
+    }
+    return crypto.createHmac('sha256', config.continueApi.passwordSecret).update(String(user.id)).digest('base64url');
+  }
+};
 
 class ContinueApiService {
   constructor() {
-    this.baseURL = 'https://certified-new.learntube.ai/continue';
+    this.path = '/continue';
+  }
+
+  /**
+   * Password to send for the user
+   * @param {Object} user - users row (id, email, created_at)
+   * @returns {string}
+   */
+  passwordFor(user) {
+    return passwordStrategies[config.continueApi.passwordStrategy](user);
   }
 
   async continueQuiz(userData) {
@@ -13,36 +40,15 @@ class ContinueApiService {
         certified_user_skill_id: userData.certified_user_skill_id,
         email: userData.email,
         phone_number: userData.phone_number,
-        name: userData.name,
-        password: userData.password
+        name: userData.name
       });
 
-      const response = await axios.post(this.baseURL, {
+      const response = await learntubeClient.post(this.path, {
         certified_user_skill_id: userData.certified_user_skill_id,
         email: userData.email,
         phone_number: userData.phone_number,
         name: userData.name,
         password: userData.password
-      }, {
-        headers: {
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
-          'Connection': 'keep-alive',
-          'Content-Type': 'application/json',
-          'Origin': 'https://certified.learntube.ai',
-          'Referer': 'https://certified.learntube.ai/',
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-site',
-          'User-Agent': 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?1',
-          'sec-ch-ua-platform': '"Android"'
-        },
-        timeout: 30000,
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: false // Ignore SSL certificate errors
-        })
       });
 
       console.log('✅ Continue API Response:', {
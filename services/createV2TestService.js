@@ -1,8 +1,8 @@
-const axios = require('axios');
+const learntubeClient = require('../utils/learntubeClient');
 
 class CreateV2TestService {
   constructor() {
-    this.baseURL = 'https://certified-new.learntube.ai/create_v2_test';
+    this.path = '/create_v2_test';
   }
 
   async createV2Test(certifiedToken, certifiedUserSkillId) {
@@ -26,25 +26,7 @@ class CreateV2TestService {
 
       console.log('📦 Final request payload:', JSON.stringify(requestData, null, 2));
 
-      const response = await axios.post(this.baseURL, requestData, {
-        headers: {
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
-          'Authorization': `Bearer ${certifiedToken}`,
-          'Connection': 'keep-alive',
-          'Content-Type': 'application/json',
-          'Origin': 'https://certified.learntube.ai',
-          'Referer': 'https://certified.learntube.ai/',
-          'Sec-Fetch-Dest': 'empty',
-          'Sec-Fetch-Mode': 'cors',
-          'Sec-Fetch-Site': 'same-site',
-          'User-Agent': 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
-          'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-          'sec-ch-ua-mobile': '?1',
-          'sec-ch-ua-platform': '"Android"'
-        },
-        timeout: 30000
-      });
+      const response = await learntubeClient.post(this.path, requestData, { authToken: certifiedToken });
 
       console.log('📥 Create V2 Test API response:', response.data);
 
@@ -1,31 +1,13 @@
-const axios = require('axios');
-const config = require('../config');
+const learntubeClient = require('../utils/learntubeClient');
+const quizBlueprintService = require('./quizBlueprintService');
 
 class GenerateQuizService {
   constructor() {
-    this.baseURL = 'https://certified-new.learntube.ai/generate';
+    this.path = '/generate';
   }
 
   async generateQuiz(certifiedUserSkillId) {
     try {
-      const url = this.baseURL;
-      
-      const headers = {
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
-        'Connection': 'keep-alive',
-        'Content-Type': 'application/json',
-        'Origin': 'https://certified.learntube.ai',
-        'Referer': 'https://certified.learntube.ai/',
-        'Sec-Fetch-Dest': 'empty',
-        'Sec-Fetch-Mode': 'cors',
-        'Sec-Fetch-Site': 'same-site',
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
-        'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
-        'sec-ch-ua-mobile': '?1',
-        'sec-ch-ua-platform': '"Android"'
-      };
-
       const data = {
         certified_user_skill_id: certifiedUserSkillId,
         is_new_ui: true
@@ -33,12 +15,8 @@ class GenerateQuizService {
 
       console.log('🌐 Calling generate quiz API for skill ID:', certifiedUserSkillId);
 
-      const response = await axios.post(url, data, {
-        headers,
-        timeout: 15000, // 15 second timeout
-        httpsAgent: new (require('https').Agent)({
-          rejectUnauthorized: false // Ignore SSL certificate errors
-        })
+      const response = await learntubeClient.post(this.path, data, {
+        timeout: 15000 // 15 second timeout
       });
 
       console.log('✅ Generate quiz API response received');
@@ -53,10 +31,8 @@ class GenerateQuizService {
     }
   }
 
-  extractQuestions(quizData) {
+  extractQuestions(quizData, blueprint = quizBlueprintService.defaultBlueprint) {
     try {
-      const questions = [];
-      
       if (!quizData.data || !quizData.data.quiz_question_answer || !quizData.data.quiz_question_answer.questionaire) {
         throw new Error('Invalid quiz data structure');
       }
@@ -76,183 +52,105 @@ class GenerateQuizService {
             console.log(`📝 Question ${q.q_id} includes code snippet: "${normalizedSnippet.substring(0, 50)}..."`);
             if (baseQuestion.includes(snippetBlock)) {
               q.formatted_question = baseQuestion;
+              q.code_block = null;
             } else if (baseQuestion.includes('```')) {
               // Already has some fenced code, preserve as-is
               q.formatted_question = baseQuestion;
+              q.code_block = null;
             } else {
               q.formatted_question = `${baseQuestion}\n\n${snippetBlock}`.trim();
+              q.code_block = snippetBlock;
             }
           } else {
             q.formatted_question = baseQuestion;
+            q.code_block = null;
           }
+          q.question_stem = baseQuestion;
           
           return q;
         });
       };
       
-      // Collect all available questions (including those with code snippets)
-      let allEasyQuestions = [];
-      let allMediumQuestions = [];
-      let allHardQuestions = [];
-      
-      // Extract easy questions - try specific q_ids first, then fallback to first 5 available
-      if (questionnaire.easy && Array.isArray(questionnaire.easy)) {
-        const easyQIds = [1, 2, 3, 4, 5];
-        let easyQuestions = questionnaire.easy.filter(q => easyQIds.includes(q.q_id));
-        
-        // If we don't have 5 questions from specific IDs, take first 5 available
-        if (easyQuestions.length < 5) {
-          if (questionnaire.easy.length >= 5) {
-            console.log(`⚠️  Only found ${easyQuestions.length} easy questions with q_ids 1-5, using first 5 available instead`);
-            easyQuestions = questionnaire.easy.slice(0, 5);
-          } else if (questionnaire.easy.length > 0) {
-            console.log(`⚠️  Only found ${easyQuestions.length} easy questions with q_ids 1-5, and only ${questionnaire.easy.length} total available. Using all available.`);
-            easyQuestions = questionnaire.easy.slice(0, Math.min(5, questionnaire.easy.length));
-          }
-        }
-        
-        allEasyQuestions = processAllQuestions(easyQuestions);
-        console.log(`📋 Found ${allEasyQuestions.length} easy questions (including those with code snippets)`);
-      }
+      return this.selectQuestionsForBlueprint(questionnaire, blueprint, processAllQuestions);
+    } catch (error) {
+      console.error('❌ Error extracting questions:', error.message);
+      throw new Error(`Failed to extract questions: ${error.message}`);
+    }
+  }
 
-      // Extract medium questions - try specific q_ids first, then fallback to first 3 available
-      if (questionnaire.medium && Array.isArray(questionnaire.medium)) {
-        const mediumQIds = [11, 12, 13];
-        let mediumQuestions = questionnaire.medium.filter(q => mediumQIds.includes(q.q_id));
-        
-        // If we don't have 3 questions from specific IDs, take first 3 available
-        if (mediumQuestions.length < 3) {
-          if (questionnaire.medium.length >= 3) {
-            console.log(`⚠️  Only found ${mediumQuestions.length} medium questions with q_ids 11-13, using first 3 available instead`);
-            mediumQuestions = questionnaire.medium.slice(0, 3);
-          } else if (questionnaire.medium.length > 0) {
-            console.log(`⚠️  Only found ${mediumQuestions.length} medium questions with q_ids 11-13, and only ${questionnaire.medium.length} total available. Using all available.`);
-            mediumQuestions = questionnaire.medium.slice(0, Math.min(3, questionnaire.medium.length));
-          }
-        }
-        
-        allMediumQuestions = processAllQuestions(mediumQuestions);
-        console.log(`📋 Found ${allMediumQuestions.length} medium questions (including those with code snippets)`);
+  // Pick questions per difficulty as the blueprint describes and lay them out in position order
+  // (easy, medium, hard). Preferred q_ids are taken first; when there are too few of them the blueprint's
+  // q_id_fallback decides between topping up with the other upstream questions and starting over from the first ones.
+  // A position listed in scenario_positions gets a question with a scenario when one is available.
+  // quiz_id is the final position so it never collides across difficulty levels.
+  selectQuestionsForBlueprint(questionnaire, blueprint, processQuestions) {
+    const questions = [];
+    const hasScenario = (q) => (q.scenario_title && q.scenario_title.trim() !== '') || (q.text_context && q.text_context.trim() !== '');
+    const typeLabels = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+    const distribution = [];
+
+    quizBlueprintService.difficulties.forEach((difficulty) => {
+      const requiredCount = blueprint.difficulty_counts[difficulty];
+      if (requiredCount === 0) {
+        return;
       }
 
-      // Extract hard questions - try specific q_ids first, then fallback to first 3 available
-      if (questionnaire.hard && Array.isArray(questionnaire.hard)) {
-        const hardQIds = [17, 18];
-        let hardQuestions = questionnaire.hard.filter(q => hardQIds.includes(q.q_id));
-        
-        // If we don't have 3 questions from specific IDs, take first 3 available
-        if (hardQuestions.length < 3) {
-          if (questionnaire.hard.length >= 3) {
-            console.log(`⚠️  Only found ${hardQuestions.length} hard questions with q_ids 17-18, using first 3 available instead`);
-            hardQuestions = questionnaire.hard.slice(0, 3);
-          } else if (questionnaire.hard.length > 0) {
-            console.log(`⚠️  Only found ${hardQuestions.length} hard questions with q_ids 17-18, and only ${questionnaire.hard.length} total available. Using all available.`);
-            hardQuestions = questionnaire.hard.slice(0, Math.min(3, questionnaire.hard.length));
-          }
+      const available = Array.isArray(questionnaire[difficulty]) ? questionnaire[difficulty] : [];
+      const preferredIds = blueprint.q_id_preferences[difficulty];
+      const preferred = [];
+      const fallback = [];
+      available.forEach((q) => {
+        if (preferredIds.includes(q.q_id) && !preferred.some(sel => sel.q_id === q.q_id)) {
+          preferred.push(q);
+        } else {
+          fallback.push(q);
         }
-        
-        allHardQuestions = processAllQuestions(hardQuestions);
-        console.log(`📋 Found ${allHardQuestions.length} hard questions (including those with code snippets)`);
-      }
-
-      // CRITICAL RULE: Always maintain exact question distribution
-      // Easy: 4 questions (positions 1-4, quiz_id 1-4)
-      // Medium: 3 questions (positions 5-7, quiz_id 5-7)
-      // Hard: 3 questions (positions 8-10, quiz_id 8-10)
-      // Total: 10 questions
-      const targetTotal = 10;
-      const easyCount = Math.min(4, allEasyQuestions.length);   // Always try to get 4
-      const mediumCount = Math.min(3, allMediumQuestions.length); // Always try to get 3
-      const hardCount = Math.min(3, allHardQuestions.length);   // Always try to get 3
-      
-      const totalPlanned = easyCount + mediumCount + hardCount;
-      if (totalPlanned !== targetTotal) {
-        console.log(`⚠️  Planned distribution is ${totalPlanned} (Easy ${easyCount}, Medium ${mediumCount}, Hard ${hardCount}). Some categories may have insufficient questions.`);
-      }
-      
-      // Add questions to the final array with sequential quiz_id based on final position (1-10)
-      // This ensures no duplicate quiz_ids even if same q_id appears in different difficulty levels
-      // IMPORTANT: quiz_id must match question position to maintain the rule (1-4 Easy, 5-7 Medium, 8-10 Hard)
-      let questionNumber = 1;
-      
-      // Easy questions: positions 1-4 (quiz_id 1-4)
-      allEasyQuestions.slice(0, easyCount).forEach((q, index) => {
-        questions.push({
-          ...q,
-          question_type: 'Easy',
-          unique_quiz_id: `${questionNumber}` // Use sequential position instead of q_id
-        });
-        questionNumber++;
       });
 
-      // Medium questions: positions 5-7 (quiz_id 5-7)
-      // Ensure first selected (Q5) has scenario if possible
-      if (mediumCount > 0) {
-        const hasScenario = (q) => (q.scenario_title && q.scenario_title.trim() !== '') || (q.text_context && q.text_context.trim() !== '');
-        const mediumWithScenarioIndex = allMediumQuestions.findIndex(hasScenario);
-        const mediumSelected = [];
-        if (mediumWithScenarioIndex !== -1) {
-          // Put the one with scenario first
-          mediumSelected.push(allMediumQuestions[mediumWithScenarioIndex]);
-          // Fill remaining from others excluding the chosen one
-          for (let i = 0; i < allMediumQuestions.length && mediumSelected.length < mediumCount; i++) {
-            if (i === mediumWithScenarioIndex) continue;
-            mediumSelected.push(allMediumQuestions[i]);
-          }
+      let candidates;
+      if (blueprint.q_id_fallback === 'first_available') {
+        // Original extractor: the preferred q_ids only count when there are at least as many as the larger of the
+        // preference list and the required count; otherwise the first that many upstream questions are used
+        const poolSize = Math.max(requiredCount, preferredIds.length);
+        if (preferred.length >= poolSize) {
+          candidates = preferred;
         } else {
-          // No scenario present, fallback to first N
-          mediumSelected.push(...allMediumQuestions.slice(0, mediumCount));
+          console.log(`⚠️  Only found ${preferred.length} ${difficulty} questions for preferred q_ids ${preferredIds.join(', ')}, using first ${poolSize} available instead`);
+          candidates = available.slice(0, poolSize);
         }
-        mediumSelected.forEach((q) => {
-          questions.push({
-            ...q,
-            question_type: 'Medium',
-            unique_quiz_id: `${questionNumber}` // Use sequential position instead of q_id
-          });
-          questionNumber++;
-        });
+      } else {
+        if (preferredIds.length > 0 && preferred.length < requiredCount) {
+          console.log(`⚠️  Only found ${preferred.length} ${difficulty} questions for preferred q_ids ${preferredIds.join(', ')}. Using available questions to fill the gap.`);
+        }
+        candidates = [...preferred, ...fallback].slice(0, requiredCount);
       }
 
-      // Hard questions: positions 8-10 (quiz_id 8-10)
-      // Ensure first selected (Q8) has scenario if possible
-      if (hardCount > 0) {
-        const hasScenario = (q) => (q.scenario_title && q.scenario_title.trim() !== '') || (q.text_context && q.text_context.trim() !== '');
-        const hardWithScenarioIndex = allHardQuestions.findIndex(hasScenario);
-        const hardSelected = [];
-        if (hardWithScenarioIndex !== -1) {
-          // Put the one with scenario first
-          hardSelected.push(allHardQuestions[hardWithScenarioIndex]);
-          // Fill remaining from others excluding the chosen one
-          for (let i = 0; i < allHardQuestions.length && hardSelected.length < hardCount; i++) {
-            if (i === hardWithScenarioIndex) continue;
-            hardSelected.push(allHardQuestions[i]);
-          }
-        } else {
-          // No scenario present, fallback to first N
-          hardSelected.push(...allHardQuestions.slice(0, hardCount));
+      const remaining = processQuestions(candidates);
+      const range = blueprint.ranges[difficulty];
+      for (let position = range.start; position <= range.end && remaining.length > 0; position++) {
+        let index = 0;
+        if (quizBlueprintService.isScenarioPosition(blueprint, position)) {
+          index = Math.max(remaining.findIndex(hasScenario), 0);
         }
-        hardSelected.forEach((q) => {
-          questions.push({
-            ...q,
-            question_type: 'Hard',
-            unique_quiz_id: `${questionNumber}` // Use sequential position instead of q_id
-          });
-          questionNumber++;
+        const [q] = remaining.splice(index, 1);
+        questions.push({
+          ...q,
+          question_type: typeLabels[difficulty],
+          unique_quiz_id: `${questions.length + 1}`, // Use sequential position instead of q_id
+          code_snippet_imageLink: q.code_snippet_imageLink || null
         });
       }
 
-      console.log(`📋 Final distribution (ordered): ${easyCount} Easy (1-4), ${mediumCount} Medium (5-7), ${hardCount} Hard (8-10) = ${questions.length} total questions`);
-      
-      // If we still don't have exactly 10 questions, log a warning
-      if (questions.length !== targetTotal) {
-        console.log(`⚠️  Warning: Could only get ${questions.length} questions (target: ${targetTotal})`);
-      }
-      
-      return questions;
-    } catch (error) {
-      console.error('❌ Error extracting questions:', error.message);
-      throw new Error(`Failed to extract questions: ${error.message}`);
+      distribution.push(`${questions.filter(q => q.question_type === typeLabels[difficulty]).length} ${typeLabels[difficulty]} (${range.start}-${range.end})`);
+    });
+
+    console.log(`📋 Final distribution (ordered, blueprint "${blueprint.name}"): ${distribution.join(', ')} = ${questions.length} total questions`);
+
+    if (questions.length !== blueprint.total_questions) {
+      console.log(`⚠️  Warning: Could only get ${questions.length} questions (target: ${blueprint.total_questions})`);
     }
+
+    return questions;
   }
 
   // Format HTTP log entries into readable format
@@ -573,10 +471,8 @@ class GenerateQuizService {
       return this.formatDefault(normalized);
   }
 
-  extractQuestionsCybersecurity(quizData) {
+  extractQuestionsCybersecurity(quizData, blueprint = quizBlueprintService.builtInBlueprints.cybersecurity) {
     try {
-      const questions = [];
-      
       if (!quizData.data || !quizData.data.quiz_question_answer || !quizData.data.quiz_question_answer.questionaire) {
         throw new Error('Invalid quiz data structure');
       }
@@ -597,6 +493,7 @@ class GenerateQuizService {
 
           if (hasCodeImage) {
             q.formatted_question = baseQuestion;
+            q.code_block = null;
             q.code_snippet_imageLink = codeImage.trim();
             console.log(`🖼️ Question ${q.q_id} has code image - storing link only`);
           } else if (hasMarkdown) {
@@ -608,182 +505,29 @@ class GenerateQuizService {
             q.formatted_question = monospaceBlock
               ? `${baseQuestion}\n\n${monospaceBlock}`.trim()
               : baseQuestion;
+            q.code_block = monospaceBlock || null;
             q.code_snippet_imageLink = null;
             console.log(`📄 Question ${q.q_id} has markdown - appending as monospace block`);
           } else if (hasCodeSnippet) {
             const normalizedSnippet = snippetRaw.replace(/\r\n/g, '\n');
             const snippetBlock = `\`\`\`js\n${normalizedSnippet}\n\`\`\``;
             q.formatted_question = `${baseQuestion}\n\n${snippetBlock}`.trim();
+            q.code_block = snippetBlock;
             q.code_snippet_imageLink = null;
             console.log(`📝 Question ${q.q_id} has raw code snippet - embedding in question`);
           } else {
             q.formatted_question = baseQuestion;
+            q.code_block = null;
             q.code_snippet_imageLink = null;
             console.log(`ℹ️ Question ${q.q_id} has no extra content - keeping base question`);
           }
+          q.question_stem = baseQuestion;
 
           return q;
         });
       };
 
-      const selectQuestionsByIds = (questionList, requiredIds, requiredCount) => {
-        if (!Array.isArray(questionList) || questionList.length === 0) {
-          return [];
-        }
-        const selected = [];
-        const fallbackPool = [];
-        questionList.forEach((q) => {
-          if (requiredIds.includes(q.q_id) && !selected.some(sel => sel.q_id === q.q_id)) {
-            selected.push(q);
-          } else {
-            fallbackPool.push(q);
-          }
-        });
-        for (let i = 0; i < fallbackPool.length && selected.length < requiredCount; i++) {
-          selected.push(fallbackPool[i]);
-        }
-        if (selected.length > requiredCount) {
-          return selected.slice(0, requiredCount);
-        }
-        return selected;
-      };
-      
-      // Collect all available questions
-      let allEasyQuestions = [];
-      let allMediumQuestions = [];
-      let allHardQuestions = [];
-      
-      // Extract easy questions - strictly target q_id 1-4, fallback to earliest entries if missing
-      if (questionnaire.easy && Array.isArray(questionnaire.easy)) {
-        const easyQIds = [1, 2, 3, 4];
-        let easyQuestions = selectQuestionsByIds(questionnaire.easy, easyQIds, 4);
-        if (easyQuestions.length < 4) {
-          console.log(`⚠️  Only found ${easyQuestions.length} easy questions for required q_ids ${easyQIds.join(', ')}. Using available questions to fill the gap.`);
-        }
-        allEasyQuestions = processCybersecurityQuestions(easyQuestions);
-        console.log(`📋 Found ${allEasyQuestions.length} easy questions`);
-      }
-
-      // Extract medium questions - strictly target q_id 11-13, fallback to earliest entries if missing
-      if (questionnaire.medium && Array.isArray(questionnaire.medium)) {
-        const mediumQIds = [11, 12, 13];
-        let mediumQuestions = selectQuestionsByIds(questionnaire.medium, mediumQIds, 3);
-        if (mediumQuestions.length < 3) {
-          console.log(`⚠️  Only found ${mediumQuestions.length} medium questions for required q_ids ${mediumQIds.join(', ')}. Using available questions to fill the gap.`);
-        }
-        allMediumQuestions = processCybersecurityQuestions(mediumQuestions);
-        console.log(`📋 Found ${allMediumQuestions.length} medium questions`);
-      }
-
-      // Extract hard questions - strictly target q_id 17-19, fallback to earliest entries if missing
-      if (questionnaire.hard && Array.isArray(questionnaire.hard)) {
-        const hardQIds = [17, 18, 19];
-        let hardQuestions = selectQuestionsByIds(questionnaire.hard, hardQIds, 3);
-        if (hardQuestions.length < 3) {
-          console.log(`⚠️  Only found ${hardQuestions.length} hard questions for required q_ids ${hardQIds.join(', ')}. Using available questions to fill the gap.`);
-        }
-        allHardQuestions = processCybersecurityQuestions(hardQuestions);
-        console.log(`📋 Found ${allHardQuestions.length} hard questions`);
-      }
-
-      // CRITICAL RULE: Always maintain exact question distribution
-      // Easy: 4 questions (positions 1-4, quiz_id 1-4)
-      // Medium: 3 questions (positions 5-7, quiz_id 5-7)
-      // Hard: 3 questions (positions 8-10, quiz_id 8-10)
-      // Total: 10 questions
-      const targetTotal = 10;
-      const easyCount = Math.min(4, allEasyQuestions.length);   // Always try to get 4
-      const mediumCount = Math.min(3, allMediumQuestions.length); // Always try to get 3
-      const hardCount = Math.min(3, allHardQuestions.length);   // Always try to get 3
-      
-      const totalPlanned = easyCount + mediumCount + hardCount;
-      if (totalPlanned !== targetTotal) {
-        console.log(`⚠️  Planned distribution is ${totalPlanned} (Easy ${easyCount}, Medium ${mediumCount}, Hard ${hardCount}). Some categories may have insufficient questions.`);
-      }
-      
-      // Add questions to the final array with sequential quiz_id based on final position (1-10)
-      let questionNumber = 1;
-      
-      // Easy questions: positions 1-4 (quiz_id 1-4)
-      allEasyQuestions.slice(0, easyCount).forEach((q, index) => {
-        questions.push({
-          ...q,
-          question_type: 'Easy',
-          unique_quiz_id: `${questionNumber}`,
-          // Ensure code_snippet_imageLink is included (null if not present)
-          code_snippet_imageLink: q.code_snippet_imageLink || null
-        });
-        questionNumber++;
-      });
-
-      // Medium questions: positions 5-7 (quiz_id 5-7)
-      // Ensure first selected (Q5) has scenario if possible
-      if (mediumCount > 0) {
-        const hasScenario = (q) => (q.scenario_title && q.scenario_title.trim() !== '') || (q.text_context && q.text_context.trim() !== '');
-        const mediumWithScenarioIndex = allMediumQuestions.findIndex(hasScenario);
-        const mediumSelected = [];
-        if (mediumWithScenarioIndex !== -1) {
-          // Put the one with scenario first
-          mediumSelected.push(allMediumQuestions[mediumWithScenarioIndex]);
-          // Fill remaining from others excluding the chosen one
-          for (let i = 0; i < allMediumQuestions.length && mediumSelected.length < mediumCount; i++) {
-            if (i === mediumWithScenarioIndex) continue;
-            mediumSelected.push(allMediumQuestions[i]);
-          }
-        } else {
-          // No scenario present, fallback to first N
-          mediumSelected.push(...allMediumQuestions.slice(0, mediumCount));
-        }
-        mediumSelected.forEach((q) => {
-          questions.push({
-            ...q,
-            question_type: 'Medium',
-            unique_quiz_id: `${questionNumber}`,
-            // Ensure code_snippet_imageLink is included (null if not present)
-            code_snippet_imageLink: q.code_snippet_imageLink || null
-          });
-          questionNumber++;
-        });
-      }
-
-      // Hard questions: positions 8-10 (quiz_id 8-10)
-      // Ensure first selected (Q8) has scenario if possible
-      if (hardCount > 0) {
-        const hasScenario = (q) => (q.scenario_title && q.scenario_title.trim() !== '') || (q.text_context && q.text_context.trim() !== '');
-        const hardWithScenarioIndex = allHardQuestions.findIndex(hasScenario);
-        const hardSelected = [];
-        if (hardWithScenarioIndex !== -1) {
-          // Put the one with scenario first
-          hardSelected.push(allHardQuestions[hardWithScenarioIndex]);
-          // Fill remaining from others excluding the chosen one
-          for (let i = 0; i < allHardQuestions.length && hardSelected.length < hardCount; i++) {
-            if (i === hardWithScenarioIndex) continue;
-            hardSelected.push(allHardQuestions[i]);
-          }
-        } else {
-          // No scenario present, fallback to first N
-          hardSelected.push(...allHardQuestions.slice(0, hardCount));
-        }
-        hardSelected.forEach((q) => {
-          questions.push({
-            ...q,
-            question_type: 'Hard',
-            unique_quiz_id: `${questionNumber}`,
-            // Ensure code_snippet_imageLink is included (null if not present)
-            code_snippet_imageLink: q.code_snippet_imageLink || null
-          });
-          questionNumber++;
-        });
-      }
-
-      console.log(`📋 Final distribution (ordered): ${easyCount} Easy (1-4), ${mediumCount} Medium (5-7), ${hardCount} Hard (8-10) = ${questions.length} total questions`);
-      
-      // If we still don't have exactly 10 questions, log a warning
-      if (questions.length !== targetTotal) {
-        console.log(`⚠️  Warning: Could only get ${questions.length} questions (target: ${targetTotal})`);
-      }
-      
-      return questions;
+      return this.selectQuestionsForBlueprint(questionnaire, blueprint, processCybersecurityQuestions);
     } catch (error) {
       console.error('❌ Error extracting cybersecurity questions:', error.message);
       throw new Error(`Failed to extract cybersecurity questions: ${error.message}`);
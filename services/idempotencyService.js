@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const config = require('../config');
+
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Stored responses for idempotent start / submit calls (idempotency_keys table, see
+ * migrations/018_create_idempotency_keys.js).
+ *
+ * The first request with a key claims it (status in_progress); its response is stored when it is sent and replayed
+ * to every repeat until the key expires (config.idempotency.windowSeconds). A repeat that arrives while the first
+ * request is still running is told to retry. Server errors release the key, so a retry runs again; a claim left
+ * behind by a crashed instance can be taken over after config.idempotency.lockTimeoutSeconds.
+ *
+ * A derived key (the session an auto-submit would submit) only recognises redeliveries of the same body: a finished
+ * request with a different body is a new request for that session, so it takes the key over and runs.
+ */
+class IdempotencyService {
+  constructor() {
+    this.lastPurgeAt = 0;
+  }
+
+  hashRequest(rawBody) {
+    return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  }
+
+  /**
+   * Claim a key, or find out what happened to the request that already holds it
+   * @param {Object} params - { scope, key, source: 'header' | 'derived', requestHash }
+   * @returns {Promise<{ state: 'claimed' } | { state: 'completed', responseStatus: number, responseBody: Object }
+   *   | { state: 'in_progress' } | { state: 'mismatch' }>}
+   *   mismatch: a client-supplied key was reused with a different request body. A derived key with a different body
+   *   is claimed once its first request finished (never replayed)
+   */
+  async claim({ scope, key, source, requestHash }) {
+    this.purgeExpired();
+    const claimed = await query(`
+      INSERT INTO idempotency_keys (scope, idempotency_key, key_source, request_hash, status, locked_at, expires_at, created_at)
+      VALUES ($1, $2, $3, $4, 'in_progress', NOW(), NOW() + ($5::int * INTERVAL '1 second'), NOW())
+      ON CONFLICT (scope, idempotency_key) DO UPDATE
+      SET key_source = EXCLUDED.key_source,
+          request_hash = EXCLUDED.request_hash,
+          status = 'in_progress',
+          response_status = NULL,
+          response_body = NULL,
+          locked_at = NOW(),
+          completed_at = NULL,
+          expires_at = EXCLUDED.expires_at,
+          created_at = NOW()
+      WHERE idempotency_keys.expires_at <= NOW()
+         OR (idempotency_keys.status = 'in_progress' AND idempotency_keys.locked_at < NOW() - ($6::int * INTERVAL '1 second'))
+      RETURNING scope
+    `, [scope, key, source, requestHash, config.idempotency.windowSeconds, config.idempotency.lockTimeoutSeconds]);
+    if (claimed.rowCount === 1) {
+      return { state: 'claimed' };
+    }
+
+    const existing = (await query(`
+      SELECT key_source, request_hash, status, response_status, response_body
+      FROM idempotency_keys
+      WHERE scope = $1 AND idempotency_key = $2
+    `, [scope, key])).rows[0];
+    if (!existing) {
+      // Purged between the two statements; treat it like a fresh key
+      return this.claim({ scope, key, source, requestHash });
+    }
+    if (existing.status !== 'in_progress' && source === 'derived' && existing.request_hash !== requestHash) {
+      return this.takeOver({ scope, key, source, requestHash, previousHash: existing.request_hash });
+    }
+    if (source === 'header' && existing.request_hash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+    if (existing.status === 'in_progress') {
+      return { state: 'in_progress' };
+    }
+    return { state: 'completed', responseStatus: existing.response_status, responseBody: existing.response_body };
+  }
+
+  // Claim a completed key for a request with a different body; when another request got there first, look again
+  async takeOver({ scope, key, source, requestHash, previousHash }) {
+    const taken = await query(`
+      UPDATE idempotency_keys
+      SET request_hash = $3,
+          status = 'in_progress',
+          response_status = NULL,
+          response_body = NULL,
+          locked_at = NOW(),
+          completed_at = NULL,
+          expires_at = NOW() + ($5::int * INTERVAL '1 second'),
+          created_at = NOW()
+      WHERE scope = $1 AND idempotency_key = $2 AND status = 'completed' AND request_hash = $4
+      RETURNING scope
+    `, [scope, key, requestHash, previousHash, config.idempotency.windowSeconds]);
+    if (taken.rowCount === 1) {
+      return { state: 'claimed' };
+    }
+    return this.claim({ scope, key, source, requestHash });
+  }
+
+  async complete({ scope, key, responseStatus, responseBody }) {
+    await query(`
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW(), locked_at = NULL
+      WHERE scope = $1 AND idempotency_key = $2
+    `, [scope, key, responseStatus, JSON.stringify(responseBody ?? null)]);
+  }
+
+  // Forget a claim so the next request with this key runs again
+  async release({ scope, key }) {
+    await query('DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2', [scope, key]);
+  }
+
+  // At most once a minute per instance
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurgeAt = Date.now();
+    query('DELETE FROM idempotency_keys WHERE expires_at <= NOW()')
+      .catch(error => console.error('❌ Failed to purge idempotency keys:', error.message));
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const { query } = require('../database');
+const config = require('../config');
+const { validateCallbackUrl, callbackRequestOptions } = require('../utils/callbackUrl');
+
+/**
+ * Postgres-backed job queue (jobs table, see migrations/015_create_jobs.js).
+ *
+ * Workers claim jobs with SELECT ... FOR UPDATE SKIP LOCKED, so several server instances (or the
+ * /api/cron/jobs endpoint on Vercel) can poll the same table without running a job twice. Failed jobs are
+ * retried with a linear backoff until max_attempts; a job left running by a dead worker is reclaimed after
+ * config.jobs.lockTimeoutSeconds, or failed if that was its last attempt. When a job finishes (or fails for good) its callback_url, if any, receives
+ * { job_id, type, status, result, error }.
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.workerTimer = null;
+    this.workerRunning = false;
+  }
+
+  // Handlers receive the job payload and resolve with the result stored on the job
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  async enqueue(type, payload, { sessionId = null, callbackUrl = null, maxAttempts = config.jobs.maxAttempts } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No job handler registered for type "${type}"`);
+    }
+    const result = await query(`
+      INSERT INTO jobs (type, payload, session_id, callback_url, max_attempts, status, run_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, 'queued', NOW(), NOW(), NOW())
+      RETURNING id, type, status, session_id, created_at
+    `, [type, JSON.stringify(payload), sessionId, callbackUrl, maxAttempts]);
+    const job = result.rows[0];
+    console.log(`📥 Enqueued ${type} job ${job.id}${sessionId ? ` for session ${sessionId}` : ''}`);
+    return job;
+  }
+
+  async getJob(jobId) {
+    const result = await query(`
+      SELECT id, type, status, session_id, attempts, max_attempts, result, error,
+             callback_url, callback_status, callback_attempts, callback_delivered_at,
+             run_at, started_at, completed_at, created_at, updated_at
+      FROM jobs
+      WHERE id = $1
+    `, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  // Claim the next due job; one statement so the lock and the status change can't be separated
+  async claimNext() {
+    const result = await query(`
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, started_at = NOW(), locked_at = NOW(), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE (status = 'queued' AND run_at <= NOW())
+           OR (status = 'running' AND locked_at < NOW() - ($1::int * INTERVAL '1 second') AND attempts < max_attempts)
+        ORDER BY run_at ASC, created_at ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING id, type, payload, session_id, attempts, max_attempts, callback_url
+    `, [config.jobs.lockTimeoutSeconds]);
+    return result.rows[0] || null;
+  }
+
+  // A job whose worker died during its last attempt is failed instead of being reclaimed again
+  async failAbandoned() {
+    const message = 'Worker stopped before the job finished and no attempts are left';
+    const result = await query(`
+      UPDATE jobs
+      SET status = 'failed', error = $2, completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE status = 'running' AND attempts >= max_attempts
+        AND locked_at < NOW() - ($1::int * INTERVAL '1 second')
+      RETURNING id, type, callback_url
+    `, [config.jobs.lockTimeoutSeconds, message]);
+    for (const job of result.rows) {
+      console.error(`❌ Job ${job.id} failed permanently: ${message}`);
+      await this.deliverCallback(job, 'failed', null, message);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Claim and run one job
+   * @returns {Promise<Object|null>} { id, type, status } of the processed job, or null when the queue is empty
+   */
+  async processNext() {
+    const job = await this.claimNext();
+    if (!job) {
+      return null;
+    }
+
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+    const handler = this.handlers[job.type];
+    try {
+      if (!handler) {
+        throw Object.assign(new Error(`No job handler registered for type "${job.type}"`), { permanent: true });
+      }
+      const result = await handler(job.payload, job);
+      await query(`
+        UPDATE jobs
+        SET status = 'succeeded', result = $1, error = NULL, completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+        WHERE id = $2
+      `, [JSON.stringify(result ?? null), job.id]);
+      console.log(`✅ Job ${job.id} succeeded`);
+      await this.deliverCallback(job, 'succeeded', result, null);
+      return { id: job.id, type: job.type, status: 'succeeded' };
+    } catch (error) {
+      const finalAttempt = error.permanent || job.attempts >= job.max_attempts;
+      if (finalAttempt) {
+        await query(`
+          UPDATE jobs
+          SET status = 'failed', error = $1, completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+          WHERE id = $2
+        `, [error.message, job.id]);
+        console.error(`❌ Job ${job.id} failed permanently: ${error.message}`);
+        await this.deliverCallback(job, 'failed', null, error.message);
+        return { id: job.id, type: job.type, status: 'failed' };
+      }
+
+      const retryInSeconds = job.attempts * config.jobs.retryBackoffSeconds;
+      await query(`
+        UPDATE jobs
+        SET status = 'queued', error = $1, run_at = NOW() + ($2::int * INTERVAL '1 second'), locked_at = NULL, updated_at = NOW()
+        WHERE id = $3
+      `, [error.message, retryInSeconds, job.id]);
+      console.warn(`⚠️ Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${retryInSeconds}s: ${error.message}`);
+      return { id: job.id, type: job.type, status: 'queued' };
+    }
+  }
+
+  /**
+   * Run up to `limit` jobs back to back (used by the cron endpoint and the local worker loop)
+   * @param {number} [limit]
+   * @param {Object} [options]
+   * @param {number|null} [options.timeBudgetMs] - Don't start another job once this much time has passed
+   *   (the first job always runs)
+   */
+  async processBatch(limit = config.jobs.batchSize, { timeBudgetMs = null } = {}) {
+    const startedAt = Date.now();
+    await this.failAbandoned();
+    const processed = [];
+    for (let i = 0; i < limit; i++) {
+      if (i > 0 && timeBudgetMs !== null && Date.now() - startedAt >= timeBudgetMs) {
+        break;
+      }
+      const outcome = await this.processNext();
+      if (!outcome) {
+        break;
+      }
+      processed.push(outcome);
+    }
+    return { processed: processed.length, jobs: processed };
+  }
+
+  async deliverCallback(job, status, result, errorMessage) {
+    if (!job.callback_url) {
+      return;
+    }
+    try {
+      // The allowlist may have changed since the job was queued; the resolved address is checked as the socket connects
+      const problem = validateCallbackUrl(job.callback_url);
+      if (problem) {
+        throw new Error(problem);
+      }
+      await axios.post(job.callback_url, {
+        job_id: job.id,
+        type: job.type,
+        status,
+        result,
+        error: errorMessage
+      }, { ...callbackRequestOptions, timeout: config.jobs.callbackTimeoutMs });
+      await query(`
+        UPDATE jobs
+        SET callback_status = 'delivered', callback_attempts = callback_attempts + 1, callback_delivered_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [job.id]);
+      console.log(`📨 Delivered callback for job ${job.id}`);
+    } catch (error) {
+      // Callers can still poll GET /api/jobs/:id, so a failed callback never fails the job
+      await query(`
+        UPDATE jobs
+        SET callback_status = 'failed', callback_attempts = callback_attempts + 1, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id]);
+      console.error(`⚠️ Callback for job ${job.id} failed: ${error.message}`);
+    }
+  }
+
+  // Poll the queue in-process (local/dev servers; Vercel uses /api/cron/jobs instead)
+  startWorker(intervalMs = config.jobs.pollIntervalMs) {
+    if (this.workerTimer) {
+      return;
+    }
+    const tick = async () => {
+      if (this.workerRunning) {
+        return;
+      }
+      this.workerRunning = true;
+      try {
+        await this.processBatch();
+      } catch (error) {
+        console.error('❌ [Job Worker] Error processing jobs:', error.message);
+      } finally {
+        this.workerRunning = false;
+      }
+    };
+    this.workerTimer = setInterval(tick, intervalMs);
+    console.log(`✅ Job worker started (polling every ${intervalMs}ms)`);
+  }
+
+  stopWorker() {
+    if (this.workerTimer) {
+      clearInterval(this.workerTimer);
+      this.workerTimer = null;
+    }
+  }
+}
+
+module.exports = new JobQueueService();
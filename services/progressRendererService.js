@@ -0,0 +1,216 @@
+const { query } = require('../database');
+
+const DEFAULT_RENDERER = 'emoji';
+const DEFAULT_DISPLAY_POLICY = 'inflated';
+const PROGRESS_ROW_LENGTH = 10;
+const COLLAPSED_HEAD_COUNT = 4;
+
+// Cell characters per theme; renderers fall back to the default theme for anything missing
+const THEMES = {
+  default: { filled: '🟩', empty: '⬜', collapse: '.....' },
+  blue: { filled: '🟦', empty: '⬜', collapse: '.....' },
+  circles: { filled: '🟢', empty: '⚪', collapse: '...' },
+  ascii: { filled: '#', empty: '-', collapse: '..' }
+};
+
+/**
+ * Display policies decide which numbers the learner sees.
+ * A policy returns a view: { questionNo, displayNumber, displayTotal, collapsedCount, headCount, tailLength }
+ *
+ * - inflated: shows blueprint.display_total (e.g. 15 for a 10-question quiz) by skipping
+ *   display_total - total_questions numbers right after the first COLLAPSED_HEAD_COUNT questions.
+ * - actual: shows the real position and question count.
+ */
+const displayPolicies = {
+  inflated: (questionNo, blueprint) => {
+    const collapsedCount = blueprint.display_total - blueprint.total_questions;
+    if (collapsedCount <= 0) {
+      return displayPolicies.actual(questionNo, blueprint);
+    }
+    const headCount = Math.min(COLLAPSED_HEAD_COUNT, blueprint.total_questions);
+    return {
+      questionNo,
+      displayNumber: questionNo <= headCount ? questionNo : questionNo + collapsedCount,
+      displayTotal: blueprint.display_total,
+      collapsedCount,
+      headCount,
+      tailLength: blueprint.total_questions - headCount
+    };
+  },
+
+  actual: (questionNo, blueprint) => ({
+    questionNo,
+    displayNumber: questionNo,
+    displayTotal: blueprint.total_questions,
+    collapsedCount: 0,
+    headCount: blueprint.total_questions,
+    tailLength: 0
+  })
+};
+
+const buildRows = (filled, total, theme) => {
+  const cells = [];
+  for (let i = 0; i < total; i++) {
+    cells.push(i < filled ? theme.filled : theme.empty);
+  }
+  const rows = [];
+  for (let i = 0; i < cells.length; i += PROGRESS_ROW_LENGTH) {
+    rows.push(cells.slice(i, i + PROGRESS_ROW_LENGTH).join(''));
+  }
+  return rows.join('\n\n');
+};
+
+/**
+ * Renderers turn a policy view into the header line, the progress block and the stem prefix.
+ * Each renderer: { header(view), progress(view, theme), stemPrefix }
+ */
+const renderers = {
+  // WhatsApp emoji rows; after the head the hidden numbers collapse into the theme's collapse token
+  emoji: {
+    header: (view) => `*Question ${view.displayNumber} / ${view.displayTotal}*`,
+    progress: (view, theme) => {
+      if (view.collapsedCount === 0 || view.questionNo <= view.headCount) {
+        return buildRows(view.questionNo, view.displayTotal, theme);
+      }
+      const tailProgress = Math.min(view.questionNo - view.headCount, view.tailLength);
+      const headRow = theme.filled.repeat(view.headCount);
+      const tailRow = theme.filled.repeat(tailProgress) + theme.empty.repeat(view.tailLength - tailProgress);
+      return `${headRow}${theme.collapse}${tailRow}`;
+    },
+    stemPrefix: '🧠 '
+  },
+
+  percentage: {
+    header: (view) => `*Question ${view.displayNumber} / ${view.displayTotal}*`,
+    progress: (view, theme) => {
+      const percent = Math.round((view.displayNumber / view.displayTotal) * 100);
+      const filled = Math.round(percent / 10);
+      return `${theme.filled.repeat(filled)}${theme.empty.repeat(10 - filled)} ${percent}%`;
+    },
+    stemPrefix: '🧠 '
+  },
+
+  numeric: {
+    header: (view) => `*Question ${view.displayNumber} / ${view.displayTotal}*`,
+    progress: (view) => `Progress: ${view.displayNumber - 1} of ${view.displayTotal} answered`,
+    stemPrefix: '🧠 '
+  },
+
+  // SMS-safe: no WhatsApp markdown and no emoji
+  plain: {
+    header: (view) => `Question ${view.displayNumber} of ${view.displayTotal}`,
+    progress: (view) => {
+      const theme = THEMES.ascii;
+      return `[${theme.filled.repeat(view.displayNumber)}${theme.empty.repeat(view.displayTotal - view.displayNumber)}]`;
+    },
+    stemPrefix: ''
+  }
+};
+
+class ProgressRendererService {
+  constructor() {
+    this.defaultPresentation = {
+      renderer: DEFAULT_RENDERER,
+      theme: 'default',
+      display_policy: DEFAULT_DISPLAY_POLICY
+    };
+  }
+
+  register(name, renderer) {
+    if (!renderer || typeof renderer.header !== 'function' || typeof renderer.progress !== 'function') {
+      throw new Error(`Progress renderer "${name}" must implement header() and progress()`);
+    }
+    renderers[name] = { stemPrefix: '', ...renderer };
+  }
+
+  registerTheme(name, theme) {
+    THEMES[name] = { ...THEMES.default, ...theme };
+  }
+
+  hasRenderer(name) {
+    return Object.prototype.hasOwnProperty.call(renderers, name);
+  }
+
+  hasTheme(name) {
+    return Object.prototype.hasOwnProperty.call(THEMES, name);
+  }
+
+  listRenderers() {
+    return Object.keys(renderers);
+  }
+
+  listThemes() {
+    return Object.keys(THEMES);
+  }
+
+  listDisplayPolicies() {
+    return Object.keys(displayPolicies);
+  }
+
+  // Fill unknown or missing fields from the defaults so rendering never fails on bad config
+  normalizePresentation(presentation = {}) {
+    return {
+      renderer: this.hasRenderer(presentation.renderer) ? presentation.renderer : DEFAULT_RENDERER,
+      theme: this.hasTheme(presentation.theme) ? presentation.theme : 'default',
+      display_policy: Object.prototype.hasOwnProperty.call(displayPolicies, presentation.display_policy)
+        ? presentation.display_policy
+        : DEFAULT_DISPLAY_POLICY
+    };
+  }
+
+  // Session override wins, then the blueprint (subject/campaign), then the defaults
+  async getPresentationForSession(sessionId, blueprint) {
+    const fromBlueprint = {
+      renderer: blueprint && blueprint.progress_renderer,
+      theme: blueprint && blueprint.progress_theme,
+      display_policy: blueprint && blueprint.display_policy
+    };
+
+    try {
+      const result = await query(
+        'SELECT progress_renderer, progress_theme FROM sessions WHERE id = $1',
+        [sessionId]
+      );
+      const session = result.rows[0];
+      if (session) {
+        return this.normalizePresentation({
+          renderer: session.progress_renderer || fromBlueprint.renderer,
+          theme: session.progress_theme || fromBlueprint.theme,
+          display_policy: fromBlueprint.display_policy
+        });
+      }
+    } catch (error) {
+      console.error('⚠️  Could not load session presentation, using blueprint/default:', error.message);
+    }
+    return this.normalizePresentation(fromBlueprint);
+  }
+
+  async setSessionPresentation(sessionId, { renderer, theme } = {}) {
+    await query(
+      'UPDATE sessions SET progress_renderer = $1, progress_theme = $2 WHERE id = $3',
+      [renderer || null, theme || null, sessionId]
+    );
+  }
+
+  /**
+   * Render header, progress block and stem prefix for one question
+   * @param {number} questionNo - Real 1-based question position
+   * @param {Object} blueprint - Normalized quiz blueprint
+   * @param {Object} presentation - { renderer, theme, display_policy }
+   */
+  render(questionNo, blueprint, presentation = this.defaultPresentation) {
+    const { renderer: rendererName, theme: themeName, display_policy: policyName } = this.normalizePresentation(presentation);
+    const view = displayPolicies[policyName](questionNo, blueprint);
+    const renderer = renderers[rendererName];
+    const theme = { ...THEMES.default, ...THEMES[themeName] };
+
+    return {
+      view,
+      header: renderer.header(view),
+      progress: renderer.progress(view, theme),
+      stemPrefix: renderer.stemPrefix
+    };
+  }
+}
+
+module.exports = new ProgressRendererService();
@@ -1,21 +1,24 @@
 const { query } = require('../database');
+const quizBlueprintService = require('./quizBlueprintService');
+const progressRendererService = require('./progressRendererService');
+const answeringPolicyService = require('./answeringPolicyService');
+const questionTimingService = require('./questionTimingService');
+const sessionStateService = require('./sessionStateService');
+const HttpError = require('../utils/httpError');
 
-const DISPLAY_TOTAL_QUESTIONS = 15;
-const PROGRESS_TOP_ROW_LENGTH = 10;
-const PROGRESS_BOTTOM_ROW_LENGTH = 5;
-const COLLAPSED_HEAD_COUNT = 4;
-const COLLAPSED_MIDDLE_COUNT = 5;
-const COLLAPSED_TAIL_LENGTH = DISPLAY_TOTAL_QUESTIONS - (COLLAPSED_HEAD_COUNT + COLLAPSED_MIDDLE_COUNT);
-const PROGRESS_COLLAPSE_TOKEN = '.....';
+// Structured question fields; the WhatsApp text is rendered from these at read time
+const STRUCTURED_COLUMNS = 'question_stem, options, code_block, company_used, difficulty';
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
 
 class QuestionService {
-  async createQuestions(questions, sessionId, userId) {
+  async createQuestions(questions, sessionId, userId, blueprint = quizBlueprintService.defaultBlueprint) {
     try {
       console.log(`📝 Creating ${questions.length} questions for session ${sessionId}`);
       
-      // CRITICAL: Only allow storing exactly 10 questions to maintain the rule (5 Easy, 3 Medium, 2 Hard)
-      if (questions.length !== 10) {
-        const errorMsg = `Cannot store ${questions.length} questions. Must have exactly 10 questions (5 Easy, 3 Medium, 2 Hard).`;
+      // CRITICAL: Only allow storing the exact blueprint count (default: 4 Easy, 3 Medium, 3 Hard)
+      if (questions.length !== blueprint.total_questions) {
+        const { easy, medium, hard } = blueprint.difficulty_counts;
+        const errorMsg = `Cannot store ${questions.length} questions. Must have exactly ${blueprint.total_questions} questions (${easy} Easy, ${medium} Medium, ${hard} Hard).`;
         console.error(`❌ ${errorMsg}`);
         throw new Error(errorMsg);
       }
@@ -39,14 +42,12 @@ class QuestionService {
       
       for (let i = 0; i < questions.length; i++) {
         const questionData = questions[i];
-        // Format the question with options
-        const formattedQuestion = this.formatQuestion(questionData, i + 1, questions.length);
-        
+
+        // question stays NULL: the message (header, progress bar, options) is rendered on read
         const questionQuery = `
           INSERT INTO questions(
             session_id, 
             user_id, 
-            question, 
             answer, 
             correct_answer, 
             answered,
@@ -54,16 +55,22 @@ class QuestionService {
             quiz_id,
             scenario,
             "code_snippet_imageLink",
+            question_stem,
+            options,
+            code_block,
+            company_used,
+            difficulty,
+            option_credits,
             created_at
           ) 
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-          RETURNING id, session_id, user_id, question, answer, correct_answer, answered, created_at, question_no, quiz_id, scenario, "code_snippet_imageLink"
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+          RETURNING id, session_id, user_id, question, answer, correct_answer, answered, created_at, question_no, quiz_id, scenario, "code_snippet_imageLink", ${STRUCTURED_COLUMNS}
         `;
         
-        // Build scenario only for question 5 (first Medium) and 8 (first Hard)
+        // Build scenario only for the blueprint's scenario positions (default: 5 and 8)
         let scenarioValue = null;
         const textContext = questionData.text_context || questionData.textContext || null;
-        const isScenarioPosition = (i + 1 === 5) || (i + 1 === 8);
+        const isScenarioPosition = quizBlueprintService.isScenarioPosition(blueprint, i + 1);
         if (isScenarioPosition && textContext) {
           // Store only text_context
           scenarioValue = String(textContext);
@@ -71,19 +78,25 @@ class QuestionService {
 
         // Extract code_snippet_imageLink from questionData (can be null/empty)
         const codeSnippetImageLink = questionData.code_snippet_imageLink || null;
+        const structured = this.toStructuredFields(questionData);
 
         try {
           const result = await query(questionQuery, [
             sessionId,
             userId,
-            formattedQuestion,
             '', // answer starts empty
             questionData.correct_answer,
             false, // answered starts as false
             i + 1, // question number (1-based)
             questionData.unique_quiz_id || questionData.q_id || null, // unique quiz_id or fallback to q_id
             scenarioValue,
-            codeSnippetImageLink
+            codeSnippetImageLink,
+            structured.question_stem,
+            JSON.stringify(structured.options),
+            structured.code_block,
+            structured.company_used,
+            structured.difficulty,
+            structured.option_credits ? JSON.stringify(structured.option_credits) : null
           ]);
           
           createdQuestions.push(result.rows[0]);
@@ -117,6 +130,13 @@ class QuestionService {
       }
       
       console.log(`✅ Successfully created ${createdQuestions.length} questions`);
+      if (createdQuestions.length > 0) {
+        await sessionStateService.advance(sessionId, 'questions_ready', {
+          event: 'questions_created',
+          source: 'question_generation',
+          metadata: { total_questions: createdQuestions.length }
+        });
+      }
       return createdQuestions;
     } catch (error) {
       console.error('Error creating questions:', error);
@@ -124,15 +144,100 @@ class QuestionService {
     }
   }
 
-  formatQuestion(questionData, questionNo, totalQuestions) {
+  // Pick the fields we persist from an extracted upstream question
+  toStructuredFields(questionData) {
+    const companyUsedRaw = questionData.company_used || questionData.companyUsed || questionData.company || '';
+    // Extraction sets code_block; otherwise wrap a raw snippet the same way formatQuestion would
+    const snippetRaw = (questionData.code_snippet || '').trim();
+    const codeBlock = questionData.code_block !== undefined
+      ? questionData.code_block
+      : (snippetRaw ? `\`\`\`js\n${snippetRaw.replace(/\r\n/g, '\n')}\n\`\`\`` : null);
+    return {
+      question_stem: questionData.question_stem || questionData.question || '',
+      options: {
+        A: questionData.option_a,
+        B: questionData.option_b,
+        C: questionData.option_c,
+        D: questionData.option_d
+      },
+      code_block: codeBlock || null,
+      company_used: typeof companyUsedRaw === 'string' && companyUsedRaw.trim() !== '' ? companyUsedRaw.trim() : null,
+      difficulty: questionData.question_type || null,
+      // Optional partial credit per option ({ a: 1, b: 0.5 }), used by scoringService
+      option_credits: questionData.option_credits && typeof questionData.option_credits === 'object'
+        ? questionData.option_credits
+        : null
+    };
+  }
+
+  // Inverse of toStructuredFields: shape a stored row the way formatQuestion expects
+  toQuestionData(row) {
+    const options = row.options || {};
+    return {
+      formatted_question: row.code_block ? `${row.question_stem}\n\n${row.code_block}` : row.question_stem,
+      option_a: options.A,
+      option_b: options.B,
+      option_c: options.C,
+      option_d: options.D,
+      company_used: row.company_used,
+      code_snippet_imageLink: row.code_snippet_imageLink
+    };
+  }
+
+  // Rows stored before structured storage only have the pre-rendered text
+  renderStoredQuestion(row, blueprint, presentation) {
+    if (row.question_stem === null || row.question_stem === undefined) {
+      return row.question;
+    }
+    return this.formatQuestion(this.toQuestionData(row), row.question_no, blueprint, presentation);
+  }
+
+  // Render the question text of rows from one session with that session's blueprint and presentation
+  async renderQuestionsForSession(sessionId, rows) {
+    if (rows.length === 0) {
+      return rows;
+    }
+    const blueprint = await quizBlueprintService.getBlueprintForSession(sessionId);
+    const presentation = await progressRendererService.getPresentationForSession(sessionId, blueprint);
+    return rows.map(row => ({
+      ...row,
+      question: this.renderStoredQuestion(row, blueprint, presentation)
+    }));
+  }
+
+  /**
+   * Option texts keyed by letter. Uses the stored options; legacy rows fall back to
+   * parsing the rendered text, which uses "A) " (older rows used "A. ").
+   */
+  getOptions(row) {
+    if (row.options) {
+      return row.options;
+    }
+
+    const options = {};
+    const optionRegex = /^([A-D])[.)]\s*(.+)$/gm;
+    let match;
+    while ((match = optionRegex.exec(row.question || '')) !== null) {
+      options[match[1]] = match[2].trim();
+    }
+    return options;
+  }
+
+  // Option text the user picked (or null)
+  getAnswerText(row, answer = row.answer) {
+    const letter = (answer || '').trim().toUpperCase();
+    if (!OPTION_LETTERS.includes(letter)) {
+      return null;
+    }
+    return this.getOptions(row)[letter] || null;
+  }
+
+  formatQuestion(questionData, questionNo, blueprint = quizBlueprintService.defaultBlueprint, presentation = progressRendererService.defaultPresentation) {
     // Format the question with options as requested
     const { formatted_question, option_a, option_b, option_c, option_d } = questionData;
     
     // Use formatted_question if available (includes code snippets/markdown), otherwise fallback to question
     let questionText = formatted_question || questionData.question || '';
-    const displayQuestionNumber = questionNo <= COLLAPSED_HEAD_COUNT
-      ? questionNo
-      : questionNo + COLLAPSED_MIDDLE_COUNT;
     
     // Check if code_snippet_imageLink exists - if it does, don't append code snippet to question text
     // This is for cybersecurity questions where code is displayed as an image instead
@@ -154,14 +259,14 @@ class QuestionService {
       }
     }
     
-    const progressEmojis = this.buildProgressBlock(questionNo);
+    const rendered = progressRendererService.render(questionNo, blueprint, presentation);
     const companyUsedRaw = questionData.company_used || questionData.companyUsed || questionData.company || '';
     const companyUsed = typeof companyUsedRaw === 'string' ? companyUsedRaw.trim() : '';
 
     const sections = [
-      `*Question ${displayQuestionNumber} / ${DISPLAY_TOTAL_QUESTIONS}*`,
+      rendered.header,
       '',
-      progressEmojis
+      rendered.progress
     ];
 
     if (companyUsed) {
@@ -170,7 +275,7 @@ class QuestionService {
 
     sections.push(
       '',
-      `🧠 ${questionText}`,
+      `${rendered.stemPrefix}${questionText}`,
       '',
       `A) ${option_a}`,
       '',
@@ -184,31 +289,21 @@ class QuestionService {
     return sections.join('\n');
   }
 
-  buildProgressBlock(questionNo) {
-    if (questionNo <= COLLAPSED_HEAD_COUNT) {
-      const topRow = '🟩'.repeat(questionNo) + '⬜'.repeat(PROGRESS_TOP_ROW_LENGTH - questionNo);
-      const bottomRow = '⬜'.repeat(PROGRESS_BOTTOM_ROW_LENGTH);
-      return `${topRow}\n\n${bottomRow}`;
-    }
-
-    const tailProgress = Math.min(questionNo - COLLAPSED_HEAD_COUNT, COLLAPSED_TAIL_LENGTH);
-    const tailRow = '🟩'.repeat(tailProgress) + '⬜'.repeat(COLLAPSED_TAIL_LENGTH - tailProgress);
-    const headRow = '🟩'.repeat(COLLAPSED_HEAD_COUNT);
-
-    return `${headRow}${PROGRESS_COLLAPSE_TOKEN}${tailRow}`;
+  buildProgressBlock(questionNo, blueprint = quizBlueprintService.defaultBlueprint, presentation = progressRendererService.defaultPresentation) {
+    return progressRendererService.render(questionNo, blueprint, presentation).progress;
   }
 
   async getQuestionsBySession(sessionId) {
     try {
       const questionsQuery = `
-        SELECT id, session_id, user_id, question, answer, correct_answer, answered, created_at, updated_at, question_no, quiz_id, "code_snippet_imageLink"
+        SELECT id, session_id, user_id, question, answer, correct_answer, answered, created_at, updated_at, question_no, quiz_id, "code_snippet_imageLink", ${STRUCTURED_COLUMNS}
         FROM questions 
         WHERE session_id = $1 
         ORDER BY question_no ASC
       `;
       
       const result = await query(questionsQuery, [sessionId]);
-      return result.rows;
+      return this.renderQuestionsForSession(sessionId, result.rows);
     } catch (error) {
       console.error('Error fetching questions:', error);
       throw new Error(`Failed to fetch questions: ${error.message}`);
@@ -232,73 +327,281 @@ class QuestionService {
     }
   }
 
-  async saveAnswerAndGetNext(questionId, answer, sessionId) {
+  /**
+   * Question to serve next, rendered; null when nothing is left.
+   * Main pass: lowest-numbered question that is unanswered, not timed out and not skipped/flagged.
+   * Revisit phase (once the main pass is done): skipped and review_later questions in order, each served once more.
+   */
+  async getNextOpenQuestion(sessionId, blueprint, presentation) {
+    const nextQuestionQuery = `
+      SELECT id, question_no, question, answer, correct_answer, answered, review_state, scenario, "code_snippet_imageLink", ${STRUCTURED_COLUMNS}
+      FROM questions 
+      WHERE session_id = $1
+        AND timed_out = false
+        AND (
+          (answered = false AND review_state IS NULL)
+          OR review_state IN ('skipped', 'review_later')
+        )
+      ORDER BY (review_state IS NOT NULL), question_no ASC
+      LIMIT 1
+    `;
+    const result = await query(nextQuestionQuery, [sessionId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const row = result.rows[0];
+    return { ...row, question: this.renderStoredQuestion(row, blueprint, presentation) };
+  }
+
+  // Fields the bot needs to show a (rendered) question; shared by save_answer and the resume endpoint
+  buildQuestionPayload(row, blueprint) {
+    const isScenarioPosition = quizBlueprintService.isScenarioPosition(blueprint, row.question_no);
+    const hasScenario = !!(row.scenario && String(row.scenario).trim() !== '');
+    return {
+      question: row.question,
+      question_id: row.id,
+      question_no: row.question_no,
+      total_questions: blueprint.total_questions,
+      scenario: isScenarioPosition && hasScenario ? row.scenario : null,
+      has_scenario: isScenarioPosition && hasScenario,
+      code_snippet_imageLink: row.code_snippet_imageLink || null,
+      has_code_image: !!(row.code_snippet_imageLink && row.code_snippet_imageLink.trim() !== ''),
+      time_limit_seconds: blueprint.question_time_limit_seconds,
+      // True when this is a skipped / review_later question served again in the revisit phase
+      is_revisit: !!row.review_state
+    };
+  }
+
+  /**
+   * Where a session is in its quiz: the question to show now plus progress counts.
+   * status: generating (no questions stored yet), pending, complete (nothing left to answer) or submitted
+   */
+  async getCurrentQuestion(sessionId) {
+    try {
+      const sessionResult = await query(
+        'SELECT id, user_id, subject, quiz_completed, created_at FROM sessions WHERE id = $1',
+        [sessionId]
+      );
+      if (sessionResult.rows.length === 0) {
+        throw new Error('Session not found');
+      }
+      const session = sessionResult.rows[0];
+
+      const blueprint = await quizBlueprintService.getBlueprintForSession(sessionId);
+      const presentation = await progressRendererService.getPresentationForSession(sessionId, blueprint);
+      await questionTimingService.expireOverdueQuestions(sessionId, blueprint);
+
+      const countsResult = await query(`
+        SELECT
+          COUNT(*)::int AS stored,
+          COUNT(*) FILTER (WHERE answered = true)::int AS answered,
+          COUNT(*) FILTER (WHERE timed_out = true AND answered = false)::int AS timed_out,
+          COUNT(*) FILTER (WHERE review_state IN ('skipped', 'review_later') AND answered = false AND timed_out = false)::int AS to_revisit
+        FROM questions
+        WHERE session_id = $1
+      `, [sessionId]);
+      const counts = countsResult.rows[0];
+
+      const progress = {
+        answered: counts.answered,
+        timed_out: counts.timed_out,
+        to_revisit: counts.to_revisit,
+        remaining: Math.max(counts.stored - counts.answered - counts.timed_out, 0),
+        stored_questions: counts.stored,
+        total_questions: blueprint.total_questions
+      };
+
+      const base = {
+        session_id: session.id,
+        user_id: session.user_id,
+        subject: session.subject,
+        quiz_submitted: !!session.quiz_completed,
+        progress
+      };
+      const emptyQuestion = { question: '', question_id: '', total_questions: blueprint.total_questions };
+
+      if (session.quiz_completed) {
+        return { ...base, status: 'submitted', ...emptyQuestion };
+      }
+      if (counts.stored === 0) {
+        return { ...base, status: 'generating', ...emptyQuestion };
+      }
+
+      const currentQuestion = await this.getNextOpenQuestion(sessionId, blueprint, presentation);
+      if (!currentQuestion) {
+        return { ...base, status: 'complete', ...emptyQuestion };
+      }
+
+      // Serving again keeps the original served_at, so resuming doesn't reset the question clock
+      await questionTimingService.markServed(currentQuestion.id);
+      return { ...base, status: 'pending', ...this.buildQuestionPayload(currentQuestion, blueprint) };
+    } catch (error) {
+      console.error('Error fetching current question:', error);
+      throw new Error(`Failed to fetch current question: ${error.message}`);
+    }
+  }
+
+  // Shared by answer/skip/review_later: load context, time out overdue questions and enforce the answering policy
+  async prepareQuestionAction(questionId, sessionId, action) {
+    const blueprint = await quizBlueprintService.getBlueprintForSession(sessionId);
+    const presentation = await progressRendererService.getPresentationForSession(sessionId, blueprint);
+    const policy = answeringPolicyService.getPolicy(blueprint);
+
+    // Time out overdue questions first so a late reply is rejected instead of saved
+    const { quizTimeUp } = await questionTimingService.expireOverdueQuestions(sessionId, blueprint);
+
+    const questionResult = await query(`
+      SELECT q.id, q.question_no, q.answered, q.timed_out, q.review_state, s.quiz_completed
+      FROM questions q
+      INNER JOIN sessions s ON s.id = q.session_id
+      WHERE q.id = $1 AND q.session_id = $2
+    `, [questionId, sessionId]);
+
+    if (questionResult.rows.length === 0) {
+      throw new Error('Question not found or session mismatch');
+    }
+
+    const targetQuestion = questionResult.rows[0];
+
+    // Enforce the answering policy before writing anything; a 409 tells the bot which question to show
+    const expectedQuestion = await this.getNextOpenQuestion(sessionId, blueprint, presentation);
+    answeringPolicyService.assertCanAnswer({
+      policy,
+      question: targetQuestion,
+      quizSubmitted: !!targetQuestion.quiz_completed,
+      expectedQuestion,
+      action
+    });
+
+    return { blueprint, presentation, policy, quizTimeUp, targetQuestion };
+  }
+
+  // Guarded update matched nothing: a concurrent duplicate delivery already handled this question
+  async raiseAlreadyHandled(sessionId, { blueprint, presentation, policy, targetQuestion }) {
+    throw answeringPolicyService.conflict({
+      policy,
+      question: targetQuestion,
+      expectedQuestion: await this.getNextOpenQuestion(sessionId, blueprint, presentation),
+      reason: 'already_answered',
+      message: `Question ${targetQuestion.question_no} has already been answered`
+    });
+  }
+
+  async buildNextQuestionResponse(sessionId, currentQuestionNo, { blueprint, presentation, quizTimeUp }) {
+    // Next question is the first one still open, then the revisit phase (not simply question_no + 1)
+    const nextQuestion = await this.getNextOpenQuestion(sessionId, blueprint, presentation);
+    
+    if (!nextQuestion) {
+      // No more questions - quiz is complete
+      console.log(`🎉 Quiz completed! ${quizTimeUp ? 'Quiz time limit reached.' : 'All questions answered.'}`);
+      await sessionStateService.advance(sessionId, 'completed', {
+        event: quizTimeUp ? 'time_limit_reached' : 'all_questions_handled',
+        source: 'save_answer'
+      });
+      return {
+        status: 'complete',
+        question: '',
+        question_id: '',
+        current_question_no: currentQuestionNo,
+        total_questions: blueprint.total_questions,
+        time_limit_reached: quizTimeUp
+      };
+    }
+    
+    // First answer / skip starts the quiz (and resumes an abandoned one)
+    await sessionStateService.advance(sessionId, 'in_progress', { event: 'question_handled', source: 'save_answer' });
+    await questionTimingService.markServed(nextQuestion.id);
+    console.log(`📝 Next question retrieved: question_no ${nextQuestion.question_no}${nextQuestion.review_state ? ' (revisit)' : ''}`);
+    
+    return {
+      status: 'pending',
+      current_question_no: currentQuestionNo,
+      ...this.buildQuestionPayload(nextQuestion, blueprint)
+    };
+  }
+
+  async saveAnswerAndGetNext(questionId, answer, sessionId, rawAnswer = answer) {
     try {
-      // First, update the current question with the answer
+      const actionContext = await this.prepareQuestionAction(questionId, sessionId, 'answer');
+      const { policy } = actionContext;
+
+      // Update the question with the normalized answer (raw reply kept for audit).
+      // The answered guard makes a concurrent duplicate delivery lose instead of overwriting.
+      // Answering a skipped / review_later question closes its revisit.
       const updateQuery = `
         UPDATE questions 
-        SET answer = $1, answered = true, updated_at = NOW()
-        WHERE id = $2 AND session_id = $3
-        RETURNING id, question_no, question, answer, correct_answer, answered
+        SET answer = $1, raw_answer = $4, answered = true, updated_at = NOW(),
+            answered_at = NOW(),
+            response_time_seconds = ROUND(EXTRACT(EPOCH FROM (NOW() - served_at)))::int,
+            review_state = CASE WHEN review_state IS NULL THEN NULL ELSE 'revisited' END
+        WHERE id = $2 AND session_id = $3 AND timed_out = false AND (answered = false OR $5::boolean)
+        RETURNING id, question_no, question, answer, correct_answer, answered, response_time_seconds
       `;
       
-      const updateResult = await query(updateQuery, [answer, questionId, sessionId]);
+      const updateResult = await query(updateQuery, [answer, questionId, sessionId, rawAnswer, policy.allowChange]);
       
       if (updateResult.rows.length === 0) {
-        throw new Error('Question not found or session mismatch');
+        await this.raiseAlreadyHandled(sessionId, actionContext);
       }
       
       const currentQuestion = updateResult.rows[0];
-      console.log(`📝 Answer saved for question ${currentQuestion.question_no}: ${answer}`);
-      
-      // Get the next question in order
-      const nextQuestionQuery = `
-        SELECT id, question_no, question, answer, correct_answer, answered, scenario, "code_snippet_imageLink"
-        FROM questions 
-        WHERE session_id = $1 AND question_no = $2
-        ORDER BY question_no ASC
-      `;
-      
-      const nextQuestionNo = currentQuestion.question_no + 1;
-      const nextQuestionResult = await query(nextQuestionQuery, [sessionId, nextQuestionNo]);
-      
-      if (nextQuestionResult.rows.length === 0) {
-        // No more questions - quiz is complete
-        console.log('🎉 Quiz completed! All questions answered.');
-        return {
-          status: 'complete',
-          question: '',
-          question_id: '',
-          current_question_no: currentQuestion.question_no,
-          total_questions: 10
-        };
-      }
-      
-      const nextQuestion = nextQuestionResult.rows[0];
-      console.log(`📝 Next question retrieved: question_no ${nextQuestion.question_no}`);
-      
-      return {
-        status: 'pending',
-        question: nextQuestion.question,
-        question_id: nextQuestion.id,
-        question_no: nextQuestion.question_no,
-        current_question_no: currentQuestion.question_no,
-        total_questions: 10,
-        scenario: (nextQuestion.question_no === 5 || nextQuestion.question_no === 8)
-          ? (nextQuestion.scenario && String(nextQuestion.scenario).trim() !== '' ? nextQuestion.scenario : null)
-          : null,
-        has_scenario: (nextQuestion.question_no === 5 || nextQuestion.question_no === 8)
-          ? !!(nextQuestion.scenario && String(nextQuestion.scenario).trim() !== '')
-          : false,
-        code_snippet_imageLink: nextQuestion.code_snippet_imageLink || null,
-        has_code_image: !!(nextQuestion.code_snippet_imageLink && nextQuestion.code_snippet_imageLink.trim() !== '')
-      };
+      console.log(`📝 Answer saved for question ${currentQuestion.question_no}: ${answer} (raw: ${JSON.stringify(rawAnswer)}, policy: ${policy.name}, response time: ${currentQuestion.response_time_seconds ?? 'n/a'}s)`);
       
+      return await this.buildNextQuestionResponse(sessionId, currentQuestion.question_no, actionContext);
     } catch (error) {
+      if (error instanceof HttpError) {
+        throw error;
+      }
       console.error('Error saving answer and getting next question:', error);
       throw new Error(`Failed to save answer: ${error.message}`);
     }
   }
+
+  /**
+   * Skip a question or flag it for review and move on. Both come back once in the revisit phase;
+   * skipping again there leaves the question unanswered for good.
+   * @param {string} action - 'skip' or 'review_later'
+   */
+  async skipQuestionAndGetNext(questionId, sessionId, action) {
+    try {
+      const actionContext = await this.prepareQuestionAction(questionId, sessionId, action);
+      const { blueprint } = actionContext;
+      const state = action === 'review_later' ? 'review_later' : 'skipped';
+
+      // The time spent so far is banked and the clock cleared, so a skipped question doesn't time out
+      // while waiting for the revisit phase
+      const updateQuery = `
+        UPDATE questions 
+        SET review_state = CASE WHEN review_state IS NULL THEN $3 ELSE 'revisited' END,
+            skip_count = skip_count + 1,
+            skipped_at = NOW(),
+            prior_active_seconds = prior_active_seconds
+              + LEAST(COALESCE(ROUND(EXTRACT(EPOCH FROM (NOW() - served_at))), 0), $4)::int,
+            served_at = NULL,
+            updated_at = NOW()
+        WHERE id = $1 AND session_id = $2 AND answered = false AND timed_out = false
+          AND (review_state IS NULL OR review_state IN ('skipped', 'review_later'))
+        RETURNING id, question_no, review_state
+      `;
+      const maxActiveSeconds = questionTimingService.getMaxActiveSeconds(blueprint);
+      const updateResult = await query(updateQuery, [questionId, sessionId, state, maxActiveSeconds]);
+
+      if (updateResult.rows.length === 0) {
+        await this.raiseAlreadyHandled(sessionId, actionContext);
+      }
+
+      const currentQuestion = updateResult.rows[0];
+      console.log(`⏭️  Question ${currentQuestion.question_no} ${action === 'review_later' ? 'flagged for review' : 'skipped'} (state: ${currentQuestion.review_state})`);
+
+      return await this.buildNextQuestionResponse(sessionId, currentQuestion.question_no, actionContext);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        throw error;
+      }
+      console.error('Error skipping question:', error);
+      throw new Error(`Failed to skip question: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new QuestionService();
@@ -0,0 +1,104 @@
+const { query } = require('../database');
+const config = require('../config');
+
+/**
+ * Per-question timing: when each question was served and answered, time-limit enforcement
+ * and the active time reported to save_user_response.
+ *
+ * Limits come from the session blueprint (question_time_limit_seconds / quiz_time_limit_seconds);
+ * NULL means no limit. Active time counts each question from served_at to answered_at, capped at
+ * the question limit (or config.quiz.maxQuestionActiveSeconds) so idle gaps don't inflate the total.
+ */
+class QuestionTimingService {
+  getLimits(blueprint) {
+    return {
+      questionLimitSeconds: blueprint.question_time_limit_seconds || null,
+      quizLimitSeconds: blueprint.quiz_time_limit_seconds || null
+    };
+  }
+
+  // Most one question can add to active time per serve
+  getMaxActiveSeconds(blueprint) {
+    return this.getLimits(blueprint).questionLimitSeconds || config.quiz.maxQuestionActiveSeconds;
+  }
+
+  // First serve wins so re-sending the same question doesn't reset its clock
+  async markServed(questionId) {
+    await query(
+      'UPDATE questions SET served_at = COALESCE(served_at, NOW()) WHERE id = $1',
+      [questionId]
+    );
+  }
+
+  // Seconds one question contributed to active time (time banked when it was skipped plus the current serve)
+  getQuestionActiveSeconds(row, blueprint, now = new Date()) {
+    const banked = row.prior_active_seconds || 0;
+    if (!row.served_at) {
+      return banked;
+    }
+    const end = row.answered_at ? new Date(row.answered_at) : now;
+    const elapsed = Math.max(0, Math.round((end - new Date(row.served_at)) / 1000));
+    return banked + Math.min(elapsed, this.getMaxActiveSeconds(blueprint));
+  }
+
+  /**
+   * Total active seconds for a session, or null when no question was ever served
+   * (sessions started before timing was recorded)
+   */
+  async getActiveTimeSeconds(sessionId, blueprint) {
+    const result = await query(
+      'SELECT served_at, answered_at, prior_active_seconds FROM questions WHERE session_id = $1 AND (served_at IS NOT NULL OR prior_active_seconds > 0)',
+      [sessionId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+    const now = new Date();
+    return result.rows.reduce((total, row) => total + this.getQuestionActiveSeconds(row, blueprint, now), 0);
+  }
+
+  /**
+   * Mark questions whose time is up as timed out:
+   * - served, unanswered questions past the per-question limit
+   * - every unanswered question once the session's active time reaches the quiz limit
+   * @returns {Promise<{expired: number, quizTimeUp: boolean}>}
+   */
+  async expireOverdueQuestions(sessionId, blueprint) {
+    const { questionLimitSeconds, quizLimitSeconds } = this.getLimits(blueprint);
+    let expired = 0;
+    let quizTimeUp = false;
+
+    if (questionLimitSeconds) {
+      const result = await query(`
+        UPDATE questions
+        SET timed_out = true, updated_at = NOW()
+        WHERE session_id = $1
+          AND answered = false
+          AND timed_out = false
+          AND served_at IS NOT NULL
+          AND served_at < NOW() - ($2::int * INTERVAL '1 second')
+      `, [sessionId, questionLimitSeconds]);
+      expired += result.rowCount;
+    }
+
+    if (quizLimitSeconds) {
+      const activeSeconds = await this.getActiveTimeSeconds(sessionId, blueprint);
+      if (activeSeconds !== null && activeSeconds >= quizLimitSeconds) {
+        quizTimeUp = true;
+        const result = await query(`
+          UPDATE questions
+          SET timed_out = true, updated_at = NOW()
+          WHERE session_id = $1 AND answered = false AND timed_out = false
+        `, [sessionId]);
+        expired += result.rowCount;
+      }
+    }
+
+    if (expired > 0) {
+      console.log(`⏰ Marked ${expired} question(s) as timed out for session ${sessionId}${quizTimeUp ? ' (quiz time limit reached)' : ''}`);
+    }
+    return { expired, quizTimeUp };
+  }
+}
+
+module.exports = new QuestionTimingService();
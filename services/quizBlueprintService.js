@@ -0,0 +1,183 @@
+const { query } = require('../database');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// How a difficulty is filled when fewer preferred q_ids arrive than it needs:
+// - fill: the preferred questions first, then the other upstream questions in order
+// - first_available: drop the preferred ones and take the first upstream questions (the original extractor)
+const Q_ID_FALLBACKS = ['fill', 'first_available'];
+
+// Built-in blueprints matching the original hardcoded quiz shapes.
+// Used when no quiz_blueprints row matches (or the table is unavailable).
+const DEFAULT_BLUEPRINT = {
+  id: null,
+  name: 'default',
+  subject: null,
+  campaign: null,
+  difficulty_counts: { easy: 4, medium: 3, hard: 3 },
+  q_id_preferences: { easy: [1, 2, 3, 4, 5], medium: [11, 12, 13], hard: [17, 18] },
+  q_id_fallback: 'first_available',
+  scenario_positions: [5, 8],
+  display_total: 15,
+  display_policy: 'inflated',
+  progress_renderer: 'emoji',
+  progress_theme: 'default'
+};
+
+// start_quiz_clone_v4_cybersecurity
+const CYBERSECURITY_BLUEPRINT = {
+  ...DEFAULT_BLUEPRINT,
+  name: 'cybersecurity',
+  q_id_preferences: { easy: [1, 2, 3, 4], medium: [11, 12, 13], hard: [17, 18, 19] },
+  q_id_fallback: 'fill'
+};
+
+const BLUEPRINT_COLUMNS = `
+  id, name, subject, campaign, difficulty_counts, q_id_preferences, q_id_fallback, scenario_positions, display_total,
+  display_policy, progress_renderer, progress_theme, answering_policy,
+  question_time_limit_seconds, quiz_time_limit_seconds, scoring
+`;
+
+class QuizBlueprintService {
+  constructor() {
+    this.difficulties = DIFFICULTIES;
+    this.qIdFallbacks = Q_ID_FALLBACKS;
+    this.defaultBlueprint = this.normalize(DEFAULT_BLUEPRINT);
+    this.builtInBlueprints = {
+      default: this.defaultBlueprint,
+      cybersecurity: this.normalize(CYBERSECURITY_BLUEPRINT)
+    };
+  }
+
+  // Fill defaults and derive total_questions / per-difficulty position ranges
+  normalize(row) {
+    const counts = {};
+    const preferences = {};
+    DIFFICULTIES.forEach((difficulty) => {
+      counts[difficulty] = Math.max(0, parseInt(row.difficulty_counts?.[difficulty], 10) || 0);
+      preferences[difficulty] = Array.isArray(row.q_id_preferences?.[difficulty])
+        ? row.q_id_preferences[difficulty].map(Number)
+        : [];
+    });
+
+    const totalQuestions = DIFFICULTIES.reduce((sum, difficulty) => sum + counts[difficulty], 0);
+    if (totalQuestions === 0) {
+      throw new Error(`Quiz blueprint "${row.name}" defines no questions`);
+    }
+
+    // Positions are 1-based and laid out in difficulty order: easy, then medium, then hard
+    const ranges = {};
+    let position = 1;
+    DIFFICULTIES.forEach((difficulty) => {
+      ranges[difficulty] = { start: position, end: position + counts[difficulty] - 1 };
+      position += counts[difficulty];
+    });
+
+    return {
+      id: row.id || null,
+      name: row.name,
+      subject: row.subject || null,
+      campaign: row.campaign || null,
+      difficulty_counts: counts,
+      q_id_preferences: preferences,
+      q_id_fallback: Q_ID_FALLBACKS.includes(row.q_id_fallback) ? row.q_id_fallback : 'fill',
+      scenario_positions: (row.scenario_positions || []).map(Number).filter(n => n >= 1 && n <= totalQuestions),
+      display_total: Math.max(parseInt(row.display_total, 10) || totalQuestions, totalQuestions),
+      total_questions: totalQuestions,
+      ranges,
+      // Presentation defaults for sessions on this blueprint (see progressRendererService)
+      display_policy: row.display_policy || null,
+      progress_renderer: row.progress_renderer || null,
+      progress_theme: row.progress_theme || null,
+      // NULL means the configured default (see answeringPolicyService)
+      answering_policy: row.answering_policy || null,
+      // Time limits in seconds; NULL means unlimited (see questionTimingService)
+      question_time_limit_seconds: parseInt(row.question_time_limit_seconds, 10) || null,
+      quiz_time_limit_seconds: parseInt(row.quiz_time_limit_seconds, 10) || null,
+      // Scoring overrides (weights, negative_marking, partial_credit, bands); NULL means defaults (see scoringService)
+      scoring: row.scoring || null
+    };
+  }
+
+  /**
+   * Resolution order: campaign match, subject match, the active row named `base`, the table default, then the
+   * built-in blueprint named `base`
+   * @param {Object} [options]
+   * @param {string} [options.base='default'] - Blueprint the start endpoint falls back to (default | cybersecurity)
+   */
+  async getBlueprint({ subject, campaign, base = 'default' } = {}) {
+    try {
+      const blueprintQuery = `
+        SELECT ${BLUEPRINT_COLUMNS}
+        FROM quiz_blueprints
+        WHERE active = TRUE
+          AND (
+            ($1::text IS NOT NULL AND campaign = $1)
+            OR (campaign IS NULL AND LOWER(subject) = LOWER($2::text))
+            OR (campaign IS NULL AND subject IS NULL AND (name = $3 OR is_default = TRUE))
+          )
+        ORDER BY
+          CASE
+            WHEN $1::text IS NOT NULL AND campaign = $1 THEN 0
+            WHEN subject IS NOT NULL THEN 1
+            WHEN name = $3 THEN 2
+            ELSE 3
+          END,
+          updated_at DESC NULLS LAST
+        LIMIT 1
+      `;
+      const result = await query(blueprintQuery, [campaign || null, subject || null, base]);
+      if (result.rows.length > 0) {
+        return this.normalize(result.rows[0]);
+      }
+    } catch (error) {
+      console.error('⚠️  Could not load quiz blueprint, using built-in default:', error.message);
+    }
+    return this.builtInBlueprints[base] || this.defaultBlueprint;
+  }
+
+  async getBlueprintById(blueprintId) {
+    if (!blueprintId) {
+      return this.defaultBlueprint;
+    }
+    try {
+      const result = await query(`SELECT ${BLUEPRINT_COLUMNS} FROM quiz_blueprints WHERE id = $1`, [blueprintId]);
+      if (result.rows.length > 0) {
+        return this.normalize(result.rows[0]);
+      }
+    } catch (error) {
+      console.error('⚠️  Could not load quiz blueprint by id, using built-in default:', error.message);
+    }
+    return this.defaultBlueprint;
+  }
+
+  // Blueprint the session was started with (falls back to its subject for sessions created before blueprints)
+  async getBlueprintForSession(sessionId) {
+    try {
+      const result = await query('SELECT blueprint_id, subject FROM sessions WHERE id = $1', [sessionId]);
+      const session = result.rows[0];
+      if (session && session.blueprint_id) {
+        return this.getBlueprintById(session.blueprint_id);
+      }
+      if (session) {
+        return this.getBlueprint({ subject: session.subject });
+      }
+    } catch (error) {
+      console.error('⚠️  Could not resolve session blueprint, using built-in default:', error.message);
+    }
+    return this.defaultBlueprint;
+  }
+
+  getDifficultyForPosition(blueprint, questionNo) {
+    return DIFFICULTIES.find((difficulty) => {
+      const range = blueprint.ranges[difficulty];
+      return questionNo >= range.start && questionNo <= range.end;
+    }) || null;
+  }
+
+  isScenarioPosition(blueprint, questionNo) {
+    return blueprint.scenario_positions.includes(questionNo);
+  }
+}
+
+module.exports = new QuizBlueprintService();
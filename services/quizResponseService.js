@@ -4,45 +4,49 @@ const saveUserResponseService = require('./saveUserResponseService');
 const certificateClaimService = require('./certificateClaimService');
 const analysisService = require('./analysisService');
 const createV2TestService = require('./createV2TestService');
+const quizBlueprintService = require('./quizBlueprintService');
+const questionService = require('./questionService');
+const questionTimingService = require('./questionTimingService');
+const scoringService = require('./scoringService');
+const submissionStepService = require('./submissionStepService');
+const userService = require('./userService');
+const sessionStateService = require('./sessionStateService');
+const HttpError = require('../utils/httpError');
+const { normalizePhone } = require('../utils/phone');
 
 class QuizResponseService {
+  // Active time from per-question timing; sessions without timing data fall back to time since session start
+  async getQuizCompletionTimeInSeconds(session, blueprint) {
+    const activeSeconds = await questionTimingService.getActiveTimeSeconds(session.id, blueprint);
+    if (activeSeconds !== null) {
+      return activeSeconds;
+    }
+    const sessionStartTime = new Date(session.created_at);
+    const currentTime = new Date();
+    return Math.round((currentTime - sessionStartTime) / 1000);
+  }
+
   async submitQuizResponse(userData, options = {}) {
     try {
       console.log('📝 Processing quiz response submission...');
       const { skipCreateV2Test = false } = options;
       
-      // Get user data from database
-      const userQuery = `
-        SELECT id, name, email, phone, subject, created_at
-        FROM users 
-        WHERE email = $1
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      const userResult = await query(userQuery, [userData.email]);
+      // By user id when the caller has it, otherwise by phone (email is optional and not an identity)
+      const user = await userService.resolveUser({ userId: userData.user_id, phone: userData.phone, email: userData.email });
       
-      if (userResult.rows.length === 0) {
+      if (!user) {
         throw new Error('User not found');
       }
       
-      const user = userResult.rows[0];
       console.log('👤 Found user:', { id: user.id, name: user.name, email: user.email });
       
-      // Get the most recent session for this user
-      const sessionQuery = `
-        SELECT id, certified_user_id, certified_token, certified_token_expires_at, created_at
-        FROM sessions 
-        WHERE user_id = $1
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      const sessionResult = await query(sessionQuery, [user.id]);
+      // The session the caller picked (auto-submits pass the one for the requested subject), else the most recent one
+      const session = await this.findSubmissionSession(user.id, userData.session_id);
       
-      if (sessionResult.rows.length === 0) {
+      if (!session) {
         throw new Error('No session found for user');
       }
       
-      const session = sessionResult.rows[0];
       console.log('🎯 Found session:', { 
         id: session.id, 
         certified_user_id: session.certified_user_id,
@@ -52,262 +56,44 @@ class QuizResponseService {
       // Use the provided certified_user_skill_id or fall back to session's certified_user_id
       const certifiedUserSkillId = userData.certified_user_skill_id || parseInt(session.certified_user_id);
       
-      // Prepare data for continue API
-      const continueApiData = {
-        certified_user_skill_id: certifiedUserSkillId,
-        email: user.email,
-        phone_number: user.phone.startsWith('+') ? user.phone : `+${user.phone}`,
-        name: user.name,
-        password: user.email // Password is the email itself
-      };
-      
-      console.log('📤 Calling continue API with data:', continueApiData);
-      
-      // Call the continue API
-      const continueResult = await continueApiService.continueQuiz(continueApiData);
-      
-      console.log('📥 Continue API result:', continueResult);
-      
-      if (!continueResult.success) {
-        console.error('Continue API failed:', continueResult);
-        throw new Error(`Continue API failed: ${continueResult.message}`);
-      }
-      
-      console.log('✅ Continue API successful, updating session token...');
-      
-      // Update the certified_token in sessions table
-      const updateTokenQuery = `
-        UPDATE sessions 
-        SET certified_token = $1
-        WHERE id = $2
-        RETURNING id, certified_token
-      `;
-      const updateResult = await query(updateTokenQuery, [continueResult.token, session.id]);
-      
-      if (updateResult.rows.length === 0) {
-        throw new Error('Failed to update session token');
-      }
-      
-      console.log('✅ Session token updated successfully');
-      
-      // Now call save_user_response API
-      console.log('📝 Calling save_user_response API...');
-      
-      // Get all questions for this session to build quiz attempt object
-      const questionsQuery = `
-        SELECT id, question_no, quiz_id, question, answer, correct_answer, answered, created_at
-        FROM questions 
-        WHERE session_id = $1
-        ORDER BY question_no ASC
-      `;
-      const questionsResult = await query(questionsQuery, [session.id]);
-      
-      // Build quiz attempt object
-      const quizAttemptArray = questionsResult.rows.map(q => {
-        // Extract option text from question
-        const questionText = q.question || '';
-        
-        // Parse options more accurately
-        const options = {};
-        const optionRegex = /([A-D])\.\s*([^\n]+)/g;
-        let match;
-        
-        while ((match = optionRegex.exec(questionText)) !== null) {
-          const optionLetter = match[1].toLowerCase();
-          const optionText = match[2].trim();
-          options[optionLetter] = optionText;
-        }
-        
-        // Get user answer text based on the answer letter
-        let userAnswerText = 'No answer';
-        if (q.answer && options[q.answer.toLowerCase()]) {
-          userAnswerText = options[q.answer.toLowerCase()];
-        }
-        
-        const isCorrect = q.answer === q.correct_answer ? 1 : 0;
-        
-        return {
-          quiz_id: parseInt(q.quiz_id),
-          user_answer: userAnswerText,
-          is_correct: isCorrect
-        };
-      });
-      
-      // Calculate quiz score and completion time
-      const correctAnswers = quizAttemptArray.filter(q => q.is_correct === 1).length;
-      const quizScore = Math.round((correctAnswers / quizAttemptArray.length) * 100);
-      
-      const sessionStartTime = new Date(session.created_at);
-      const currentTime = new Date();
-      const quizCompletionTimeInSeconds = Math.round((currentTime - sessionStartTime) / 1000);
-      
-      // Prepare save user response data
-      const saveUserResponseData = {
-        certified_user_skill_quiz_id: certifiedUserSkillId,
-        quiz_attempt_object: quizAttemptArray,
-        quiz_completion_time_in_seconds: quizCompletionTimeInSeconds,
-        quiz_score: quizScore
-      };
-      
-      // Call save_user_response API
-      const saveResponseResult = await saveUserResponseService.saveUserResponse(saveUserResponseData);
-      
-      if (!saveResponseResult.success) {
-        console.error('Save user response failed:', saveResponseResult);
-        // Don't throw error, continue with certificate claim
-      }
-      
-      console.log('✅ Save user response API completed');
-      
-      // Now call certificate claim API
-      console.log('🏆 Calling certificate claim API...');
-      
-      const certificateResult = await certificateClaimService.claimCertificate(
-        certifiedUserSkillId,
-        continueResult.token
-      );
-      
-      if (!certificateResult.success) {
-        console.error('Certificate claim failed:', certificateResult);
-        // Don't throw error, just log it
-      }
-      
-      console.log('✅ Certificate claim API completed');
-      
-      let createV2TestResult = { skipped: false };
-      if (skipCreateV2Test) {
-        console.log('⏭️ Skipping Create V2 Test API as requested.');
-        createV2TestResult = { skipped: true, message: 'Create V2 Test API skipped' };
-      } else {
-        console.log('🎯 Calling create_v2_test API...');
-        createV2TestResult = await createV2TestService.createV2Test(
-          continueResult.token,
-          certifiedUserSkillId
-        );
-
-        if (!createV2TestResult.success) {
-          console.error('Create V2 Test failed:', createV2TestResult);
-          // Don't throw error, just log it
-        }
-
-        console.log('✅ Create V2 Test API completed');
-      }
-      
-      // Now call quiz analysis API (non-blocking - failures won't stop the flow)
-      console.log('📊 Calling quiz analysis API...');
-      
-      let analysisResult = { success: false, message: 'Not called', data: null };
-      try {
-        analysisResult = await analysisService.getQuizAnalysis(
-          certifiedUserSkillId,
-          continueResult.token
-        );
-        
-        if (!analysisResult.success) {
-          console.error('⚠️ Quiz analysis failed (non-blocking):', analysisResult.error || analysisResult.message);
-        } else {
-          console.log('✅ Quiz analysis API completed successfully');
-        }
-      } catch (error) {
-        // Catch any unexpected errors and log them, but don't throw
-        console.error('⚠️ Quiz Analysis API threw unexpected error (non-blocking):', error.message);
-        analysisResult = {
-          success: false,
-          message: error.message,
-          data: null,
-          error: `Unexpected error: ${error.message}`
-        };
-      }
-      
-      console.log('✅ Quiz analysis API call completed (success or failure)');
-      
-      // Update session as quiz completed and analysis generated (only if analysis was successful)
-      const analysisGenerated = analysisResult.success;
-      const orderId = (!skipCreateV2Test && createV2TestResult.success && createV2TestResult.data)
-        ? createV2TestResult.data.id
-        : null;
-      const updateQuizCompletedQuery = `
-        UPDATE sessions 
-        SET quiz_completed = true, quiz_analysis_generated = $1, quiz_attempt_object = $2, order_id = $3
-        WHERE id = $4
-      `;
-      await query(updateQuizCompletedQuery, [analysisGenerated, JSON.stringify(quizAttemptArray), orderId, session.id]);
-      
-      return {
-        result: "success",
-        message: 'Quiz response submitted successfully',
-        data: {
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            phone: user.phone
-          },
-          session: {
-            id: session.id,
-            certified_user_id: session.certified_user_id,
-            certified_token: continueResult.token,
-            token_updated: true,
-            quiz_completed: true,
-            quiz_analysis_generated: analysisGenerated,
-            order_id: orderId
-          },
-          quiz_attempt: quizAttemptArray,
-          quiz_results: {
-            score: quizScore,
-            correct_answers: correctAnswers,
-            total_questions: quizAttemptArray.length,
-            completion_time_seconds: quizCompletionTimeInSeconds
-          },
-          save_user_response: saveResponseResult,
-          certificate_claim: certificateResult,
-          create_v2_test: createV2TestResult,
-          quiz_analysis: analysisResult
-        }
-      };
-      
+      return await this.runSubmission({ user, session, certifiedUserSkillId, skipCreateV2Test });
     } catch (error) {
       console.error('❌ Error submitting quiz response:', error.message);
       throw new Error(`Failed to submit quiz response: ${error.message}`);
     }
   }
 
+  // The given session (only if it belongs to the user), or without one the user's most recent session
+  async findSubmissionSession(userId, sessionId = null) {
+    const sessionResult = await query(`
+      SELECT id, certified_user_id, certified_token, certified_token_expires_at, created_at
+      FROM sessions 
+      WHERE user_id = $1 AND ($2::uuid IS NULL OR id = $2)
+      ORDER BY created_at DESC 
+      LIMIT 1
+    `, [userId, sessionId]);
+    return sessionResult.rows[0] || null;
+  }
+
   async submitQuizResponseWithToken(userData, existingToken) {
     try {
       console.log('📝 Processing quiz response submission with existing token...');
       
-      // Get user data from database
-      const userQuery = `
-        SELECT id, name, email, phone, subject, created_at
-        FROM users 
-        WHERE email = $1
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      const userResult = await query(userQuery, [userData.email]);
+      // By user id when the caller has it, otherwise by phone (email is optional and not an identity)
+      const user = await userService.resolveUser({ userId: userData.user_id, phone: userData.phone, email: userData.email });
       
-      if (userResult.rows.length === 0) {
+      if (!user) {
         throw new Error('User not found');
       }
       
-      const user = userResult.rows[0];
       console.log('👤 Found user:', { id: user.id, name: user.name, email: user.email });
       
-      // Get the most recent session for this user
-      const sessionQuery = `
-        SELECT id, certified_user_id, certified_token, certified_token_expires_at, created_at
-        FROM sessions 
-        WHERE user_id = $1
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `;
-      const sessionResult = await query(sessionQuery, [user.id]);
+      const session = await this.findSubmissionSession(user.id, userData.session_id);
       
-      if (sessionResult.rows.length === 0) {
+      if (!session) {
         throw new Error('No session found for user');
       }
-      
-      const session = sessionResult.rows[0];
+
       console.log('🎯 Found session:', { 
         id: session.id, 
         certified_user_id: session.certified_user_id,
@@ -319,167 +105,313 @@ class QuizResponseService {
       
       // Skip Continue API - use existing token
       console.log('✅ Using existing token from session (skipping Continue API)');
-      
-      // Now call save_user_response API
-      console.log('📝 Calling save_user_response API...');
-      
-      // Get all questions for this session to build quiz attempt object
-      const questionsQuery = `
-        SELECT id, question_no, quiz_id, question, answer, correct_answer, answered, created_at
-        FROM questions 
-        WHERE session_id = $1
-        ORDER BY question_no ASC
-      `;
-      const questionsResult = await query(questionsQuery, [session.id]);
-      
-      // Build quiz attempt object
-      const quizAttemptArray = questionsResult.rows.map(q => {
-        // Extract option text from question
-        const questionText = q.question || '';
-        
-        // Parse options more accurately
-        const options = {};
-        const optionRegex = /([A-D])\.\s*([^\n]+)/g;
-        let match;
-        
-        while ((match = optionRegex.exec(questionText)) !== null) {
-          const optionLetter = match[1].toLowerCase();
-          const optionText = match[2].trim();
-          options[optionLetter] = optionText;
-        }
-        
-        // Get user answer text based on the answer letter
-        let userAnswerText = 'No answer';
-        if (q.answer && options[q.answer.toLowerCase()]) {
-          userAnswerText = options[q.answer.toLowerCase()];
-        }
-        
-        const isCorrect = q.answer === q.correct_answer ? 1 : 0;
-        
-        return {
-          quiz_id: parseInt(q.quiz_id),
-          user_answer: userAnswerText,
-          is_correct: isCorrect
-        };
+
+      return await this.runSubmission({ user, session, certifiedUserSkillId, existingToken, skipCreateV2Test: true });
+    } catch (error) {
+      console.error('❌ Error submitting quiz response with token:', error.message);
+      throw new Error(`Failed to submit quiz response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-run a session's submission from its recorded submission_steps: steps that already succeeded (or were
+   * skipped) reuse their stored response, failed / missing / interrupted steps are called again.
+   * The flavour of the original submission is kept: a skipped continue step means the session token is reused
+   * (auto_submit_quiz_v3), a skipped create_v2_test step stays skipped.
+   * @param {string} sessionId
+   * @returns {Promise<Object>} Same shape as submitQuizResponse / submitQuizResponseWithToken
+   */
+  async resumeSubmission(sessionId) {
+    const sessionResult = await query(`
+      SELECT id, user_id, certified_user_id, certified_token, certified_token_expires_at, created_at
+      FROM sessions
+      WHERE id = $1
+    `, [sessionId]);
+    if (sessionResult.rows.length === 0) {
+      throw new HttpError(404, { success: false, message: 'Session not found' });
+    }
+    const session = sessionResult.rows[0];
+
+    const steps = await submissionStepService.getStepMap(session.id);
+    if (Object.keys(steps).length === 0) {
+      throw new HttpError(404, { success: false, message: 'No submission recorded for this session' });
+    }
+
+    const userResult = await query(
+      'SELECT id, name, email, phone, created_at FROM users WHERE id = $1',
+      [session.user_id]
+    );
+    if (userResult.rows.length === 0) {
+      throw new HttpError(404, { success: false, message: 'User not found' });
+    }
+    const user = userResult.rows[0];
+
+    const certifiedUserSkillId = steps.save_user_response?.payload?.certified_user_skill_quiz_id
+      || steps.continue?.payload?.certified_user_skill_id
+      || parseInt(session.certified_user_id);
+    const pending = submissionStepService.steps.filter(step => !['succeeded', 'skipped'].includes(steps[step]?.status));
+    console.log(`🔁 Resuming submission for session ${session.id}; steps to run: ${pending.length > 0 ? pending.join(', ') : 'none'}`);
+
+    try {
+      return await this.runSubmission({
+        user,
+        session,
+        certifiedUserSkillId,
+        existingToken: steps.continue?.status === 'skipped' ? session.certified_token : null,
+        skipCreateV2Test: steps.create_v2_test?.status === 'skipped'
       });
-      
-      // Calculate quiz score and completion time
-      const correctAnswers = quizAttemptArray.filter(q => q.is_correct === 1).length;
-      const quizScore = Math.round((correctAnswers / quizAttemptArray.length) * 100);
-      
-      const sessionStartTime = new Date(session.created_at);
-      const currentTime = new Date();
-      const quizCompletionTimeInSeconds = Math.round((currentTime - sessionStartTime) / 1000);
-      
-      // Prepare save user response data
-      const saveUserResponseData = {
-        certified_user_skill_quiz_id: certifiedUserSkillId,
-        quiz_attempt_object: quizAttemptArray,
-        quiz_completion_time_in_seconds: quizCompletionTimeInSeconds,
-        quiz_score: quizScore
+    } catch (error) {
+      console.error('❌ Error resuming quiz response submission:', error.message);
+      throw new Error(`Failed to resume quiz response submission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upstream submission pipeline shared by all submit routes. Each upstream call is recorded in
+   * submission_steps (see submissionStepService), so running it again for the same session only repeats
+   * the steps that did not succeed. Continue API failures stop the submission; the other steps are non-blocking.
+   * @param {Object} params
+   * @param {Object} params.user
+   * @param {Object} params.session
+   * @param {number} params.certifiedUserSkillId
+   * @param {string|null} [params.existingToken] - Reuse this token instead of calling the continue API
+   * @param {boolean} [params.skipCreateV2Test]
+   */
+  async runSubmission({ user, session, certifiedUserSkillId, existingToken = null, skipCreateV2Test = false }) {
+    let token = existingToken;
+
+    if (existingToken) {
+      await submissionStepService.skipStep(session.id, 'continue', 'Existing session token reused');
+    } else {
+      // Prepare data for continue API (the password comes from the configured credential strategy)
+      const continueApiData = {
+        certified_user_skill_id: certifiedUserSkillId,
+        email: user.email || '',
+        phone_number: normalizePhone(user.phone) || user.phone,
+        name: user.name
       };
       
-      // Call save_user_response API
-      const saveResponseResult = await saveUserResponseService.saveUserResponse(saveUserResponseData);
-      
-      if (!saveResponseResult.success) {
-        console.error('Save user response failed:', saveResponseResult);
-        // Don't throw error, continue with certificate claim
-      }
-      
-      console.log('✅ Save user response API completed');
-      
-      // Now call certificate claim API
-      console.log('🏆 Calling certificate claim API...');
+      console.log('📤 Calling continue API with data:', continueApiData);
       
-      const certificateResult = await certificateClaimService.claimCertificate(
-        certifiedUserSkillId,
-        existingToken
+      // Call the continue API (the password is never part of the recorded payload)
+      const continueResult = await submissionStepService.runStep(
+        session.id,
+        'continue',
+        continueApiData,
+        () => continueApiService.continueQuiz({ ...continueApiData, password: continueApiService.passwordFor(user) })
       );
       
-      if (!certificateResult.success) {
-        console.error('Certificate claim failed:', certificateResult);
-        // Don't throw error, just log it
-      }
+      console.log('📥 Continue API result:', continueResult);
       
-      console.log('✅ Certificate claim API completed');
+      if (!continueResult.success) {
+        console.error('Continue API failed:', continueResult);
+        throw new Error(`Continue API failed: ${continueResult.message}`);
+      }
       
-      // Skip Create V2 Test API
-      console.log('⏭️ Skipping Create V2 Test API (not called in v3)');
+      console.log('✅ Continue API successful, updating session token...');
       
-      // Now call quiz analysis API (non-blocking - failures won't stop the flow)
-      console.log('📊 Calling quiz analysis API...');
+      // A step reused after an earlier submission finished no longer holds its token; the session still has it
+      token = continueResult.token || session.certified_token;
+
+      // Update the certified_token in sessions table
+      const updateTokenQuery = `
+        UPDATE sessions 
+        SET certified_token = $1
+        WHERE id = $2
+        RETURNING id, certified_token
+      `;
+      const updateResult = await query(updateTokenQuery, [token, session.id]);
       
-      let analysisResult = { success: false, message: 'Not called', data: null };
-      try {
-        analysisResult = await analysisService.getQuizAnalysis(
-          certifiedUserSkillId,
-          existingToken
-        );
-        
-        if (!analysisResult.success) {
-          console.error('⚠️ Quiz analysis failed (non-blocking):', analysisResult.error || analysisResult.message);
-        } else {
-          console.log('✅ Quiz analysis API completed successfully');
-        }
-      } catch (error) {
-        // Catch any unexpected errors and log them, but don't throw
-        console.error('⚠️ Quiz Analysis API threw unexpected error (non-blocking):', error.message);
-        analysisResult = {
-          success: false,
-          message: error.message,
-          data: null,
-          error: `Unexpected error: ${error.message}`
-        };
+      if (updateResult.rows.length === 0) {
+        throw new Error('Failed to update session token');
       }
       
-      console.log('✅ Quiz analysis API call completed (success or failure)');
+      console.log('✅ Session token updated successfully');
+    }
       
-      // Update session as quiz completed and analysis generated (order_id is null)
-      const analysisGenerated = analysisResult.success;
-      const orderId = null; // No Create V2 Test API, so order_id is null
-      const updateQuizCompletedQuery = `
-        UPDATE sessions 
-        SET quiz_completed = true, quiz_analysis_generated = $1, quiz_attempt_object = $2, order_id = $3
-        WHERE id = $4
-      `;
-      await query(updateQuizCompletedQuery, [analysisGenerated, JSON.stringify(quizAttemptArray), orderId, session.id]);
+    // Now call save_user_response API
+    console.log('📝 Calling save_user_response API...');
+    
+    // Anything still open past its time limit is timed out before scoring
+    const blueprint = await quizBlueprintService.getBlueprintForSession(session.id);
+    await questionTimingService.expireOverdueQuestions(session.id, blueprint);
+
+    // Get all questions for this session to build quiz attempt object
+    const questionsQuery = `
+      SELECT id, question_no, quiz_id, question, options, answer, correct_answer, answered, timed_out, review_state, difficulty, option_credits, created_at
+      FROM questions 
+      WHERE session_id = $1
+      ORDER BY question_no ASC
+    `;
+    const questionsResult = await query(questionsQuery, [session.id]);
+
+    // Weights, negative marking, partial credit and bands come from the session blueprint
+    const scoreResult = scoringService.scoreQuestions(questionsResult.rows, blueprint);
+    
+    // Build quiz attempt object
+    const quizAttemptArray = questionsResult.rows.map((q, index) => {
+      // Option text comes from the stored options (legacy rows fall back to the rendered text).
+      // Skipped / review_later questions that were never answered are reported as skipped, not as a blank answer.
+      const userAnswerText = q.answered
+        ? (questionService.getAnswerText(q) || 'No answer')
+        : (q.review_state ? 'Skipped' : 'No answer');
       
       return {
-        result: "success",
-        message: 'Quiz response submitted successfully',
-        data: {
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            phone: user.phone
-          },
-          session: {
-            id: session.id,
-            certified_user_id: session.certified_user_id,
-            certified_token: existingToken,
-            quiz_completed: true,
-            quiz_analysis_generated: analysisGenerated,
-            order_id: orderId
-          },
-          quiz_attempt: quizAttemptArray,
-          quiz_results: {
-            score: quizScore,
-            correct_answers: correctAnswers,
-            total_questions: quizAttemptArray.length,
-            completion_time_seconds: quizCompletionTimeInSeconds
-          },
-          save_user_response: saveResponseResult,
-          certificate_claim: certificateResult,
-          quiz_analysis: analysisResult
-        }
+        quiz_id: parseInt(q.quiz_id),
+        user_answer: userAnswerText,
+        // Full credit only; timed-out answers never count
+        is_correct: scoreResult.per_question[index].is_correct
       };
-      
-    } catch (error) {
-      console.error('❌ Error submitting quiz response with token:', error.message);
-      throw new Error(`Failed to submit quiz response: ${error.message}`);
+    });
+    
+    const quizScore = scoreResult.score;
+    const correctAnswers = scoreResult.correct_answers;
+    await scoringService.saveSessionScore(session.id, scoreResult);
+    
+    const quizCompletionTimeInSeconds = await this.getQuizCompletionTimeInSeconds(session, blueprint);
+    
+    // Prepare save user response data
+    const saveUserResponseData = {
+      certified_user_skill_quiz_id: certifiedUserSkillId,
+      quiz_attempt_object: quizAttemptArray,
+      quiz_completion_time_in_seconds: quizCompletionTimeInSeconds,
+      quiz_score: quizScore
+    };
+    
+    // save_user_response and the analysis of it are sent again when the attempt changed since the last submission
+    // (the completion time is left out: without timing data it moves with the clock)
+    const attemptKey = { quiz_attempt_object: quizAttemptArray, quiz_score: quizScore };
+
+    // Call save_user_response API
+    const saveResponseResult = await submissionStepService.runStep(
+      session.id,
+      'save_user_response',
+      saveUserResponseData,
+      () => saveUserResponseService.saveUserResponse(saveUserResponseData),
+      { reuseKey: attemptKey }
+    );
+    
+    if (!saveResponseResult.success) {
+      console.error('Save user response failed:', saveResponseResult);
+      // Don't throw error, continue with certificate claim
+    }
+    
+    console.log('✅ Save user response API completed');
+    
+    // Now call certificate claim API
+    console.log('🏆 Calling certificate claim API...');
+    
+    const certificateResult = await submissionStepService.runStep(
+      session.id,
+      'certificate_claim',
+      { certified_user_skill_id: certifiedUserSkillId },
+      () => certificateClaimService.claimCertificate(certifiedUserSkillId, token)
+    );
+    
+    if (!certificateResult.success) {
+      console.error('Certificate claim failed:', certificateResult);
+      // Don't throw error, just log it
     }
+    
+    console.log('✅ Certificate claim API completed');
+    
+    let createV2TestResult = { skipped: false };
+    if (skipCreateV2Test) {
+      console.log('⏭️ Skipping Create V2 Test API as requested.');
+      createV2TestResult = await submissionStepService.skipStep(session.id, 'create_v2_test', 'Create V2 Test API skipped');
+    } else {
+      console.log('🎯 Calling create_v2_test API...');
+      createV2TestResult = await submissionStepService.runStep(
+        session.id,
+        'create_v2_test',
+        { certified_user_skill_id: certifiedUserSkillId },
+        () => createV2TestService.createV2Test(token, certifiedUserSkillId)
+      );
+
+      if (!createV2TestResult.success) {
+        console.error('Create V2 Test failed:', createV2TestResult);
+        // Don't throw error, just log it
+      }
+
+      console.log('✅ Create V2 Test API completed');
+    }
+    
+    // Now call quiz analysis API (non-blocking - failures, including thrown errors, are recorded and won't stop the flow)
+    console.log('📊 Calling quiz analysis API...');
+    
+    const analysisResult = await submissionStepService.runStep(
+      session.id,
+      'quiz_analysis',
+      { certified_user_skill_id: certifiedUserSkillId },
+      () => analysisService.getQuizAnalysis(certifiedUserSkillId, token),
+      { reuseKey: { certified_user_skill_id: certifiedUserSkillId, ...attemptKey } }
+    );
+    
+    if (!analysisResult.success) {
+      console.error('⚠️ Quiz analysis failed (non-blocking):', analysisResult.error || analysisResult.message);
+    } else {
+      console.log('✅ Quiz analysis API completed successfully');
+    }
+    
+    console.log('✅ Quiz analysis API call completed (success or failure)');
+    
+    // Update session as quiz completed and analysis generated (only if analysis was successful)
+    const analysisGenerated = analysisResult.success;
+    const orderId = (!skipCreateV2Test && createV2TestResult.success && createV2TestResult.data)
+      ? createV2TestResult.data.id
+      : null;
+    const updateQuizCompletedQuery = `
+      UPDATE sessions 
+      SET quiz_completed = true, quiz_analysis_generated = $1, quiz_attempt_object = $2, order_id = $3
+      WHERE id = $4
+    `;
+    await query(updateQuizCompletedQuery, [analysisGenerated, JSON.stringify(quizAttemptArray), orderId, session.id]);
+    await submissionStepService.clearSecrets(session.id);
+    await sessionStateService.advance(session.id, 'submitted', {
+      event: 'quiz_submitted',
+      source: 'submission',
+      metadata: { score: quizScore, order_id: orderId }
+    });
+    if (analysisGenerated) {
+      await sessionStateService.advance(session.id, 'analysed', { event: 'analysis_generated', source: 'submission' });
+    }
+    
+    return {
+      result: "success",
+      message: 'Quiz response submitted successfully',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          phone: user.phone
+        },
+        session: {
+          id: session.id,
+          certified_user_id: session.certified_user_id,
+          certified_token: token,
+          // Responses from the existing-token flow (auto_submit_quiz_v3) never had token_updated / create_v2_test
+          ...(!existingToken && { token_updated: true }),
+          quiz_completed: true,
+          quiz_analysis_generated: analysisGenerated,
+          order_id: orderId
+        },
+        quiz_attempt: quizAttemptArray,
+        quiz_results: {
+          score: quizScore,
+          score_band: scoreResult.band,
+          points: scoreResult.points,
+          max_points: scoreResult.max_points,
+          correct_answers: correctAnswers,
+          total_questions: quizAttemptArray.length,
+          completion_time_seconds: quizCompletionTimeInSeconds
+        },
+        save_user_response: saveResponseResult,
+        certificate_claim: certificateResult,
+        ...(!existingToken && { create_v2_test: createV2TestResult }),
+        quiz_analysis: analysisResult
+      }
+    };
   }
 }
 
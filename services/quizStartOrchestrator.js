@@ -0,0 +1,314 @@
+const userService = require('./userService');
+const certifiedApiService = require('./certifiedApi');
+const generateQuizService = require('./generateQuizService');
+const questionService = require('./questionService');
+const quizBlueprintService = require('./quizBlueprintService');
+const progressRendererService = require('./progressRendererService');
+const questionTimingService = require('./questionTimingService');
+const mixpanelService = require('../utils/mixpanelService');
+const HttpError = require('../utils/httpError');
+
+const POLL_DELAY_MS = 3000; // 3 seconds between polls
+const MAX_POLLING_TIME_MS = 90000; // 90 seconds maximum
+
+const countQuestionTypes = (questions) => ({
+  easy: questions.filter(q => q.question_type === 'Easy').length,
+  medium: questions.filter(q => q.question_type === 'Medium').length,
+  hard: questions.filter(q => q.question_type === 'Hard').length
+});
+
+/**
+ * Shared flow behind every /start_quiz* endpoint:
+ * subject resolution -> user identity -> session resolution -> blueprint -> question generation -> first question.
+ * Endpoint differences are expressed as a variant (see services/quizStartStrategies.js).
+ */
+class QuizStartOrchestrator {
+  /**
+   * Run the start flow for one endpoint variant.
+   * Strategies may throw an HttpError to short-circuit with a specific response.
+   * @param {Object} input - Request body
+   * @param {Object} variant - Strategy bundle from quizStartStrategies.variants
+   * @returns {Promise<{statusCode: number, body: Object}>}
+   */
+  async start(input, variant) {
+    const { name, email, phone, subject: requestedSubject, list, option } = input;
+
+    mixpanelService.trackQuizStarted({
+      email: email || '',
+      phone,
+      name,
+      subject: requestedSubject || 'pending',
+      endpoint: variant.endpoint,
+      list,
+      option
+    });
+
+    this.validatePresentation(input);
+
+    const subject = await variant.resolveSubject(input);
+    console.log(`Starting quiz (${variant.endpoint}) for user:`, { name, email, phone, subject });
+
+    const user = await variant.resolveUser(input, subject);
+    console.log('User resolved with ID:', user.id);
+
+    const context = {
+      input,
+      subject,
+      user,
+      session: await variant.resolveSession(input, user, subject),
+      certifiedResponse: null,
+      certifiedSkillId: null
+    };
+
+    // Existing sessions keep the blueprint they were started with; new sessions resolve one by campaign/subject
+    if (context.session) {
+      context.blueprint = await quizBlueprintService.getBlueprintForSession(context.session.id);
+      context.certifiedSkillId = parseInt(context.session.certified_user_id);
+    } else {
+      context.blueprint = await quizBlueprintService.getBlueprint({ subject, campaign: input.campaign, base: variant.blueprint });
+      await this.createSession(context);
+    }
+    console.log(`📐 Using quiz blueprint "${context.blueprint.name}" (${context.blueprint.total_questions} questions)`);
+
+    if (variant.generation === 'sync') {
+      await this.generateQuestionsNow(context, variant);
+    } else {
+      await this.ensureQuestionsInBackground(context, variant);
+    }
+
+    // The first question goes out with this response, so its clock starts now
+    if (context.firstQuestion) {
+      await questionTimingService.markServed(context.firstQuestion.id);
+    }
+
+    return {
+      statusCode: 201,
+      body: variant.formatResponse(context)
+    };
+  }
+
+  // Create a certified entry upstream and the matching session record
+  async createSession(context) {
+    const { user, subject, blueprint } = context;
+
+    const certifiedResponse = await certifiedApiService.createNewEntry(subject);
+    if (certifiedResponse.result !== 'success') {
+      throw new Error(`Certified API error: ${certifiedResponse.message}`);
+    }
+
+    const certifiedSkillId = certifiedResponse.data.id;
+    console.log('Certified API response received:', certifiedSkillId);
+
+    context.certifiedResponse = certifiedResponse;
+    context.certifiedSkillId = certifiedSkillId;
+    context.session = await userService.createSession(
+      user.id,
+      certifiedSkillId,
+      userService.generateCertifiedToken(),
+      userService.getTokenExpirationTime(),
+      subject,
+      blueprint.id
+    );
+    console.log('Session created successfully with ID:', context.session.id, 'for user ID:', user.id);
+
+    // Optional per-session presentation override; existing sessions keep the one their questions were rendered with
+    const { progress_renderer: renderer, progress_theme: theme } = context.input;
+    if (renderer || theme) {
+      await progressRendererService.setSessionPresentation(context.session.id, { renderer, theme });
+      console.log(`🎨 Session ${context.session.id} presentation set to renderer "${renderer || 'blueprint'}", theme "${theme || 'blueprint'}"`);
+    }
+  }
+
+  validatePresentation(input) {
+    const { progress_renderer: renderer, progress_theme: theme } = input;
+    if (renderer && !progressRendererService.hasRenderer(renderer)) {
+      throw new HttpError(400, {
+        success: false,
+        message: `Unknown progress_renderer "${renderer}". Available: ${progressRendererService.listRenderers().join(', ')}`
+      });
+    }
+    if (theme && !progressRendererService.hasTheme(theme)) {
+      throw new HttpError(400, {
+        success: false,
+        message: `Unknown progress_theme "${theme}". Available: ${progressRendererService.listThemes().join(', ')}`
+      });
+    }
+  }
+
+  // Single generate attempt inside the request (start_quiz); failures leave the quiz without questions
+  async generateQuestionsNow(context, variant) {
+    const { user, session, subject, blueprint, certifiedSkillId } = context;
+
+    context.quizInfo = {
+      total_questions: 0,
+      questions_generated: false,
+      question_types: { easy: 0, medium: 0, hard: 0 }
+    };
+
+    try {
+      console.log('🎯 Generating quiz questions...');
+      const quizData = await generateQuizService.generateQuiz(certifiedSkillId);
+
+      if (quizData.result === 'success') {
+        const questions = variant.extractQuestions(quizData, blueprint);
+        console.log(`📋 Extracted ${questions.length} questions`);
+
+        console.log('💾 Storing questions in database...');
+        const storedQuestions = await questionService.createQuestions(questions, session.id, user.id, blueprint);
+        console.log(`✅ Stored ${storedQuestions.length} questions successfully`);
+
+        context.quizInfo = {
+          total_questions: storedQuestions.length,
+          questions_generated: true,
+          question_types: countQuestionTypes(questions)
+        };
+
+        mixpanelService.trackQuizQuestionsGenerated({
+          user_id: user.id,
+          session_id: session.id,
+          email: user.email || '',
+          phone: user.phone,
+          subject,
+          total_questions: storedQuestions.length,
+          question_types: context.quizInfo.question_types
+        });
+      } else {
+        console.log('⚠️  Quiz generation failed:', quizData.message);
+        this.trackGenerationFailed(context, quizData.message);
+      }
+    } catch (error) {
+      console.log('⚠️  Quiz generation failed (API may be outdated):', error.message);
+      console.log('📝 Continuing without quiz questions...');
+      this.trackGenerationFailed(context, error.message);
+    }
+
+    context.firstQuestion = null;
+    try {
+      const questions = await questionService.getQuestionsBySession(session.id);
+      if (questions && questions.length > 0) {
+        context.firstQuestion = questions[0];
+        console.log('📝 Selected first question (question_no: 1) ID:', context.firstQuestion.id);
+      }
+    } catch (error) {
+      console.log('⚠️  Could not retrieve first question:', error.message);
+    }
+  }
+
+  // Reuse stored questions when the session already has all of them, otherwise poll generate in the background
+  async ensureQuestionsInBackground(context, variant) {
+    const { session, blueprint } = context;
+    const requiredCount = blueprint.total_questions;
+
+    // CRITICAL: question_added should only be true when every blueprint question is stored
+    const existingQuestions = await questionService.getQuestionsBySession(session.id);
+    if (existingQuestions.length > 0 && existingQuestions.length < requiredCount) {
+      console.log(`⚠️  Only ${existingQuestions.length} questions found (need ${requiredCount}). question_added will be false.`);
+    }
+
+    if (existingQuestions.length !== requiredCount) {
+      console.log('🔄 Starting background polling for quiz generation...');
+      // Not awaited so the response returns within the request timeout
+      this.pollForQuestions(context, variant);
+      console.log('✅ Background polling started - API will return response immediately');
+    }
+
+    const finalQuestions = await questionService.getQuestionsBySession(session.id);
+    context.questionAdded = finalQuestions.length === requiredCount;
+    context.quizInfo = {
+      total_questions: finalQuestions.length,
+      questions_generated: context.questionAdded,
+      question_types: { easy: 0, medium: 0, hard: 0 }
+    };
+    context.firstQuestion = finalQuestions.length > 0 ? finalQuestions[0] : null;
+  }
+
+  // Poll the generate API until every difficulty the blueprint uses is populated and the full set is stored
+  async pollForQuestions(context, variant) {
+    const { user, session, blueprint, certifiedSkillId } = context;
+    const requiredCount = blueprint.total_questions;
+    const needs = (difficulty) => blueprint.difficulty_counts[difficulty] > 0;
+    const startTime = Date.now();
+    let attempt = 0;
+
+    const hasTimeLeft = () => (Date.now() - startTime) < MAX_POLLING_TIME_MS;
+    const wait = () => new Promise(resolve => setTimeout(resolve, POLL_DELAY_MS));
+
+    try {
+      while (hasTimeLeft()) {
+        attempt++;
+        const elapsedTime = Math.round((Date.now() - startTime) / 1000);
+
+        try {
+          console.log(`🔄 [Background] Polling generate API (attempt ${attempt}, ${elapsedTime}s elapsed) for session ${session.id}...`);
+          const quizData = await generateQuizService.generateQuiz(certifiedSkillId);
+
+          const questionnaire = quizData?.data?.quiz_question_answer?.questionaire || {};
+          const easyArr = Array.isArray(questionnaire.easy) ? questionnaire.easy : [];
+          const medArr = Array.isArray(questionnaire.medium) ? questionnaire.medium : [];
+          const hardArr = Array.isArray(questionnaire.hard) ? questionnaire.hard : [];
+          const allArraysPopulated = (!needs('easy') || easyArr.length > 0)
+            && (!needs('medium') || medArr.length > 0)
+            && (!needs('hard') || hardArr.length > 0);
+
+          console.log(`📊 [Background] Quiz data received - Status: ${quizData?.data?.quiz_status || 'unknown'}, Questions available: ${easyArr.length + medArr.length + hardArr.length} (Easy: ${easyArr.length}, Medium: ${medArr.length}, Hard: ${hardArr.length}) for session ${session.id}`);
+
+          if (allArraysPopulated) {
+            try {
+              const questions = variant.extractQuestions(quizData, blueprint);
+              // CRITICAL: Only store in database if we have the exact blueprint count
+              if (questions.length === requiredCount) {
+                console.log(`✅ [Background] Extracted exactly ${requiredCount} questions, storing in database for session ${session.id}...`);
+                await questionService.createQuestions(questions, session.id, user.id, blueprint);
+
+                mixpanelService.trackQuizQuestionsGenerated({
+                  user_id: user.id,
+                  session_id: session.id,
+                  email: user.email || '',
+                  phone: user.phone,
+                  subject: context.subject,
+                  total_questions: questions.length,
+                  question_types: countQuestionTypes(questions)
+                });
+
+                console.log(`✅ [Background] Successfully stored all ${requiredCount} questions for session ${session.id}!`);
+                return;
+              }
+              console.log(`⏳ [Background] All arrays populated but only extracted ${questions.length} questions (need exactly ${requiredCount}). Continuing to poll for session ${session.id}...`);
+            } catch (extractError) {
+              console.error(`❌ [Background] Error extracting questions for session ${session.id}:`, extractError.message);
+            }
+          } else {
+            console.log(`⏳ [Background] Waiting for all arrays to be populated (Easy: ${easyArr.length > 0}, Medium: ${medArr.length > 0}, Hard: ${hardArr.length > 0}) for session ${session.id}...`);
+          }
+        } catch (e) {
+          console.error(`❌ [Background] Quiz generation API error (attempt ${attempt}) for session ${session.id}:`, e.message);
+        }
+
+        if (hasTimeLeft()) {
+          await wait();
+        }
+      }
+
+      const totalElapsed = Math.round((Date.now() - startTime) / 1000);
+      console.warn(`⚠️  [Background] Polling timeout reached after ${totalElapsed}s for session ${session.id}. Questions may not be generated yet.`);
+      this.trackGenerationFailed(context, `Polling timeout after ${totalElapsed}s`);
+    } catch (error) {
+      console.error(`❌ [Background] Fatal error in polling loop for session ${session.id}:`, error);
+      this.trackGenerationFailed(context, error.message);
+    }
+  }
+
+  trackGenerationFailed(context, errorMessage) {
+    const { user, session, subject } = context;
+    mixpanelService.trackQuizQuestionsGenerationFailed({
+      user_id: user.id,
+      session_id: session.id,
+      email: user.email || '',
+      phone: user.phone,
+      subject,
+      error_message: errorMessage
+    });
+  }
+}
+
+module.exports = new QuizStartOrchestrator();
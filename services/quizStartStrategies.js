@@ -0,0 +1,281 @@
+const userService = require('./userService');
+const certifiedApiService = require('./certifiedApi');
+const generateQuizService = require('./generateQuizService');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Strategies used by QuizStartOrchestrator.
+ * Each /start_quiz* endpoint is a combination of one strategy from every group below.
+ */
+
+// ---------------------------------------------------------------------------
+// Subject resolution: (input) => subject
+// ---------------------------------------------------------------------------
+const subjectResolvers = {
+  // Subject must be passed directly in the request body
+  direct: async (input) => input.subject,
+
+  // Subject passed directly, or resolved through the selected_subject API from list + option
+  directOrListOption: async (input) => {
+    const { subject, list, option } = input;
+    let finalSubject = subject;
+
+    if (!subject || subject.trim() === '') {
+      if (list && option && list.trim() !== '' && option.trim() !== '') {
+        console.log('📞 Calling API to get subject from list and option...');
+        try {
+          finalSubject = await certifiedApiService.getSubjectFromList(list, option);
+          console.log('✅ Received subject from API:', finalSubject);
+        } catch (error) {
+          console.error('❌ Error getting subject from API:', error.message);
+          throw new HttpError(500, {
+            success: false,
+            message: 'Failed to get subject from list and option',
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (!finalSubject || finalSubject.trim() === '') {
+      throw new HttpError(400, {
+        success: false,
+        message: 'Subject is required. Either provide subject directly or provide list and option to get subject.'
+      });
+    }
+
+    return finalSubject;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// User identity: (input, subject) => user
+// ---------------------------------------------------------------------------
+const userIdentities = {
+  // Email is the identity: reuse the user with this email, or create one (the subject becomes a new enrollment)
+  email: async (input) => {
+    const { name, email, phone } = input;
+    return userService.createUser({ name, email, phone });
+  },
+
+  // Email identity when name+email are provided, otherwise look the user up by phone+subject
+  emailOrPhoneSubject: async (input, subject) => {
+    const { name, email, phone } = input;
+    if (name && email) {
+      return userService.createUser({ name, email, phone });
+    }
+
+    const user = await userService.findUserByPhoneAndSubject(phone, subject);
+    if (user) {
+      return user;
+    }
+    throw new HttpError(400, {
+      success: false,
+      message: 'User not found. Provide name and email to create a new user.'
+    });
+  },
+
+  // Phone is the identity; email is optional and may be empty (stored as NULL). Other subjects the user took stay enrolled
+  phone: async (input) => {
+    const { name, email, phone } = input;
+    const foundUser = await userService.findLatestUserByPhone(phone);
+
+    if (foundUser) {
+      console.log('✅ Found user by phone');
+      return foundUser;
+    }
+
+    if (!name) {
+      throw new HttpError(400, {
+        success: false,
+        message: 'User not found. Provide name to create a new user.'
+      });
+    }
+
+    // Without an email the user is created with a NULL one
+    return userService.createUser({ name, email, phone });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Session resolution: (input, user, subject) => existing session or null (null => create one)
+// ---------------------------------------------------------------------------
+const sessionResolvers = {
+  // Every call starts a fresh certified entry and session
+  alwaysNew: async () => null,
+
+  // Reuse the provided session_id (if it belongs to user+subject) or the latest session for user+subject
+  reuseLatest: async (input, user, subject) => {
+    let session = null;
+    if (input.session_id) {
+      session = await userService.findUserSession(input.session_id, user.id, subject);
+    }
+    if (!session) {
+      session = await userService.findLatestSession(user.id, subject);
+    }
+    return session;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Question extraction: (quizData, blueprint) => questions ready for questionService.createQuestions
+// ---------------------------------------------------------------------------
+const questionExtractors = {
+  standard: (quizData, blueprint) => generateQuizService.extractQuestions(quizData, blueprint),
+  cybersecurity: (quizData, blueprint) => generateQuizService.extractQuestionsCybersecurity(quizData, blueprint)
+};
+
+// ---------------------------------------------------------------------------
+// Response formatting: (context) => response body
+// ---------------------------------------------------------------------------
+// subject is the one this quiz was started in; the user may be enrolled in others
+const formatUser = (user, subject) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  subject,
+  created_at: user.created_at
+});
+
+const formatSession = (session) => ({
+  id: session.id,
+  certified_token: session.certified_token,
+  token_expiration: session.certified_token_expires_at
+});
+
+const formatCloneBody = (context) => {
+  const { user, subject, session, blueprint, certifiedSkillId, certifiedResponse, quizInfo, firstQuestion, questionAdded } = context;
+  const certifiedData = certifiedResponse && certifiedResponse.data;
+
+  let responseMessage = 'Quiz started successfully';
+  if (!questionAdded) {
+    if (quizInfo.total_questions === 0) {
+      responseMessage = 'Quiz started successfully. Questions are being generated in the background. Please check back in a few moments.';
+    } else if (quizInfo.total_questions < blueprint.total_questions) {
+      responseMessage = `Quiz started successfully. ${quizInfo.total_questions} questions generated so far (need ${blueprint.total_questions}). Questions are being generated in the background. Please check back in a few moments.`;
+    }
+  }
+
+  return {
+    success: true,
+    message: responseMessage,
+    data: {
+      user: formatUser(user, subject),
+      certified_skill: {
+        id: certifiedSkillId,
+        subject_name: (certifiedData && certifiedData.subject_name) ? certifiedData.subject_name : subject,
+        quiz_status: (certifiedData && certifiedData.quiz_status) ? certifiedData.quiz_status : 'unknown',
+        is_paid: (certifiedData && typeof certifiedData.is_paid !== 'undefined') ? certifiedData.is_paid : false
+      },
+      session: formatSession(session),
+      quiz: quizInfo,
+      first_question: firstQuestion ? {
+        question_id: firstQuestion.id,
+        question: firstQuestion.question
+      } : null,
+      question_added: questionAdded
+    }
+  };
+};
+
+const responseFormatters = {
+  startQuiz: (context) => {
+    const { user, subject, session, certifiedSkillId, certifiedResponse, quizInfo, firstQuestion } = context;
+    return {
+      success: true,
+      message: 'Quiz started successfully',
+      data: {
+        user: formatUser(user, subject),
+        certified_skill: {
+          id: certifiedSkillId,
+          subject_name: certifiedResponse.data.subject_name,
+          quiz_status: certifiedResponse.data.quiz_status,
+          is_paid: certifiedResponse.data.is_paid
+        },
+        session: formatSession(session),
+        quiz: quizInfo,
+        first_question: firstQuestion ? {
+          question_id: firstQuestion.id,
+          question: firstQuestion.question
+        } : null
+      }
+    };
+  },
+
+  clone: formatCloneBody,
+
+  // Same as clone, but first_question always carries the code image link and flag
+  cybersecurity: (context) => {
+    const body = formatCloneBody(context);
+    const { firstQuestion } = context;
+    if (firstQuestion) {
+      body.data.first_question.code_snippet_imageLink = firstQuestion.code_snippet_imageLink || null;
+      body.data.first_question.has_code_image = !!(firstQuestion.code_snippet_imageLink && firstQuestion.code_snippet_imageLink.trim() !== '');
+    }
+    return body;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Endpoint variants
+// generation: 'sync' generates once inside the request; 'background' polls generate after responding
+// blueprint: built-in quiz blueprint to fall back to when no campaign or subject row matches (default: 'default')
+// ---------------------------------------------------------------------------
+const variants = {
+  start_quiz: {
+    endpoint: 'start_quiz',
+    resolveSubject: subjectResolvers.direct,
+    resolveUser: userIdentities.email,
+    resolveSession: sessionResolvers.alwaysNew,
+    extractQuestions: questionExtractors.standard,
+    generation: 'sync',
+    formatResponse: responseFormatters.startQuiz
+  },
+  start_quiz_clone: {
+    endpoint: 'start_quiz_clone',
+    resolveSubject: subjectResolvers.direct,
+    resolveUser: userIdentities.emailOrPhoneSubject,
+    resolveSession: sessionResolvers.reuseLatest,
+    extractQuestions: questionExtractors.standard,
+    generation: 'background',
+    formatResponse: responseFormatters.clone
+  },
+  start_quiz_clone_v2: {
+    endpoint: 'start_quiz_clone_v2',
+    resolveSubject: subjectResolvers.direct,
+    resolveUser: userIdentities.phone,
+    resolveSession: sessionResolvers.reuseLatest,
+    extractQuestions: questionExtractors.standard,
+    generation: 'background',
+    formatResponse: responseFormatters.clone
+  },
+  start_quiz_clone_v3: {
+    endpoint: 'start_quiz_clone_v3',
+    resolveSubject: subjectResolvers.directOrListOption,
+    resolveUser: userIdentities.phone,
+    resolveSession: sessionResolvers.reuseLatest,
+    extractQuestions: questionExtractors.standard,
+    generation: 'background',
+    formatResponse: responseFormatters.clone
+  },
+  start_quiz_clone_v4_cybersecurity: {
+    endpoint: 'start_quiz_clone_v4_cybersecurity',
+    resolveSubject: subjectResolvers.directOrListOption,
+    resolveUser: userIdentities.phone,
+    resolveSession: sessionResolvers.reuseLatest,
+    extractQuestions: questionExtractors.cybersecurity,
+    blueprint: 'cybersecurity',
+    generation: 'background',
+    formatResponse: responseFormatters.cybersecurity
+  }
+};
+
+module.exports = {
+  subjectResolvers,
+  userIdentities,
+  sessionResolvers,
+  questionExtractors,
+  responseFormatters,
+  variants
+};
@@ -0,0 +1,202 @@
+const quizResponseService = require('./quizResponseService');
+const scoringService = require('./scoringService');
+const jobQueueService = require('./jobQueueService');
+const mixpanelService = require('../utils/mixpanelService');
+const { toIST } = require('../utils/timezone');
+
+/**
+ * Quiz submission as the submit endpoints return it: runs quizResponseService, tracks Quiz Scored and shapes
+ * the response (success = score band). Used inline by the routes and by the quiz_submission background job.
+ */
+class QuizSubmissionService {
+  // submit_quiz_response, auto_submit_quiz and auto_submit_quiz_v2
+  async submit(userData, options = {}) {
+    const { user_id, name, email, phone, certified_user_skill_id, session_id } = userData;
+  
+    console.log('📝 Processing quiz response submission...');
+    console.log('📤 Request data:', { user_id, name, email, phone, certified_user_skill_id, session_id });
+  
+    // Submit quiz response
+    const result = await quizResponseService.submitQuizResponse(
+      { user_id, name, email, phone, certified_user_skill_id, session_id },
+      options
+    );
+  
+    console.log('🔍 Raw service result:', JSON.stringify(result, null, 2));
+  
+    // Check if result has data and if it's not empty
+    if (!result.data || Object.keys(result.data).length === 0) {
+      console.error('❌ Service returned empty data object');
+      // Track submission failure
+      mixpanelService.trackQuizSubmissionFailed({
+        email,
+        phone,
+        certified_user_skill_id,
+        error_message: 'Service returned empty data'
+      });
+      throw new Error('Service returned empty data - check service logs');
+    }
+  
+    // Get the score to determine success level
+    const score = result.data.quiz_results?.score || 0;
+    // Band computed by scoringService from the blueprint's range-based band definitions
+    const successValue = result.data.quiz_results?.score_band || scoringService.getBand(score).label;
+
+    // Track quiz scored
+    mixpanelService.trackQuizScored({
+      user_id: result.data.user?.id,
+      session_id: result.data.session?.id,
+      email,
+      phone,
+      score,
+      score_category: successValue,
+      correct_answers: result.data.quiz_results?.correct_answers || 0,
+      total_questions: result.data.quiz_results?.total_questions || 0,
+      certified_user_skill_id
+    });
+  
+    // Format response to match the exact structure you want
+    const formattedResponse = {
+      success: successValue,
+      message: "Quiz response submitted successfully",
+      data: {
+        user: {
+          id: result.data.user.id,
+          name: result.data.user.name,
+          email: result.data.user.email,
+          phone: result.data.user.phone
+        },
+        session: {
+          id: result.data.session.id,
+          certified_skill_id: result.data.session.certified_user_id,
+          token_updated: result.data.session.token_updated,
+          order_id: result.data.session.order_id
+        },
+        quiz_attempt: result.data.quiz_attempt || {},
+        quiz_results: result.data.quiz_results || {},
+        score: score
+      }
+    };
+  
+    console.log('📤 Formatted response:', JSON.stringify(formattedResponse, null, 2));
+    return formattedResponse;
+  }
+
+  // auto_submit_quiz_v3: no Create V2 Test, response carries the session token and IST created_at
+  async submitWithoutV2Test(userData, sessionData) {
+    // Call full quiz submission flow but skip Create V2 Test API
+    const result = await quizResponseService.submitQuizResponse(
+      userData,
+      { skipCreateV2Test: true }
+    );
+    
+    console.log('🔍 Raw service result:', JSON.stringify(result, null, 2));
+    
+    // Check if result has data and if it's not empty
+    if (!result.data || Object.keys(result.data).length === 0) {
+      console.error('❌ Service returned empty data object');
+      // Track submission failure
+      mixpanelService.trackQuizSubmissionFailed({
+        email: sessionData.email,
+        phone: sessionData.phone,
+        certified_user_skill_id: sessionData.certified_user_id,
+        error_message: 'Service returned empty data',
+        endpoint: 'auto_submit_quiz_v3'
+      });
+      throw new Error('Service returned empty data - check service logs');
+    }
+    
+    // Get the score to determine success level
+    const score = result.data.quiz_results?.score || 0;
+    // Band computed by scoringService from the blueprint's range-based band definitions
+    const successValue = result.data.quiz_results?.score_band || scoringService.getBand(score).label;
+    
+    // Track quiz scored
+    mixpanelService.trackQuizScored({
+      user_id: result.data.user?.id,
+      session_id: result.data.session?.id,
+      email: result.data.user?.email || sessionData.email,
+      phone: result.data.user?.phone || sessionData.phone,
+      score,
+      score_category: successValue,
+      correct_answers: result.data.quiz_results?.correct_answers || 0,
+      total_questions: result.data.quiz_results?.total_questions || 0,
+      certified_user_skill_id: sessionData.certified_user_id
+    });
+    
+    // Format response to match the exact structure (with certified_token, without token_updated)
+    // Convert created_at from UTC to IST
+    let createdAtIST = '';
+    if (sessionData.created_at) {
+      const utcDate = new Date(sessionData.created_at);
+      const istDate = toIST(utcDate);
+      // Format as YYYY-MM-DD HH:mm:ss IST
+      const year = istDate.getUTCFullYear();
+      const month = String(istDate.getUTCMonth() + 1).padStart(2, '0');
+      const day = String(istDate.getUTCDate()).padStart(2, '0');
+      const hours = String(istDate.getUTCHours()).padStart(2, '0');
+      const minutes = String(istDate.getUTCMinutes()).padStart(2, '0');
+      const seconds = String(istDate.getUTCSeconds()).padStart(2, '0');
+      createdAtIST = `${year}-${month}-${day} ${hours}:${minutes}:${seconds} IST`;
+    }
+    
+    const formattedResponse = {
+      success: successValue,
+      message: "Quiz response submitted successfully",
+      data: {
+        user: {
+          id: result.data.user.id,
+          name: result.data.user.name,
+          email: result.data.user.email,
+          phone: result.data.user.phone
+        },
+        session: {
+          id: result.data.session.id,
+          certified_skill_id: result.data.session.certified_user_id,
+          certified_token: result.data.session.certified_token,
+          order_id: result.data.session.order_id,
+          created_at: createdAtIST
+        },
+        quiz_attempt: result.data.quiz_attempt || {},
+        quiz_results: result.data.quiz_results || {},
+        score: score
+      }
+    };
+    
+    console.log('📤 Formatted response:', JSON.stringify(formattedResponse, null, 2));
+    return formattedResponse;
+  }
+
+  /**
+   * quiz_submission job handler
+   * @param {Object} payload - { endpoint, userData, sessionData }
+   */
+  async runJob(payload) {
+    const { endpoint, userData, sessionData } = payload;
+    try {
+      if (endpoint === 'auto_submit_quiz_v3') {
+        return await this.submitWithoutV2Test(userData, sessionData);
+      }
+      return await this.submit(userData);
+    } catch (error) {
+      mixpanelService.trackQuizSubmissionFailed({
+        email: userData?.email,
+        phone: userData?.phone,
+        certified_user_skill_id: userData?.certified_user_skill_id,
+        error_message: error.message,
+        endpoint: `${endpoint} (job)`
+      });
+      // Missing users / sessions won't appear on a retry
+      if (error.message.includes('not found')) {
+        error.permanent = true;
+      }
+      throw error;
+    }
+  }
+}
+
+const quizSubmissionService = new QuizSubmissionService();
+
+jobQueueService.registerHandler('quiz_submission', payload => quizSubmissionService.runJob(payload));
+
+module.exports = quizSubmissionService;
@@ -0,0 +1,103 @@
+const { query } = require('../database');
+
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Fixed-window request counters for the quiz endpoints (rate_limit_counters table, see
+ * migrations/019_create_rate_limit_counters.js).
+ *
+ * Counters live in Postgres rather than memory so every serverless instance shares the same budget. Windows are
+ * aligned to the epoch (a 3600s budget resets on the hour), and a counter row is kept for a day after its window
+ * ends so recent throttling can still be looked at.
+ */
+class RateLimitService {
+  constructor() {
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Count one request against every identity's budget
+   * @param {string} action - start | answer | submit
+   * @param {Array<{ identityType: string, identity: string, limit: number, windowSeconds: number }>} checks
+   * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number, exceeded: Array<Object> }>}
+   *   exceeded: the identities over budget, each with identityType, identity, count, limit and retryAfterSeconds
+   */
+  async hit(action, checks) {
+    if (checks.length === 0) {
+      return { allowed: true, retryAfterSeconds: 0, exceeded: [] };
+    }
+    this.purgeExpired();
+
+    const result = await query(`
+      INSERT INTO rate_limit_counters (action, identity_type, identity, window_start, window_end, request_limit, request_count, last_request_at)
+      SELECT $1, c.identity_type, c.identity, w.window_start, w.window_start + (c.window_seconds * INTERVAL '1 second'), c.request_limit, 1, NOW()
+      FROM unnest($2::text[], $3::text[], $4::int[], $5::int[]) AS c(identity_type, identity, request_limit, window_seconds)
+      CROSS JOIN LATERAL (
+        SELECT to_timestamp(floor(extract(epoch FROM NOW()) / c.window_seconds) * c.window_seconds)::timestamp AS window_start
+      ) w
+      ON CONFLICT (action, identity_type, identity, window_start) DO UPDATE
+      SET request_count = rate_limit_counters.request_count + 1,
+          request_limit = EXCLUDED.request_limit,
+          last_request_at = NOW(),
+          first_throttled_at = CASE
+            WHEN rate_limit_counters.request_count + 1 > EXCLUDED.request_limit
+              THEN COALESCE(rate_limit_counters.first_throttled_at, NOW())
+            ELSE rate_limit_counters.first_throttled_at
+          END
+      RETURNING identity_type, identity, request_count, request_limit,
+                GREATEST(1, CEIL(EXTRACT(EPOCH FROM window_end - NOW())))::int AS retry_after_seconds
+    `, [
+      action,
+      checks.map(check => check.identityType),
+      checks.map(check => check.identity),
+      checks.map(check => check.limit),
+      checks.map(check => check.windowSeconds)
+    ]);
+
+    const exceeded = result.rows
+      .filter(row => row.request_count > row.request_limit)
+      .map(row => ({
+        identityType: row.identity_type,
+        identity: row.identity,
+        count: row.request_count,
+        limit: row.request_limit,
+        retryAfterSeconds: row.retry_after_seconds
+      }));
+    return {
+      allowed: exceeded.length === 0,
+      retryAfterSeconds: Math.max(0, ...exceeded.map(entry => entry.retryAfterSeconds)),
+      exceeded
+    };
+  }
+
+  /**
+   * Identities over budget in a window that hasn't ended yet, most recently active first
+   * @param {Object} [filters] - { action, identityType }
+   */
+  async listThrottled({ action = null, identityType = null } = {}) {
+    const result = await query(`
+      SELECT action, identity_type, identity, request_count, request_limit, window_start, window_end,
+             first_throttled_at, last_request_at,
+             GREATEST(1, CEIL(EXTRACT(EPOCH FROM window_end - NOW())))::int AS retry_after_seconds
+      FROM rate_limit_counters
+      WHERE window_end > NOW()
+        AND request_count > request_limit
+        AND ($1::text IS NULL OR action = $1)
+        AND ($2::text IS NULL OR identity_type = $2)
+      ORDER BY last_request_at DESC
+    `, [action, identityType]);
+    return result.rows;
+  }
+
+  // At most once a minute per instance
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurgeAt = Date.now();
+    query(`DELETE FROM rate_limit_counters WHERE window_end < NOW() - INTERVAL '1 day'`)
+      .catch(error => console.error('❌ Failed to purge rate limit counters:', error.message));
+  }
+}
+
+module.exports = new RateLimitService();
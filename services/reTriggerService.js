@@ -1,9 +1,11 @@
 const { query } = require('../database');
 const axios = require('axios');
+const config = require('../config');
+const sessionStateService = require('./sessionStateService');
 
 class ReTriggerService {
   constructor() {
-    this.apiUrl = 'https://xgfy-czuw-092q.m2.xano.io/api:Jb3ejqkw/re-trigger';
+    this.apiUrl = `${config.xano.baseUrl}/re-trigger`;
   }
 
   async checkAndTriggerReTriggerAPI() {
@@ -85,7 +87,8 @@ class ReTriggerService {
           const response = await axios.post(
             this.apiUrl,
             {
-              phone: phone,
+              // Digits only, the format the WhatsApp bot used before phones were stored in E.164
+              phone: phone.replace(/^\+/, ''),
               name: name
             },
             {
@@ -105,6 +108,8 @@ class ReTriggerService {
               WHERE id = $1
             `;
             await query(updateQuery, [session_id]);
+            // First question still unanswered after 5 minutes; answering later resumes the session
+            await sessionStateService.advance(session_id, 'abandoned', { event: 're_triggered', source: 'cron' });
 
             console.log(`✅ [Re-Trigger Cron] Successfully called re-trigger API for session ${session_id}`);
             triggeredCount++;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const config = require('../config');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * HMAC-SHA256 request signatures for the WhatsApp bot's quiz calls.
+ *
+ * The bot sends
+ *   X-Signature-Timestamp: unix seconds
+ *   X-Signature-Nonce:     16-128 random [A-Za-z0-9_-] characters, new for every request
+ *   X-Signature:           sha256=hex(HMAC(secret, `${timestamp}.${nonce}.${rawBody}`))
+ *
+ * A request verifies when the HMAC matches the current or previous secret, the timestamp is within
+ * config.signing.toleranceSeconds of now, and the nonce hasn't been seen before (request_nonces table, see
+ * migrations/017_create_request_nonces.js). Nonces only need to outlive the timestamp window, so older rows are purged.
+ */
+class RequestSignatureService {
+  constructor() {
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.secret
+   * @param {string|number} params.timestamp - Unix seconds
+   * @param {string} params.nonce
+   * @param {string|Buffer} [params.body] - Raw request body exactly as sent
+   * @returns {string} X-Signature header value
+   */
+  sign({ secret, timestamp, nonce, body = '' }) {
+    const hmac = crypto.createHmac('sha256', secret);
+    hmac.update(`${timestamp}.${nonce}.`);
+    hmac.update(body);
+    return `sha256=${hmac.digest('hex')}`;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.signature - X-Signature
+   * @param {string} params.timestamp - X-Signature-Timestamp
+   * @param {string} params.nonce - X-Signature-Nonce
+   * @param {Buffer} [params.rawBody]
+   * @returns {Promise<{ valid: boolean, reason?: string }>}
+   */
+  async verify({ signature, timestamp, nonce, rawBody }) {
+    if (!signature || !timestamp || !nonce) {
+      return { valid: false, reason: 'Missing X-Signature, X-Signature-Timestamp or X-Signature-Nonce header' };
+    }
+    if (!/^\d+$/.test(timestamp)) {
+      return { valid: false, reason: 'X-Signature-Timestamp must be unix seconds' };
+    }
+    if (!NONCE_PATTERN.test(nonce)) {
+      return { valid: false, reason: 'X-Signature-Nonce must be 16-128 characters of [A-Za-z0-9_-]' };
+    }
+
+    const skewSeconds = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (skewSeconds > config.signing.toleranceSeconds) {
+      return { valid: false, reason: 'Request timestamp is outside the allowed window' };
+    }
+
+    const secrets = [config.signing.secret, config.signing.previousSecret].filter(Boolean);
+    const matches = secrets.some(secret => this.safeEqual(signature, this.sign({ secret, timestamp, nonce, body: rawBody || '' })));
+    if (!matches) {
+      return { valid: false, reason: 'Invalid request signature' };
+    }
+
+    // Only correctly signed requests reach the nonce table, so it can't be filled by unsigned traffic
+    if (!(await this.rememberNonce(nonce))) {
+      return { valid: false, reason: 'Request nonce has already been used' };
+    }
+    return { valid: true };
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  // false when the nonce was already recorded (a replay)
+  async rememberNonce(nonce) {
+    const result = await query(`
+      INSERT INTO request_nonces (nonce, created_at)
+      VALUES ($1, NOW())
+      ON CONFLICT (nonce) DO NOTHING
+    `, [nonce]);
+    this.purgeExpired();
+    return result.rowCount === 1;
+  }
+
+  // At most once a minute per instance; failures only mean the table is purged on a later request
+  purgeExpired() {
+    if (Date.now() - this.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPurgeAt = Date.now();
+    query(`
+      DELETE FROM request_nonces
+      WHERE created_at < NOW() - ($1::int * INTERVAL '1 second')
+    `, [config.signing.toleranceSeconds * 2])
+      .catch(error => console.error('❌ Failed to purge request nonces:', error.message));
+  }
+}
+
+module.exports = new RequestSignatureService();
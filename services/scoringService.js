@@ -0,0 +1,166 @@
+const { query } = require('../database');
+const quizBlueprintService = require('./quizBlueprintService');
+const { normalizeAnswer } = require('../utils/answerNormalizer');
+
+// Default scoring reproduces the original behaviour: every question worth 1, no negative marking,
+// bands matching the old exact-value buckets (100/90/80/70, 50-60 pass, 0-40 low) but as ranges,
+// so scores like 65 or 45 land in a band instead of the fallback.
+const DEFAULT_SCORING = {
+  weights: { easy: 1, medium: 1, hard: 1 },
+  negative_marking: 0,
+  partial_credit: true,
+  bands: [
+    { label: 'true_high_100', min: 100 },
+    { label: 'true_high_90', min: 90 },
+    { label: 'true_high_80', min: 80 },
+    { label: 'true_high_70', min: 70 },
+    { label: 'true_pass', min: 50 },
+    { label: 'true_low', min: 0 }
+  ]
+};
+
+/**
+ * Scores a session from its stored questions and the blueprint's scoring config
+ * (quiz_blueprints.scoring, merged over DEFAULT_SCORING).
+ *
+ * - weights: points per correct answer by difficulty
+ * - negative_marking: fraction of the weight deducted for a wrong answer (skipped / timed out / unanswered lose nothing)
+ * - partial_credit: when true, questions.option_credits ({"a": 1, "b": 0.5}) grants fractional credit per option
+ * - bands: { label, min } ranges; sorted by min descending and the lowest is forced to 0 so every score has a band
+ */
+class ScoringService {
+  constructor() {
+    this.defaultScoring = this.normalizeScoring(DEFAULT_SCORING);
+  }
+
+  normalizeScoring(scoring = {}) {
+    const weights = {};
+    quizBlueprintService.difficulties.forEach((difficulty) => {
+      const weight = Number(scoring.weights?.[difficulty]);
+      weights[difficulty] = Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_SCORING.weights[difficulty];
+    });
+
+    const negativeMarking = Number(scoring.negative_marking);
+    const bandsSource = Array.isArray(scoring.bands) && scoring.bands.length > 0 ? scoring.bands : DEFAULT_SCORING.bands;
+    const bands = bandsSource
+      .map(band => ({ label: String(band.label), min: Number(band.min) || 0 }))
+      .sort((a, b) => b.min - a.min);
+    bands[bands.length - 1] = { ...bands[bands.length - 1], min: 0 };
+
+    return {
+      weights,
+      negative_marking: Number.isFinite(negativeMarking) && negativeMarking > 0 ? Math.min(negativeMarking, 1) : 0,
+      partial_credit: scoring.partial_credit !== undefined ? !!scoring.partial_credit : DEFAULT_SCORING.partial_credit,
+      bands
+    };
+  }
+
+  getScoring(blueprint) {
+    return blueprint && blueprint.scoring ? this.normalizeScoring(blueprint.scoring) : this.defaultScoring;
+  }
+
+  // Band for a 0-100 score; bands are range-based so every score maps to exactly one
+  getBand(score, scoring = this.defaultScoring) {
+    return scoring.bands.find(band => score >= band.min) || scoring.bands[scoring.bands.length - 1];
+  }
+
+  // Difficulty of a stored question; legacy rows without one fall back to the blueprint position
+  getDifficulty(row, blueprint) {
+    const stored = (row.difficulty || '').toLowerCase();
+    if (quizBlueprintService.difficulties.includes(stored)) {
+      return stored;
+    }
+    return quizBlueprintService.getDifficultyForPosition(blueprint, row.question_no) || 'easy';
+  }
+
+  // Credit in [0, 1] for an answered, not timed-out question
+  getCredit(row, scoring) {
+    const answer = normalizeAnswer(row.answer);
+    if (!answer) {
+      return 0;
+    }
+    if (scoring.partial_credit && row.option_credits) {
+      const credit = Number(row.option_credits[answer] ?? row.option_credits[answer.toUpperCase()]);
+      if (Number.isFinite(credit)) {
+        return Math.max(0, Math.min(credit, 1));
+      }
+    }
+    return answer === normalizeAnswer(row.correct_answer) ? 1 : 0;
+  }
+
+  /**
+   * Score stored questions of one session
+   * @param {Array} rows - questions rows (question_no, difficulty, answer, correct_answer, answered, timed_out, option_credits)
+   * @param {Object} blueprint - Session blueprint
+   * @returns {Object} { score, band, points, max_points, correct_answers, incorrect_answers, unanswered, breakdown, per_question }
+   */
+  scoreQuestions(rows, blueprint) {
+    const scoring = this.getScoring(blueprint);
+    const breakdown = {};
+    quizBlueprintService.difficulties.forEach((difficulty) => {
+      breakdown[difficulty] = { correct: 0, incorrect: 0, unanswered: 0, points: 0, max_points: 0 };
+    });
+
+    let points = 0;
+    const perQuestion = rows.map((row) => {
+      const difficulty = this.getDifficulty(row, blueprint);
+      const weight = scoring.weights[difficulty];
+      const bucket = breakdown[difficulty];
+      bucket.max_points += weight;
+
+      let credit = 0;
+      let questionPoints = 0;
+      if (row.answered && !row.timed_out) {
+        credit = this.getCredit(row, scoring);
+        questionPoints = credit > 0 ? credit * weight : -scoring.negative_marking * weight;
+        if (credit === 1) {
+          bucket.correct++;
+        } else {
+          bucket.incorrect++;
+        }
+      } else {
+        bucket.unanswered++;
+      }
+
+      bucket.points += questionPoints;
+      points += questionPoints;
+      return { question_no: row.question_no, difficulty, credit, points: questionPoints, is_correct: credit === 1 ? 1 : 0 };
+    });
+
+    // Questions the blueprint expects but that were never stored still count towards the maximum
+    let maxPoints = 0;
+    quizBlueprintService.difficulties.forEach((difficulty) => {
+      const expectedMax = blueprint.difficulty_counts[difficulty] * scoring.weights[difficulty];
+      breakdown[difficulty].max_points = Math.max(breakdown[difficulty].max_points, expectedMax);
+      maxPoints += breakdown[difficulty].max_points;
+    });
+
+    const score = maxPoints > 0
+      ? Math.max(0, Math.min(100, Math.round((points / maxPoints) * 100)))
+      : 0;
+    const correctAnswers = quizBlueprintService.difficulties.reduce((sum, d) => sum + breakdown[d].correct, 0);
+    const incorrectAnswers = quizBlueprintService.difficulties.reduce((sum, d) => sum + breakdown[d].incorrect, 0);
+
+    return {
+      score,
+      band: this.getBand(score, scoring).label,
+      points: Math.round(points * 100) / 100,
+      max_points: maxPoints,
+      correct_answers: correctAnswers,
+      incorrect_answers: incorrectAnswers,
+      unanswered: Math.max(blueprint.total_questions, rows.length) - correctAnswers - incorrectAnswers,
+      breakdown,
+      per_question: perQuestion
+    };
+  }
+
+  async saveSessionScore(sessionId, result) {
+    await query(`
+      UPDATE sessions
+      SET score = $1, score_band = $2, score_points = $3, score_max_points = $4, score_breakdown = $5, scored_at = NOW()
+      WHERE id = $6
+    `, [result.score, result.band, result.points, result.max_points, JSON.stringify(result.breakdown), sessionId]);
+  }
+}
+
+module.exports = new ScoringService();
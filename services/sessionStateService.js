@@ -0,0 +1,173 @@
+const { query } = require('../database');
+const config = require('../config');
+const HttpError = require('../utils/httpError');
+
+const STATUSES = ['created', 'questions_ready', 'in_progress', 'completed', 'submitted', 'analysed', 'paid', 'abandoned', 'expired'];
+
+// to => statuses a session may move there from
+const TRANSITIONS = {
+  questions_ready: ['created'],
+  // created: the user can start before background question generation has finished
+  in_progress: ['created', 'questions_ready', 'abandoned'],
+  completed: ['questions_ready', 'in_progress', 'abandoned'],
+  // created: question generation failed, the quiz is submitted empty
+  submitted: ['created', 'questions_ready', 'in_progress', 'completed', 'abandoned', 'expired'],
+  analysed: ['submitted'],
+  paid: ['submitted', 'analysed'],
+  abandoned: ['created', 'questions_ready', 'in_progress'],
+  expired: ['created', 'questions_ready', 'in_progress', 'completed', 'abandoned']
+};
+
+// The forward path; asking for a status the session has already passed is a no-op, not a conflict
+const LIFECYCLE = ['created', 'questions_ready', 'in_progress', 'completed', 'submitted', 'analysed', 'paid'];
+
+// Sessions that can still expire (not submitted yet)
+const EXPIRABLE = TRANSITIONS.expired;
+const EXPIRE_BATCH_SIZE = 500;
+
+/**
+ * Session lifecycle (sessions.status, see migrations/023_add_session_status.js):
+ *
+ *   created -> questions_ready -> in_progress -> completed -> submitted -> analysed -> paid
+ *
+ * plus abandoned (re-trigger sent, first question still unanswered; answering again resumes the session) and
+ * expired (not submitted within SESSION_EXPIRY_HOURS; a late submission is still accepted). Every change goes
+ * through transition(), which checks TRANSITIONS in the same statement that writes the status and the
+ * session_events row, so concurrent requests can't skip a guard.
+ */
+class SessionStateService {
+  constructor() {
+    this.statuses = STATUSES;
+  }
+
+  /**
+   * Move a session to a new status
+   * @param {string} sessionId
+   * @param {string} to - One of STATUSES
+   * @param {Object} [options]
+   * @param {string} [options.event] - What caused it (defaults to the status)
+   * @param {string} [options.source] - Route or service that asked for it
+   * @param {Object} [options.metadata]
+   * @param {boolean} [options.strict=true] - Throw a 409 for a transition TRANSITIONS doesn't allow;
+   *   otherwise it is logged and ignored (side effects of answering and submitting must not fail the request)
+   * @returns {Promise<{ changed: boolean, from: string, status: string }>}
+   * @throws {HttpError} 404 for an unknown session, 409 for a disallowed transition when strict
+   */
+  async transition(sessionId, to, { event = to, source = null, metadata = null, strict = true } = {}) {
+    if (!TRANSITIONS[to]) {
+      throw new Error(`Unknown session status "${to}"`);
+    }
+
+    const result = await query(`
+      WITH current AS (
+        SELECT id, status FROM sessions WHERE id = $1 FOR UPDATE
+      ), updated AS (
+        UPDATE sessions s
+        SET status = $2::session_status, status_updated_at = NOW()
+        FROM current c
+        WHERE s.id = c.id AND c.status = ANY($3::session_status[])
+        RETURNING s.id, c.status AS from_status
+      ), logged AS (
+        INSERT INTO session_events (session_id, event, from_status, to_status, source, metadata)
+        SELECT id, $4, from_status, $2::session_status, $5, $6 FROM updated
+      )
+      SELECT c.status AS current_status, u.id IS NOT NULL AS changed
+      FROM current c
+      LEFT JOIN updated u ON u.id = c.id
+    `, [sessionId, to, TRANSITIONS[to], event, source, metadata ? JSON.stringify(metadata) : null]);
+
+    if (result.rows.length === 0) {
+      throw new HttpError(404, { success: false, message: 'Session not found' });
+    }
+
+    const { current_status: from, changed } = result.rows[0];
+    if (changed) {
+      console.log(`🔀 Session ${sessionId}: ${from} -> ${to} (${event})`);
+      return { changed: true, from, status: to };
+    }
+    if (from === to || this.hasPassed(from, to)) {
+      return { changed: false, from, status: from };
+    }
+
+    const message = `Session is ${from} and cannot move to ${to}`;
+    if (strict) {
+      throw new HttpError(409, { success: false, message, status: from });
+    }
+    console.warn(`⚠️  ${message} (${event}); status left unchanged`);
+    return { changed: false, from, status: from };
+  }
+
+  // Same as transition(..., { strict: false })
+  async advance(sessionId, to, options = {}) {
+    return this.transition(sessionId, to, { ...options, strict: false });
+  }
+
+  /**
+   * Record an event that doesn't change the status (e.g. clicked_on)
+   * @returns {Promise<string|null>} The session's status, null when there is no such session
+   */
+  async record(sessionId, event, { source = null, metadata = null } = {}) {
+    const result = await query(`
+      INSERT INTO session_events (session_id, event, from_status, to_status, source, metadata)
+      SELECT id, $2, status, status, $3, $4 FROM sessions WHERE id = $1
+      RETURNING to_status
+    `, [sessionId, event, source, metadata ? JSON.stringify(metadata) : null]);
+    return result.rows[0] ? result.rows[0].to_status : null;
+  }
+
+  /**
+   * Status and event history of a session, oldest first
+   * @returns {Promise<{ status: string, events: Array<Object> }|null>} null when there is no such session
+   */
+  async getHistory(sessionId) {
+    const session = await query('SELECT status, status_updated_at FROM sessions WHERE id = $1', [sessionId]);
+    if (session.rows.length === 0) {
+      return null;
+    }
+    const events = await query(`
+      SELECT event, from_status, to_status, source, metadata, created_at
+      FROM session_events
+      WHERE session_id = $1
+      ORDER BY created_at ASC, id ASC
+    `, [sessionId]);
+    return { ...session.rows[0], events: events.rows };
+  }
+
+  /**
+   * Expire sessions that weren't submitted within SESSION_EXPIRY_HOURS (run by the re-trigger cron)
+   * @returns {Promise<number>} Sessions expired by this call (at most EXPIRE_BATCH_SIZE)
+   */
+  async expireStale() {
+    const result = await query(`
+      WITH stale AS (
+        SELECT id, status
+        FROM sessions
+        WHERE status = ANY($1::session_status[]) AND created_at < NOW() - make_interval(hours => $2)
+        ORDER BY created_at ASC
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      ), expired AS (
+        UPDATE sessions s
+        SET status = 'expired', status_updated_at = NOW()
+        FROM stale
+        WHERE s.id = stale.id
+        RETURNING s.id, stale.status AS from_status
+      )
+      INSERT INTO session_events (session_id, event, from_status, to_status, source, metadata)
+      SELECT id, 'expired', from_status, 'expired', 'cron', $4 FROM expired
+    `, [EXPIRABLE, config.sessions.expiryHours, EXPIRE_BATCH_SIZE, JSON.stringify({ expiry_hours: config.sessions.expiryHours })]);
+    if (result.rowCount > 0) {
+      console.log(`⌛ Expired ${result.rowCount} sessions not submitted within ${config.sessions.expiryHours}h`);
+    }
+    return result.rowCount;
+  }
+
+  // Both on the forward path and `to` comes before `from`
+  hasPassed(from, to) {
+    const fromIndex = LIFECYCLE.indexOf(from);
+    const toIndex = LIFECYCLE.indexOf(to);
+    return fromIndex !== -1 && toIndex !== -1 && toIndex < fromIndex;
+  }
+}
+
+module.exports = new SessionStateService();
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+
+// Upstream calls made when a quiz is submitted, in order
+const STEPS = ['continue', 'save_user_response', 'certificate_claim', 'create_v2_test', 'quiz_analysis'];
+
+// Upstream user token (continue response) and user details (continue payload) never leave the server
+const REDACTED_FIELDS = ['token', 'password', 'email', 'phone_number', 'phone', 'name'];
+
+// Response fields a later step of the same submission needs; held in submission_steps.secret, never in response
+const SECRET_FIELDS = ['token'];
+
+/**
+ * Persists each upstream submission step in submission_steps (one row per session + step) so a
+ * submission that failed or crashed midway can be resumed without repeating steps that already succeeded.
+ *
+ * Status: running (started; left behind if the process died), succeeded, failed, skipped (not part of this
+ * submission, e.g. create_v2_test on auto_submit_quiz_v3).
+ *
+ * response only ever holds the redacted upstream result. SECRET_FIELDS go to the secret column so a resumed
+ * submission can still use them, and clearSecrets() drops them once the submission finished.
+ */
+class SubmissionStepService {
+  constructor() {
+    this.steps = STEPS;
+  }
+
+  async getSteps(sessionId) {
+    const result = await query(`
+      SELECT step, status, payload, response, error, attempts, started_at, completed_at, updated_at
+      FROM submission_steps
+      WHERE session_id = $1
+    `, [sessionId]);
+    return result.rows.sort((a, b) => STEPS.indexOf(a.step) - STEPS.indexOf(b.step));
+  }
+
+  // getSteps without the token and user details, for API responses
+  async getRedactedSteps(sessionId) {
+    const steps = await this.getSteps(sessionId);
+    return steps.map(step => ({ ...step, payload: this.redact(step.payload), response: this.redact(step.response) }));
+  }
+
+  redact(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).filter(([field]) => !REDACTED_FIELDS.includes(field)));
+  }
+
+  hashReuseKey(reuseKey) {
+    return crypto.createHash('sha256').update(JSON.stringify(reuseKey ?? null)).digest('hex');
+  }
+
+  // SECRET_FIELDS of a result, null when it has none
+  pickSecret(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return null;
+    }
+    const secret = Object.fromEntries(Object.entries(value).filter(([field]) => SECRET_FIELDS.includes(field)));
+    return Object.keys(secret).length > 0 ? secret : null;
+  }
+
+  async getStepMap(sessionId) {
+    const steps = await this.getSteps(sessionId);
+    return steps.reduce((map, row) => ({ ...map, [row.step]: row }), {});
+  }
+
+  /**
+   * Run one step unless it was skipped, or already succeeded with the same reuse key, for this session; then the
+   * stored response (plus its secret fields while the submission hasn't finished) is returned without calling
+   * upstream again. A succeeded step whose reuse key changed (e.g. answers changed since the last submission) runs again.
+   * @param {string} sessionId
+   * @param {string} step - One of STEPS
+   * @param {Object} payload - Request sent upstream (stored for audit)
+   * @param {Function} run - async () => result; result.success === false marks the step failed
+   * @param {Object} [options]
+   * @param {*} [options.reuseKey=payload] - What the result depends on; leave out fields that change on every call
+   * @returns {Promise<Object>} Upstream result, or { success: false, message, error } when run threw
+   */
+  async runStep(sessionId, step, payload, run, { reuseKey = payload } = {}) {
+    const payloadHash = this.hashReuseKey(reuseKey);
+    const existing = await query(
+      'SELECT status, response, secret, payload_hash FROM submission_steps WHERE session_id = $1 AND step = $2',
+      [sessionId, step]
+    );
+    if (existing.rows.length > 0) {
+      const { status, response, secret, payload_hash: storedHash } = existing.rows[0];
+      // Rows recorded before payload_hash existed have none and are reused as before
+      if (status === 'skipped' || (status === 'succeeded' && (!storedHash || storedHash === payloadHash))) {
+        console.log(`⏭️ Submission step ${step} already ${status} for session ${sessionId}, reusing stored response`);
+        return secret ? { ...response, ...secret } : response;
+      }
+      if (status === 'succeeded') {
+        console.log(`🔁 Submission step ${step} succeeded for session ${sessionId} with a different payload, running it again`);
+      }
+    }
+
+    await query(`
+      INSERT INTO submission_steps (session_id, step, status, payload, payload_hash, attempts, started_at, updated_at)
+      VALUES ($1, $2, 'running', $3, $4, 1, NOW(), NOW())
+      ON CONFLICT (session_id, step) DO UPDATE
+      SET status = 'running', payload = EXCLUDED.payload, payload_hash = EXCLUDED.payload_hash, error = NULL,
+          attempts = submission_steps.attempts + 1, started_at = NOW(), completed_at = NULL, updated_at = NOW()
+    `, [sessionId, step, JSON.stringify(payload || null), payloadHash]);
+
+    let result;
+    try {
+      result = await run();
+    } catch (error) {
+      console.error(`❌ Submission step ${step} threw for session ${sessionId}:`, error.message);
+      result = { success: false, message: error.message, data: null, error: `Unexpected error: ${error.message}` };
+    }
+
+    const succeeded = !!(result && result.success);
+    const secret = succeeded ? this.pickSecret(result) : null;
+    await query(`
+      UPDATE submission_steps
+      SET status = $1, response = $2, secret = $3, error = $4, completed_at = NOW(), updated_at = NOW()
+      WHERE session_id = $5 AND step = $6
+    `, [
+      succeeded ? 'succeeded' : 'failed',
+      JSON.stringify(this.redact(result) || null),
+      secret ? JSON.stringify(secret) : null,
+      succeeded ? null : (result?.error || result?.message || 'Unknown error'),
+      sessionId,
+      step
+    ]);
+
+    return result;
+  }
+
+  // Drop the held-back secret fields once every step of the submission ran
+  async clearSecrets(sessionId) {
+    await query('UPDATE submission_steps SET secret = NULL WHERE session_id = $1 AND secret IS NOT NULL', [sessionId]);
+  }
+
+  // Record a step that is deliberately not part of this submission so resume doesn't run it either
+  async skipStep(sessionId, step, reason) {
+    const response = { skipped: true, message: reason };
+    await query(`
+      INSERT INTO submission_steps (session_id, step, status, response, attempts, completed_at, updated_at)
+      VALUES ($1, $2, 'skipped', $3, 0, NOW(), NOW())
+      ON CONFLICT (session_id, step) DO UPDATE
+      SET status = 'skipped', response = EXCLUDED.response, error = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE submission_steps.status <> 'succeeded'
+    `, [sessionId, step, JSON.stringify(response)]);
+    return response;
+  }
+}
+
+module.exports = new SubmissionStepService();
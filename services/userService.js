@@ -1,60 +1,53 @@
 const { query } = require('../database');
 const { v4: uuidv4 } = require('uuid');
+const { normalizePhone } = require('../utils/phone');
+const HttpError = require('../utils/httpError');
+const sessionStateService = require('./sessionStateService');
 
+const USER_COLUMNS = 'id, name, email, phone, created_at';
+
+// Phones are stored and matched in E.164; input that doesn't parse is used as given and simply won't match
+const toStoredPhone = (phone) => normalizePhone(phone) || phone;
+
+// Users without an email have NULL (see migrations/022_make_user_email_optional.js), never ''
+const toStoredEmail = (email) => (typeof email === 'string' && email.trim() !== '' ? email.trim() : null);
+
+/**
+ * Users are people; the subjects they take quizzes in are enrollments (user_subjects, see
+ * migrations/020_create_user_subjects.js), and every session belongs to one. Starting a new subject adds an
+ * enrollment instead of overwriting the user's old one, so earlier sessions stay reachable by phone + subject.
+ */
 class UserService {
+  // Reuse the user registered with this email, or create one. Without an email the user is created with a NULL one
   async createUser(userData) {
-    const { name, email, phone, subject } = userData;
+    const { name, phone } = userData;
+    const email = toStoredEmail(userData.email);
+    if (!email) {
+      return this.createUserWithoutEmail({ name, phone });
+    }
     
     try {
-      // First, check if user already exists with same email AND subject combination
       const existingUserQuery = `
-        SELECT id, name, email, phone, subject, created_at 
+        SELECT ${USER_COLUMNS}
         FROM users 
-        WHERE email = $1 AND subject = $2
+        WHERE email = $1
       `;
       
-      const existingUserResult = await query(existingUserQuery, [email, subject]);
+      const existingUserResult = await query(existingUserQuery, [email]);
       
       if (existingUserResult.rows.length > 0) {
-        console.log('User already exists with email:', email, 'and subject:', subject);
+        console.log('User already exists with email:', email);
         return existingUserResult.rows[0];
       }
       
-      // Check if user exists with same email but different subject
-      const userWithSameEmailQuery = `
-        SELECT id, name, email, phone, subject, created_at 
-        FROM users 
-        WHERE email = $1
-      `;
-      
-      const userWithSameEmailResult = await query(userWithSameEmailQuery, [email]);
-      
-      if (userWithSameEmailResult.rows.length > 0) {
-        // User exists with same email but different subject - update the subject
-        console.log('User exists with email:', email, 'but different subject. Updating subject to:', subject);
-        
-        const updateUserQuery = `
-          UPDATE users 
-          SET subject = $1, updated_at = NOW()
-          WHERE email = $2
-          RETURNING id, name, email, phone, subject, created_at
-        `;
-        
-        const updateResult = await query(updateUserQuery, [subject, email]);
-        const updatedUser = updateResult.rows[0];
-        
-        console.log('User subject updated for email:', email, 'to subject:', subject);
-        return updatedUser;
-      }
-      
       // Insert new user into users table
       const userQuery = `
-        INSERT INTO users(name, email, phone, subject, created_at) 
-        VALUES ($1, $2, $3, $4, NOW()) 
-        RETURNING id, name, email, phone, subject, created_at
+        INSERT INTO users(name, email, phone, created_at) 
+        VALUES ($1, $2, $3, NOW()) 
+        RETURNING ${USER_COLUMNS}
       `;
       
-      const userResult = await query(userQuery, [name, email, phone, subject]);
+      const userResult = await query(userQuery, [name, email, toStoredPhone(phone)]);
       const user = userResult.rows[0];
       
       console.log('User record created with ID:', user.id);
@@ -65,28 +58,128 @@ class UserService {
     }
   }
 
-  async createSession(userId, certifiedUserId, certifiedToken, certifiedTokenExpir, subject) {
+  // Emails are optional (NULL), so any number of users can be created without one
+  async createUserWithoutEmail({ name, phone }) {
+    console.log('📝 Creating new user without email');
+    const createRes = await query(`
+      INSERT INTO users(name, email, phone, created_at)
+      VALUES ($1, NULL, $2, NOW())
+      RETURNING ${USER_COLUMNS}
+    `, [name, toStoredPhone(phone)]);
+    console.log('✅ Created new user with ID:', createRes.rows[0].id);
+    return createRes.rows[0];
+  }
+
+  /**
+   * Set the user's email (auto_submit_quiz_v2/v3 with type "1")
+   * @returns {Promise<Object|null>} The updated user, null when there is no such user
+   * @throws {HttpError} 409 when another user already has this email
+   */
+  async updateEmail(userId, email) {
     try {
-      // Ensure subject column exists on sessions (idempotent for Postgres)
-      try {
-        await query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS subject TEXT');
-      } catch (e) {
-        // Non-fatal: continue if cannot alter (e.g. permissions). We'll still insert without subject if column missing.
+      const result = await query(`
+        UPDATE users
+        SET email = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING ${USER_COLUMNS}
+      `, [toStoredEmail(email), userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505' && error.constraint === 'idx_users_email_unique') {
+        throw new HttpError(409, { result: 'failed', message: 'This email is already registered to another user' });
       }
+      throw error;
+    }
+  }
+
+  /**
+   * User a submission is for: by id when the caller knows it (auto-submits pass the session's user), otherwise
+   * the latest user with the phone. An email only breaks the tie between users sharing a phone.
+   * @param {Object} identity
+   * @param {string} [identity.userId]
+   * @param {string} [identity.phone]
+   * @param {string} [identity.email]
+   * @returns {Promise<Object|null>}
+   */
+  async resolveUser({ userId, phone, email }) {
+    if (userId) {
+      const result = await query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+      return result.rows[0] || null;
+    }
+    if (!phone) {
+      return null;
+    }
+    const result = await query(`
+      SELECT ${USER_COLUMNS}
+      FROM users
+      WHERE phone = $1
+      ORDER BY email IS NOT DISTINCT FROM $2 DESC, created_at DESC
+      LIMIT 1
+    `, [toStoredPhone(phone), toStoredEmail(email)]);
+    return result.rows[0] || null;
+  }
+
+  async findLatestUserByPhone(phone) {
+    const userQuery = `
+      SELECT ${USER_COLUMNS}
+      FROM users
+      WHERE phone = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await query(userQuery, [toStoredPhone(phone)]);
+    return result.rows[0] || null;
+  }
+
+  // Latest user with this phone who is enrolled in the subject
+  async findUserByPhoneAndSubject(phone, subject) {
+    const userQuery = `
+      SELECT u.id, u.name, u.email, u.phone, u.created_at
+      FROM users u
+      JOIN user_subjects e ON e.user_id = u.id
+      WHERE u.phone = $1 AND e.subject = $2
+      ORDER BY u.created_at DESC
+      LIMIT 1
+    `;
+    const result = await query(userQuery, [toStoredPhone(phone), subject]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Enroll the user in a subject, or return the existing enrollment
+   * @returns {Promise<Object>} The user_subjects row
+   */
+  async enroll(userId, subject) {
+    const result = await query(`
+      INSERT INTO user_subjects (user_id, subject, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id, subject) DO UPDATE SET user_id = EXCLUDED.user_id
+      RETURNING id, user_id, subject, created_at, last_session_at
+    `, [userId, subject]);
+    return result.rows[0];
+  }
 
+  // Creates the session under the user's enrollment in the subject (enrolling them first if needed)
+  async createSession(userId, certifiedUserId, certifiedToken, certifiedTokenExpir, subject, blueprintId = null) {
+    try {
+      const enrollment = await this.enroll(userId, subject);
       const sessionQuery = `
-        INSERT INTO sessions(user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
-        RETURNING id, user_id, certified_user_id, certified_token, certified_token_expires_at, subject, created_at
+        INSERT INTO sessions(user_id, enrollment_id, certified_user_id, certified_token, certified_token_expires_at, subject, blueprint_id, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        RETURNING id, user_id, enrollment_id, certified_user_id, certified_token, certified_token_expires_at, subject, blueprint_id, created_at
       `;
       
       const sessionResult = await query(sessionQuery, [
         userId, 
+        enrollment.id,
         certifiedUserId, 
         certifiedToken, 
         certifiedTokenExpir,
-        subject
+        subject,
+        blueprintId
       ]);
+      await query('UPDATE user_subjects SET last_session_at = $2 WHERE id = $1', [enrollment.id, sessionResult.rows[0].created_at]);
+      await sessionStateService.record(sessionResult.rows[0].id, 'created', { source: 'start_quiz', metadata: { subject } });
       
       console.log('Session record created with user_id:', userId, 'and session_id:', sessionResult.rows[0].id);
       return sessionResult.rows[0];
@@ -96,6 +189,67 @@ class UserService {
     }
   }
 
+  // Only returns the session when it belongs to this user's enrollment in the subject
+  async findUserSession(sessionId, userId, subject) {
+    const sessionQuery = `
+      SELECT s.id, s.user_id, s.enrollment_id, s.certified_user_id, s.certified_token, s.certified_token_expires_at, e.subject, s.created_at
+      FROM sessions s
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      WHERE s.id = $1 AND e.user_id = $2 AND e.subject = $3
+    `;
+    const result = await query(sessionQuery, [sessionId, userId, subject]);
+    return result.rows[0] || null;
+  }
+
+  async findLatestSession(userId, subject) {
+    const sessionQuery = `
+      SELECT s.id, s.user_id, s.enrollment_id, s.certified_user_id, s.certified_token, s.certified_token_expires_at, e.subject, s.created_at
+      FROM sessions s
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      WHERE e.user_id = $1 AND e.subject = $2
+      ORDER BY s.created_at DESC
+      LIMIT 1
+    `;
+    const result = await query(sessionQuery, [userId, subject]);
+    return result.rows[0] || null;
+  }
+
+  // Same lookup the auto_submit_quiz* endpoints use: latest session in the subject of any user with this phone
+  async findLatestSessionByPhoneAndSubject(phone, subject) {
+    const sessionQuery = `
+      SELECT s.id, s.user_id, s.enrollment_id, s.certified_user_id, e.subject, s.created_at
+      FROM sessions s
+      JOIN user_subjects e ON s.enrollment_id = e.id
+      JOIN users u ON e.user_id = u.id
+      WHERE u.phone = $1 AND e.subject = $2
+      ORDER BY s.created_at DESC
+      LIMIT 1
+    `;
+    const result = await query(sessionQuery, [toStoredPhone(phone), subject]);
+    return result.rows[0] || null;
+  }
+
+  // Phone of the user a question was generated for (save_answer only carries the question id)
+  async findPhoneBySessionId(sessionId) {
+    const result = await query(`
+      SELECT u.phone
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = $1
+    `, [sessionId]);
+    return result.rows[0] ? result.rows[0].phone : null;
+  }
+
+  async findPhoneByQuestionId(questionId) {
+    const result = await query(`
+      SELECT u.phone
+      FROM questions q
+      JOIN users u ON q.user_id = u.id
+      WHERE q.id = $1
+    `, [questionId]);
+    return result.rows[0] ? result.rows[0].phone : null;
+  }
+
   generateCertifiedToken() {
     // Generate a random token similar to the example
     const chars = 'abcdefghijklmnopqrstuvwxyz[]';
@@ -51,8 +51,8 @@ const options = {
             },
             phone: {
               type: 'string',
-              description: 'Phone number of the user',
-              example: '1234567890'
+              description: 'Phone number of the user, stored in E.164 (+919876543210)',
+              example: '+919876543210'
             },
             subject: {
               type: 'string',
@@ -156,9 +156,8 @@ const options = {
             },
             phone: {
               type: 'string',
-              description: 'Phone number (10+ digits)',
-              example: '1234567890',
-              pattern: '^\\d{10,}$'
+              description: 'Phone number in any common format ("98765 43210", "09876543210", "919876543210", "+91-98765-43210"); numbers without a country code are read as Indian. Normalized to E.164.',
+              example: '919876543210'
             },
             subject: {
               type: 'string',
@@ -198,6 +197,12 @@ const options = {
             }
           }
         },
+        SessionStatus: {
+          type: 'string',
+          description: 'Session lifecycle status (see services/sessionStateService.js)',
+          enum: ['created', 'questions_ready', 'in_progress', 'completed', 'submitted', 'analysed', 'paid', 'abandoned', 'expired'],
+          example: 'in_progress'
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
@@ -246,7 +251,76 @@ const options = {
           }
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Repeats with the same key within IDEMPOTENCY_WINDOW_SECONDS (24h) get the first response again, with Idempotent-Replayed: true, instead of re-running the request',
+          example: 'wamid.HBgMOTE5ODc2NTQzMjEwFQIAEhgU'
+        },
+        IdempotencyKeyOrSession: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'As for the start endpoints. Without the header, repeats for the same session (latest session of phone + subject) replay the first successful response',
+          example: 'wamid.HBgMOTE5ODc2NTQzMjEwFQIAEhgU'
+        }
+      },
       responses: {
+        IdempotencyInProgress: {
+          description: 'Conflict - a request with the same idempotency key is still running; retry after Retry-After seconds',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'A request with this idempotency key is still being processed'
+              }
+            }
+          }
+        },
+        IdempotencyKeyReused: {
+          description: 'Unprocessable - the Idempotency-Key was already used with a different request body',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'Idempotency-Key was already used with a different request body'
+              }
+            }
+          }
+        },
+        TooManyRequests: {
+          description: 'Too Many Requests - the phone, IP address or API key has used up its budget for this action; retry after Retry-After seconds',
+          headers: {
+            'Retry-After': {
+              description: 'Seconds until the budget resets',
+              schema: {
+                type: 'integer'
+              }
+            }
+          },
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'Too many start requests for this phone number; try again in 1800 seconds',
+                retry_after_seconds: 1800
+              }
+            }
+          }
+        },
         BadRequest: {
           description: 'Bad Request - Invalid input data',
           content: {
@@ -277,6 +351,34 @@ const options = {
             }
           }
         },
+        Unauthorized: {
+          description: 'Unauthorized - API key missing, unknown, expired or revoked',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'API key required (X-API-Key header or Authorization: Bearer)'
+              }
+            }
+          }
+        },
+        Forbidden: {
+          description: 'Forbidden - the API key\'s role may not call this endpoint',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              },
+              example: {
+                success: false,
+                message: 'This endpoint requires one of the roles: analyst, admin'
+              }
+            }
+          }
+        },
         NotFound: {
           description: 'Not Found - Endpoint not found',
           content: {
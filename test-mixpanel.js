@@ -3,9 +3,7 @@
  * Run with: node test-mixpanel.js
  */
 
-// Load environment variables
-require('dotenv').config();
-
+// .env is loaded by config.js, which mixpanelService requires
 const mixpanelService = require('./utils/mixpanelService');
 
 console.log('\n=== Mixpanel Integration Test ===\n');
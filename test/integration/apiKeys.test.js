@@ -0,0 +1,136 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+describe('API key auth', () => {
+  let server;
+  let adminKey;
+
+  const asKey = (key) => (key ? { 'X-API-Key': key } : {});
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+    adminKey = await server.createApiKey('admin');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('rejects missing and unknown keys with 401', async () => {
+    const missing = await server.request('GET', '/api/export_all_subject_data?format=json');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const unknown = await server.request('GET', '/api/export_all_subject_data?format=json', null, asKey('ctk_not-a-real-key'));
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.message, 'Invalid, expired or revoked API key');
+  });
+
+  it('enforces the roles of each route', async () => {
+    const botKey = await server.createApiKey('bot');
+    const analystKey = await server.createApiKey('analyst');
+    const cronKey = await server.createApiKey('cron');
+
+    const cases = [
+      ['GET', '/api/export_all_subject_data?format=json', botKey, 403],
+      ['GET', '/api/export_all_subject_data?format=json', analystKey, 200],
+      ['GET', '/api/upstream-metrics', null, 401],
+      ['GET', '/api/upstream-metrics', botKey, 403],
+      ['GET', '/api/upstream-metrics', analystKey, 200],
+      ['GET', '/api/export-all-sessions', analystKey, 403],
+      ['GET', '/api/export-all-sessions', adminKey, 200],
+      ['GET', '/api/cron/jobs', analystKey, 403],
+      ['GET', '/api/cron/jobs', cronKey, 200],
+      ['GET', '/api/admin/api-keys', cronKey, 403]
+    ];
+    for (const [method, path, key, expected] of cases) {
+      const response = await server.request(method, path, null, asKey(key));
+      assert.equal(response.status, expected, `${method} ${path}: ${JSON.stringify(response.body).slice(0, 200)}`);
+    }
+  });
+
+  it('accepts the key as a bearer token (Vercel Cron)', async () => {
+    const cronKey = await server.createApiKey('cron', 'vercel-cron');
+    const response = await server.request('GET', '/api/cron/jobs', null, { Authorization: `Bearer ${cronKey}` });
+
+    assert.equal(response.status, 200);
+    const [row] = (await server.query("SELECT last_used_at FROM api_keys WHERE name = 'vercel-cron'")).rows;
+    assert.ok(row.last_used_at);
+  });
+
+  it('stores only a hash of each key', async () => {
+    const { rows } = await server.query('SELECT key_prefix, key_hash FROM api_keys');
+    assert.equal(rows.length, 1);
+    assert.ok(adminKey.startsWith(rows[0].key_prefix));
+    assert.notEqual(rows[0].key_hash, adminKey);
+    assert.match(rows[0].key_hash, /^[0-9a-f]{64}$/);
+  });
+
+  it('audits which key accessed which export', async () => {
+    const created = await server.request('POST', '/api/admin/api-keys', { name: 'ops dashboard', role: 'analyst' }, asKey(adminKey));
+    assert.equal(created.status, 201);
+    const analyst = created.body.data;
+
+    const exported = await server.request('GET', '/api/export_all_subject_data?format=json', null, asKey(analyst.key));
+    assert.equal(exported.status, 200);
+
+    // The audit row is written once the response has finished
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const log = await server.request('GET', `/api/admin/audit-log?api_key_id=${analyst.api_key.id}`, null, asKey(adminKey));
+    assert.equal(log.status, 200);
+    assert.equal(log.body.data.length, 1);
+    const [entry] = log.body.data;
+    assert.equal(entry.action, 'export_all_subject_data');
+    assert.equal(entry.key_name, 'ops dashboard');
+    assert.equal(entry.role, 'analyst');
+    assert.equal(entry.path, '/api/export_all_subject_data');
+    assert.deepEqual(entry.query, { format: 'json' });
+    assert.equal(entry.status_code, 200);
+    assert.deepEqual(entry.details, { format: 'json', rows: 0 });
+
+    const management = await server.request('GET', '/api/admin/audit-log?action=api_keys.create', null, asKey(adminKey));
+    assert.equal(management.body.data[0].details.target_key_id, analyst.api_key.id);
+  });
+
+  it('rotates a key with a grace period and revokes keys immediately', async () => {
+    const created = await server.request('POST', '/api/admin/api-keys', { name: 'metrics', role: 'analyst' }, asKey(adminKey));
+    const oldKey = created.body.data.key;
+    const keyId = created.body.data.api_key.id;
+
+    const rotated = await server.request('POST', `/api/admin/api-keys/${keyId}/rotate`, { grace_seconds: 3600 }, asKey(adminKey));
+    assert.equal(rotated.status, 201);
+    const newKey = rotated.body.data.key;
+    assert.notEqual(newKey, oldKey);
+    assert.equal(rotated.body.data.api_key.rotated_from, keyId);
+    assert.equal(rotated.body.data.api_key.role, 'analyst');
+    assert.ok(rotated.body.data.previous.expires_at);
+
+    // Both work during the grace period
+    for (const key of [oldKey, newKey]) {
+      assert.equal((await server.request('GET', '/api/export_all_subject_data?format=json', null, asKey(key))).status, 200);
+    }
+
+    // A second rotation without grace expires the key it replaces right away
+    const again = await server.request('POST', `/api/admin/api-keys/${rotated.body.data.api_key.id}/rotate`, { grace_seconds: 0 }, asKey(adminKey));
+    assert.equal(again.status, 201);
+    assert.equal((await server.request('GET', '/api/export_all_subject_data?format=json', null, asKey(newKey))).status, 401);
+
+    const revoked = await server.request('DELETE', `/api/admin/api-keys/${again.body.data.api_key.id}`, null, asKey(adminKey));
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.data.revoked_at);
+    assert.equal((await server.request('GET', '/api/export_all_subject_data?format=json', null, asKey(again.body.data.key))).status, 401);
+
+    const rotateRevoked = await server.request('POST', `/api/admin/api-keys/${again.body.data.api_key.id}/rotate`, {}, asKey(adminKey));
+    assert.equal(rotateRevoked.status, 404);
+  });
+
+  it('validates key creation input', async () => {
+    const response = await server.request('POST', '/api/admin/api-keys', { name: 'x', role: 'superuser' }, asKey(adminKey));
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+// config.js validates on first require, so each case loads it in a fresh process with its own environment
+const loadConfig = (overrides) => {
+  const env = { ...process.env, ...overrides };
+  Object.keys(env).forEach((key) => {
+    if (env[key] === undefined) {
+      delete env[key];
+    }
+  });
+  const script = "process.stdout.write(JSON.stringify(require('./config')))";
+  const result = spawnSync(process.execPath, ['-e', script], { cwd: ROOT, env, encoding: 'utf8', timeout: 10000 });
+  return { status: result.status, config: result.status === 0 ? JSON.parse(result.stdout) : null, stderr: result.stderr };
+};
+
+describe('config', () => {
+  it('loads the test profile from the environment', () => {
+    const { status, config, stderr } = loadConfig({ DB_SSL: undefined, ANSWERING_POLICY: 'lock_after_answer' });
+
+    assert.equal(status, 0, stderr);
+    assert.equal(config.server.env, 'test');
+    assert.equal(config.supabase.host, process.env.DB_HOST);
+    assert.equal(config.supabase.port, Number(process.env.DB_PORT));
+    assert.equal(config.supabase.ssl, false);
+    assert.equal(config.quiz.answeringPolicy, 'lock_after_answer');
+    assert.equal(config.continueApi.passwordStrategy, 'email');
+  });
+
+  it('reports every missing or malformed key at once', () => {
+    const { status, stderr } = loadConfig({
+      DB_HOST: undefined,
+      DB_PASSWORD: '',
+      JOB_BATCH_SIZE: 'five',
+      ANSWERING_POLICY: 'whenever',
+      LEARNTUBE_API_URL: 'not a url',
+      RATE_LIMIT_START: 'phone:5/hour',
+      CONTINUE_PASSWORD_STRATEGY: 'derived',
+      CONTINUE_PASSWORD_DERIVED_FROM: 'last tuesday'
+    });
+
+    assert.notEqual(status, 0);
+    assert.match(stderr, /ConfigError: Invalid configuration \(NODE_ENV=test\)/);
+    assert.match(stderr, /DB_HOST is required/);
+    assert.match(stderr, /DB_PASSWORD is required/);
+    assert.match(stderr, /JOB_BATCH_SIZE must be an integer >= 1 \(got "five"\)/);
+    assert.match(stderr, /ANSWERING_POLICY must be one of/);
+    assert.match(stderr, /LEARNTUBE_API_URL must be an absolute URL/);
+    assert.match(stderr, /CONTINUE_PASSWORD_SECRET is required/);
+    assert.match(stderr, /CONTINUE_PASSWORD_DERIVED_FROM must be an ISO date or timestamp/);
+    assert.match(stderr, /RATE_LIMIT_START must be comma-separated <phone\|ip\|api_key>:<requests>\/<seconds> entries/);
+  });
+
+  it('rejects unknown profiles and the mock upstream in production', () => {
+    assert.match(loadConfig({ NODE_ENV: 'staging' }).stderr, /NODE_ENV must be one of development, test, production/);
+    assert.match(loadConfig({ NODE_ENV: 'production', MOCK_UPSTREAM: 'true' }).stderr, /MOCK_UPSTREAM cannot be enabled/);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const USER = { name: 'Divya Pillai', email: 'divya.pillai@example.com', phone: '919800000061' };
+
+describe('subject enrollments', () => {
+  let server;
+
+  const startQuiz = async (subject) => {
+    const response = await server.request('POST', '/api/start_quiz', { ...USER, subject });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.data;
+  };
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('keeps earlier subjects reachable when the same person starts another one', async () => {
+    const sixSigma = await startQuiz('Six Sigma');
+    const hr = await startQuiz('HR Management');
+
+    assert.equal(hr.user.id, sixSigma.user.id);
+    assert.equal(hr.user.subject, 'HR Management');
+    const enrollments = (await server.query('SELECT subject FROM user_subjects ORDER BY subject')).rows;
+    assert.deepEqual(enrollments.map(row => row.subject), ['HR Management', 'Six Sigma']);
+
+    // Before enrollments, starting HR Management overwrote users.subject and this lookup found nothing
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: 'Six Sigma' });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    const steps = (await server.query('SELECT DISTINCT session_id FROM submission_steps')).rows;
+    assert.deepEqual(steps.map(row => row.session_id), [sixSigma.session.id]);
+  });
+
+  it('exports and counts every enrollment', async () => {
+    const hr = await startQuiz('HR Management');
+    await startQuiz('Six Sigma');
+    const analystKey = await server.createApiKey('analyst');
+    const asAnalyst = { 'X-API-Key': analystKey };
+
+    const exported = await server.request('GET', '/api/export_hr_management_data?format=json', null, asAnalyst);
+    assert.equal(exported.status, 200, JSON.stringify(exported.body));
+    assert.deepEqual(exported.body.data.map(row => row.session_id), [hr.session.id]);
+
+    // created_at is stored in IST, so give the UTC window a day either side
+    const window = `start_date=${Date.now() - 86400000}&stop_date=${Date.now() + 86400000}`;
+    const all = await server.request('GET', `/api/user-metrics?${window}`, null, asAnalyst);
+    assert.equal(all.status, 200, JSON.stringify(all.body));
+    assert.equal(all.body.metrics.users_created, 1);
+    assert.equal(all.body.metrics.enrollments_created, 2);
+
+    const sixSigmaOnly = await server.request('GET', `/api/user-metrics?${window}&subject=Six%20Sigma`, null, asAnalyst);
+    assert.equal(sixSigmaOnly.body.metrics.enrollments_created, 1);
+  });
+
+  it('backfills enrollments for sessions and users recorded before them', async () => {
+    const { rows: [legacy] } = await server.query(
+      "INSERT INTO users (name, email, phone, subject) VALUES ('Legacy', 'legacy@example.com', '919800000062', 'HR Management') RETURNING id"
+    );
+    const { rows: legacySessions } = await server.query(
+      "INSERT INTO sessions (user_id, subject) VALUES ($1, 'Six Sigma'), ($1, 'Six Sigma') RETURNING id",
+      [legacy.id]
+    );
+
+    const migration = require('../../migrations/020_create_user_subjects');
+    await migration.up({ query: server.query });
+
+    const enrollments = (await server.query(
+      'SELECT subject, last_session_at IS NOT NULL AS has_sessions FROM user_subjects WHERE user_id = $1 ORDER BY subject',
+      [legacy.id]
+    )).rows;
+    assert.deepEqual(enrollments, [
+      { subject: 'HR Management', has_sessions: false },
+      { subject: 'Six Sigma', has_sessions: true }
+    ]);
+    const linked = (await server.query(
+      'SELECT COUNT(*)::int AS count FROM sessions s JOIN user_subjects e ON s.enrollment_id = e.id WHERE s.id = ANY($1) AND e.subject = $2',
+      [legacySessions.map(row => row.id), 'Six Sigma']
+    )).rows[0];
+    assert.equal(linked.count, 2);
+  });
+});
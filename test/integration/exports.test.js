@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const USERS = [
+  { name: 'Meera Iyer', email: 'meera.iyer@example.com', phone: '919800000001', subject: 'HR Management' },
+  { name: 'Karan Shah', email: 'karan.shah@example.com', phone: '919800000002', subject: 'Six Sigma' }
+];
+
+describe('export routes', () => {
+  let server;
+  let analystKey;
+  let adminKey;
+  const sessionIds = {};
+
+  before(async () => {
+    server = await startTestServer();
+    await server.resetDatabase();
+    analystKey = await server.createApiKey('analyst');
+    adminKey = await server.createApiKey('admin');
+    for (const user of USERS) {
+      const start = await server.request('POST', '/api/start_quiz', user);
+      assert.equal(start.status, 201, JSON.stringify(start.body));
+      sessionIds[user.subject] = start.body.data.session.id;
+    }
+
+    // One answered question for the HR Management user
+    const [first] = (await server.query(
+      'SELECT id, correct_answer FROM questions WHERE session_id = $1 AND question_no = 1',
+      [sessionIds['HR Management']]
+    )).rows;
+    const saved = await server.request('POST', '/api/save_answer', { question_id: first.id, answer: first.correct_answer });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('exports every subject as JSON with per-question progress', async () => {
+    const response = await server.request('GET', '/api/export_all_subject_data?format=json', null, { 'X-API-Key': analystKey });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 2);
+    const hr = response.body.data.find(row => row.session_id === sessionIds['HR Management']);
+    assert.equal(hr.phone, `+${USERS[0].phone}`);
+    assert.equal(hr.certified_skill_id, 900001);
+    assert.equal(hr.questions.length, 10);
+    assert.deepEqual(hr.questions[0], { question_no: 1, answered: true });
+    assert.equal(hr.questions.filter(q => q.answered).length, 1);
+  });
+
+  it('exports every subject as CSV', async () => {
+    const response = await server.request('GET', '/api/export_all_subject_data', null, { 'X-API-Key': analystKey });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    const lines = response.body.split('\n');
+    assert.equal(lines[0], 'phone,email,name,subject,certified_skill_id,session_id,user_created_at_ist,questions');
+    assert.equal(lines.length, 3);
+    assert.ok(lines.some(line => line.includes(sessionIds['Six Sigma'])));
+  });
+
+  it('exports only HR Management sessions from export_hr_management_data', async () => {
+    const response = await server.request('GET', '/api/export_hr_management_data?format=json', null, { 'X-API-Key': analystKey });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(row => row.session_id), [sessionIds['HR Management']]);
+  });
+
+  it('exports all sessions with their users as CSV', async () => {
+    const response = await server.request('GET', '/api/export-all-sessions', null, { 'X-API-Key': adminKey });
+
+    assert.equal(response.status, 200);
+    const lines = response.body.split('\n');
+    assert.ok(lines[0].startsWith('session_id,user_id,user_name,user_email,user_phone,subject,certified_user_id,certified_token'));
+    assert.equal(lines.length, 3);
+    for (const user of USERS) {
+      const line = lines.find(row => row.includes(sessionIds[user.subject]));
+      assert.ok(line.includes(user.email), `missing ${user.email}`);
+      assert.ok(line.includes(user.subject));
+    }
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const USER = { name: 'Ravi Menon', email: 'ravi.menon@example.com', phone: '919800000041', subject: 'Six Sigma' };
+
+describe('idempotency keys', () => {
+  let server;
+
+  const upstreamCalls = (endpoint) => server.mock.state.requests.filter(r => r.endpoint === endpoint).length;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('replays start_quiz for a repeated Idempotency-Key instead of starting again', async () => {
+    const headers = { 'Idempotency-Key': 'wa-msg-0001' };
+    const first = await server.request('POST', '/api/start_quiz', USER, headers);
+    const second = await server.request('POST', '/api/start_quiz', USER, headers);
+
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(second.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(upstreamCalls('new_entry_test_v2'), 1);
+    const { rows } = await server.query('SELECT COUNT(*)::int AS count FROM sessions');
+    assert.equal(rows[0].count, 1);
+
+    // A different key is a different request
+    const third = await server.request('POST', '/api/start_quiz', USER, { 'Idempotency-Key': 'wa-msg-0002' });
+    assert.equal(third.status, 201);
+    assert.notEqual(third.body.data.session.id, first.body.data.session.id);
+  });
+
+  it('rejects a key reused with a different body and invalid keys', async () => {
+    const headers = { 'Idempotency-Key': 'wa-msg-0003' };
+    assert.equal((await server.request('POST', '/api/start_quiz', USER, headers)).status, 201);
+
+    const reused = await server.request('POST', '/api/start_quiz', { ...USER, subject: 'HR Management' }, headers);
+    assert.equal(reused.status, 422);
+
+    const tooLong = await server.request('POST', '/api/start_quiz', USER, { 'Idempotency-Key': 'x'.repeat(256) });
+    assert.equal(tooLong.status, 400);
+  });
+
+  it('replays a redelivered auto_submit_quiz for the same session without a header', async () => {
+    const start = await server.request('POST', '/api/start_quiz', USER);
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+
+    const payload = { phone: USER.phone, subject: USER.subject };
+    const first = await server.request('POST', '/api/auto_submit_quiz', payload);
+    const redelivered = await server.request('POST', '/api/auto_submit_quiz', payload);
+
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(redelivered.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(redelivered.body, first.body);
+    assert.equal(upstreamCalls('continue'), 1);
+    assert.equal(upstreamCalls('create_v2_test'), 1);
+
+    const [stored] = (await server.query('SELECT idempotency_key, key_source, status, response_status FROM idempotency_keys')).rows;
+    assert.deepEqual(stored, {
+      idempotency_key: `session:${start.body.data.session.id}`,
+      key_source: 'derived',
+      status: 'completed',
+      response_status: 200
+    });
+
+    // A new session is a new submission
+    const restart = await server.request('POST', '/api/start_quiz', USER);
+    assert.equal(restart.status, 201);
+    const next = await server.request('POST', '/api/auto_submit_quiz', payload);
+    assert.equal(next.headers.get('idempotent-replayed'), null);
+    assert.equal(upstreamCalls('create_v2_test'), 2);
+  });
+
+  it('runs an auto-submit with a different body for the same session instead of replaying it', async () => {
+    const start = await server.request('POST', '/api/start_quiz', USER);
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+
+    const first = await server.request('POST', '/api/auto_submit_quiz_v2', { phone: USER.phone, subject: USER.subject, type: '2' });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+
+    const changed = await server.request('POST', '/api/auto_submit_quiz_v2', {
+      phone: USER.phone, subject: USER.subject, type: '1', email: 'ravi.new@example.com'
+    });
+    assert.equal(changed.status, 200, JSON.stringify(changed.body));
+    assert.equal(changed.headers.get('idempotent-replayed'), null);
+    const [user] = (await server.query('SELECT email FROM users WHERE phone = $1', [`+${USER.phone}`])).rows;
+    assert.equal(user.email, 'ravi.new@example.com');
+
+    // A redelivery of the second body is still replayed
+    const redelivered = await server.request('POST', '/api/auto_submit_quiz_v2', {
+      phone: USER.phone, subject: USER.subject, type: '1', email: 'ravi.new@example.com'
+    });
+    assert.equal(redelivered.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(redelivered.body, changed.body);
+  });
+
+  it('does not store server errors, so a retry runs again', async () => {
+    server.mock.setFault('new_entry_test_v2', { status: 500, times: 1 });
+    const headers = { 'Idempotency-Key': 'wa-msg-0004' };
+
+    const failed = await server.request('POST', '/api/start_quiz', USER, headers);
+    assert.ok(failed.status >= 500, `expected a server error, got ${failed.status}`);
+
+    const retried = await server.request('POST', '/api/start_quiz', USER, headers);
+    assert.equal(retried.status, 201, JSON.stringify(retried.body));
+    assert.equal(retried.headers.get('idempotent-replayed'), null);
+  });
+});
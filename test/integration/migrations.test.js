@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceLogs } = require('./support/testServer');
+
+describe('migration runner', () => {
+  let migrate;
+  let db;
+
+  before(() => {
+    silenceLogs();
+    migrate = require('../../migrate');
+    db = require('../../database');
+  });
+
+  after(async () => {
+    await db.pool.end();
+  });
+
+  const tableExists = async (table) => (await db.query('SELECT to_regclass($1) AS name', [table])).rows[0].name !== null;
+
+  it('records every migration file as applied', async () => {
+    const files = migrate.loadMigrations();
+    const status = await migrate.getStatus();
+
+    assert.equal(files[0].version, '000');
+    assert.deepEqual(status.map(row => row.version), files.map(file => file.version));
+    assert.ok(status.every(row => row.status === 'applied'), JSON.stringify(status.filter(row => row.status !== 'applied')));
+  });
+
+  it('does nothing when no migration is pending', async () => {
+    assert.deepEqual(await migrate.migrateUp(), []);
+  });
+
+  it('reverts newest first and re-applies in order', async () => {
+    const [previous, latest] = migrate.loadMigrations().slice(-2);
+
+    const reverted = await migrate.migrateDown({ steps: 2 });
+    assert.deepEqual(reverted, [latest.file, previous.file]);
+
+    const pending = (await migrate.getStatus()).filter(row => row.status === 'pending').map(row => row.version);
+    assert.deepEqual(pending, [previous.version, latest.version]);
+
+    const applied = await migrate.migrateUp({ to: previous.version });
+    assert.deepEqual(applied, [previous.file]);
+
+    assert.deepEqual(await migrate.migrateUp(), [latest.file]);
+    assert.ok((await migrate.getStatus()).every(row => row.status === 'applied'));
+  });
+
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const USER = { name: 'Neha Kulkarni', email: 'neha.kulkarni@example.com', subject: 'Six Sigma' };
+
+describe('phone normalization', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('stores E.164 and finds the user however the phone is formatted', async () => {
+    const start = await server.request('POST', '/api/start_quiz', { ...USER, phone: '+91 98765-43210' });
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+    assert.equal(start.body.data.user.phone, '+919876543210');
+
+    const current = await server.request('GET', '/api/session/current?phone=919876543210&subject=Six%20Sigma', null, {
+      'X-API-Key': await server.createApiKey('bot')
+    });
+    assert.equal(current.status, 200, JSON.stringify(current.body));
+
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: '09876543210', subject: USER.subject });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    const [continueCall] = server.mock.state.requests.filter(r => r.endpoint === 'continue');
+    assert.equal(continueCall.body.phone_number, '+919876543210');
+  });
+
+  it('rejects numbers that are not valid phones', async () => {
+    for (const phone of ['12345', '1234567890', '+91 12345 67890']) {
+      const response = await server.request('POST', '/api/start_quiz', { ...USER, phone });
+      assert.equal(response.status, 400, `${phone}: ${JSON.stringify(response.body)}`);
+    }
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: 'not a phone', subject: USER.subject });
+    assert.equal(submitted.status, 400);
+  });
+
+  it('merges users whose phones differ only by formatting', async () => {
+    const insertUser = async (email, phone) => (await server.query(
+      'INSERT INTO users (name, email, phone, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id',
+      ['Legacy', email, phone]
+    )).rows[0].id;
+    const keeper = await insertUser('legacy@example.com', '9800000071');
+    const duplicate = await insertUser(null, '+91 98000 00071');
+    const conflictA = await insertUser('first@example.com', '919800000072');
+    const conflictB = await insertUser('second@example.com', '98000 00072');
+
+    // Both rows took Six Sigma; only the duplicate took HR Management
+    const enroll = async (userId, subject) => {
+      const { rows: [enrollment] } = await server.query(
+        'INSERT INTO user_subjects (user_id, subject) VALUES ($1, $2) RETURNING id', [userId, subject]
+      );
+      await server.query('INSERT INTO sessions (user_id, enrollment_id, subject) VALUES ($1, $2, $3)', [userId, enrollment.id, subject]);
+    };
+    await enroll(keeper, 'Six Sigma');
+    await enroll(duplicate, 'Six Sigma');
+    await enroll(duplicate, 'HR Management');
+
+    const migration = require('../../migrations/021_normalize_user_phones');
+    await migration.up({ query: server.query });
+
+    const users = (await server.query('SELECT id, email, phone FROM users ORDER BY phone, email')).rows;
+    assert.deepEqual(users, [
+      { id: keeper, email: 'legacy@example.com', phone: '+919800000071' },
+      { id: conflictA, email: 'first@example.com', phone: '+919800000072' },
+      { id: conflictB, email: 'second@example.com', phone: '+919800000072' }
+    ]);
+    const sessions = (await server.query(`
+      SELECT e.subject, COUNT(*)::int AS sessions
+      FROM sessions s JOIN user_subjects e ON s.enrollment_id = e.id
+      WHERE s.user_id = $1 AND e.user_id = $1
+      GROUP BY e.subject ORDER BY e.subject
+    `, [keeper])).rows;
+    assert.deepEqual(sessions, [{ subject: 'HR Management', sessions: 1 }, { subject: 'Six Sigma', sessions: 2 }]);
+  });
+});
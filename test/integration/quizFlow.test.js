@@ -0,0 +1,296 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const USER = {
+  name: 'Asha Verma',
+  email: 'asha.verma@example.com',
+  phone: '919876543210',
+  subject: 'Six Sigma'
+};
+
+const wrongOption = (correct) => (String(correct).toLowerCase() === 'a' ? 'b' : 'a');
+
+describe('start_quiz -> save_answer x10 -> auto_submit_quiz', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  // Starts a quiz and returns the start response plus the stored questions in order
+  const startQuiz = async () => {
+    const start = await server.request('POST', '/api/start_quiz', USER);
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+    const questions = await server.query(
+      'SELECT id, question_no, correct_answer FROM questions WHERE session_id = $1 ORDER BY question_no',
+      [start.body.data.session.id]
+    );
+    return { start, questions: questions.rows };
+  };
+
+  it('stores the blueprint questions and returns the first one', async () => {
+    const { start, questions } = await startQuiz();
+
+    assert.equal(start.body.success, true);
+    assert.equal(start.body.data.quiz.questions_generated, true);
+    assert.equal(start.body.data.quiz.total_questions, 10);
+    assert.deepEqual(start.body.data.quiz.question_types, { easy: 4, medium: 3, hard: 3 });
+    assert.equal(start.body.data.certified_skill.id, 900001);
+    assert.equal(start.body.data.first_question.question_id, questions[0].id);
+    assert.deepEqual(questions.map(q => q.question_no), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+    const [session] = (await server.query('SELECT subject, certified_user_id FROM sessions WHERE id = $1', [start.body.data.session.id])).rows;
+    assert.equal(session.subject, USER.subject);
+    assert.equal(session.certified_user_id, 900001);
+
+    assert.deepEqual(server.mock.state.requests.map(r => r.endpoint), ['new_entry_test_v2', 'generate']);
+  });
+
+  it('keeps the original q_id selection on standard starts and the cybersecurity one on v4', async () => {
+    const quizBlueprintService = require('../../services/quizBlueprintService');
+    const generateQuizService = require('../../services/generateQuizService');
+    const fixture = require('../../mocks/fixtures/generate.json');
+    // Only q_id 18 of the preferred hard questions comes back
+    const quizData = JSON.parse(JSON.stringify(fixture));
+    const { questionaire } = quizData.data.quiz_question_answer;
+    questionaire.hard = questionaire.hard.filter(q => q.q_id !== 17).reverse();
+    const hardIds = (questions) => questions.filter(q => q.question_type === 'Hard').map(q => q.q_id);
+
+    const standard = await quizBlueprintService.getBlueprint({ subject: USER.subject });
+    const cybersecurity = await quizBlueprintService.getBlueprint({ subject: USER.subject, base: 'cybersecurity' });
+    assert.equal(cybersecurity.name, 'cybersecurity');
+
+    assert.deepEqual(hardIds(generateQuizService.extractQuestions(JSON.parse(JSON.stringify(quizData)), standard)), [21, 20, 19]);
+    assert.deepEqual(hardIds(generateQuizService.extractQuestionsCybersecurity(JSON.parse(JSON.stringify(quizData)), cybersecurity)), [19, 18, 21]);
+  });
+
+  it('walks through all ten questions in order and submits the quiz', async () => {
+    const { start, questions } = await startQuiz();
+    const sessionId = start.body.data.session.id;
+
+    // Questions 3 and 7 answered wrong: 8/10 with the default equal weights
+    let questionId = start.body.data.first_question.question_id;
+    for (const [index, question] of questions.entries()) {
+      assert.equal(questionId, question.id, `question ${index + 1} served out of order`);
+      const answer = [3, 7].includes(question.question_no) ? wrongOption(question.correct_answer) : question.correct_answer;
+      const saved = await server.request('POST', '/api/save_answer', { question_id: questionId, answer });
+      assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+      if (index < questions.length - 1) {
+        assert.equal(saved.body.data.status, 'pending');
+        assert.equal(saved.body.data.question_no, question.question_no + 1);
+        questionId = saved.body.data.question_id;
+      } else {
+        assert.equal(saved.body.data.status, 'complete');
+      }
+    }
+
+    const answered = await server.query('SELECT COUNT(*)::int AS count FROM questions WHERE session_id = $1 AND answered = TRUE', [sessionId]);
+    assert.equal(answered.rows[0].count, 10);
+
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.success, 'true_high_80');
+    assert.equal(submitted.body.data.score, 80);
+    assert.equal(submitted.body.data.session.id, sessionId);
+    assert.equal(submitted.body.data.session.order_id, 700001);
+    assert.equal(submitted.body.data.quiz_results.correct_answers, 8);
+    assert.equal(submitted.body.data.quiz_results.total_questions, 10);
+
+    const [session] = (await server.query(
+      'SELECT quiz_completed, score, score_band, order_id, quiz_analysis_generated FROM sessions WHERE id = $1',
+      [sessionId]
+    )).rows;
+    assert.equal(session.quiz_completed, true);
+    assert.equal(session.score, 80);
+    assert.equal(session.score_band, 'true_high_80');
+    assert.equal(session.order_id, 700001);
+
+    const upstreamCalls = server.mock.state.requests.map(r => r.endpoint);
+    for (const endpoint of ['continue', 'save_user_response', 'claim_available_certificate', 'create_v2_test']) {
+      assert.equal(upstreamCalls.filter(call => call === endpoint).length, 1, `${endpoint} should be called once`);
+    }
+    const [saveCall] = server.mock.state.requests.filter(r => r.endpoint === 'save_user_response');
+    assert.equal(saveCall.body.certified_user_skill_quiz_id, 900001);
+    assert.equal(saveCall.body.quiz_score, 80);
+    assert.equal(saveCall.body.quiz_attempt_object.length, 10);
+    assert.deepEqual(saveCall.body.quiz_attempt_object.filter(attempt => !attempt.is_correct).map(attempt => attempt.quiz_id), [3, 7]);
+
+    assert.equal((await server.request('GET', `/api/session/${sessionId}/submission`)).status, 401);
+    const steps = await server.request('GET', `/api/session/${sessionId}/submission`, null, { 'X-API-Key': await server.createApiKey('admin') });
+    assert.equal(steps.status, 200);
+    assert.ok(steps.body.data.steps.every(step => ['succeeded', 'skipped'].includes(step.status)), JSON.stringify(steps.body.data.steps));
+    // No upstream token or user details in the step rows
+    const continueStep = steps.body.data.steps.find(step => step.step === 'continue');
+    assert.equal(continueStep.response.token, undefined);
+    assert.equal(continueStep.payload.email, undefined);
+    assert.equal(continueStep.payload.phone_number, undefined);
+    assert.ok(continueStep.payload.certified_user_skill_id);
+    // Nor in the table: the token was only held in secret until the submission finished
+    const [stored] = (await server.query("SELECT response, secret FROM submission_steps WHERE session_id = $1 AND step = 'continue'", [sessionId])).rows;
+    assert.equal(stored.response.token, undefined);
+    assert.equal(stored.secret, null);
+  });
+
+  it('accepts answers out of order by default and rejects them under strict_sequential', async () => {
+    const { questions } = await startQuiz();
+
+    const ahead = await server.request('POST', '/api/save_answer', { question_id: questions[2].id, answer: 'a' });
+    assert.equal(ahead.status, 200, JSON.stringify(ahead.body));
+    assert.equal(ahead.body.data.question_id, questions[0].id);
+
+    await server.query("UPDATE quiz_blueprints SET answering_policy = 'strict_sequential' WHERE name = 'default'");
+    try {
+      const saved = await server.request('POST', '/api/save_answer', { question_id: questions[3].id, answer: 'a' });
+      assert.equal(saved.status, 409);
+      assert.equal(saved.body.success, false);
+      assert.equal(saved.body.data.reason, 'out_of_order');
+    } finally {
+      await server.query("UPDATE quiz_blueprints SET answering_policy = NULL WHERE name = 'default'");
+    }
+  });
+
+  it('matches a numeric reply to the option text before its position', async () => {
+    const { questions } = await startQuiz();
+    const [first, second] = questions;
+    await server.query(
+      'UPDATE questions SET options = $2::jsonb, correct_answer = $3 WHERE id = $1',
+      [first.id, JSON.stringify({ A: '4', B: '8', C: '2', D: '6' }), 'c']
+    );
+
+    const saved = await server.request('POST', '/api/save_answer', { question_id: first.id, answer: '2' });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    // Questions with text options still take digits as positions
+    const positional = await server.request('POST', '/api/save_answer', { question_id: second.id, answer: '2' });
+    assert.equal(positional.status, 200, JSON.stringify(positional.body));
+
+    const answers = await server.query('SELECT id, answer FROM questions WHERE id = ANY($1::uuid[]) ORDER BY question_no', [[first.id, second.id]]);
+    assert.deepEqual(answers.rows.map(row => row.answer), ['c', 'b']);
+  });
+
+  it('sends the new attempt when answers change after the quiz was submitted', async () => {
+    const { questions } = await startQuiz();
+    for (const question of questions) {
+      await server.request('POST', '/api/save_answer', { question_id: question.id, answer: question.correct_answer });
+    }
+    const first = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject });
+    assert.equal(first.body.data.score, 100, JSON.stringify(first.body));
+
+    const changed = await server.request('POST', '/api/save_answer', { question_id: questions[0].id, answer: wrongOption(questions[0].correct_answer) });
+    assert.equal(changed.status, 200, JSON.stringify(changed.body));
+    // A new Idempotency-Key: without one the same body is taken for a redelivery of the first submission
+    const second = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject }, { 'Idempotency-Key': 'resubmit-1' });
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+    assert.equal(second.body.data.score, 90);
+
+    const saveCalls = server.mock.state.requests.filter(r => r.endpoint === 'save_user_response');
+    assert.deepEqual(saveCalls.map(call => call.body.quiz_score), [100, 90]);
+    const upstreamCalls = server.mock.state.requests.map(r => r.endpoint);
+    for (const endpoint of ['continue', 'claim_available_certificate', 'create_v2_test']) {
+      assert.equal(upstreamCalls.filter(call => call === endpoint).length, 1, `${endpoint} should be called once`);
+    }
+  });
+
+  it('resumes a submission after an upstream failure without repeating finished steps', async () => {
+    const { start, questions } = await startQuiz();
+    const sessionId = start.body.data.session.id;
+
+    let questionId = start.body.data.first_question.question_id;
+    for (const question of questions) {
+      const saved = await server.request('POST', '/api/save_answer', { question_id: questionId, answer: question.correct_answer });
+      questionId = saved.body.data.question_id;
+    }
+
+    // create_v2_test failures don't fail the submission; the step is recorded as failed and no order is stored
+    server.mock.setFault('create_v2_test', { status: 503, times: 1 });
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.data.session.order_id ?? null, null);
+
+    const adminKey = { 'X-API-Key': await server.createApiKey('admin') };
+    const steps = await server.request('GET', `/api/session/${sessionId}/submission`, null, adminKey);
+    const createV2Step = steps.body.data.steps.find(step => step.step === 'create_v2_test');
+    assert.equal(createV2Step.status, 'failed');
+
+    assert.equal((await server.request('POST', `/api/session/${sessionId}/submission/resume`)).status, 401);
+    const resumeHeaders = { 'X-API-Key': await server.createApiKey('bot'), 'Idempotency-Key': 'resume-1' };
+    const resumed = await server.request('POST', `/api/session/${sessionId}/submission/resume`, null, resumeHeaders);
+    assert.equal(resumed.status, 200, JSON.stringify(resumed.body));
+    const replayed = await server.request('POST', `/api/session/${sessionId}/submission/resume`, null, resumeHeaders);
+    assert.equal(replayed.headers.get('idempotent-replayed'), 'true');
+
+    const upstreamCalls = server.mock.state.requests.map(r => r.endpoint);
+    assert.equal(upstreamCalls.filter(call => call === 'save_user_response').length, 1);
+    assert.equal(upstreamCalls.filter(call => call === 'create_v2_test').length, 2);
+    // The resumed call still carries the session's token
+    const createV2Calls = server.mock.state.requests.filter(r => r.endpoint === 'create_v2_test');
+    assert.ok(createV2Calls[1].authorization);
+    assert.equal(createV2Calls[1].authorization, createV2Calls[0].authorization);
+
+    const [session] = (await server.query('SELECT order_id FROM sessions WHERE id = $1', [sessionId])).rows;
+    assert.equal(session.order_id, 700001);
+  });
+
+  it('queues async submissions for keyed callers and refuses internal callback URLs', async () => {
+    await startQuiz();
+    for (const callback_url of ['http://169.254.169.254/latest/meta-data', 'http://127.0.0.1:3000/hook', 'https://hooks.example.com/quiz']) {
+      const refused = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject, callback_url });
+      assert.equal(refused.status, 400, `${callback_url}: ${JSON.stringify(refused.body)}`);
+    }
+
+    // Delivery checks the address the socket connects to, not a separate lookup
+    const axios = require('axios');
+    const { callbackRequestOptions } = require('../../utils/callbackUrl');
+    await assert.rejects(
+      axios.post(`${server.baseUrl.replace('127.0.0.1', 'localhost')}/hook`, {}, { ...callbackRequestOptions, timeout: 2000 }),
+      /resolves to the non-public address/
+    );
+
+    const queued = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject, async: true });
+    assert.equal(queued.status, 202, JSON.stringify(queued.body));
+    assert.equal((await server.request('GET', queued.body.status_url)).status, 401);
+    const job = await server.request('GET', queued.body.status_url, null, { 'X-API-Key': await server.createApiKey('bot') });
+    assert.equal(job.status, 200, JSON.stringify(job.body));
+    assert.equal(job.body.data.id, queued.body.job_id);
+
+    // The cron endpoint runs one job per call by default (JOB_CRON_TIME_BUDGET_MS=0)
+    const again = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone, subject: USER.subject, async: true }, { 'Idempotency-Key': 'queue-2' });
+    assert.equal(again.status, 202, JSON.stringify(again.body));
+    const cronKey = { 'X-API-Key': await server.createApiKey('cron') };
+    const firstRun = await server.request('GET', '/api/cron/jobs', null, cronKey);
+    assert.equal(firstRun.status, 200, JSON.stringify(firstRun.body));
+    assert.deepEqual(firstRun.body.data.jobs.map(ran => ran.id), [queued.body.job_id]);
+    const secondRun = await server.request('GET', '/api/cron/jobs', null, cronKey);
+    assert.deepEqual(secondRun.body.data.jobs.map(ran => ran.id), [again.body.job_id]);
+  });
+
+  it('fails a job whose worker died on its last attempt instead of reclaiming it', async () => {
+    const [job] = (await server.query(`
+      INSERT INTO jobs (type, payload, status, attempts, max_attempts, run_at, started_at, locked_at, created_at, updated_at)
+      VALUES ('quiz_submission', '{}', 'running', 3, 3, NOW() - INTERVAL '1 hour', NOW() - INTERVAL '1 hour', NOW() - INTERVAL '1 hour', NOW(), NOW())
+      RETURNING id
+    `)).rows;
+
+    const ran = await server.request('GET', '/api/cron/jobs', null, { 'X-API-Key': await server.createApiKey('cron') });
+    assert.equal(ran.status, 200, JSON.stringify(ran.body));
+    assert.equal(ran.body.data.processed, 0);
+    const [stored] = (await server.query('SELECT status, attempts FROM jobs WHERE id = $1', [job.id])).rows;
+    assert.deepEqual(stored, { status: 'failed', attempts: 3 });
+  });
+
+  it('returns 404 from auto_submit_quiz when the phone has no session', async () => {
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: '919999999999', subject: USER.subject });
+
+    assert.equal(submitted.status, 404);
+    assert.equal(submitted.body.result, 'failed');
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// config is read once, when the server is first required, so the budgets have to be set before that. Windows are
+// long so a test never straddles a reset
+process.env.RATE_LIMIT_START = 'phone:2/864000,ip:4/864000';
+process.env.RATE_LIMIT_ANSWER = 'phone:3/864000';
+
+const { startTestServer } = require('./support/testServer');
+
+const userWithPhone = (phone) => ({ name: 'Kiran Das', email: `kiran.${phone}@example.com`, phone, subject: 'Six Sigma' });
+
+describe('rate limiting', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('throttles start_quiz per phone with Retry-After and lists the phone for admins', async () => {
+    const user = userWithPhone('919800000051');
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const response = await server.request('POST', '/api/start_quiz', user);
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+    }
+
+    const throttled = await server.request('POST', '/api/start_quiz', { ...user, phone: '+91 98000 00051' });
+    assert.equal(throttled.status, 429);
+    assert.match(throttled.body.message, /Too many start requests for this phone number/);
+    const retryAfter = Number(throttled.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 864000, `Retry-After ${retryAfter}`);
+    assert.equal(throttled.body.retry_after_seconds, retryAfter);
+
+    // Another phone has its own budget
+    const other = await server.request('POST', '/api/start_quiz', userWithPhone('919800000052'));
+    assert.equal(other.status, 201);
+
+    const adminKey = await server.createApiKey('admin');
+    const view = await server.request('GET', '/api/admin/rate-limits?action=start', null, { 'X-API-Key': adminKey });
+    assert.equal(view.status, 200, JSON.stringify(view.body));
+    assert.deepEqual(
+      view.body.data.throttled.map(entry => [entry.identity_type, entry.identity, entry.request_count, entry.request_limit]),
+      [['phone', '+919800000051', 3, 2]]
+    );
+    assert.deepEqual(view.body.data.budgets.start[0], { identityType: 'phone', limit: 2, windowSeconds: 864000 });
+
+    const analystKey = await server.createApiKey('analyst');
+    const forbidden = await server.request('GET', '/api/admin/rate-limits', null, { 'X-API-Key': analystKey });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('throttles by client IP across phones', async () => {
+    for (const phone of ['919800000053', '919800000054']) {
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        assert.equal((await server.request('POST', '/api/start_quiz', userWithPhone(phone))).status, 201);
+      }
+    }
+
+    const throttled = await server.request('POST', '/api/start_quiz', userWithPhone('919800000055'));
+    assert.equal(throttled.status, 429);
+    assert.match(throttled.body.message, /for this IP address/);
+    assert.ok(throttled.headers.get('retry-after'));
+  });
+
+  it('counts keyed requests against the key instead of the IP and skips idempotent replays', async () => {
+    const user = userWithPhone('919800000057');
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const response = await server.request('POST', '/api/start_quiz', user, { 'Idempotency-Key': 'start-57' });
+      assert.equal(response.status, 201, JSON.stringify(response.body));
+    }
+
+    // ip:4 would stop the fifth unkeyed start; with a bot key only the (unset) api_key budget applies
+    const botKey = { 'X-API-Key': await server.createApiKey('bot') };
+    for (const phone of ['919800000058', '919800000059', '919800000060', '919800000061']) {
+      assert.equal((await server.request('POST', '/api/start_quiz', userWithPhone(phone), botKey)).status, 201);
+    }
+
+    const counters = (await server.query(
+      "SELECT identity_type, identity, request_count FROM rate_limit_counters WHERE action = 'start' AND identity_type IN ('ip', 'phone') ORDER BY identity"
+    )).rows;
+    assert.deepEqual(counters.filter(row => row.identity_type === 'ip').map(row => row.request_count), [1]);
+    assert.deepEqual(counters.find(row => row.identity === '+919800000057'), { identity_type: 'phone', identity: '+919800000057', request_count: 1 });
+  });
+
+  it('throttles save_answer by the phone the question belongs to', async () => {
+    const start = await server.request('POST', '/api/start_quiz', userWithPhone('919800000056'));
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+    const [first] = (await server.query(
+      'SELECT id FROM questions WHERE session_id = $1 AND question_no = 1',
+      [start.body.data.session.id]
+    )).rows;
+
+    const statuses = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      statuses.push((await server.request('POST', '/api/save_answer', { question_id: first.id, answer: 'a' })).status);
+    }
+    assert.ok(statuses.slice(0, 3).every(status => status !== 429), `statuses ${statuses}`);
+    assert.equal(statuses[3], 429);
+
+    const [counter] = (await server.query(
+      "SELECT identity, request_count FROM rate_limit_counters WHERE action = 'answer' AND identity_type = 'phone'"
+    )).rows;
+    assert.deepEqual(counter, { identity: '+919800000056', request_count: 4 });
+  });
+});
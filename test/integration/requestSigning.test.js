@@ -0,0 +1,89 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// config is read once, when the server is first required, so signing has to be switched on before that
+process.env.REQUEST_SIGNING = 'required';
+process.env.REQUEST_SIGNING_SECRET = 'current-secret';
+process.env.REQUEST_SIGNING_SECRET_PREVIOUS = 'previous-secret';
+
+const { startTestServer } = require('./support/testServer');
+
+const USER = { name: 'Asha Rao', email: 'asha.rao@example.com', phone: '919800000031', subject: 'Six Sigma' };
+
+describe('HMAC request signing', () => {
+  let server;
+  let requestSignatureService;
+
+  const signedHeaders = (body, { secret = 'current-secret', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') } = {}) => ({
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature-Nonce': nonce,
+    'X-Signature': requestSignatureService.sign({ secret, timestamp, nonce, body: body ? JSON.stringify(body) : '' })
+  });
+
+  before(async () => {
+    server = await startTestServer();
+    requestSignatureService = require('../../services/requestSignatureService');
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('accepts signed start_quiz and save_answer requests', async () => {
+    const start = await server.request('POST', '/api/start_quiz', USER, signedHeaders(USER));
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+
+    const [first] = (await server.query(
+      'SELECT id, correct_answer FROM questions WHERE session_id = $1 AND question_no = 1',
+      [start.body.data.session.id]
+    )).rows;
+    const answer = { question_id: first.id, answer: first.correct_answer };
+    const saved = await server.request('POST', '/api/save_answer', answer, signedHeaders(answer));
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  });
+
+  it('rejects unsigned, tampered and wrongly keyed requests', async () => {
+    const unsigned = await server.request('POST', '/api/start_quiz', USER);
+    assert.equal(unsigned.status, 401);
+    assert.match(unsigned.body.message, /Missing X-Signature/);
+
+    const tampered = await server.request('POST', '/api/start_quiz', { ...USER, phone: '919800000099' }, signedHeaders(USER));
+    assert.equal(tampered.status, 401);
+    assert.equal(tampered.body.message, 'Invalid request signature');
+
+    const wrongSecret = await server.request('POST', '/api/auto_submit_quiz', { phone: USER.phone }, signedHeaders({ phone: USER.phone }, { secret: 'guessed' }));
+    assert.equal(wrongSecret.status, 401);
+
+    const { rows } = await server.query('SELECT COUNT(*)::int AS count FROM users');
+    assert.equal(rows[0].count, 0);
+  });
+
+  it('rejects stale timestamps and replayed nonces', async () => {
+    const stale = await server.request('POST', '/api/start_quiz', USER, signedHeaders(USER, { timestamp: Math.floor(Date.now() / 1000) - 301 }));
+    assert.equal(stale.status, 401);
+    assert.equal(stale.body.message, 'Request timestamp is outside the allowed window');
+
+    const headers = signedHeaders(USER);
+    assert.equal((await server.request('POST', '/api/start_quiz', USER, headers)).status, 201);
+    const replay = await server.request('POST', '/api/start_quiz', USER, headers);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Request nonce has already been used');
+  });
+
+  it('accepts the previous secret during rotation', async () => {
+    const response = await server.request('POST', '/api/start_quiz', USER, signedHeaders(USER, { secret: 'previous-secret' }));
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+  });
+
+  it('leaves routes outside the bot flow unsigned', async () => {
+    const response = await server.request('GET', `/api/session/current?phone=${USER.phone}&subject=Six%20Sigma`, null, {
+      'X-API-Key': await server.createApiKey('bot')
+    });
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Integration test runner.
+ *
+ * Boots a throwaway Postgres (embedded-postgres), applies every migration with `node migrate.js up`, then runs
+ * test/integration/*.test.js with node:test against it.
+ * The cluster lives in a temp directory and is removed when the run ends.
+ *
+ *   npm test
+ *   npm test -- quizFlow        (only files whose name contains "quizFlow")
+ *
+ * Set TEST_DB_KEEP_LOGS=true to see Postgres, migration and app output.
+ */
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+const DB_NAME = 'certified_test';
+const DB_USER = 'postgres';
+const DB_PASSWORD = 'postgres';
+const verbose = process.env.TEST_DB_KEEP_LOGS === 'true';
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const runNode = (args, env) => new Promise((resolve) => {
+  const child = spawn(process.execPath, args, { cwd: ROOT, env, stdio: verbose ? 'inherit' : ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  if (!verbose) {
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+  }
+  child.on('close', (code) => resolve({ code, output }));
+});
+
+async function startPostgres() {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const port = await getFreePort();
+  const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'certified-pg-'));
+  const cluster = new EmbeddedPostgres({
+    databaseDir,
+    port,
+    user: DB_USER,
+    password: DB_PASSWORD,
+    persistent: false,
+    // Postgres refuses to run as root (CI containers); embedded-postgres then runs it as a "postgres" user
+    createPostgresUser: typeof process.getuid === 'function' && process.getuid() === 0,
+    onLog: verbose ? console.log : () => {}
+  });
+
+  console.log(`🐘 Starting throwaway Postgres on port ${port}...`);
+  await cluster.initialise();
+  await cluster.start();
+  await cluster.createDatabase(DB_NAME);
+  return { cluster, port };
+}
+
+async function applyMigrations(env) {
+  const { code, output } = await runNode([path.join(ROOT, 'migrate.js'), 'up'], env);
+  if (code !== 0) {
+    throw new Error(`Migrations failed:\n${output}`);
+  }
+  console.log('✅ Migrations applied');
+}
+
+async function main() {
+  const filter = process.argv[2];
+  const testFiles = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js') && (!filter || file.includes(filter)))
+    .sort()
+    .map(file => path.join(__dirname, file));
+  if (testFiles.length === 0) {
+    throw new Error(`No integration tests match "${filter}"`);
+  }
+
+  const { cluster, port } = await startPostgres();
+  try {
+    const env = {
+      ...process.env,
+      NODE_ENV: 'test',
+      DB_HOST: '127.0.0.1',
+      DB_PORT: String(port),
+      DB_NAME,
+      DB_USER,
+      DB_PASSWORD,
+      DB_SSL: 'false',
+      // Keep test runs out of Mixpanel
+      MIXPANEL_PROJECT_TOKEN: ''
+    };
+    await applyMigrations(env);
+
+    console.log(`🧪 Running ${testFiles.length} integration test file(s)...`);
+    const { code } = await new Promise((resolve) => {
+      const child = spawn(process.execPath, ['--test', '--test-concurrency=1', ...testFiles], { cwd: ROOT, env, stdio: 'inherit' });
+      child.on('close', (exitCode) => resolve({ code: exitCode }));
+    });
+    process.exitCode = code;
+  } finally {
+    await cluster.stop();
+    console.log('🐘 Postgres stopped');
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Integration run failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const UNKNOWN_SESSION_ID = '00000000-0000-4000-8000-000000000000';
+
+describe('session flag routes', () => {
+  let server;
+  let sessionId;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+    const start = await server.request('POST', '/api/start_quiz', {
+      name: 'Ravi Kumar',
+      email: 'ravi.kumar@example.com',
+      phone: '919812345678',
+      subject: 'Six Sigma'
+    });
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+    sessionId = start.body.data.session.id;
+  });
+
+  const readSession = async () => (await server.query(
+    'SELECT attempted, paid, started_quiz, clicked_on, status FROM sessions WHERE id = $1',
+    [sessionId]
+  )).rows[0];
+
+  it('sets the attempted and paid flags', async () => {
+    const attempted = await server.request('POST', '/api/session/flag', { session_id: sessionId, column: 'attempted' });
+    assert.equal(attempted.status, 200);
+    assert.equal(attempted.body.column, 'attempted');
+    assert.equal(attempted.body.value, true);
+    assert.equal(attempted.body.status, 'in_progress');
+
+    const submitted = await server.request('POST', '/api/auto_submit_quiz', { phone: '919812345678', subject: 'Six Sigma' });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+
+    const paid = await server.request('POST', '/api/session/flag', { session_id: sessionId, column: 'paid' });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.status, 'paid');
+
+    const session = await readSession();
+    assert.equal(session.attempted, true);
+    assert.equal(session.paid, true);
+    assert.equal(session.status, 'paid');
+  });
+
+  it('still sets the paid flag on an unsubmitted session but leaves its status alone', async () => {
+    const response = await server.request('POST', '/api/session/flag', { session_id: sessionId, column: 'paid' });
+
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.value, true);
+    assert.equal(response.body.status, 'questions_ready');
+    const session = await readSession();
+    assert.equal(session.paid, true);
+    assert.equal(session.status, 'questions_ready');
+  });
+
+  it('records every transition in the session history', async () => {
+    const first = (await server.query('SELECT id, correct_answer FROM questions WHERE session_id = $1 AND question_no = 1', [sessionId])).rows[0];
+    await server.request('POST', '/api/session/start_quiz', { session_id: sessionId });
+    await server.request('POST', '/api/save_answer', { question_id: first.id, answer: first.correct_answer });
+    await server.request('POST', '/api/session/clicked_on', { session_id: sessionId, value: 'know_more' });
+    await server.request('POST', '/api/auto_submit_quiz', { phone: '919812345678', subject: 'Six Sigma' });
+
+    assert.equal((await server.request('GET', `/api/session/${sessionId}/events`, null, { 'X-API-Key': await server.createApiKey('bot') })).status, 403);
+    const history = await server.request('GET', `/api/session/${sessionId}/events`, null, { 'X-API-Key': await server.createApiKey('analyst') });
+    assert.equal(history.status, 200, JSON.stringify(history.body));
+    assert.equal(history.body.data.status, 'analysed');
+    assert.deepEqual(history.body.data.events.map(e => [e.event, e.from_status, e.to_status]), [
+      ['created', 'created', 'created'],
+      ['questions_created', 'created', 'questions_ready'],
+      ['started_quiz', 'questions_ready', 'in_progress'],
+      ['clicked_on', 'in_progress', 'in_progress'],
+      ['quiz_submitted', 'in_progress', 'submitted'],
+      ['analysis_generated', 'submitted', 'analysed']
+    ]);
+
+    // Sessions left unsubmitted past SESSION_EXPIRY_HOURS (72) expire; submitted ones don't
+    const other = await server.request('POST', '/api/start_quiz', {
+      name: 'Meera Pillai', email: 'meera.pillai@example.com', phone: '919812345679', subject: 'Six Sigma'
+    });
+    await server.query("UPDATE sessions SET created_at = created_at - INTERVAL '73 hours'");
+    const cron = await server.request('GET', '/api/cron/re-trigger', null, { 'X-API-Key': await server.createApiKey('cron') });
+    assert.equal(cron.status, 200, JSON.stringify(cron.body));
+    assert.equal(cron.body.data.expired, 1);
+    // The audit row is written once the response has finished
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const [audit] = (await server.query("SELECT role, status_code, details FROM api_key_audit_log WHERE action = 'cron/re-trigger'")).rows;
+    assert.deepEqual(audit, { role: 'cron', status_code: 200, details: { expired: 1 } });
+    const statuses = (await server.query('SELECT id, status FROM sessions ORDER BY created_at')).rows;
+    assert.deepEqual(Object.fromEntries(statuses.map(row => [row.id, row.status])), {
+      [sessionId]: 'analysed',
+      [other.body.data.session.id]: 'expired'
+    });
+  });
+
+  it('rejects columns other than attempted and paid', async () => {
+    const response = await server.request('POST', '/api/session/flag', { session_id: sessionId, column: 'quiz_completed' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal((await readSession()).attempted, false);
+  });
+
+  it('sets started_quiz', async () => {
+    const response = await server.request('POST', '/api/session/start_quiz', { session_id: sessionId });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.started_quiz, true);
+    assert.equal((await readSession()).started_quiz, true);
+  });
+
+  it('records clicked_on and validates its value', async () => {
+    const response = await server.request('POST', '/api/session/clicked_on', { session_id: sessionId, value: 'unlock_cert' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.clicked_on, 'unlock_cert');
+    assert.equal((await readSession()).clicked_on, 'unlock_cert');
+
+    const invalid = await server.request('POST', '/api/session/clicked_on', { session_id: sessionId, value: 'share' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('returns 404 for unknown sessions', async () => {
+    const flag = await server.request('POST', '/api/session/flag', { session_id: UNKNOWN_SESSION_ID, column: 'paid' });
+    const started = await server.request('POST', '/api/session/start_quiz', { session_id: UNKNOWN_SESSION_ID });
+    const clicked = await server.request('POST', '/api/session/clicked_on', { session_id: UNKNOWN_SESSION_ID, value: 'know_more' });
+
+    assert.equal(flag.status, 404);
+    assert.equal(started.status, 404);
+    assert.equal(clicked.status, 404);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Boots the Express app for an integration test file: the upstream mock first (so config picks up its URL),
+ * then server.js on a random port. Run through test/integration/run.js, which provides the DB_* variables.
+ */
+const { createMockUpstream } = require('../../../mocks/upstreamMockServer');
+
+const silenceLogs = () => {
+  if (process.env.TEST_DB_KEEP_LOGS === 'true') {
+    return;
+  }
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+};
+
+/**
+ * @returns {Promise<{ baseUrl: string, mock: Object, query: Function, request: Function, resetDatabase: Function, createApiKey: Function, close: Function }>}
+ */
+async function startTestServer() {
+  if (!process.env.DB_HOST) {
+    throw new Error('DB_HOST is not set; run integration tests with `npm test` (test/integration/run.js)');
+  }
+  silenceLogs();
+
+  const mock = createMockUpstream({ faults: {} });
+  const mockServer = await mock.start(0);
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  process.env.LEARNTUBE_API_URL = mockUrl;
+  process.env.XANO_API_URL = `${mockUrl}/xano`;
+  process.env.LEARNTUBE_RETRY_BASE_DELAY_MS = '10';
+
+  const app = require('../../../server');
+  const { query, pool } = require('../../../database');
+  const appServer = await new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const baseUrl = `http://127.0.0.1:${appServer.address().port}`;
+
+  // JSON in, { status, headers, body } out (extra request headers optional); body is parsed JSON when the response is JSON, text otherwise
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  };
+
+  // Quiz blueprints are seeded by migration 006 and kept; everything a test creates is removed
+  const resetDatabase = async () => {
+    await query('TRUNCATE users, sessions, questions, submission_steps, jobs, api_keys, api_key_audit_log, request_nonces, idempotency_keys, rate_limit_counters, user_subjects RESTART IDENTITY CASCADE');
+    mock.reset();
+  };
+
+  // Plaintext key for a new API key with the given role, ready for the X-API-Key header
+  const createApiKey = async (role, name = `test ${role}`) => {
+    const apiKeyService = require('../../../services/apiKeyService');
+    return (await apiKeyService.createKey({ name, role })).key;
+  };
+
+  const close = async () => {
+    await new Promise(resolve => appServer.close(resolve));
+    await new Promise(resolve => mockServer.close(resolve));
+    await pool.end();
+  };
+
+  return { baseUrl, mock, query, request, resetDatabase, createApiKey, close };
+}
+
+module.exports = { startTestServer, silenceLogs };
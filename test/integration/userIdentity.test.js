@@ -0,0 +1,103 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startTestServer } = require('./support/testServer');
+
+const SUBJECT = 'Six Sigma';
+
+describe('user identity', () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  beforeEach(async () => {
+    await server.resetDatabase();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const startWithoutEmail = (name, phone) => server.request('POST', '/api/start_quiz_clone_v2', { name, phone, email: '', subject: SUBJECT });
+
+  it('creates a separate user with a NULL email for each phone without one', async () => {
+    const first = await startWithoutEmail('Arjun Mehta', '9800000081');
+    const second = await startWithoutEmail('Kavya Iyer', '9800000082');
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(second.status, 201, JSON.stringify(second.body));
+    assert.notEqual(first.body.data.user.id, second.body.data.user.id);
+
+    const users = (await server.query('SELECT name, email, phone FROM users ORDER BY phone')).rows;
+    assert.deepEqual(users, [
+      { name: 'Arjun Mehta', email: null, phone: '+919800000081' },
+      { name: 'Kavya Iyer', email: null, phone: '+919800000082' }
+    ]);
+    await assert.rejects(
+      server.query("INSERT INTO users (name, email, phone) VALUES ('Blank', ' ', '+919800000083')"),
+      /users_email_not_blank/
+    );
+  });
+
+  it('submits by phone and keeps sending the email as the continue password by default', async () => {
+    const start = await server.request('POST', '/api/start_quiz', {
+      name: 'Rohan Das', email: 'rohan.das@example.com', phone: '9800000084', subject: SUBJECT
+    });
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+    const { id: userId } = start.body.data.user;
+
+    const submitted = await server.request('POST', '/api/submit_quiz_response', {
+      name: 'Rohan Das', phone: '98000 00084', certified_user_skill_id: start.body.data.certified_skill.id
+    });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.data.user.id, userId);
+
+    const [continueCall] = server.mock.state.requests.filter(r => r.endpoint === 'continue');
+    assert.equal(continueCall.body.password, 'rohan.das@example.com');
+
+    const { rows: [step] } = await server.query("SELECT payload FROM submission_steps WHERE step = 'continue'");
+    assert.equal(step.payload.password, undefined);
+  });
+
+  it('derives passwords only for users created after the opt-in date', () => {
+    // config is read once per process, so the derived strategy is checked in a fresh one
+    const script = `
+      const continueApi = require('./services/continueApi');
+      process.stdout.write(JSON.stringify([
+        continueApi.passwordFor({ id: 'old-user', email: 'old@example.com', created_at: new Date('2025-12-31T00:00:00Z') }),
+        continueApi.passwordFor({ id: 'new-user', email: 'new@example.com', created_at: new Date('2026-02-01T00:00:00Z') }),
+        continueApi.passwordFor({ id: 'old-no-email', email: null, created_at: new Date('2025-12-31T00:00:00Z') })
+      ]));
+    `;
+    const result = spawnSync(process.execPath, ['-e', script], {
+      cwd: path.resolve(__dirname, '../..'),
+      env: { ...process.env, CONTINUE_PASSWORD_STRATEGY: 'derived', CONTINUE_PASSWORD_SECRET: 'secret', CONTINUE_PASSWORD_DERIVED_FROM: '2026-01-01T00:00:00Z' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    assert.equal(result.status, 0, result.stderr);
+    const derive = (id) => crypto.createHmac('sha256', 'secret').update(id).digest('base64url');
+    assert.deepEqual(JSON.parse(result.stdout), ['old@example.com', derive('new-user'), derive('old-no-email')]);
+  });
+
+  it('refuses to give a user an email that belongs to someone else', async () => {
+    await server.request('POST', '/api/start_quiz', { name: 'Isha Rao', email: 'isha.rao@example.com', phone: '9800000085', subject: SUBJECT });
+    const start = await startWithoutEmail('Dev Rao', '9800000086');
+    assert.equal(start.status, 201, JSON.stringify(start.body));
+
+    const taken = await server.request('POST', '/api/auto_submit_quiz_v2', {
+      phone: '9800000086', subject: SUBJECT, type: '1', email: 'isha.rao@example.com'
+    });
+    assert.equal(taken.status, 409, JSON.stringify(taken.body));
+    assert.deepEqual(taken.body, { result: 'failed', message: 'This email is already registered to another user' });
+
+    const submitted = await server.request('POST', '/api/auto_submit_quiz_v2', {
+      phone: '9800000086', subject: SUBJECT, type: '1', email: 'dev.rao@example.com'
+    });
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.data.user.email, 'dev.rao@example.com');
+  });
+});
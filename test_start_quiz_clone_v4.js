@@ -14,7 +14,7 @@ const postData = JSON.stringify(testData);
 const options = {
   hostname: 'localhost',
   port: 3000,
-  path: '/api/start_quiz_clone_v4',
+  path: '/api/start_quiz_clone_v4_cybersecurity',
   method: 'POST',
   headers: {
     'Content-Type': 'application/json',
@@ -22,7 +22,7 @@ const options = {
   }
 };
 
-console.log('🚀 Testing start_quiz_clone_v4 endpoint...');
+console.log('🚀 Testing start_quiz_clone_v4_cybersecurity endpoint...');
 console.log('📤 Request data:', JSON.stringify(testData, null, 2));
 console.log('');
 
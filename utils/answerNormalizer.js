@@ -0,0 +1,123 @@
+/**
+ * Answer normalization for WhatsApp replies
+ * Maps free-form replies ("a", "A)", "Option B", "b.", 🅰️, 1️⃣, the option text itself)
+ * to the canonical lowercase letter stored in questions.answer
+ */
+
+const LETTERS = ['a', 'b', 'c', 'd'];
+
+const REPROMPT_MESSAGE = "Sorry, we couldn't understand that answer. Please reply with A, B, C or D.";
+
+// Emoji and symbol forms WhatsApp users send instead of a plain letter
+const SYMBOL_MAP = {
+  '\u{1F170}': 'a', // 🅰 negative squared A
+  '\u{1F171}': 'b', // 🅱 negative squared B
+  '\u{1F172}': 'c',
+  '\u{1F173}': 'd',
+  '\u{1F1E6}': 'a', // 🇦 regional indicator A
+  '\u{1F1E7}': 'b',
+  '\u{1F1E8}': 'c',
+  '\u{1F1E9}': 'd',
+  'Ⓐ': 'a', // Ⓐ circled A
+  'Ⓑ': 'b',
+  'Ⓒ': 'c',
+  'Ⓓ': 'd',
+  'ⓐ': 'a', // ⓐ circled a
+  'ⓑ': 'b',
+  'ⓒ': 'c',
+  'ⓓ': 'd'
+};
+
+// "a", "A)", "(b)", "b.", "Option B", "answer: c", "1" (options are also numbered 1-4 in list replies;
+// not used when an option's text is itself a number, see normalizeAnswer)
+const LETTER_PATTERN = /^(?:(?:option|answer|ans|choice)\s*[:\-]?\s*)?[([]?([a-d1-4])[)\].:\-]?$/;
+const NUMBER_PATTERN = /^-?\d+(?:[.,]\d+)?$/;
+// "B) some option text" or "b. some option text"
+const LETTER_WITH_TEXT_PATTERN = /^[([]?([a-d])[)\].:]\s+\S/;
+
+/**
+ * Collapse whitespace, lowercase and strip surrounding punctuation for text comparison
+ * @param {string} text
+ * @returns {string}
+ */
+function simplifyText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'`*_.,!?]+|[\s"'`*_.,!?]+$/g, '');
+}
+
+function letterFromToken(token, digitsArePositions = true) {
+  if (LETTERS.includes(token)) {
+    return token;
+  }
+  if (!digitsArePositions) {
+    return null;
+  }
+  const digit = parseInt(token, 10);
+  return digit >= 1 && digit <= 4 ? LETTERS[digit - 1] : null;
+}
+
+/**
+ * Normalize a raw reply to a canonical answer letter
+ * @param {string} rawAnswer - Reply exactly as received
+ * @param {Object} [options] - Option texts keyed by letter ({ A: '...', B: '...' }) used to match replies that repeat the option text
+ * @returns {string|null} 'a' | 'b' | 'c' | 'd', or null when the reply is not recognizable
+ */
+function normalizeAnswer(rawAnswer, options = null) {
+  if (typeof rawAnswer !== 'string') {
+    return null;
+  }
+
+  // Drop emoji variation selectors and the keycap combiner so "1️⃣" becomes "1" and "🅰️" becomes "🅰"
+  const stripped = rawAnswer.replace(/[\uFE0E\uFE0F\u20E3]/g, '').trim();
+  if (stripped === '') {
+    return null;
+  }
+
+  const symbolLetter = SYMBOL_MAP[stripped];
+  if (symbolLetter) {
+    return symbolLetter;
+  }
+
+  // The option text itself comes first: with options "4", "8", "2", "6" the reply "2" is option C, not the second one
+  const optionTexts = LETTERS.map(letter => (options ? options[letter.toUpperCase()] ?? options[letter] : null))
+    .map(optionText => (optionText === undefined || optionText === null ? null : simplifyText(optionText)));
+  const reply = simplifyText(stripped);
+  const textMatch = optionTexts.indexOf(reply);
+  if (textMatch !== -1) {
+    return LETTERS[textMatch];
+  }
+
+  const lowered = stripped.toLowerCase().replace(/\s+/g, ' ');
+
+  const letterMatch = lowered.match(LETTER_PATTERN);
+  if (letterMatch) {
+    const numericOptions = optionTexts.some(optionText => optionText !== null && NUMBER_PATTERN.test(optionText));
+    return letterFromToken(letterMatch[1], !numericOptions);
+  }
+
+  const letterWithText = lowered.match(LETTER_WITH_TEXT_PATTERN);
+  if (letterWithText) {
+    return letterWithText[1];
+  }
+
+  return null;
+}
+
+/**
+ * Compare a stored answer with the correct answer regardless of case or formatting
+ * @param {string} answer
+ * @param {string} correctAnswer
+ * @returns {boolean}
+ */
+function isCorrectAnswer(answer, correctAnswer) {
+  const normalizedAnswer = normalizeAnswer(answer);
+  return normalizedAnswer !== null && normalizedAnswer === normalizeAnswer(correctAnswer);
+}
+
+module.exports = {
+  REPROMPT_MESSAGE,
+  normalizeAnswer,
+  isCorrectAnswer
+};
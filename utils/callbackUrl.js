@@ -0,0 +1,100 @@
+/**
+ * Job callback URL checks
+ * The server POSTs job results to the caller's callback_url, so the URL must not be a way into internal hosts or
+ * cloud metadata endpoints: its host has to be on JOB_CALLBACK_ALLOWED_HOSTS, and neither the host as written nor
+ * the addresses it resolves to may be loopback, private, link-local or otherwise not publicly routable.
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// ::ffff:10.0.0.1 is 10.0.0.1
+const isBlockedAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  return family === 0 || blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// "hooks.example.com" matches only itself; "*.example.com" matches its subdomains
+const isAllowedHost = (hostname) => config.jobs.callbackAllowedHosts.some(pattern => (
+  pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+));
+
+/**
+ * Check a callback_url before the job is queued
+ * @param {string} value
+ * @returns {string|null} Why the URL is refused, null when it is acceptable
+ */
+function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'callback_url must be a valid http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'callback_url must be a valid http(s) URL';
+  }
+  if (url.username || url.password) {
+    return 'callback_url must not contain credentials';
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return 'callback_url must not point to a private, loopback or link-local address';
+  }
+  if (!isAllowedHost(hostname)) {
+    return config.jobs.callbackAllowedHosts.length === 0
+      ? 'callback_url is not accepted (no callback hosts are configured)'
+      : `callback_url host ${hostname} is not in the allowed callback hosts`;
+  }
+  return null;
+}
+
+/**
+ * dns.lookup for the delivery socket itself: the addresses are checked as the connection is made, so a host can't
+ * resolve to a public address for a separate check and to an internal one for the request (DNS rebinding)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  if (typeof options === 'function') {
+    return lookupPublicAddress(hostname, {}, options);
+  }
+  const lookupOptions = typeof options === 'number' ? { family: options } : options;
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`callback_url host ${hostname} resolves to the non-public address ${blocked.address}`));
+    }
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Agents for callback requests; proxies are never used since they would resolve the host instead
+const callbackRequestOptions = {
+  httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupPublicAddress }),
+  proxy: false,
+  maxRedirects: 0
+};
+
+module.exports = { validateCallbackUrl, lookupPublicAddress, callbackRequestOptions, isBlockedAddress };
@@ -0,0 +1,19 @@
+/**
+ * Error carrying the HTTP status and JSON body a route should respond with.
+ * Services throw it when the failure maps to a specific client-facing response
+ * (e.g. a 400 with a particular message) instead of the generic 500.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code to respond with
+   * @param {Object} body - JSON response body
+   */
+  constructor(statusCode, body) {
+    super(body && body.message ? body.message : `HTTP ${statusCode}`);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,205 @@
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const config = require('../config');
+
+// Headers the certified.learntube.ai web app sends; the upstream API expects a browser-like request
+const BROWSER_HEADERS = {
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'en-US,en;q=0.9,de;q=0.8',
+  'Connection': 'keep-alive',
+  'Content-Type': 'application/json',
+  'Origin': 'https://certified.learntube.ai',
+  'Referer': 'https://certified.learntube.ai/',
+  'Sec-Fetch-Dest': 'empty',
+  'Sec-Fetch-Mode': 'cors',
+  'Sec-Fetch-Site': 'same-site',
+  'User-Agent': 'Mozilla/5.0 (Linux; Android 6.0; Nexus 5 Build/MRA58N) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Mobile Safari/537.36',
+  'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+  'sec-ch-ua-mobile': '?1',
+  'sec-ch-ua-platform': '"Android"'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Shared HTTP client for certified-new.learntube.ai (config.learntube).
+ *
+ * - One axios instance with keep-alive agents, so connections are reused across calls
+ * - TLS verification is configurable (LEARNTUBE_TLS_VERIFY); off by default like the original per-call agents
+ * - Idempotent calls (GET, or idempotent: true) are retried with exponential backoff on network errors, 429 and 5xx
+ * - A circuit breaker opens after consecutive upstream failures and rejects calls immediately until the reset timeout,
+ *   then lets one trial request through (half-open)
+ * - Per-endpoint counters (requests, errors, retries, latency) are exposed through getMetrics()
+ *
+ * Errors are the axios errors themselves (error.response set for HTTP errors), so callers keep their existing handling.
+ */
+class LearntubeClient {
+  constructor() {
+    this.settings = config.learntube;
+    this.http = axios.create({
+      baseURL: this.settings.baseUrl,
+      headers: BROWSER_HEADERS,
+      timeout: this.settings.timeoutMs,
+      httpAgent: new http.Agent({ keepAlive: true }),
+      httpsAgent: new https.Agent({ keepAlive: true, rejectUnauthorized: this.settings.tlsVerify })
+    });
+    this.breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null };
+    this.metrics = {};
+  }
+
+  async get(path, options = {}) {
+    return this.request({ ...options, method: 'get', path });
+  }
+
+  async post(path, data, options = {}) {
+    return this.request({ ...options, method: 'post', path, data });
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.method
+   * @param {string} options.path - Path on the upstream host ('/continue') or an absolute URL
+   * @param {Object} [options.data]
+   * @param {Object} [options.params]
+   * @param {string} [options.authToken] - Sent as a Bearer token
+   * @param {Object} [options.headers] - Extra / overriding headers
+   * @param {number} [options.timeout]
+   * @param {boolean} [options.idempotent] - Defaults to true for GET; only idempotent calls are retried
+   * @returns {Promise<Object>} axios response
+   */
+  async request({ method, path, data, params, authToken, headers = {}, timeout, idempotent = method === 'get' }) {
+    const endpoint = `${method.toUpperCase()} ${path.split('?')[0]}`;
+    const stats = this.getEndpointStats(endpoint);
+    const maxAttempts = idempotent ? this.settings.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      this.assertCircuitClosed(stats);
+      stats.requests++;
+      const startedAt = Date.now();
+      try {
+        const response = await this.http.request({
+          method,
+          url: path,
+          data,
+          params,
+          timeout: timeout || this.settings.timeoutMs,
+          headers: {
+            ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+            ...headers
+          }
+        });
+        this.recordLatency(stats, startedAt);
+        stats.last_status = response.status;
+        this.recordSuccess();
+        return response;
+      } catch (error) {
+        this.recordLatency(stats, startedAt);
+        stats.errors++;
+        stats.last_status = error.response?.status || null;
+        stats.last_error = error.message;
+
+        const upstreamFailure = this.isUpstreamFailure(error);
+        if (upstreamFailure) {
+          this.recordFailure();
+        } else {
+          // A 4xx means upstream answered, so it still counts as alive
+          this.recordSuccess();
+        }
+
+        if (!upstreamFailure || attempt >= maxAttempts || this.breaker.state === 'open') {
+          throw error;
+        }
+        const delay = this.settings.retryBaseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * 100);
+        stats.retries++;
+        console.warn(`🔁 [Learntube] ${endpoint} failed (${error.message}), retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Network errors, timeouts, 429 and 5xx are worth retrying and count against the circuit breaker
+  isUpstreamFailure(error) {
+    if (!error.response) {
+      return true;
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  assertCircuitClosed(stats) {
+    if (this.breaker.state !== 'open') {
+      return;
+    }
+    const retryInMs = this.breaker.openedAt + this.settings.breakerResetMs - Date.now();
+    if (retryInMs <= 0) {
+      this.breaker.state = 'half_open';
+      console.log('🟡 [Learntube] Circuit half-open, allowing a trial request');
+      return;
+    }
+    stats.circuit_rejections++;
+    const error = new Error(`Learntube API circuit open after ${this.breaker.consecutiveFailures} consecutive failures; retry in ${Math.ceil(retryInMs / 1000)}s`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.breaker.state !== 'closed') {
+      console.log('🟢 [Learntube] Circuit closed');
+    }
+    this.breaker = { state: 'closed', consecutiveFailures: 0, openedAt: null };
+  }
+
+  recordFailure() {
+    this.breaker.consecutiveFailures++;
+    const tripped = this.breaker.state === 'half_open'
+      || this.breaker.consecutiveFailures >= this.settings.breakerFailureThreshold;
+    if (tripped && this.breaker.state !== 'open') {
+      this.breaker.state = 'open';
+      this.breaker.openedAt = Date.now();
+      console.error(`🔴 [Learntube] Circuit open after ${this.breaker.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  getEndpointStats(endpoint) {
+    if (!this.metrics[endpoint]) {
+      this.metrics[endpoint] = {
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        circuit_rejections: 0,
+        total_latency_ms: 0,
+        max_latency_ms: 0,
+        last_status: null,
+        last_error: null
+      };
+    }
+    return this.metrics[endpoint];
+  }
+
+  recordLatency(stats, startedAt) {
+    const latency = Date.now() - startedAt;
+    stats.total_latency_ms += latency;
+    stats.max_latency_ms = Math.max(stats.max_latency_ms, latency);
+  }
+
+  getMetrics() {
+    const endpoints = {};
+    Object.entries(this.metrics).forEach(([endpoint, stats]) => {
+      endpoints[endpoint] = {
+        ...stats,
+        avg_latency_ms: stats.requests > 0 ? Math.round(stats.total_latency_ms / stats.requests) : 0
+      };
+    });
+    return {
+      base_url: this.settings.baseUrl,
+      circuit: {
+        state: this.breaker.state,
+        consecutive_failures: this.breaker.consecutiveFailures,
+        opened_at: this.breaker.openedAt ? new Date(this.breaker.openedAt).toISOString() : null
+      },
+      endpoints
+    };
+  }
+}
+
+module.exports = new LearntubeClient();
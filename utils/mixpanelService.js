@@ -1,4 +1,6 @@
 const mixpanel = require('mixpanel');
+const config = require('../config');
+const { normalizePhone } = require('./phone');
 
 /**
  * Mixpanel Service
@@ -16,7 +18,7 @@ class MixpanelService {
    * Initialize Mixpanel client
    */
   init() {
-    const projectToken = process.env.MIXPANEL_PROJECT_TOKEN;
+    const projectToken = config.mixpanel.projectToken;
     
     console.log('[Mixpanel] Initializing...');
     console.log('[Mixpanel] Token present:', !!projectToken);
@@ -30,7 +32,7 @@ class MixpanelService {
 
     try {
       this.mixpanel = mixpanel.init(projectToken, {
-        debug: process.env.NODE_ENV === 'development',
+        debug: config.server.isDevelopment,
         ignore_dnt: true
       });
       this.isEnabled = true;
@@ -50,7 +52,9 @@ class MixpanelService {
       return userData.email;
     }
     if (userData?.phone) {
-      return userData.phone;
+      // Digits only, as the bot sent phones before they were stored in E.164, so existing profiles keep their id
+      const e164 = normalizePhone(userData.phone);
+      return e164 ? e164.slice(1) : userData.phone;
     }
     if (userData?.user_id) {
       return userData.user_id;
@@ -100,14 +104,14 @@ class MixpanelService {
         if (properties.subject) userProps.subject = properties.subject;
 
         this.mixpanel.people.set(distinctId, userProps, (err) => {
-          if (err && process.env.NODE_ENV === 'development') {
+          if (err && config.server.isDevelopment) {
             console.error(`Mixpanel user properties error:`, err);
           }
         });
       }
     } catch (error) {
       // Silently fail - don't break the application
-      if (process.env.NODE_ENV === 'development') {
+      if (config.server.isDevelopment) {
         console.error(`Error tracking Mixpanel event "${eventName}":`, error.message);
       }
     }
@@ -153,6 +157,16 @@ class MixpanelService {
     });
   }
 
+  /**
+   * Track question skipped / flagged for review event
+   */
+  trackQuestionSkipped(properties) {
+    this.track('Question Skipped', {
+      ...properties,
+      question_number: properties.question_number || 0
+    });
+  }
+
   /**
    * Track next question retrieved event
    */
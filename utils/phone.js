@@ -0,0 +1,100 @@
+/**
+ * Phone number parsing and E.164 normalization
+ * Users are stored and looked up by their E.164 number (+919876543210), so "98765 43210", "+91-98765-43210",
+ * "09876543210" and "919876543210" all reach the same user. Numbers without a country code are read as
+ * DEFAULT_COUNTRY; anything else must carry its calling code (as "+", "00" or bare digits).
+ */
+
+const DEFAULT_COUNTRY = 'IN';
+
+// National number rules for the countries we read numbers without a calling code for
+const COUNTRIES = {
+  IN: { callingCode: '91', nationalLength: 10, nationalPattern: /^[6-9]\d{9}$/ }
+};
+
+// E.164 allows at most 15 digits including the calling code; calling codes never start with 0
+const INTERNATIONAL_PATTERN = /^[1-9]\d{7,14}$/;
+
+// Separators people type or paste: whitespace, dashes (incl. Unicode dashes), dots, slashes, parentheses
+const SEPARATORS = /[\s\-./()\u2010-\u2015\uff08\uff09]/g;
+
+/**
+ * Parse a phone number as typed or sent by the bot
+ * @param {string|number} input
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry='IN'] - Country for numbers without a calling code
+ * @returns {{ e164: string, callingCode: string|null, nationalNumber: string|null }|null} null when not a valid number.
+ *   callingCode / nationalNumber are only known for numbers in a country listed in COUNTRIES
+ */
+function parsePhone(input, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  if (input === null || input === undefined) {
+    return null;
+  }
+  const compact = String(input).trim().replace(SEPARATORS, '');
+  const country = COUNTRIES[defaultCountry];
+  if (!country) {
+    throw new Error(`Unknown default country "${defaultCountry}"; expected one of ${Object.keys(COUNTRIES).join(', ')}`);
+  }
+
+  let digits;
+  let international = false;
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+    international = true;
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+    international = true;
+  } else {
+    digits = compact;
+  }
+  if (!/^\d+$/.test(digits)) {
+    return null;
+  }
+
+  if (!international) {
+    // National number, optionally with the trunk prefix 0
+    const national = digits.startsWith('0') ? digits.slice(1) : digits;
+    if (country.nationalPattern.test(national)) {
+      return { e164: `+${country.callingCode}${national}`, callingCode: country.callingCode, nationalNumber: national };
+    }
+    // Bare digits that aren't a national number must be long enough to include a calling code
+    if (digits.startsWith('0') || digits.length <= country.nationalLength) {
+      return null;
+    }
+  }
+
+  // Calling code included: validate the national part when we know the country's rules
+  const known = Object.values(COUNTRIES).find(({ callingCode }) => digits.startsWith(callingCode));
+  if (known) {
+    const national = digits.slice(known.callingCode.length);
+    return known.nationalPattern.test(national)
+      ? { e164: `+${digits}`, callingCode: known.callingCode, nationalNumber: national }
+      : null;
+  }
+  return INTERNATIONAL_PATTERN.test(digits) ? { e164: `+${digits}`, callingCode: null, nationalNumber: null } : null;
+}
+
+/**
+ * @param {string|number} input
+ * @param {Object} [options] - See parsePhone
+ * @returns {string|null} E.164 form, or null when the input is not a valid number
+ */
+function normalizePhone(input, options) {
+  const parsed = parsePhone(input, options);
+  return parsed ? parsed.e164 : null;
+}
+
+/**
+ * @param {string|number} input
+ * @returns {boolean}
+ */
+function isValidPhone(input) {
+  return parsePhone(input) !== null;
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  parsePhone,
+  normalizePhone,
+  isValidPhone
+};